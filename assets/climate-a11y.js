@@ -0,0 +1,191 @@
+/**
+ * 气候变化分析平台 - 无障碍辅助
+ * Climate Change Analysis Platform - Accessibility Helpers
+ *
+ * 功能：为图表提供颜色之外的替代表达——自动生成的文字摘要（趋势、极值、最新值）、
+ * 声音化播放（距平越高音调越高），以及地图国家之间方向键移动所需的空间邻接查找。
+ *
+ * 说明：
+ * - describe() 的文字经 ClimateI18n 取出，随界面语言切换；
+ * - 趋势方向按 ClimateStats.ols() 的 95% 置信区间判断，区间跨 0 时描述为"基本持平"；
+ * - sonify() 使用 Web Audio 振荡器，音高在两个八度内按数值对数映射，返回停止函数；
+ * - PATTERNS 为图表与地图共用的纹理定义（SVG <pattern> 的叠加笔画），
+ *   与 climate-theme.css 中的 .pattern-* 图例样式一一对应；
+ * - 通过 window.ClimateA11y 暴露接口，需在 climate-i18n.js 与 climate-stats.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  /** 无障碍数据表最多渲染的行数（完整数据可导出 CSV） */
+  const MAX_TABLE_ROWS = 500;
+  /** 声音化的音高范围（Hz）与默认时长（毫秒） */
+  const PITCH = [220, 880];
+  const SONIFY_DURATION = 8000;
+
+  /**
+   * 纹理：在 6×6 的图块内叠加的深色半透明笔画；solid 不叠加
+   * @type {Object<string, {path?:string, dot?:boolean}>}
+   */
+  const PATTERNS = {
+    solid: {},
+    dots: { dot: true },
+    lines: { path: 'M0,3 H6' },
+    hatch: { path: 'M0,6 L6,0 M-1,1 L1,-1 M5,7 L7,5' },
+  };
+
+  const i18n = () => window.ClimateI18n;
+
+  /**
+   * 生成序列的文字摘要
+   * @param {Array<object>} points - 数据点
+   * @param {object} options
+   * @param {string} options.subject - 序列名称（如"全球温度距平"）
+   * @param {Function} options.value - 取数值 point → number
+   * @param {Function} options.label - 取点的名称 point → string（如年份、国家名）
+   * @param {Function} [options.x] - 取时间坐标 point → 年份；提供时生成趋势与最新值
+   * @param {Function} [options.format] - 数值格式化，默认带符号的 °C
+   * @param {Function|null} [options.trendFormat] - 每十年趋势的格式化；为 null 时只描述方向
+   * @returns {string}
+   */
+  function describe(points, options) {
+    const I = i18n();
+    const list = (points || []).filter(p => Number.isFinite(options.value(p)));
+    if (!list.length) return I.t('a11y.summary.empty');
+    const format = options.format || (v => I.temp(v, 2, true));
+    const parts = [];
+    if (options.x && list.length >= 3) {
+      const series = list.map(p => ({ year: options.x(p), anomaly: options.value(p) }));
+      const fit = window.ClimateStats.ols(series);
+      if (fit) {
+        const direction = fit.ciLow > 0 ? 'up' : fit.ciHigh < 0 ? 'down' : 'flat';
+        const params = {
+          subject: options.subject,
+          from: options.label(list[0]),
+          to: options.label(list[list.length - 1]),
+          direction: I.t(`a11y.direction.${direction}`),
+        };
+        const trendFormat = options.trendFormat === undefined ? (v => I.temp(v, 2, true)) : options.trendFormat;
+        parts.push(trendFormat
+          ? I.t('a11y.summary.trend', { ...params, rate: trendFormat(fit.slope * 10) })
+          : I.t('a11y.summary.trendPlain', params));
+      }
+    }
+    const max = list.reduce((m, p) => (options.value(p) > options.value(m) ? p : m));
+    const min = list.reduce((m, p) => (options.value(p) < options.value(m) ? p : m));
+    parts.push(I.t('a11y.summary.extremes', {
+      max: format(options.value(max)),
+      maxLabel: options.label(max),
+      min: format(options.value(min)),
+      minLabel: options.label(min),
+    }));
+    if (options.x) {
+      const last = list[list.length - 1];
+      parts.push(I.t('a11y.summary.latest', { value: format(options.value(last)), label: options.label(last) }));
+    } else {
+      const mean = list.reduce((s, p) => s + options.value(p), 0) / list.length;
+      parts.push(I.t('a11y.summary.mean', { subject: options.subject, count: list.length, value: format(mean) }));
+    }
+    // 无趋势句时以极值句开头，英文需首字母大写
+    const text = parts.join(I.t('a11y.summary.separator'));
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /** @returns {boolean} 浏览器是否支持 Web Audio */
+  function canSonify() {
+    return typeof (window.AudioContext || window.webkitAudioContext) === 'function';
+  }
+
+  /**
+   * 以音高播放数值序列
+   * @param {number[]} values
+   * @param {{duration?:number, onEnd?:Function}} [options]
+   * @returns {Function} 停止播放（幂等）
+   */
+  function sonify(values, options) {
+    const opts = options || {};
+    const list = (values || []).filter(Number.isFinite);
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    let done = false;
+    let ctx = null;
+    let timer = null;
+    const stop = () => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      if (ctx) ctx.close().catch(() => {});
+      if (opts.onEnd) opts.onEnd();
+    };
+    if (!Ctx || !list.length) {
+      stop();
+      return stop;
+    }
+    ctx = new Ctx();
+    const duration = (opts.duration || SONIFY_DURATION) / 1000;
+    const step = duration / list.length;
+    const lo = Math.min(...list), hi = Math.max(...list);
+    const ratio = PITCH[1] / PITCH[0];
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = 'sine';
+    const t0 = ctx.currentTime + 0.05;
+    list.forEach((v, i) => {
+      const t = hi > lo ? (v - lo) / (hi - lo) : 0.5;
+      osc.frequency.setValueAtTime(PITCH[0] * ratio ** t, t0 + i * step);
+    });
+    // 渐入渐出，避免起止时的爆音
+    gain.gain.setValueAtTime(0, t0);
+    gain.gain.linearRampToValueAtTime(0.2, t0 + 0.05);
+    gain.gain.setValueAtTime(0.2, t0 + duration - 0.05);
+    gain.gain.linearRampToValueAtTime(0, t0 + duration);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(t0);
+    osc.stop(t0 + duration);
+    timer = setTimeout(stop, (duration + 0.1) * 1000);
+    return stop;
+  }
+
+  /** 方向键 → 单位方向向量（x 向东、y 向北） */
+  const DIRECTIONS = {
+    ArrowRight: [1, 0],
+    ArrowLeft: [-1, 0],
+    ArrowUp: [0, 1],
+    ArrowDown: [0, -1],
+  };
+
+  /**
+   * 在点集中找出指定方向上最近的相邻点
+   * 候选点须位于以方向为轴、±60° 的扇区内；距离按偏离轴线的程度加权，优先选择正前方的点。
+   * @param {Array<{x:number, y:number}>} items
+   * @param {{x:number, y:number}} from
+   * @param {string} key - ArrowUp / ArrowDown / ArrowLeft / ArrowRight
+   * @returns {object|null}
+   */
+  function neighbour(items, from, key) {
+    const dir = DIRECTIONS[key];
+    if (!dir || !from) return null;
+    let best = null, bestScore = Infinity;
+    items.forEach(item => {
+      if (item === from) return;
+      const dx = item.x - from.x, dy = item.y - from.y;
+      const along = dx * dir[0] + dy * dir[1];
+      if (along <= 0) return;
+      const across = Math.abs(dx * dir[1] - dy * dir[0]);
+      if (across > along * Math.tan(Math.PI / 3)) return;
+      const score = along + 2 * across;
+      if (score < bestScore) {
+        bestScore = score;
+        best = item;
+      }
+    });
+    return best;
+  }
+
+  window.ClimateA11y = {
+    MAX_TABLE_ROWS,
+    PATTERNS,
+    describe,
+    canSonify,
+    sonify,
+    neighbour,
+  };
+})();
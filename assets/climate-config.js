@@ -0,0 +1,113 @@
+/**
+ * 气候变化分析平台 - 页面配置
+ * Climate Change Analysis Platform - Page Configuration
+ *
+ * 功能：读取部署方提供的 page-config.json，声明页面显示哪些卡片、面板、信息条条目以及顶部标题栏，
+ * 卡片的先后顺序也由配置决定。入口脚本在首次渲染前等待配置就绪，按配置生成页面，不做渲染后的 DOM 改写。
+ *
+ * 配置项（均可省略，省略时取 DEFAULTS 中的值）：
+ *   header   是否显示顶部标题栏（标题、区域导航、数据集与语言切换）
+ *   cards    主网格中的卡片及其顺序；未列出的卡片不显示。可选 CARDS 中的 ID
+ *   panels   其余面板的开关：intro 页首概述，about 关于这个项目，findings 关键发现
+ *   infoBar  "关于这个项目"面板底部信息条的条目及其顺序（随 about 面板显示）。可选 INFO_ITEMS 中的 ID
+ *
+ * 说明：
+ * - 文件缺失或无法解析时使用默认配置并在控制台提示，页面照常显示；
+ * - 信息条的数据更新信息取自数据集元信息（ClimateData.provenance），不在此配置；旧版配置中的 updated 年份会被忽略并提示；
+ * - 未知的配置项、卡片 / 条目 ID 与类型不符的值会被忽略并提示，避免一处笔误导致整页空白；
+ * - 通过 window.ClimateConfig 暴露接口，需在入口脚本之前加载。
+ */
+(function () {
+  'use strict';
+
+  const CONFIG_URL = 'page-config.json';
+  /** 主网格中可配置的卡片 */
+  const CARDS = ['hero', 'metrics', 'overviewCards', 'dataSource', 'trends', 'warming', 'baseline', 'spiral', 'geography', 'sources'];
+  /** 可开关的面板 */
+  const PANELS = ['intro', 'about', 'findings'];
+  /** 信息条条目 */
+  const INFO_ITEMS = ['updated', 'subtitle', 'sources', 'methods'];
+  /** 配置项 */
+  const OPTIONS = ['header', 'cards', 'panels', 'infoBar'];
+
+  /** 默认配置：显示全部内容 */
+  const DEFAULTS = Object.freeze({
+    header: true,
+    cards: CARDS.slice(),
+    panels: { intro: true, about: true, findings: true },
+    infoBar: INFO_ITEMS.slice(),
+  });
+
+  let config = DEFAULTS;
+
+  /**
+   * 只保留已知 ID（去重，保持给定顺序）
+   * @param {*} list
+   * @param {string[]} known
+   * @param {string} field - 配置项名称，用于提示
+   * @param {string[]} fallback
+   * @returns {string[]}
+   */
+  function pickList(list, known, field, fallback) {
+    if (list === undefined) return fallback;
+    if (!Array.isArray(list)) {
+      console.warn(`page-config.json: "${field}" should be an array; using the default.`);
+      return fallback;
+    }
+    const out = [];
+    list.forEach(id => {
+      if (!known.includes(id)) console.warn(`page-config.json: unknown ${field} entry "${id}" ignored.`);
+      else if (!out.includes(id)) out.push(id);
+    });
+    return out;
+  }
+
+  /**
+   * 校验并补全配置
+   * @param {object} raw - 解析后的 JSON
+   * @returns {object}
+   */
+  function normalize(raw) {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    Object.keys(src).forEach(key => {
+      if (key === 'updated') console.warn('page-config.json: "updated" is no longer supported and is ignored; the update date comes from the dataset metadata in data/manifest.json.');
+      else if (!OPTIONS.includes(key)) console.warn(`page-config.json: unknown option "${key}" ignored.`);
+    });
+    const panels = { ...DEFAULTS.panels };
+    Object.keys(src.panels || {}).forEach(id => {
+      if (!PANELS.includes(id)) console.warn(`page-config.json: unknown panel "${id}" ignored.`);
+      else panels[id] = src.panels[id] !== false;
+    });
+    return Object.freeze({
+      header: src.header === undefined ? DEFAULTS.header : src.header !== false,
+      cards: pickList(src.cards, CARDS, 'cards', DEFAULTS.cards),
+      panels,
+      infoBar: pickList(src.infoBar, INFO_ITEMS, 'infoBar', DEFAULTS.infoBar),
+    });
+  }
+
+  /** 配置就绪（成功或退回默认配置）后 resolve */
+  const ready = fetch(CONFIG_URL, { cache: 'no-cache' })
+    .then(res => {
+      if (res.status === 404) return null;
+      if (!res.ok) throw new Error(`Page config request failed: ${CONFIG_URL} (${res.status})`);
+      return res.json();
+    })
+    .then(raw => {
+      config = raw ? normalize(raw) : DEFAULTS;
+    })
+    .catch(err => {
+      console.warn('Using the default page configuration:', err);
+    })
+    .then(() => config);
+
+  window.ClimateConfig = {
+    CARDS,
+    PANELS,
+    INFO_ITEMS,
+    DEFAULTS,
+    ready,
+    /** 当前配置（ready 之前为默认配置） */
+    get: () => config,
+  };
+})();
@@ -0,0 +1,217 @@
+/**
+ * 气候变化分析平台 - 国家序列
+ * Climate Change Analysis Platform - Country Series
+ *
+ * 功能：为地理分布卡片的国家详情视图提供单个国家的年度 / 月度距平序列，
+ * 以及逐年代变暖速率、在全部国家中的排名与最热 / 最冷年份。
+ *
+ * 说明：
+ * - 数据集有格点场（climate-grid.js）时，国家序列为落在国界内的格点按 cos(纬度) 加权的平均，
+ *   国土小于一个格点的国家取其质心所在格点；source 标记为 'grid'；
+ * - 没有格点场时退回 ClimateData.regionalAnomaly() 的纬度 / 陆地系数估算，source 标记为 'estimate'，
+ *   此时国家序列只是全球序列的缩放，趋势形状、逐年代速率、最热年份与全球相同，rankIn() 的名次按纬度分档并列，
+ *   界面须如实提示，且不把这些结果当作国家自身的统计展示；
+ * - 格点场只有年度值，国家的月度序列由年度值展开（monthlyDerived），与共享数据层的处理一致；
+ * - 通过 window.ClimateCountry 暴露接口，需在 climate-data.js、climate-stats.js 与 climate-grid.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  /** 对比模式最多同时显示的国家数 */
+  const MAX_COMPARE = 5;
+  /** 计算某个年代的变暖速率所需的最少年数 */
+  const MIN_DECADE_YEARS = 8;
+  /** 最热 / 最冷年份各列出的个数 */
+  const EXTREME_COUNT = 3;
+
+  /** @type {WeakMap<object, Map<string, Array<{k:number, w:number}>>>} 格点场 → 国家代码 → 格点与权重 */
+  const cellCache = new WeakMap();
+
+  function round2(v) {
+    return Math.round(v * 100) / 100;
+  }
+
+  /**
+   * 射线法判断点是否在环内
+   * @param {number} x - 经度
+   * @param {number} y - 纬度
+   * @param {number[][]} ring
+   * @returns {boolean}
+   */
+  function inRing(x, y, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i], [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  /**
+   * 国家边界的全部环（外环与洞一起按奇偶规则判断）
+   * @param {{type:string, coordinates:Array}} geometry
+   * @returns {number[][][]}
+   */
+  function ringsOf(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    return polygons.reduce((out, p) => out.concat(p), []);
+  }
+
+  /**
+   * 落在国界内的格点（按 cos(纬度) 加权）
+   * @param {object} grid - ClimateGrid.load() 的结果
+   * @param {object} country - ClimateGeo 国家对象
+   * @returns {Array<{k:number, w:number}>} k 为格点下标
+   */
+  function cellsOf(grid, country) {
+    if (!cellCache.has(grid)) cellCache.set(grid, new Map());
+    const cache = cellCache.get(grid);
+    if (cache.has(country.code)) return cache.get(country.code);
+    const rings = ringsOf(country.geometry);
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    rings.forEach(r => r.forEach(([x, y]) => {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }));
+    const cells = [];
+    const weight = lat => Math.cos(lat * Math.PI / 180);
+    for (let row = 0; row < grid.nlat; row++) {
+      const lat = grid.lat0 + row * grid.dlat;
+      if (lat < minY || lat > maxY) continue;
+      for (let col = 0; col < grid.nlon; col++) {
+        const lon = grid.lon0 + col * grid.dlon;
+        if (lon < minX || lon > maxX) continue;
+        if (rings.filter(r => inRing(lon, lat, r)).length % 2) cells.push({ k: row * grid.nlon + col, w: weight(lat) });
+      }
+    }
+    // 国土小于一个格点：取质心所在格点
+    if (!cells.length) {
+      const row = Math.min(grid.nlat - 1, Math.max(0, Math.round((country.lat - grid.lat0) / grid.dlat)));
+      const col = ((Math.round((country.lng - grid.lon0) / grid.dlon) % grid.nlon) + grid.nlon) % grid.nlon;
+      cells.push({ k: row * grid.nlon + col, w: weight(grid.lat0 + row * grid.dlat) });
+    }
+    cache.set(country.code, cells);
+    return cells;
+  }
+
+  /**
+   * 某年格点场在给定格点上的加权平均
+   * @param {Float32Array} field
+   * @param {Array<{k:number, w:number}>} cells
+   * @returns {number|null} 全部格点缺测时为 null
+   */
+  function cellMean(field, cells) {
+    let sum = 0, weight = 0;
+    cells.forEach(({ k, w }) => {
+      const v = field[k];
+      if (!Number.isNaN(v)) {
+        sum += v * w;
+        weight += w;
+      }
+    });
+    return weight > 0 ? sum / weight : null;
+  }
+
+  /**
+   * 国家的距平序列
+   * @param {object} country - ClimateGeo 国家对象
+   * @param {object} dataset - ClimateData.load() 的结果（全球序列）
+   * @param {object|null} grid - ClimateGrid.load() 的结果
+   * @returns {{source:'grid'|'estimate', annual:Array<{year:number, anomaly:number}>, monthly:Array<{year:number, month:number, anomaly:number}>, monthlyDerived:boolean}}
+   */
+  function seriesFor(country, dataset, grid) {
+    const data = window.ClimateData;
+    if (grid) {
+      const cells = cellsOf(grid, country);
+      const annual = [];
+      grid.years.forEach((year, i) => {
+        const v = cellMean(grid.fields[i], cells);
+        if (v !== null) annual.push({ year, anomaly: round2(v) });
+      });
+      if (annual.length) return { source: 'grid', annual, monthly: data.deriveMonthly(annual), monthlyDerived: true };
+    }
+    const scale = p => ({ ...p, anomaly: data.regionalAnomaly(p.anomaly, country) });
+    return {
+      source: 'estimate',
+      annual: dataset.annual.map(scale),
+      monthly: dataset.monthly.map(scale),
+      monthlyDerived: dataset.monthlyDerived,
+    };
+  }
+
+  /**
+   * 逐年代的变暖速率（年代内的线性趋势）
+   * @param {Array<{year:number, anomaly:number}>} annual
+   * @returns {Array<{decade:number, rate:number, n:number}>} rate 单位 °C/十年；年数不足的年代略去
+   */
+  function decadalRates(annual) {
+    const groups = new Map();
+    annual.forEach(p => {
+      const decade = Math.floor(p.year / 10) * 10;
+      if (!groups.has(decade)) groups.set(decade, []);
+      groups.get(decade).push(p);
+    });
+    const out = [];
+    groups.forEach((points, decade) => {
+      if (points.length < MIN_DECADE_YEARS) return;
+      const fit = window.ClimateStats.ols(points);
+      if (fit) out.push({ decade, rate: round2(fit.slope * 10), n: points.length });
+    });
+    return out.sort((a, b) => a.decade - b.decade);
+  }
+
+  /**
+   * 指定年份各国的距平（与 seriesFor() 的口径一致）
+   * @param {object[]} countries
+   * @param {object} dataset
+   * @param {object|null} grid
+   * @param {number} year
+   * @returns {Map<string, number>} 国家代码 → 距平；当年无数据的国家不在其中
+   */
+  function valuesAt(countries, dataset, grid, year) {
+    const out = new Map();
+    const i = grid ? grid.years.indexOf(year) : -1;
+    const point = dataset.annual.find(p => p.year === year);
+    countries.forEach(c => {
+      const v = i >= 0 ? cellMean(grid.fields[i], cellsOf(grid, c)) : null;
+      if (v !== null) out.set(c.code, round2(v));
+      else if (!grid && point) out.set(c.code, window.ClimateData.regionalAnomaly(point.anomaly, c));
+    });
+    return out;
+  }
+
+  /**
+   * 某国某年在全部国家中的排名（距平从高到低，并列取最高名次）
+   * @param {Map<string, number>} values - valuesAt() 的结果
+   * @param {string} code
+   * @returns {{rank:number, total:number, value:number}|null}
+   */
+  function rankIn(values, code) {
+    if (!values.has(code)) return null;
+    const value = values.get(code);
+    let above = 0;
+    values.forEach(v => { if (v > value) above++; });
+    return { rank: above + 1, total: values.size, value };
+  }
+
+  /**
+   * 最热与最冷的年份
+   * @param {Array<{year:number, anomaly:number}>} annual
+   * @param {number} [count]
+   * @returns {{hottest:Array<{year:number, anomaly:number}>, coldest:Array<{year:number, anomaly:number}>}}
+   */
+  function extremes(annual, count) {
+    const n = count || EXTREME_COUNT;
+    const sorted = annual.slice().sort((a, b) => b.anomaly - a.anomaly || a.year - b.year);
+    return { hottest: sorted.slice(0, n), coldest: sorted.slice(-n).reverse() };
+  }
+
+  window.ClimateCountry = {
+    MAX_COMPARE,
+    seriesFor,
+    decadalRates,
+    valuesAt,
+    rankIn,
+    extremes,
+  };
+})();
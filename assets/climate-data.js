@@ -0,0 +1,532 @@
+/**
+ * 气候变化分析平台 - 共享数据层
+ * Climate Change Analysis Platform - Shared Data Layer
+ *
+ * 功能：从本地 data/ 目录加载带版本号的年度 / 月度温度距平数据，并在内存与 localStorage 中缓存，
+ * 供各分析卡片（趋势、加速度、基线漂移、螺旋、地理分布）统一读取，保证每次加载、各卡片之间数值一致。
+ *
+ * 说明：
+ * - data/manifest.json 声明数据集清单与版本号；版本号变化时自动丢弃旧缓存；
+ *   各数据集可记录发布方版本（version）与获取日期（retrieved，ISO 日期），provenance() 据此给出数据更新信息，
+ *   缺失或过旧时由界面显示提示；retrieved 只能填写实际下载数据文件的日期，不知道时保留 null，让提示如实显示；
+ *   文件不是直接从发布方下载、而是取自其镜像时，以 via 注明镜像（包名、版本与文件路径）；
+ * - 每个数据集以 format 指定解析器（见 climate-parsers.js），缺省为 simple；
+ * - 若数据集未提供月度文件，则由年度值展开为 12 个月，并以 monthlyDerived 标记，避免误当作真实月度数据；
+ * - 基准期可切换：load() 返回的序列已按所选基准期重新计算距平（逐月气候态相减），并附带工业化前（1850-1900）偏移量，
+ *   供 1.5°C / 2°C 阈值线换算到当前基准期；
+ * - 当前数据集与基准期是全局状态：select() / setBaseline() 切换后通知所有订阅者（卡片据此重新加载并渲染）；
+ * - 用户导入的数据集（climate-import.js）经 registerDatasets() 登记，与清单中的数据集同样可加载与选择；
+ * - 通过 window.ClimateData 暴露接口，需在 climate-parsers.js 之后、入口脚本之前加载。
+ */
+(function () {
+  'use strict';
+
+  const MANIFEST_URL = 'data/manifest.json';
+  const DATA_ROOT = 'data/';
+  const STORAGE_PREFIX = 'climate-data:';
+  /** 可选基准期；1850-1900 同时用于换算《巴黎协定》阈值。label 为中文名称，界面按 id 取消息目录中的 baseline.<id> */
+  const BASELINES = [
+    { id: '1850-1900', label: '1850-1900年（工业化前）', start: 1850, end: 1900 },
+    { id: '1951-1980', label: '1951-1980年（NASA GISS）', start: 1951, end: 1980 },
+    { id: '1991-2020', label: '1991-2020年（WMO / IPCC 现行气候态）', start: 1991, end: 2020 },
+  ];
+  const DEFAULT_BASELINE = '1951-1980';
+  const PREINDUSTRIAL = BASELINES[0];
+  /** 获取日期早于这么多天即提示数据可能过时 */
+  const STALE_DAYS = 400;
+  /** provenance() 报告的元信息问题：缺少来源 / 版本号 / 获取日期，获取日期过旧，序列未覆盖上一整年 */
+  const PROVENANCE_ISSUES = ['source', 'version', 'retrieved', 'staleRetrieved', 'staleSeries'];
+
+  /** @type {Promise<object>|null} */
+  let manifestPromise = null;
+  /** @type {Map<string, Promise<object>>} */
+  const datasetCache = new Map();
+  /** @type {Map<string, Promise<string>>} 同一文件可同时提供年度与月度序列，只请求一次 */
+  const fileCache = new Map();
+  /** @type {Map<string, Promise<object>>} 按 数据集|基准期 缓存重算结果，保证各卡片拿到同一对象 */
+  const rebasedCache = new Map();
+  /** @type {Map<string, object>} 用户导入的数据集（不在清单中，结构同 loadRaw() 的结果） */
+  const userDatasets = new Map();
+  /** @type {Promise<void>} 导入数据集的登记过程（启动时从 IndexedDB 恢复），select() 等待其完成 */
+  let userReady = Promise.resolve();
+  /**
+   * @type {{dataset: string|null, baseline: string, catalog: number}} 全局选择状态（每次变更替换为新对象）；
+   * catalog 在导入数据集增删时递增，供数据集列表刷新
+   */
+  let state = Object.freeze({ dataset: null, baseline: DEFAULT_BASELINE, catalog: 0 });
+  /** @type {Set<Function>} */
+  const listeners = new Set();
+
+  /**
+   * 读取数据清单（仅请求一次）
+   * @returns {Promise<object>} 清单对象 { version, default, datasets }
+   */
+  function getManifest() {
+    if (!manifestPromise) {
+      manifestPromise = fetch(MANIFEST_URL, { cache: 'no-cache' })
+        .then(res => {
+          if (!res.ok) throw new Error(`Manifest request failed: ${res.status}`);
+          return res.json();
+        })
+        .then(manifest => {
+          if (state.dataset === null) setState({ dataset: manifest.default });
+          return manifest;
+        })
+        .catch(err => {
+          manifestPromise = null; // 失败时允许重试
+          throw err;
+        });
+    }
+    return manifestPromise;
+  }
+
+  /**
+   * 将年度序列展开为月度序列（缺少真实月度文件时的兜底）
+   * @param {Array<{year:number, anomaly:number}>} annual
+   * @returns {Array<{year:number, month:number, anomaly:number}>} month 取 0-11
+   */
+  function deriveMonthly(annual) {
+    const out = [];
+    annual.forEach(p => {
+      for (let m = 0; m < 12; m++) out.push({ year: p.year, month: m, anomaly: p.anomaly });
+    });
+    return out;
+  }
+
+  /**
+   * 由月度序列计算年度平均（仅统计满 12 个月的年份）
+   * @param {Array<{year:number, month:number, anomaly:number}>} monthly
+   * @returns {Array<{year:number, anomaly:number}>}
+   */
+  function annualFromMonthly(monthly) {
+    const byYear = new Map();
+    monthly.forEach(p => {
+      if (!byYear.has(p.year)) byYear.set(p.year, []);
+      byYear.get(p.year).push(p.anomaly);
+    });
+    return Array.from(byYear.entries())
+      .filter(([, values]) => values.length === 12)
+      .map(([year, values]) => ({ year, anomaly: round2(values.reduce((s, v) => s + v, 0) / 12) }));
+  }
+
+  /**
+   * 保留两位小数
+   * @param {number} v
+   * @returns {number}
+   */
+  function round2(v) {
+    return Math.round(v * 100) / 100;
+  }
+
+  /**
+   * 拉取并用数据集对应的解析器解析一个文件
+   * @param {object} meta - 清单中的数据集描述
+   * @param {string} file - 相对 data/ 的路径
+   * @param {'annual'|'monthly'} kind - 序列类型
+   * @returns {Promise<Array<object>>}
+   */
+  async function fetchSeries(meta, file, kind) {
+    const parser = window.ClimateParsers[meta.format || 'simple'];
+    if (!parser) throw new Error(`Unknown data format: ${meta.format}`);
+    if (!fileCache.has(file)) {
+      const p = fetch(DATA_ROOT + file).then(res => {
+        if (!res.ok) throw new Error(`Data request failed: ${file} (${res.status})`);
+        return res.text();
+      });
+      p.catch(() => fileCache.delete(file));
+      fileCache.set(file, p);
+    }
+    return parser(await fileCache.get(file), kind, meta);
+  }
+
+  /**
+   * 从 localStorage 读取缓存（版本不符则视为未命中）
+   * @param {string} key
+   * @returns {object|null}
+   */
+  function readStored(key) {
+    try {
+      const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * 写入 localStorage 缓存，并清理同一数据集的旧版本
+   * @param {string} id - 数据集 ID
+   * @param {string} key - 带版本号的缓存键
+   * @param {object} value
+   */
+  function writeStored(id, key, value) {
+    try {
+      const storage = window.localStorage;
+      for (let i = storage.length - 1; i >= 0; i--) {
+        const k = storage.key(i);
+        if (k && k.startsWith(`${STORAGE_PREFIX}${id}@`) && k !== STORAGE_PREFIX + key) storage.removeItem(k);
+      }
+      storage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (_) {}
+  }
+
+  /**
+   * 加载并规范化一个数据集
+   * @param {string} id - 数据集 ID
+   * @param {object} manifest - 数据清单
+   * @returns {Promise<object>} 数据集对象
+   */
+  async function loadDataset(id, manifest) {
+    const meta = manifest.datasets[id];
+    if (!meta) throw new Error(`Unknown dataset: ${id}`);
+    const cacheKey = `${id}@${manifest.version}`;
+    const stored = readStored(cacheKey);
+    if (stored) return stored;
+
+    let monthly = meta.monthly ? await fetchSeries(meta, meta.monthly, 'monthly') : [];
+    const annual = meta.annual ? await fetchSeries(meta, meta.annual, 'annual') : annualFromMonthly(monthly);
+    if (!annual.length) throw new Error(`Dataset ${id} contains no data`);
+    const monthlyDerived = !monthly.length;
+    if (monthlyDerived) monthly = deriveMonthly(annual);
+
+    const dataset = {
+      id,
+      version: manifest.version,
+      meta,
+      annual,
+      monthly,
+      monthlyDerived,
+      firstYear: annual[0].year,
+      lastYear: annual[annual.length - 1].year,
+    };
+    writeStored(id, cacheKey, dataset);
+    return dataset;
+  }
+
+  /**
+   * 加载原始数据集（发布方自身的基准期，同一数据集只请求一次）
+   * @param {string} [id] - 数据集 ID，缺省使用清单中的 default
+   * @returns {Promise<object>} { id, version, meta, annual, monthly, monthlyDerived, firstYear, lastYear }
+   */
+  function loadRaw(id) {
+    if (userDatasets.has(id)) return Promise.resolve(userDatasets.get(id));
+    return getManifest().then(manifest => {
+      const key = id || manifest.default;
+      if (!datasetCache.has(key)) {
+        const p = loadDataset(key, manifest).catch(err => {
+          datasetCache.delete(key);
+          throw err;
+        });
+        datasetCache.set(key, p);
+      }
+      return datasetCache.get(key);
+    });
+  }
+
+  /**
+   * 查找基准期定义
+   * @param {string} id - 如 '1951-1980'
+   * @returns {{id:string, label:string, start:number, end:number}}
+   */
+  function getBaselineInfo(id) {
+    const info = BASELINES.find(b => b.id === id);
+    if (!info) throw new Error(`Unknown baseline: ${id}`);
+    return info;
+  }
+
+  /**
+   * 求平均值，空数组返回 null
+   * @param {number[]} values
+   * @returns {number|null}
+   */
+  function mean(values) {
+    return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null;
+  }
+
+  /**
+   * 将数据集重新计算为相对指定基准期的距平
+   * 说明：
+   * - 年度序列减去基准期内的年均值；
+   * - 真实月度序列逐月减去基准期内该月的平均（气候态），某月在基准期内无数据时退化为年度基准值；
+   * - 数据未完整覆盖基准期时按可用年份计算，并在 baseline.complete 中标记；
+   * - preindustrial 为 1850-1900 年在新基准下的平均距平，阈值 X°C 在图上的位置即 preindustrial + X；
+   *   序列只覆盖其中一部分年份时（如 GISTEMP 始于 1880 年）按可用年份计算，覆盖范围记录在 preindustrialCoverage 中。
+   * @param {object} dataset - load/loadRaw 返回的数据集（或同结构的导入数据）
+   * @param {string} baselineId - 基准期 ID
+   * @returns {object} 新的数据集对象（不修改原对象）
+   */
+  function rebaseline(dataset, baselineId) {
+    const info = getBaselineInfo(baselineId);
+    const inBase = p => p.year >= info.start && p.year <= info.end;
+    const baseYears = dataset.annual.filter(inBase);
+    const annualRef = mean(baseYears.map(p => p.anomaly));
+    // 与基准期毫无重叠时无法重算，保持原值并如实标记
+    if (annualRef === null) {
+      return { ...dataset, baseline: { ...info, applied: false, complete: false, coveredStart: null, coveredEnd: null }, preindustrial: null, preindustrialCoverage: null };
+    }
+    const annual = dataset.annual.map(p => ({ year: p.year, anomaly: round2(p.anomaly - annualRef) }));
+    let monthly;
+    if (dataset.monthlyDerived) {
+      monthly = deriveMonthly(annual);
+    } else {
+      const monthRefs = Array.from({ length: 12 }, (_, m) =>
+        mean(dataset.monthly.filter(p => p.month === m && inBase(p)).map(p => p.anomaly)));
+      monthly = dataset.monthly.map(p => ({
+        year: p.year,
+        month: p.month,
+        anomaly: round2(p.anomaly - (monthRefs[p.month] === null ? annualRef : monthRefs[p.month])),
+      }));
+    }
+    const preYears = annual.filter(p => p.year >= PREINDUSTRIAL.start && p.year <= PREINDUSTRIAL.end);
+    const pre = mean(preYears.map(p => p.anomaly));
+    return {
+      ...dataset,
+      annual,
+      monthly,
+      baseline: {
+        ...info,
+        applied: true,
+        coveredStart: baseYears[0].year,
+        coveredEnd: baseYears[baseYears.length - 1].year,
+        complete: baseYears.length === info.end - info.start + 1,
+      },
+      preindustrial: pre === null ? null : round2(pre),
+      preindustrialCoverage: pre === null ? null : {
+        start: preYears[0].year,
+        end: preYears[preYears.length - 1].year,
+        complete: preYears.length === PREINDUSTRIAL.end - PREINDUSTRIAL.start + 1,
+      },
+    };
+  }
+
+  /**
+   * 加载数据集并换算到指定基准期（多个卡片共享同一份结果）
+   * @param {string} [id] - 数据集 ID，缺省为当前选中（清单加载前为默认数据集）
+   * @param {string} [baselineId] - 基准期 ID，缺省为当前选中
+   * @returns {Promise<object>} { id, version, meta, annual, monthly, monthlyDerived, firstYear, lastYear, baseline, preindustrial, preindustrialCoverage }
+   */
+  function load(id, baselineId) {
+    const base = baselineId || state.baseline;
+    return loadRaw(id || state.dataset).then(raw => {
+      const key = `${raw.id}|${base}`;
+      if (!rebasedCache.has(key)) rebasedCache.set(key, Promise.resolve(rebaseline(raw, base)));
+      return rebasedCache.get(key);
+    });
+  }
+
+  /**
+   * 列出清单中的数据集及其可用性（数据文件能否成功加载）
+   * 用户导入的数据集排在内置数据集之后，并以 user 标记
+   * @returns {Promise<Array<{id:string, label:string, source:string, files:string[], available:boolean, user?:boolean}>>}
+   */
+  async function listDatasets() {
+    const manifest = await getManifest();
+    const builtIn = await Promise.all(Object.keys(manifest.datasets).map(async id => {
+      const meta = manifest.datasets[id];
+      const available = await loadRaw(id).then(() => true, () => false);
+      return {
+        id,
+        label: meta.label,
+        source: meta.source,
+        files: [meta.annual, meta.monthly].filter(Boolean).map(f => DATA_ROOT + f),
+        available,
+      };
+    }));
+    const imported = Array.from(userDatasets.values()).map(d => ({
+      id: d.id,
+      label: d.meta.label,
+      source: d.meta.source,
+      files: [],
+      available: true,
+      user: true,
+    }));
+    return builtIn.concat(imported);
+  }
+
+  /**
+   * 当前全局选择（清单加载前 dataset 为 null，此时 load() 使用默认数据集）
+   * @returns {{dataset: string|null, baseline: string, catalog: number}} 不可变快照，变更时整体替换
+   */
+  function getState() {
+    return state;
+  }
+
+  /**
+   * 合并更新选择状态并通知订阅者
+   * @param {{dataset?: string, baseline?: string, catalog?: number}} patch
+   */
+  function setState(patch) {
+    const next = { ...state, ...patch };
+    if (Object.keys(next).every(k => next[k] === state[k])) return;
+    state = Object.freeze(next);
+    listeners.forEach(fn => {
+      try { fn(state); } catch (_) {}
+    });
+  }
+
+  /**
+   * 切换全局数据集（未知 ID 会被拒绝）
+   * @param {string} id - 数据集 ID
+   * @returns {Promise<void>}
+   */
+  async function select(id) {
+    const manifest = await getManifest();
+    await userReady;
+    if (!manifest.datasets[id] && !userDatasets.has(id)) throw new Error(`Unknown dataset: ${id}`);
+    setState({ dataset: id });
+  }
+
+  /**
+   * 登记用户导入的数据集
+   * @param {object[]|Promise<object[]>} source - 数据集数组（结构同 loadRaw() 的结果），或其 Promise
+   * @returns {Promise<void>}
+   */
+  function registerDatasets(source) {
+    const done = Promise.resolve(source).then(list => {
+      if (!list || !list.length) return;
+      list.forEach(dataset => {
+        userDatasets.set(dataset.id, dataset);
+        dropRebased(dataset.id);
+      });
+      setState({ catalog: state.catalog + 1 });
+    });
+    userReady = userReady.then(() => done).catch(() => {});
+    return done;
+  }
+
+  /**
+   * 移除用户导入的数据集；若正被选中则退回默认数据集
+   * @param {string} id
+   */
+  function removeDataset(id) {
+    if (!userDatasets.delete(id)) return;
+    dropRebased(id);
+    const patch = { catalog: state.catalog + 1 };
+    if (state.dataset === id) {
+      patch.dataset = null;
+      getManifest().then(manifest => {
+        if (state.dataset === null) setState({ dataset: manifest.default });
+      }, () => {});
+    }
+    setState(patch);
+  }
+
+  function dropRebased(id) {
+    Array.from(rebasedCache.keys()).forEach(key => {
+      if (key.startsWith(`${id}|`)) rebasedCache.delete(key);
+    });
+  }
+
+  /**
+   * 切换全局基准期
+   * @param {string} id - 基准期 ID
+   */
+  function setBaseline(id) {
+    getBaselineInfo(id);
+    setState({ baseline: id });
+  }
+
+  /**
+   * 可选基准期列表
+   * @returns {Array<{id:string, label:string, start:number, end:number}>}
+   */
+  function getBaselines() {
+    return BASELINES.slice();
+  }
+
+  /**
+   * 订阅数据集 / 基准期切换（签名与 React useSyncExternalStore 的 subscribe 参数兼容）
+   * @param {Function} fn - 回调，参数为新的状态快照
+   * @returns {Function} 取消订阅
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /**
+   * 由全球年度距平推算某国家/地区的距平（没有格点场时国家详情与地区汇总的估算口径）
+   * 说明：按纬度放大系数（高纬增温更快）与陆地系数缩放全球值，结果可复现；
+   * 这是基于全球序列的示意估计，系数并非拟合所得，也不是该国实测序列，因此地图不据此着色。
+   * @param {number} globalAnomaly - 全球年度距平（°C）
+   * @param {{lat:number, region:string}} place - 国家/地区描述
+   * @returns {number} 保留两位小数的距平
+   */
+  function regionalAnomaly(globalAnomaly, place) {
+    const absLat = Math.abs(place.lat);
+    const latFactor = absLat > 60 ? 2 : absLat > 45 ? 1.5 : absLat > 23.5 ? 1.2 : 1;
+    const landFactor = place.region === 'Oceania' ? 1 : 1.2;
+    return round2(globalAnomaly * latFactor * landFactor);
+  }
+
+  /**
+   * 数据集的来源、版本与获取日期，以及需要提示用户的元信息问题
+   * @param {object} dataset - load() / loadRaw() 的结果
+   * @param {Date} [now] - 当前时间（缺省为现在）
+   * @returns {{label:string, source:string|null, url:string|null, version:string|null, retrieved:string|null, via:string|null,
+   *   firstYear:number, lastYear:number, issues:string[]}}
+   *   issues 为 PROVENANCE_ISSUES 中的代码，按其顺序排列；导入的数据集以导入日期为获取日期、不要求版本号
+   */
+  function provenance(dataset, now) {
+    const meta = dataset.meta || {};
+    const today = now || new Date();
+    const retrieved = meta.retrieved || meta.imported || null;
+    const time = retrieved ? Date.parse(retrieved) : NaN;
+    const issues = [];
+    if (!meta.source) issues.push('source');
+    if (!meta.version && !meta.user) issues.push('version');
+    if (!retrieved || Number.isNaN(time)) issues.push('retrieved');
+    else if ((today - time) / 864e5 > STALE_DAYS) issues.push('staleRetrieved');
+    if (dataset.lastYear < today.getFullYear() - 1) issues.push('staleSeries');
+    return {
+      label: meta.label || dataset.id,
+      source: meta.source || null,
+      url: meta.url || null,
+      version: meta.version || null,
+      retrieved: Number.isNaN(time) ? null : retrieved.slice(0, 10),
+      via: meta.via || null,
+      firstYear: dataset.firstYear,
+      lastYear: dataset.lastYear,
+      issues,
+    };
+  }
+
+  /**
+   * 清空内存与本地缓存
+   */
+  function clearCache() {
+    datasetCache.clear();
+    fileCache.clear();
+    rebasedCache.clear();
+    manifestPromise = null;
+    try {
+      const storage = window.localStorage;
+      for (let i = storage.length - 1; i >= 0; i--) {
+        const k = storage.key(i);
+        if (k && k.startsWith(STORAGE_PREFIX)) storage.removeItem(k);
+      }
+    } catch (_) {}
+  }
+
+  window.ClimateData = {
+    load,
+    listDatasets,
+    getManifest,
+    loadRaw,
+    rebaseline,
+    getState,
+    select,
+    setBaseline,
+    getBaselines,
+    subscribe,
+    deriveMonthly,
+    annualFromMonthly,
+    regionalAnomaly,
+    provenance,
+    clearCache,
+    registerDatasets,
+    removeDataset,
+    DEFAULT_BASELINE,
+    PROVENANCE_ISSUES,
+  };
+})();
@@ -0,0 +1,590 @@
+/**
+ * 气候变化分析平台 - 图表与数据导出
+ * Climate Change Analysis Platform - Figure & Data Export
+ *
+ * 功能：把卡片中的图表导出为高分辨率 PNG 与（SVG 图表可用时）SVG，导出图像带标题、数据集、基准期与来源署名；
+ * 同时把卡片当前展示的数据序列导出为 CSV / JSON。
+ *
+ * 说明：
+ * - Recharts 图表与地图为 SVG，螺旋图为 canvas（仅支持 PNG）；
+ * - 图例为 HTML，导出时读取图例项（含地图色标）的文字与颜色重绘到图像顶部；
+ * - canvas 动画（气候螺旋）可逐帧录制为 WebM（MediaRecorder），或导出为打包成 ZIP 的 PNG 帧序列；
+ * - CSV 以 "# " 开头的注释行记录元数据，与 NOAA 等发布方的文本格式一致；
+ * - 标题区与署名按当前界面语言（ClimateI18n）书写；
+ * - 通过 window.ClimateExport 暴露接口，需在 climate-i18n.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const FONT = 'Inter, "PingFang SC", "Microsoft YaHei", sans-serif';
+  /** PNG 相对屏幕尺寸的放大倍数 */
+  const PNG_SCALE = 3;
+  const PAD = 16;
+  const HEADER = 58;
+  const LEGEND = 22;
+  const FOOTER = 30;
+  /** 动画导出的默认帧率、放大倍数与码率 */
+  const VIDEO_FPS = 10;
+  const VIDEO_SCALE = 2;
+  const VIDEO_BITRATE = 8e6;
+  /** 按优先顺序尝试的 WebM 编码 */
+  const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+  /**
+   * 由已加载的数据集生成导出元数据
+   * @param {object} ds - ClimateData.load() 的结果
+   * @param {string} title - 卡片标题
+   * @returns {{title:string, dataset:string, label:string, source:string, url:string|null, license:string|null, baseline:string, exported:string}}
+   */
+  function describe(ds, title) {
+    const meta = ds.meta || {};
+    const base = ds.baseline && ds.baseline.applied
+      ? `${ds.baseline.start}-${ds.baseline.end}`
+      : (meta.baseline || []).join('-');
+    return {
+      title,
+      dataset: ds.id,
+      label: meta.label || ds.id,
+      source: meta.source || '',
+      url: meta.url || null,
+      license: meta.license || null,
+      baseline: base,
+      exported: new Date().toISOString().slice(0, 10),
+    };
+  }
+
+  /**
+   * 署名文字（写入图像底部）
+   * @param {object} info - describe() 的结果
+   * @returns {string}
+   */
+  function attribution(info) {
+    const t = window.ClimateI18n.t;
+    const parts = [t('export.source', { label: info.label })];
+    if (info.source) parts[0] += t('export.sourceDetail', { source: info.source });
+    if (info.license) parts.push(info.license);
+    if (info.url) parts.push(info.url);
+    parts.push(t('export.exportedOn', { date: info.exported }));
+    return parts.join(' · ');
+  }
+
+  /**
+   * 副标题：数据集与基准期（写入图像标题下方）
+   * @param {object} info - describe() 的结果
+   * @returns {string}
+   */
+  function subtitle(info) {
+    return window.ClimateI18n.t('export.subtitle', { label: info.label, baseline: info.baseline });
+  }
+
+  /**
+   * 导出文件名（不含扩展名）
+   * @param {string} name - 卡片标识，如 trend
+   * @param {object} info
+   * @returns {string}
+   */
+  function fileName(name, info) {
+    return ['climate', name, info.dataset, info.baseline].filter(Boolean).join('-');
+  }
+
+  /**
+   * 触发浏览器下载
+   * @param {Blob} blob
+   * @param {string} name - 含扩展名的文件名
+   */
+  function download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * 在容器中找到要导出的图形：优先 canvas，否则取面积最大的 SVG（跳过图例图标等小 SVG）
+   * @param {Element} container
+   * @returns {HTMLCanvasElement|SVGSVGElement|null}
+   */
+  function findGraphic(container) {
+    if (!container) return null;
+    if (container.matches('canvas, svg')) return container;
+    const canvas = container.querySelector('canvas');
+    if (canvas) return canvas;
+    let best = null, area = 0;
+    container.querySelectorAll('svg').forEach(svg => {
+      const { width, height } = size(svg);
+      if (width * height > area) { best = svg; area = width * height; }
+    });
+    return best;
+  }
+
+  /**
+   * 图形的显示尺寸（未布局时退回 width/height 属性或 viewBox）
+   * @param {Element} el
+   * @returns {{width:number, height:number}}
+   */
+  function size(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width && rect.height) return { width: rect.width, height: rect.height };
+    const w = parseFloat(el.getAttribute('width')) || el.width;
+    const h = parseFloat(el.getAttribute('height')) || el.height;
+    if (w && h) return { width: w, height: h };
+    const vb = (el.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    return vb.length === 4 ? { width: vb[2], height: vb[3] } : { width: 0, height: 0 };
+  }
+
+  /**
+   * 读取容器中 HTML 图例的文字与颜色：Recharts 图例项，以及带 data-legend-color / data-legend-label 属性的自定义色标
+   * @param {Element} container
+   * @returns {Array<{label:string, color:string}>}
+   */
+  function legendItems(container) {
+    if (!container) return [];
+    const recharts = Array.from(container.querySelectorAll('.recharts-legend-item')).map(item => {
+      const mark = item.querySelector('path, line, rect, circle');
+      const color = mark && (mark.getAttribute('fill') !== 'none' && mark.getAttribute('fill') || mark.getAttribute('stroke'));
+      return { label: item.textContent.trim(), color: color || '#6b7280' };
+    });
+    const custom = Array.from(container.querySelectorAll('[data-legend-color]')).map(item => ({
+      label: item.getAttribute('data-legend-label') || item.textContent.trim(),
+      color: item.getAttribute('data-legend-color'),
+    }));
+    return recharts.concat(custom).filter(d => d.label);
+  }
+
+  /**
+   * 估算文字宽度（全角字符按字号、其余按半个字号计）
+   * @param {string} text
+   * @param {number} fontSize
+   * @returns {number}
+   */
+  function textWidth(text, fontSize) {
+    return Array.from(text).reduce((sum, ch) => sum + (ch.charCodeAt(0) > 0xff ? fontSize : fontSize * 0.55), 0);
+  }
+
+  function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+  }
+
+  /**
+   * 版式：图形上方标题区与图例区、下方署名区
+   * @param {{width:number, height:number}} box - 图形尺寸
+   * @param {Array} legend
+   * @returns {{width:number, height:number, top:number}}
+   */
+  function layout(box, legend) {
+    const top = HEADER + (legend.length ? LEGEND : 0);
+    return { width: Math.max(box.width, 480), height: top + box.height + FOOTER, top };
+  }
+
+  /**
+   * 生成带标题与署名的独立 SVG 文档
+   * @param {SVGSVGElement} svg
+   * @param {object} info - describe() 的结果
+   * @param {Element} [container] - 用于读取图例
+   * @returns {{markup:string, width:number, height:number}}
+   */
+  function svgDocument(svg, info, container) {
+    const box = size(svg);
+    const legend = legendItems(container);
+    const page = layout(box, legend);
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', SVG_NS);
+    clone.setAttribute('x', (page.width - box.width) / 2);
+    clone.setAttribute('y', page.top);
+    clone.setAttribute('width', box.width);
+    clone.setAttribute('height', box.height);
+    clone.removeAttribute('class');
+    clone.removeAttribute('style');
+    let x = PAD;
+    const keys = legend.map(d => {
+      const mark = `<rect x="${x}" y="${HEADER - 2}" width="12" height="12" rx="2" fill="${escapeXml(d.color)}"/>` +
+        `<text x="${x + 18}" y="${HEADER + 8}" font-size="12" fill="#374151">${escapeXml(d.label)}</text>`;
+      x += 30 + textWidth(d.label, 12);
+      return mark;
+    }).join('');
+    const markup = `<svg xmlns="${SVG_NS}" width="${page.width}" height="${page.height}" viewBox="0 0 ${page.width} ${page.height}" font-family='${FONT}'>` +
+      `<rect width="100%" height="100%" fill="#ffffff"/>` +
+      `<text x="${PAD}" y="26" font-size="18" font-weight="600" fill="#111827">${escapeXml(info.title)}</text>` +
+      `<text x="${PAD}" y="46" font-size="12" fill="#4b5563">${escapeXml(subtitle(info))}</text>` +
+      keys +
+      new XMLSerializer().serializeToString(clone) +
+      `<text x="${PAD}" y="${page.height - 10}" font-size="11" fill="#6b7280">${escapeXml(attribution(info))}</text>` +
+      '</svg>';
+    return { markup, width: page.width, height: page.height };
+  }
+
+  /**
+   * 在 2D 上下文中绘制标题区与署名（canvas 图形使用）
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {object} info
+   * @param {{width:number, height:number}} page
+   */
+  function drawFrame(ctx, info, page) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, page.width, page.height);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#111827';
+    ctx.font = `600 18px ${FONT}`;
+    ctx.fillText(info.title, PAD, 26);
+    ctx.fillStyle = '#4b5563';
+    ctx.font = `12px ${FONT}`;
+    ctx.fillText(subtitle(info), PAD, 46);
+    ctx.fillStyle = '#6b7280';
+    ctx.font = `11px ${FONT}`;
+    ctx.fillText(attribution(info), PAD, page.height - 10);
+  }
+
+  /**
+   * 把 SVG 文档栅格化为 PNG
+   * @param {{markup:string, width:number, height:number}} doc
+   * @param {number} scale
+   * @returns {Promise<Blob>}
+   */
+  function rasterize(doc, scale) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([doc.markup], { type: 'image/svg+xml;charset=utf-8' }));
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(doc.width * scale);
+        canvas.height = Math.round(doc.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.drawImage(img, 0, 0, doc.width, doc.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+      };
+      img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('SVG could not be rendered'));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * 把 canvas 图形连同标题与署名绘制到目标 canvas（尺寸不同时重设目标大小）
+   * @param {HTMLCanvasElement} target
+   * @param {HTMLCanvasElement} source
+   * @param {object} info
+   * @param {number} scale
+   * @returns {HTMLCanvasElement} target
+   */
+  function paintPage(target, source, info, scale) {
+    const box = size(source);
+    const page = layout(box, []);
+    // 源 canvas 的像素密度高于 scale 时按源分辨率输出，避免降采样
+    const k = Math.max(scale, source.width / box.width);
+    const width = Math.round(page.width * k);
+    const height = Math.round(page.height * k);
+    if (target.width !== width) target.width = width;
+    if (target.height !== height) target.height = height;
+    const ctx = target.getContext('2d');
+    ctx.setTransform(k, 0, 0, k, 0, 0);
+    drawFrame(ctx, info, page);
+    ctx.drawImage(source, (page.width - box.width) / 2, page.top, box.width, box.height);
+    return target;
+  }
+
+  function toPngBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+  }
+
+  /**
+   * 把 canvas 图形连同标题与署名合成为 PNG
+   * @param {HTMLCanvasElement} source
+   * @param {object} info
+   * @param {number} scale
+   * @returns {Promise<Blob>}
+   */
+  function composeCanvas(source, info, scale) {
+    return toPngBlob(paintPage(document.createElement('canvas'), source, info, scale));
+  }
+
+  /**
+   * 导出容器中的图形为 PNG
+   * @param {Element} container
+   * @param {object} info - describe() 的结果
+   * @param {string} name - 卡片标识
+   * @param {number} [scale=PNG_SCALE]
+   * @returns {Promise<void>}
+   */
+  async function exportPng(container, info, name, scale) {
+    const graphic = findGraphic(container);
+    if (!graphic) throw new Error('Nothing to export');
+    const k = scale || PNG_SCALE;
+    const blob = graphic.tagName.toLowerCase() === 'canvas'
+      ? await composeCanvas(graphic, info, k)
+      : await rasterize(svgDocument(graphic, info, container), k);
+    download(blob, `${fileName(name, info)}.png`);
+  }
+
+  /**
+   * 导出容器中的 SVG 图形（canvas 图形不支持）
+   * @param {Element} container
+   * @param {object} info
+   * @param {string} name
+   */
+  function exportSvg(container, info, name) {
+    const graphic = findGraphic(container);
+    if (!graphic || graphic.tagName.toLowerCase() !== 'svg') throw new Error('No SVG graphic to export');
+    const doc = svgDocument(graphic, info, container);
+    download(new Blob([doc.markup], { type: 'image/svg+xml;charset=utf-8' }), `${fileName(name, info)}.svg`);
+  }
+
+  /**
+   * 容器中的图形能否导出为 SVG
+   * @param {Element} container
+   * @returns {boolean}
+   */
+  function canExportSvg(container) {
+    const graphic = findGraphic(container);
+    return !!graphic && graphic.tagName.toLowerCase() === 'svg';
+  }
+
+  /**
+   * 浏览器支持的 WebM 编码（不支持录制时为 null）
+   * @returns {string|null}
+   */
+  function videoType() {
+    if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement.prototype.captureStream !== 'function') return null;
+    return VIDEO_TYPES.find(t => MediaRecorder.isTypeSupported(t)) || null;
+  }
+
+  /**
+   * 能否把 canvas 动画录制为 WebM
+   * @returns {boolean}
+   */
+  function canRecordVideo() {
+    return videoType() !== null;
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 把 canvas 动画逐帧录制为 WebM：每帧由调用方把对应年份画到源 canvas，再合成标题与署名后送入 MediaRecorder
+   * @param {HTMLCanvasElement} source
+   * @param {object} info - describe() 的结果
+   * @param {string} name - 卡片标识
+   * @param {{frames:Array<*>, draw:Function, fps?:number, scale?:number, onProgress?:Function}} options
+   *   frames 为逐帧参数（如年份），draw(frame) 把该帧画到 source；onProgress(done, total) 报告进度
+   * @returns {Promise<void>}
+   */
+  async function exportWebm(source, info, name, options) {
+    const type = videoType();
+    if (!type) throw new Error('WebM recording is not supported in this browser');
+    const fps = options.fps || VIDEO_FPS;
+    const scale = options.scale || VIDEO_SCALE;
+    const page = document.createElement('canvas');
+    const total = options.frames.length;
+    await options.draw(options.frames[0]);
+    paintPage(page, source, info, scale);
+    // 帧率为 0 的流只在 requestFrame() 时取帧，帧与帧之间不会混入半成品画面
+    const stream = page.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const manual = typeof track.requestFrame === 'function';
+    const video = manual ? stream : page.captureStream(fps);
+    const recorder = new MediaRecorder(video, { mimeType: type, videoBitsPerSecond: VIDEO_BITRATE });
+    const chunks = [];
+    recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+    const done = new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = e => reject(e.error || new Error('Recording failed'));
+    });
+    recorder.start();
+    try {
+      for (let i = 0; i < total; i++) {
+        if (i > 0) {
+          await options.draw(options.frames[i]);
+          paintPage(page, source, info, scale);
+        }
+        if (manual) track.requestFrame();
+        if (options.onProgress) options.onProgress(i + 1, total);
+        // MediaRecorder 按实际时间戳编码，每帧需停留 1/fps 秒
+        await wait(1000 / fps);
+      }
+      // 末帧多停留一秒，便于演示时看清最终状态
+      await wait(1000);
+    } finally {
+      recorder.stop();
+      stream.getTracks().concat(video.getTracks()).forEach(t => t.stop());
+    }
+    await done;
+    download(new Blob(chunks, { type: 'video/webm' }), `${fileName(name, info)}.webm`);
+  }
+
+  /**
+   * 把 canvas 动画导出为 PNG 帧序列（打包为 ZIP），便于在演示软件或视频编辑器中使用
+   * @param {HTMLCanvasElement} source
+   * @param {object} info
+   * @param {string} name
+   * @param {{frames:Array<*>, draw:Function, scale?:number, onProgress?:Function}} options - 同 exportWebm()；帧参数写入文件名
+   * @returns {Promise<void>}
+   */
+  async function exportFrames(source, info, name, options) {
+    const scale = options.scale || VIDEO_SCALE;
+    const base = fileName(name, info);
+    const page = document.createElement('canvas');
+    const total = options.frames.length;
+    const files = [];
+    for (let i = 0; i < total; i++) {
+      await options.draw(options.frames[i]);
+      const blob = await toPngBlob(paintPage(page, source, info, scale));
+      files.push({ name: `${base}-${String(i + 1).padStart(4, '0')}-${options.frames[i]}.png`, data: new Uint8Array(await readBlob(blob)) });
+      if (options.onProgress) options.onProgress(i + 1, total);
+    }
+    download(zip(files), `${base}-frames.zip`);
+  }
+
+  function readBlob(blob) {
+    if (typeof blob.arrayBuffer === 'function') return blob.arrayBuffer();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * 打包为不压缩（store）的 ZIP；PNG 本身已压缩，再压缩收益很小
+   * @param {Array<{name:string, data:Uint8Array}>} files
+   * @returns {Blob}
+   */
+  function zip(files) {
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // 文件名为 UTF-8
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, file.data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local, name, file.data);
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, file.data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry, name);
+      offset += 30 + name.length + file.data.length;
+    });
+    const size = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    return new Blob(parts.concat(central, [end]), { type: 'application/zip' });
+  }
+
+  function csvCell(v) {
+    if (v == null || (typeof v === 'number' && !Number.isFinite(v))) return '';
+    const s = String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /**
+   * 生成 CSV 文本
+   * @param {{columns:Array<{key:string, label?:string}>, rows:Array<object>}} table
+   * @param {object} info
+   * @returns {string}
+   */
+  function toCsv(table, info) {
+    const head = [
+      `# ${info.title}`,
+      `# Dataset: ${info.label}${info.source ? ` (${info.source})` : ''}`,
+      `# Baseline: ${info.baseline}`,
+      info.url && `# Source: ${info.url}`,
+      info.license && `# License: ${info.license}`,
+      `# Exported: ${info.exported}`,
+    ].filter(Boolean);
+    const lines = [table.columns.map(c => csvCell(c.key)).join(',')];
+    table.rows.forEach(r => lines.push(table.columns.map(c => csvCell(r[c.key])).join(',')));
+    return head.concat(lines).join('\n') + '\n';
+  }
+
+  /**
+   * 导出卡片数据为 CSV
+   * @param {{columns:Array, rows:Array}} table
+   * @param {object} info
+   * @param {string} name
+   */
+  function exportCsv(table, info, name) {
+    download(new Blob(['\uFEFF' + toCsv(table, info)], { type: 'text/csv;charset=utf-8' }), `${fileName(name, info)}.csv`);
+  }
+
+  /**
+   * 导出卡片数据为 JSON（含元数据与列说明）
+   * @param {{columns:Array, rows:Array}} table
+   * @param {object} info
+   * @param {string} name
+   */
+  function exportJson(table, info, name) {
+    const body = {
+      ...info,
+      columns: table.columns,
+      data: table.rows.map(r => Object.fromEntries(table.columns.map(c => [c.key, r[c.key] === undefined ? null : r[c.key]]))),
+    };
+    download(new Blob([JSON.stringify(body, null, 2)], { type: 'application/json' }), `${fileName(name, info)}.json`);
+  }
+
+  window.ClimateExport = {
+    describe,
+    attribution,
+    exportPng,
+    exportSvg,
+    canExportSvg,
+    canRecordVideo,
+    exportWebm,
+    exportFrames,
+    exportCsv,
+    exportJson,
+    toCsv,
+  };
+})();
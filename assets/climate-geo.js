@@ -0,0 +1,292 @@
+/**
+ * 气候变化分析平台 - 国家边界与地图投影
+ * Climate Change Analysis Platform - Country Boundaries & Map Projection
+ *
+ * 功能：离线加载 data/geo/ 下的 Natural Earth 1:110m 国家边界（TopoJSON）与国家属性（中文名、ISO 代码、所属大洲），
+ * 解码为 GeoJSON 几何，并提供 Natural Earth 投影与 SVG 路径生成，供地理分布卡片绘制分级设色地图。
+ *
+ * 说明：
+ * - TopoJSON 弧段为量化 + 差分编码，按 transform 还原为经纬度；
+ * - 每个国家附带 lat / lng（最大多边形的面积质心），用于 ClimateData.regionalAnomaly() 的纬度放大系数；
+ * - 每个国家附带球面面积 area（平方千米，按 1:110m 边界计算）；
+ * - 投影输出以地图宽度 1 为单位的平面坐标，SVG 中通过 viewBox 缩放；跨越 ±180° 经线的多边形需配合 outline() 裁剪；
+ * - 通过 window.ClimateGeo 暴露接口，无第三方依赖。
+ */
+(function () {
+  'use strict';
+
+  const TOPOLOGY_URL = 'data/geo/countries-110m.json';
+  const META_URL = 'data/geo/country-meta.json';
+  /** 投影在赤道处的总宽度（弧度单位），用于归一化 */
+  const WIDTH = 2 * Math.PI * 0.8707;
+  /** 地球平均半径（千米），用于国家面积 */
+  const EARTH_RADIUS = 6371.0088;
+  /** SVG 路径坐标放大倍数（保留 1 位小数即可满足 1:110m 精度） */
+  const SCALE = 1000;
+
+  /** @type {Promise<Array<object>>|null} */
+  let countriesPromise = null;
+
+  /**
+   * 请求 JSON 文件
+   * @param {string} url
+   * @returns {Promise<object>}
+   */
+  async function fetchJson(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Geo data request failed: ${url} (${res.status})`);
+    return res.json();
+  }
+
+  /**
+   * 还原 TopoJSON 弧段（差分解码 + 反量化）
+   * @param {object} topology
+   * @returns {number[][][]} 每条弧段的 [lng, lat] 点列
+   */
+  function decodeArcs(topology) {
+    const t = topology.transform;
+    return topology.arcs.map(arc => {
+      let x = 0, y = 0;
+      return arc.map(([dx, dy]) => {
+        x += dx;
+        y += dy;
+        return t ? [x * t.scale[0] + t.translate[0], y * t.scale[1] + t.translate[1]] : [dx, dy];
+      });
+    });
+  }
+
+  /**
+   * 由弧段索引拼接闭合环（负索引表示反向引用 ~i）
+   * @param {number[]} indexes
+   * @param {number[][][]} arcs
+   * @returns {number[][]}
+   */
+  function ring(indexes, arcs) {
+    const points = [];
+    indexes.forEach(i => {
+      const arc = i < 0 ? arcs[~i].slice().reverse() : arcs[i];
+      arc.forEach((p, k) => { if (k > 0 || !points.length) points.push(p); });
+    });
+    return points;
+  }
+
+  /**
+   * 将 TopoJSON 几何对象转换为 GeoJSON 几何
+   * @param {object} geometry
+   * @param {number[][][]} arcs
+   * @returns {{type:string, coordinates:Array}|null}
+   */
+  function toGeometry(geometry, arcs) {
+    if (geometry.type === 'Polygon') {
+      return { type: 'Polygon', coordinates: geometry.arcs.map(r => ring(r, arcs)) };
+    }
+    if (geometry.type === 'MultiPolygon') {
+      return { type: 'MultiPolygon', coordinates: geometry.arcs.map(p => p.map(r => ring(r, arcs))) };
+    }
+    return null;
+  }
+
+  /**
+   * 多边形外环的平面面积与质心（经纬度平面，仅用于选取主体与估算纬度）
+   * @param {number[][]} points
+   * @returns {{area:number, lng:number, lat:number}}
+   */
+  function ringCentroid(points) {
+    let a = 0, cx = 0, cy = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const f = points[j][0] * points[i][1] - points[i][0] * points[j][1];
+      a += f;
+      cx += (points[j][0] + points[i][0]) * f;
+      cy += (points[j][1] + points[i][1]) * f;
+    }
+    if (!a) return { area: 0, lng: points[0][0], lat: points[0][1] };
+    return { area: Math.abs(a / 2), lng: cx / (3 * a), lat: cy / (3 * a) };
+  }
+
+  /**
+   * 几何体主体（最大多边形）的质心
+   * @param {{type:string, coordinates:Array}} geometry
+   * @returns {{lng:number, lat:number}}
+   */
+  function centroid(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const main = polygons
+      .map(p => ringCentroid(unwrap(p[0])))
+      .reduce((best, c) => (c.area > best.area ? c : best));
+    return { lng: ((main.lng + 540) % 360) - 180, lat: main.lat };
+  }
+
+  /**
+   * 几何体的球面面积：经度与 sin(纬度) 构成等积圆柱投影，在其中对每个环做鞋带公式，
+   * 每个多边形取外环面积减去洞的面积
+   * @param {{type:string, coordinates:Array}} geometry
+   * @returns {number} 平方千米
+   */
+  function areaOf(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const ringArea = ring => {
+      const pts = unwrap(ring).map(([lng, lat]) => [lng * Math.PI / 180, Math.sin(lat * Math.PI / 180)]);
+      let a = 0;
+      for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) a += pts[j][0] * pts[i][1] - pts[i][0] * pts[j][1];
+      return Math.abs(a / 2) * EARTH_RADIUS * EARTH_RADIUS;
+    };
+    return polygons.reduce((sum, p) => sum + p.reduce((s, ring, i) => s + (i ? -1 : 1) * ringArea(ring), 0), 0);
+  }
+
+  /**
+   * 展开跨越 ±180° 经线的环，使经度连续（可能超出 [-180, 180]）
+   * @param {number[][]} points
+   * @returns {number[][]}
+   */
+  function unwrap(points) {
+    let offset = 0;
+    return points.map((p, i) => {
+      if (i > 0) {
+        const d = p[0] - points[i - 1][0];
+        if (d > 180) offset -= 360;
+        else if (d < -180) offset += 360;
+      }
+      return offset ? [p[0] + offset, p[1]] : p;
+    });
+  }
+
+  /**
+   * 几何体的全部环；跨越 ±180° 经线的环展开后再补一份平移 360° 的副本，
+   * 超出地图轮廓的部分由 SVG 裁剪路径（outline().path）截掉
+   * @param {{type:string, coordinates:Array}} geometry
+   * @returns {number[][][]}
+   */
+  function rings(geometry) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const out = [];
+    polygons.forEach(p => p.forEach(r => {
+      const u = unwrap(r);
+      out.push(u);
+      if (u.some(q => q[0] > 180)) out.push(u.map(([lng, lat]) => [lng - 360, lat]));
+      if (u.some(q => q[0] < -180)) out.push(u.map(([lng, lat]) => [lng + 360, lat]));
+    }));
+    return out;
+  }
+
+  /**
+   * 加载全部国家边界与属性（仅请求一次）
+   * @returns {Promise<Array<{id:string, code:string, iso2:string|null, name:string, nameEn:string, region:string, lat:number, lng:number, area:number, geometry:object}>>}
+   *   code 为稳定标识（ISO 3166-1 数字代码，缺失时为英文名）
+   */
+  function loadCountries() {
+    if (!countriesPromise) {
+      countriesPromise = Promise.all([fetchJson(TOPOLOGY_URL), fetchJson(META_URL)])
+        .then(([topology, meta]) => {
+          const arcs = decodeArcs(topology);
+          return topology.objects.countries.geometries
+            .map(g => {
+              const geometry = toGeometry(g, arcs);
+              if (!geometry) return null;
+              const code = g.id || g.properties.name;
+              const info = meta.countries[code] || {};
+              const c = centroid(geometry);
+              return {
+                id: g.id || null,
+                code,
+                iso2: info.iso2 || null,
+                name: info.name || g.properties.name,
+                nameEn: g.properties.name,
+                region: info.region || 'Unknown',
+                lat: Math.round(c.lat * 100) / 100,
+                lng: Math.round(c.lng * 100) / 100,
+                area: Math.round(areaOf(geometry)),
+                geometry,
+              };
+            })
+            .filter(Boolean);
+        })
+        .catch(err => {
+          countriesPromise = null; // 失败时允许重试
+          throw err;
+        });
+    }
+    return countriesPromise;
+  }
+
+  /**
+   * Natural Earth 投影（Šavrič et al. 2015 多项式形式）
+   * @param {number} lng - 经度（度）
+   * @param {number} lat - 纬度（度）
+   * @returns {number[]} [x, y]，x ∈ [-0.5, 0.5]（以地图宽度为 1），y 向下为正
+   */
+  function project(lng, lat) {
+    const l = lng * Math.PI / 180;
+    const p = lat * Math.PI / 180;
+    const p2 = p * p, p4 = p2 * p2;
+    const x = l * (0.8707 - 0.131979 * p2 + p4 * (-0.013791 + p4 * (0.003971 * p2 - 0.001529 * p4)));
+    const y = p * (1.007226 + p2 * (0.015085 + p4 * (-0.044475 + 0.028874 * p2 - 0.005916 * p4)));
+    return [x / WIDTH, -y / WIDTH];
+  }
+
+  /**
+   * Natural Earth 投影的反算（纬度用牛顿迭代求解）
+   * @param {number} x - project() 输出的平面坐标
+   * @param {number} y
+   * @returns {number[]|null} [lng, lat]（度），落在地图轮廓之外时为 null
+   */
+  function invert(x, y) {
+    const target = -y * WIDTH;
+    let p = target;
+    for (let i = 0; i < 25; i++) {
+      const p2 = p * p, p4 = p2 * p2;
+      const f = p * (1.007226 + p2 * (0.015085 + p4 * (-0.044475 + 0.028874 * p2 - 0.005916 * p4))) - target;
+      const df = 1.007226 + p2 * (3 * 0.015085 + p4 * (-7 * 0.044475 + 9 * 0.028874 * p2 - 11 * 0.005916 * p4));
+      const step = f / df;
+      p -= step;
+      if (Math.abs(step) < 1e-9) break;
+    }
+    if (!(Math.abs(p) <= Math.PI / 2)) return null;
+    const p2 = p * p, p4 = p2 * p2;
+    const l = x * WIDTH / (0.8707 - 0.131979 * p2 + p4 * (-0.013791 + p4 * (0.003971 * p2 - 0.001529 * p4)));
+    if (Math.abs(l) > Math.PI) return null;
+    return [l * 180 / Math.PI, p * 180 / Math.PI];
+  }
+
+  /**
+   * 投影后地图的外框（球面轮廓）与对应的 SVG viewBox
+   * @returns {{path:string, viewBox:string, box:number[]}} box 为 viewBox 的 [x, y, 宽, 高]
+   */
+  function outline() {
+    const pts = [];
+    for (let lat = -90; lat <= 90; lat += 2) pts.push(project(180, lat));
+    for (let lat = 90; lat >= -90; lat -= 2) pts.push(project(-180, lat));
+    const top = Math.round(project(0, 90)[1] * SCALE * 10) / 10;
+    const height = Math.round(project(0, -90)[1] * SCALE * 10) / 10 - top;
+    const box = [-SCALE / 2, top, SCALE, height];
+    return { path: toPath([pts]), viewBox: box.join(' '), box };
+  }
+
+  /**
+   * 点列转换为 SVG 路径片段
+   * @param {number[][][]} rings - 已投影的环
+   * @returns {string}
+   */
+  function toPath(rings) {
+    return rings
+      .map(r => 'M' + r.map(([x, y]) => `${(x * SCALE).toFixed(1)},${(y * SCALE).toFixed(1)}`).join('L') + 'Z')
+      .join('');
+  }
+
+  /**
+   * GeoJSON 几何的 SVG 路径（坐标按 SCALE 放大，配合 outline().viewBox 使用）
+   * @param {{type:string, coordinates:Array}} geometry
+   * @returns {string}
+   */
+  function pathOf(geometry) {
+    return toPath(rings(geometry).map(r => r.map(([lng, lat]) => project(lng, lat))));
+  }
+
+  window.ClimateGeo = {
+    loadCountries,
+    project,
+    invert,
+    pathOf,
+    outline,
+    SCALE,
+  };
+})();
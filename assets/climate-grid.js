@@ -0,0 +1,246 @@
+/**
+ * 气候变化分析平台 - 格点距平场
+ * Climate Change Analysis Platform - Gridded Anomaly Fields
+ *
+ * 功能：加载离线预处理的经纬度格点年均距平场（如由 GISTEMP / Berkeley Earth 的 NetCDF 导出的 2°×2° 或 5°×5° 网格），
+ * 按所选基准期逐格点重算距平，并以 cos(纬度) 面积加权计算全球平均、纬向平均、北极平均与北极放大倍数；
+ * 同时提供把格点场投影到地图画布所需的像素索引。
+ *
+ * 格点文件格式（JSON，路径由 data/manifest.json 中数据集的 grid 字段声明，相对 data/）：
+ * {
+ *   "lat0": -87.5, "lon0": -177.5,   // 第一行 / 第一列格点中心（南 → 北，西 → 东）
+ *   "dlat": 5, "dlon": 5,            // 格距（度）
+ *   "nlat": 36, "nlon": 72,
+ *   "baseline": [1951, 1980],        // 发布方基准期
+ *   "scale": 0.01,                   // 整数值 × scale = °C（缺省 1）
+ *   "missing": -9999,                // 缺测标记（缺省 null）
+ *   "years": [1880, ...],
+ *   "values": [[...], ...]           // 每年一行，nlat × nlon 个值，按纬度行优先排列
+ * }
+ *
+ * 说明：
+ * - 数据集未声明 grid 或文件不存在时 load() 返回 null，由调用方回退到按国家估算；
+ * - 重算基准期时，基准期内有效年份不足一半的格点视为缺测；
+ * - 通过 window.ClimateGrid 暴露接口，需在 climate-data.js 与 climate-geo.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  const DATA_ROOT = 'data/';
+  /** 北极圈纬度 */
+  const ARCTIC_CIRCLE = 66.5;
+
+  /** @type {Map<string, Promise<object|null>>} 原始格点场（按文件路径） */
+  const rawCache = new Map();
+  /** @type {Map<string, object>} 重算基准期后的格点场（按 文件|基准期） */
+  const rebasedCache = new Map();
+
+  /**
+   * 解析并校验格点文件
+   * @param {object} json
+   * @returns {{lat0:number, lon0:number, dlat:number, dlon:number, nlat:number, nlon:number, baseline:number[]|null, years:number[], fields:Float32Array[]}}
+   *   fields[i] 为 years[i] 的距平（°C），缺测为 NaN
+   */
+  function parse(json) {
+    const { lat0, lon0, dlat, dlon, nlat, nlon, years, values } = json;
+    if (![lat0, lon0, dlat, dlon, nlat, nlon].every(Number.isFinite) || !Array.isArray(years) || !Array.isArray(values)) {
+      throw new Error('Invalid grid file: missing geometry, years or values');
+    }
+    if (values.length !== years.length) throw new Error('Invalid grid file: years and values differ in length');
+    const scale = json.scale || 1;
+    const missing = json.missing == null ? null : json.missing;
+    const fields = values.map((row, i) => {
+      if (row.length !== nlat * nlon) throw new Error(`Invalid grid file: year ${years[i]} has ${row.length} cells`);
+      const out = new Float32Array(row.length);
+      row.forEach((v, k) => { out[k] = v == null || v === missing ? NaN : v * scale; });
+      return out;
+    });
+    return { lat0, lon0, dlat, dlon, nlat, nlon, baseline: json.baseline || null, years, fields };
+  }
+
+  /**
+   * 读取数据集对应的原始格点场（同一文件只请求一次）
+   * @param {string} file - 相对 data/ 的路径
+   * @returns {Promise<object|null>} 文件不存在时为 null
+   */
+  function loadRaw(file) {
+    if (!rawCache.has(file)) {
+      const p = fetch(DATA_ROOT + file).then(res => {
+        if (res.status === 404) return null;
+        if (!res.ok) throw new Error(`Grid request failed: ${file} (${res.status})`);
+        return res.json().then(parse);
+      });
+      p.catch(() => rawCache.delete(file));
+      rawCache.set(file, p);
+    }
+    return rawCache.get(file);
+  }
+
+  /**
+   * 逐格点换算到指定基准期
+   * @param {object} grid - parse() 结果
+   * @param {{id:string, start:number, end:number}} info - 基准期
+   * @returns {object} 新格点场（fields 替换为重算值，附 baselineApplied）
+   */
+  function rebaseline(grid, info) {
+    const idx = grid.years.map((y, i) => (y >= info.start && y <= info.end ? i : -1)).filter(i => i >= 0);
+    if (!idx.length) return { ...grid, baselineApplied: false };
+    const cells = grid.nlat * grid.nlon;
+    const ref = new Float32Array(cells);
+    for (let k = 0; k < cells; k++) {
+      let sum = 0, n = 0;
+      idx.forEach(i => {
+        const v = grid.fields[i][k];
+        if (!Number.isNaN(v)) { sum += v; n++; }
+      });
+      ref[k] = n * 2 >= idx.length ? sum / n : NaN;
+    }
+    const fields = grid.fields.map(f => f.map((v, k) => v - ref[k]));
+    return { ...grid, fields, baselineApplied: true };
+  }
+
+  /**
+   * 加载数据集的格点场并换算到指定基准期
+   * @param {string} [id] - 数据集 ID，缺省为当前选中
+   * @param {string} [baselineId] - 基准期 ID，缺省为当前选中
+   * @returns {Promise<object|null>} 数据集未声明格点文件或文件缺失时为 null
+   */
+  async function load(id, baselineId) {
+    const state = window.ClimateData.getState();
+    const manifest = await window.ClimateData.getManifest();
+    const meta = manifest.datasets[id || state.dataset || manifest.default];
+    if (!meta || !meta.grid) return null;
+    const base = baselineId || state.baseline;
+    const key = `${meta.grid}|${base}`;
+    if (!rebasedCache.has(key)) {
+      const raw = await loadRaw(meta.grid);
+      if (!raw) return null;
+      const info = window.ClimateData.getBaselines().find(b => b.id === base);
+      rebasedCache.set(key, { ...rebaseline(raw, info), file: meta.grid });
+    }
+    return rebasedCache.get(key);
+  }
+
+  /**
+   * 取某一年的格点场
+   * @param {object} grid
+   * @param {number} year
+   * @returns {Float32Array|null}
+   */
+  function fieldFor(grid, year) {
+    const i = grid.years.indexOf(year);
+    return i < 0 ? null : grid.fields[i];
+  }
+
+  /**
+   * 格点所在纬度带与 [latMin, latMax] 重叠部分的 cos(纬度) 面积权重
+   * @param {object} grid
+   * @param {number} row - 纬度行
+   * @param {number} latMin
+   * @param {number} latMax
+   * @returns {number}
+   */
+  function rowWeight(grid, row, latMin, latMax) {
+    const center = grid.lat0 + row * grid.dlat;
+    const lo = Math.max(center - grid.dlat / 2, latMin);
+    const hi = Math.min(center + grid.dlat / 2, latMax);
+    if (hi <= lo) return 0;
+    return Math.cos(center * Math.PI / 180) * (hi - lo) / grid.dlat;
+  }
+
+  /**
+   * 纬度范围内的面积加权平均（忽略缺测格点）
+   * @param {object} grid
+   * @param {Float32Array} field
+   * @param {number} [latMin=-90]
+   * @param {number} [latMax=90]
+   * @returns {{mean:number|null, coverage:number}} coverage 为有效格点所占面积比例
+   */
+  function areaMean(grid, field, latMin, latMax) {
+    const min = latMin == null ? -90 : latMin;
+    const max = latMax == null ? 90 : latMax;
+    let sum = 0, weight = 0, total = 0;
+    for (let r = 0; r < grid.nlat; r++) {
+      const wt = rowWeight(grid, r, min, max);
+      if (!wt) continue;
+      for (let c = 0; c < grid.nlon; c++) {
+        const v = field[r * grid.nlon + c];
+        total += wt;
+        if (Number.isNaN(v)) continue;
+        sum += v * wt;
+        weight += wt;
+      }
+    }
+    return { mean: weight ? sum / weight : null, coverage: total ? weight / total : 0 };
+  }
+
+  /**
+   * 纬向平均（每一纬度行内的格点面积相等，直接取算术平均）
+   * @param {object} grid
+   * @param {Float32Array} field
+   * @returns {Array<{lat:number, anomaly:number|null}>} 由南向北
+   */
+  function zonalMeans(grid, field) {
+    const out = [];
+    for (let r = 0; r < grid.nlat; r++) {
+      let sum = 0, n = 0;
+      for (let c = 0; c < grid.nlon; c++) {
+        const v = field[r * grid.nlon + c];
+        if (!Number.isNaN(v)) { sum += v; n++; }
+      }
+      out.push({ lat: grid.lat0 + r * grid.dlat, anomaly: n ? Math.round(sum / n * 100) / 100 : null });
+    }
+    return out;
+  }
+
+  /**
+   * 北极放大：北极圈以北的面积加权平均与全球平均之比
+   * @param {object} grid
+   * @param {Float32Array} field
+   * @returns {{arctic:number|null, global:number|null, ratio:number|null, arcticCoverage:number}}
+   */
+  function arcticAmplification(grid, field) {
+    const arctic = areaMean(grid, field, ARCTIC_CIRCLE, 90);
+    const global = areaMean(grid, field);
+    const ratio = arctic.mean != null && global.mean != null && Math.abs(global.mean) >= 0.05 ? arctic.mean / global.mean : null;
+    return { arctic: arctic.mean, global: global.mean, ratio, arcticCoverage: arctic.coverage };
+  }
+
+  /**
+   * 计算地图画布每个像素对应的格点下标（投影外或无对应格点为 -1）
+   * @param {object} grid
+   * @param {number} width - 画布宽度（像素），铺满 ClimateGeo.outline().box 的宽度
+   * @param {number} height - 画布高度（像素），铺满 box 的高度
+   * @returns {Int32Array}
+   */
+  function rasterIndex(grid, width, height) {
+    const { SCALE } = window.ClimateGeo;
+    const [, top, , h] = window.ClimateGeo.outline().box;
+    const index = new Int32Array(width * height).fill(-1);
+    const south = grid.lat0 - grid.dlat / 2;
+    const west = grid.lon0 - grid.dlon / 2;
+    for (let j = 0; j < height; j++) {
+      const y = (top + (j + 0.5) / height * h) / SCALE;
+      for (let i = 0; i < width; i++) {
+        const p = window.ClimateGeo.invert((i + 0.5) / width - 0.5, y);
+        if (!p) continue;
+        const r = Math.floor((p[1] - south) / grid.dlat);
+        if (r < 0 || r >= grid.nlat) continue;
+        const c = ((Math.floor((p[0] - west) / grid.dlon) % grid.nlon) + grid.nlon) % grid.nlon;
+        index[j * width + i] = r * grid.nlon + c;
+      }
+    }
+    return index;
+  }
+
+  window.ClimateGrid = {
+    parse,
+    load,
+    fieldFor,
+    areaMean,
+    zonalMeans,
+    arcticAmplification,
+    rasterIndex,
+    ARCTIC_CIRCLE,
+  };
+})();
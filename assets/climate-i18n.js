@@ -0,0 +1,245 @@
+/**
+ * 气候变化分析平台 - 界面语言
+ * Climate Change Analysis Platform - Interface Language (i18n)
+ *
+ * 功能：基于消息目录的多语言层。各语言的目录位于 assets/locales/，通过 register() 登记；
+ * 界面文字、提示、坐标轴标签统一经 t() 取出，数字、温度、年份、月份与日期按当前语言格式化。
+ *
+ * 说明：
+ * - 消息键以点号分层（如 trend.title），文本中的 {name} 由参数替换；
+ * - 当前语言缺少某条消息时退回默认语言（中文），仍缺失时显示消息键本身，便于发现遗漏；
+ * - 语言选择保存在 localStorage，并同步到 <html lang> 与页面标题；首次访问时按浏览器语言选择；
+ * - getLang() 返回字符串，可直接用于 React useSyncExternalStore；
+ * - 国家名称：中文使用国家元数据中的中文名，其他语言使用边界数据中的英文名；
+ * - 通过 window.ClimateI18n 暴露接口，需先于 locales/*.js 与其他使用界面文字的脚本加载。
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'climate-lang';
+  /** 支持的语言：id 同时用作 <html lang> 与 Intl 区域设置 */
+  const LANGS = [
+    { id: 'zh-CN', label: '中文' },
+    { id: 'en', label: 'English' },
+  ];
+  const DEFAULT_LANG = 'zh-CN';
+
+  /** @type {Object<string, Object<string, *>>} 语言 → 消息目录 */
+  const catalogs = {};
+  /** @type {Set<Function>} */
+  const listeners = new Set();
+  /** @type {Map<string, Intl.NumberFormat>} */
+  const numberFormats = new Map();
+  let lang = initialLang();
+
+  function supported(id) {
+    return LANGS.some(l => l.id === id);
+  }
+
+  /**
+   * 把浏览器语言标签映射到支持的语言（zh-TW 等中文变体统一为 zh-CN）
+   * @param {string} tag
+   * @returns {string|null}
+   */
+  function match(tag) {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    const found = LANGS.find(l => l.id.toLowerCase().split('-')[0] === base);
+    return found ? found.id : null;
+  }
+
+  function initialLang() {
+    try {
+      const stored = window.localStorage.getItem(STORAGE_KEY);
+      if (supported(stored)) return stored;
+    } catch (_) {}
+    const prefs = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const tag of prefs) {
+      const id = match(tag);
+      if (id) return id;
+    }
+    return DEFAULT_LANG;
+  }
+
+  function notify() {
+    listeners.forEach(fn => {
+      try { fn(lang); } catch (_) {}
+    });
+  }
+
+  /** 同步 <html lang> 与页面标题 */
+  function apply() {
+    document.documentElement.lang = lang;
+    const title = lookup(lang, 'app.documentTitle');
+    if (typeof title === 'string') document.title = title;
+  }
+
+  function lookup(id, key) {
+    const catalog = catalogs[id];
+    return catalog ? catalog[key] : undefined;
+  }
+
+  function interpolate(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (params[name] != null ? String(params[name]) : m));
+  }
+
+  /**
+   * 登记（或补充）一种语言的消息目录
+   * @param {string} id - 语言 ID
+   * @param {Object<string, *>} messages - 扁平的 键 → 文本 映射
+   */
+  function register(id, messages) {
+    if (!supported(id)) throw new Error(`Unsupported language: ${id}`);
+    catalogs[id] = Object.assign(catalogs[id] || {}, messages);
+    if (id === lang) {
+      apply();
+      notify();
+    }
+  }
+
+  /**
+   * 取出当前语言的文本
+   * @param {string} key - 消息键
+   * @param {Object<string, *>} [params] - {name} 占位符的替换值
+   * @returns {string}
+   */
+  function t(key, params) {
+    let text = lookup(lang, key);
+    if (text === undefined) text = lookup(DEFAULT_LANG, key);
+    if (text === undefined) return key;
+    return typeof text === 'string' ? interpolate(text, params) : text;
+  }
+
+  /**
+   * 某条消息在所有语言中的文本（供按文字匹配页面元素的脚本使用）
+   * @param {string} key
+   * @returns {string[]}
+   */
+  function variants(key) {
+    return LANGS.map(l => lookup(l.id, key)).filter(v => typeof v === 'string');
+  }
+
+  /** @returns {string} 当前语言 ID */
+  function getLang() {
+    return lang;
+  }
+
+  /**
+   * 切换语言并保存选择
+   * @param {string} id
+   */
+  function setLang(id) {
+    if (!supported(id) || id === lang) return;
+    lang = id;
+    try {
+      window.localStorage.setItem(STORAGE_KEY, id);
+    } catch (_) {}
+    apply();
+    notify();
+  }
+
+  /**
+   * 订阅语言切换
+   * @param {Function} fn - 参数为新的语言 ID
+   * @returns {Function} 取消订阅
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /**
+   * 按当前语言格式化数字
+   * @param {number} value
+   * @param {number} [digits] - 固定小数位；缺省时最多保留两位（用于坐标轴刻度等）
+   * @returns {string}
+   */
+  function number(value, digits) {
+    const key = `${lang}|${digits}`;
+    if (!numberFormats.has(key)) {
+      numberFormats.set(key, new Intl.NumberFormat(lang, digits == null
+        ? { maximumFractionDigits: 2 }
+        : { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+    }
+    return numberFormats.get(key).format(value);
+  }
+
+  /**
+   * 格式化温度（°C）
+   * @param {number} value
+   * @param {number} [digits] - 同 number()
+   * @param {boolean} [signed=false] - 正数前加 +
+   * @returns {string}
+   */
+  function temp(value, digits, signed) {
+    const text = number(value, digits);
+    return `${signed && value > 0 ? '+' : ''}${text}°C`;
+  }
+
+  /**
+   * 格式化年份（中文为"2024年"，英文为"2024"）
+   * @param {number} y
+   * @returns {string}
+   */
+  function year(y) {
+    return t('format.year', { year: y });
+  }
+
+  /**
+   * 十二个月份的名称
+   * @param {'short'|'long'} [style='short']
+   * @returns {string[]}
+   */
+  function months(style) {
+    const format = new Intl.DateTimeFormat(lang, { month: style || 'short', timeZone: 'UTC' });
+    return Array.from({ length: 12 }, (_, i) => format.format(new Date(Date.UTC(2000, i, 1))));
+  }
+
+  /**
+   * 格式化日期时间
+   * @param {Date} date
+   * @returns {string}
+   */
+  function dateTime(date) {
+    return new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeStyle: 'short' }).format(date);
+  }
+
+  /**
+   * 格式化日期（不含时间，按 UTC 解释 ISO 日期字符串）
+   * @param {string|Date} value
+   * @returns {string}
+   */
+  function date(value) {
+    return new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(value));
+  }
+
+  /**
+   * 国家在当前语言下的名称
+   * @param {{name:string, nameEn:string}} country - ClimateGeo 国家对象
+   * @returns {string}
+   */
+  function countryName(country) {
+    if (!country) return '';
+    return lang === DEFAULT_LANG ? country.name || country.nameEn : country.nameEn || country.name;
+  }
+
+  apply();
+
+  window.ClimateI18n = {
+    LANGS,
+    DEFAULT_LANG,
+    register,
+    t,
+    variants,
+    getLang,
+    setLang,
+    subscribe,
+    number,
+    temp,
+    year,
+    months,
+    dateTime,
+    date,
+    countryName,
+  };
+})();
@@ -0,0 +1,433 @@
+/**
+ * 气候变化分析平台 - 数据导入
+ * Climate Change Analysis Platform - Data Import
+ *
+ * 功能：把用户自己计算的距平序列（站点、区域等）导入为可选数据集。接受 CSV / JSON，年度或月度，
+ * 长表（每行一个时间点）或宽表（每行一年、十二个月份列）；列与年 / 月 / 距平的对应关系可手动调整，
+ * 导入前校验列、单位与缺测值，确认后保存在 IndexedDB 中，并登记到共享数据层，与内置数据集并列可选。
+ *
+ * 说明：
+ * - readTable() 只做表格切分（自动识别逗号、分号、制表符分隔与 JSON 对象数组），guessMapping() 按列名猜测对应关系；
+ * - build() 按对应关系生成与 ClimateData.loadRaw() 同结构的序列，并给出校验报告；问题以消息键 + 参数表示，由界面翻译；
+ * - 单位统一换算为 °C：开尔文与摄氏度的距平数值相同，华氏度距平乘以 5/9，0.01°C 为部分机构旧格式的整数单位；
+ * - 仅有年度值时按年度值展开月度序列（monthlyDerived），与内置数据集的处理一致；
+ * - 浏览器不支持 IndexedDB 时导入仍可用，但只在当前页面有效；
+ * - 通过 window.ClimateImport 暴露接口，需在 climate-data.js 之后、climate-url.js 之前加载
+ *   （启动时从 IndexedDB 恢复的数据集须先登记，分享链接才能指向导入的数据）。
+ */
+(function () {
+  'use strict';
+
+  const DB_NAME = 'climate-import';
+  const DB_VERSION = 1;
+  const STORE = 'datasets';
+  const ID_PREFIX = 'upload-';
+  /** 导入数据集的图表颜色（依次轮换） */
+  const COLORS = ['#7c3aed', '#0f766e', '#be185d', '#4d7c0f', '#b45309'];
+  /** 默认识别的缺测值标记 */
+  const DEFAULT_MISSING = ['', 'NA', 'N/A', 'NaN', 'nan', 'null', '***', '****', '-999', '-999.0', '-9999', '-99.99'];
+  /** 可选单位：换算到 °C 距平的系数 */
+  const UNITS = {
+    C: 1,
+    K: 1,
+    F: 5 / 9,
+    centiC: 0.01,
+  };
+  /** 换算后绝对值超过该阈值的距平视为可疑（可能单位不对或给出的是绝对温度） */
+  const SUSPICIOUS_ANOMALY = 10;
+  /** 校验报告中最多列出的问题行数 */
+  const MAX_REPORTED_ROWS = 20;
+
+  /** 年 / 月 / 距平列的常见列名（小写比较） */
+  const YEAR_NAMES = ['year', 'yr', 'years', 'date', 'time', '年', '年份'];
+  const MONTH_NAMES = ['month', 'mon', 'mo', '月', '月份'];
+  const ANOMALY_NAMES = ['anomaly', 'anom', 'value', 'temp', 'temperature', 'mean', 'ta', '距平', '温度距平'];
+  /** 宽表月份列：英文缩写 / 全称与中文 */
+  const MONTH_LABELS = [
+    ['jan', 'january', '1月', '一月'], ['feb', 'february', '2月', '二月'], ['mar', 'march', '3月', '三月'],
+    ['apr', 'april', '4月', '四月'], ['may', '5月', '五月'], ['jun', 'june', '6月', '六月'],
+    ['jul', 'july', '7月', '七月'], ['aug', 'august', '8月', '八月'], ['sep', 'sept', 'september', '9月', '九月'],
+    ['oct', 'october', '10月', '十月'], ['nov', 'november', '11月', '十一月'], ['dec', 'december', '12月', '十二月'],
+  ];
+
+  /**
+   * 切分一行分隔文本，支持双引号包裹与 "" 转义
+   * @param {string} line
+   * @param {string} delimiter
+   * @returns {string[]}
+   */
+  function splitLine(line, delimiter) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        cells.push(cell.trim());
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  }
+
+  /**
+   * 从 JSON 中取出行对象数组：顶层数组，或 { data / annual / monthly / series: [...] }
+   * @param {*} json
+   * @returns {Array<object>}
+   */
+  function jsonRows(json) {
+    if (Array.isArray(json)) return json;
+    if (json && typeof json === 'object') {
+      const key = ['data', 'series', 'monthly', 'annual'].find(k => Array.isArray(json[k]));
+      if (key) return json[key];
+    }
+    throw new Error('import.error.jsonShape');
+  }
+
+  /**
+   * 把文件内容切分为表格
+   * @param {string} text - 文件文本
+   * @param {string} [fileName] - 用于判断 JSON
+   * @returns {{columns: string[], rows: string[][]}} rows 中的单元格均为字符串
+   */
+  function readTable(text, fileName) {
+    const source = String(text || '').replace(/^﻿/, '');
+    const trimmed = source.trim();
+    if (/\.json$/i.test(fileName || '') || /^[[{]/.test(trimmed)) {
+      let json;
+      try {
+        json = JSON.parse(trimmed);
+      } catch (_) {
+        throw new Error('import.error.jsonSyntax');
+      }
+      const objects = jsonRows(json).filter(r => r && typeof r === 'object' && !Array.isArray(r));
+      const columns = [];
+      objects.forEach(r => Object.keys(r).forEach(k => { if (!columns.includes(k)) columns.push(k); }));
+      return { columns, rows: objects.map(r => columns.map(c => (r[c] == null ? '' : String(r[c])))) };
+    }
+    const lines = source.split(/\r?\n/).filter(l => l.trim() && !/^\s*[#%]/.test(l));
+    if (!lines.length) throw new Error('import.error.empty');
+    // 以表头中出现次数最多的分隔符为准
+    const delimiter = ['\t', ';', ','].reduce((best, d) =>
+      (lines[0].split(d).length > lines[0].split(best).length ? d : best), ',');
+    const columns = splitLine(lines[0], delimiter);
+    return { columns, rows: lines.slice(1).map(l => splitLine(l, delimiter)) };
+  }
+
+  function findColumn(columns, names) {
+    const index = columns.findIndex(c => names.includes(c.trim().toLowerCase()));
+    return index < 0 ? null : columns[index];
+  }
+
+  /**
+   * 识别宽表的十二个月份列
+   * @param {string[]} columns
+   * @returns {string[]|null} 按 1-12 月排列的列名；不足 12 列时为 null
+   */
+  function monthColumns(columns) {
+    const found = MONTH_LABELS.map(labels => columns.find(c => labels.includes(c.trim().toLowerCase())));
+    return found.every(Boolean) ? found : null;
+  }
+
+  /**
+   * 按列名猜测对应关系
+   * @param {{columns: string[]}} table
+   * @returns {{layout:'long'|'wide', year:string|null, month:string|null, anomaly:string|null, months:string[]|null, unit:string, missing:string[]}}
+   */
+  function guessMapping(table) {
+    const columns = table.columns;
+    const months = monthColumns(columns);
+    const year = findColumn(columns, YEAR_NAMES) || columns[0] || null;
+    const rest = columns.filter(c => c !== year);
+    return {
+      layout: months ? 'wide' : 'long',
+      year,
+      month: months ? null : findColumn(rest, MONTH_NAMES),
+      anomaly: months ? null : findColumn(rest, ANOMALY_NAMES) || rest.find(c => !MONTH_NAMES.includes(c.toLowerCase())) || null,
+      months,
+      unit: 'C',
+      missing: DEFAULT_MISSING.filter(Boolean),
+    };
+  }
+
+  /**
+   * 解析月份单元格：1-12、月份名，或 null
+   * @param {string} raw
+   * @returns {number|null} 0-11
+   */
+  function parseMonth(raw) {
+    const v = String(raw).trim().toLowerCase();
+    if (/^\d{1,2}$/.test(v)) {
+      const m = Number(v);
+      return m >= 1 && m <= 12 ? m - 1 : null;
+    }
+    const index = MONTH_LABELS.findIndex(labels => labels.includes(v) || labels.includes(v.slice(0, 3)));
+    return index < 0 ? null : index;
+  }
+
+  /**
+   * 解析时间单元格：年份、YYYY-MM(-DD)、YYYY/MM、YYYYMM，或带小数的年份（如 1990.042；点号一律按小数年理解）
+   * @param {string} raw
+   * @returns {{year:number, month?:number}|null}
+   */
+  function parseStamp(raw) {
+    const v = String(raw).trim();
+    let m = /^(\d{4})$/.exec(v);
+    if (m) return { year: Number(m[1]) };
+    m = /^(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?$/.exec(v) || /^(\d{4})(\d{2})$/.exec(v);
+    if (m) {
+      const month = Number(m[2]);
+      return month >= 1 && month <= 12 ? { year: Number(m[1]), month: month - 1 } : null;
+    }
+    if (/^\d{4}\.\d+$/.test(v)) {
+      const num = Number(v);
+      return { year: Math.floor(num), month: Math.min(11, Math.floor((num - Math.floor(num)) * 12)) };
+    }
+    return null;
+  }
+
+  /**
+   * 按对应关系生成序列并校验
+   * @param {{columns: string[], rows: string[][]}} table
+   * @param {object} mapping - guessMapping() 的结果（可被界面修改）
+   * @returns {{
+   *   kind: 'annual'|'monthly',
+   *   annual: Array<{year:number, anomaly:number}>,
+   *   monthly: Array<{year:number, month:number, anomaly:number}>,
+   *   monthlyDerived: boolean,
+   *   errors: Array<{key:string, params?:object}>,
+   *   warnings: Array<{key:string, params?:object}>,
+   *   problems: Array<{row:number, key:string, params?:object}>,
+   *   stats: {rows:number, points:number, missing:number, invalid:number, duplicates:number}
+   * }}
+   */
+  function build(table, mapping) {
+    const errors = [];
+    const warnings = [];
+    const problems = [];
+    const stats = { rows: table.rows.length, points: 0, missing: 0, invalid: 0, duplicates: 0 };
+    const col = name => table.columns.indexOf(name);
+    const markers = new Set((mapping.missing || []).map(s => String(s).trim()).concat(''));
+    const factor = UNITS[mapping.unit] || 1;
+    const report = (row, key, params) => {
+      if (problems.length < MAX_REPORTED_ROWS) problems.push({ row, key, params });
+    };
+
+    const yearCol = col(mapping.year);
+    if (yearCol < 0) errors.push({ key: 'import.error.noYear' });
+    const valueCols = mapping.layout === 'wide'
+      ? (mapping.months || []).map(col)
+      : [col(mapping.anomaly)];
+    if (mapping.layout === 'wide' ? valueCols.length !== 12 || valueCols.some(i => i < 0) : valueCols[0] < 0) {
+      errors.push({ key: mapping.layout === 'wide' ? 'import.error.noMonths' : 'import.error.noAnomaly' });
+    }
+    const monthCol = mapping.layout === 'long' && mapping.month ? col(mapping.month) : -1;
+    if (errors.length) return { kind: 'annual', annual: [], monthly: [], monthlyDerived: true, errors, warnings, problems, stats };
+
+    const points = new Map();
+    let hasMonth = mapping.layout === 'wide' || monthCol >= 0;
+    table.rows.forEach((cells, i) => {
+      const row = i + 2; // 第 1 行为表头，行号从 1 开始
+      const stamp = parseStamp(cells[yearCol] || '');
+      if (!stamp || stamp.year < 1000 || stamp.year > 2999) {
+        stats.invalid++;
+        report(row, 'import.problem.year', { value: cells[yearCol] || '' });
+        return;
+      }
+      const add = (month, raw) => {
+        const text = String(raw == null ? '' : raw).trim();
+        if (markers.has(text)) {
+          stats.missing++;
+          return;
+        }
+        const num = Number(text);
+        if (!Number.isFinite(num)) {
+          stats.invalid++;
+          report(row, 'import.problem.value', { value: text });
+          return;
+        }
+        const key = month == null ? `${stamp.year}` : `${stamp.year}-${month}`;
+        if (points.has(key)) {
+          stats.duplicates++;
+          report(row, 'import.problem.duplicate', { key: month == null ? stamp.year : `${stamp.year}-${String(month + 1).padStart(2, '0')}` });
+          return;
+        }
+        points.set(key, { year: stamp.year, month, anomaly: Math.round(num * factor * 1000) / 1000 });
+      };
+      if (mapping.layout === 'wide') {
+        valueCols.forEach((c, m) => add(m, cells[c]));
+      } else {
+        let month = stamp.month;
+        if (monthCol >= 0) {
+          month = parseMonth(cells[monthCol] || '');
+          if (month == null) {
+            stats.invalid++;
+            report(row, 'import.problem.month', { value: cells[monthCol] || '' });
+            return;
+          }
+        }
+        if (month != null) hasMonth = true;
+        add(month, cells[valueCols[0]]);
+      }
+    });
+
+    const list = Array.from(points.values()).sort((a, b) => a.year - b.year || (a.month || 0) - (b.month || 0));
+    const mixed = hasMonth && list.some(p => p.month == null);
+    if (mixed) errors.push({ key: 'import.error.mixed' });
+    const data = window.ClimateData;
+    const monthly = hasMonth ? list.filter(p => p.month != null) : [];
+    const annual = hasMonth
+      ? data.annualFromMonthly(monthly)
+      : list.map(p => ({ year: p.year, anomaly: p.anomaly }));
+    stats.points = list.length;
+    if (annual.length < 2) errors.push({ key: hasMonth ? 'import.error.fewCompleteYears' : 'import.error.fewYears' });
+    if (hasMonth && annual.length && annual.length < new Set(monthly.map(p => p.year)).size) {
+      warnings.push({ key: 'import.warning.partialYears', params: { count: new Set(monthly.map(p => p.year)).size - annual.length } });
+    }
+    const extreme = list.reduce((m, p) => Math.max(m, Math.abs(p.anomaly)), 0);
+    if (extreme > SUSPICIOUS_ANOMALY) warnings.push({ key: 'import.warning.large', params: { value: extreme } });
+    if (stats.missing) warnings.push({ key: 'import.warning.missing', params: { count: stats.missing } });
+    if (stats.invalid) warnings.push({ key: 'import.warning.invalid', params: { count: stats.invalid } });
+    if (stats.duplicates) warnings.push({ key: 'import.warning.duplicates', params: { count: stats.duplicates } });
+    const monthlyDerived = !monthly.length;
+    return {
+      kind: hasMonth ? 'monthly' : 'annual',
+      annual,
+      monthly: monthlyDerived ? data.deriveMonthly(annual) : monthly,
+      monthlyDerived,
+      errors,
+      warnings,
+      problems,
+      stats,
+    };
+  }
+
+  /** @type {Promise<IDBDatabase|null>|null} */
+  let dbPromise = null;
+
+  /**
+   * 打开数据库（不支持或打开失败时为 null）
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise(resolve => {
+        if (!window.indexedDB) return resolve(null);
+        const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          console.warn('IndexedDB unavailable, imported datasets will not persist:', req.error);
+          resolve(null);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * 执行一次数据库操作
+   * @param {'readonly'|'readwrite'} mode
+   * @param {Function} fn - 参数为对象仓库，返回 IDBRequest
+   * @returns {Promise<*>} 数据库不可用时为 undefined
+   */
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    if (!db) return undefined;
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * 保存导入结果并登记为数据集
+   * @param {ReturnType<typeof build>} built
+   * @param {{label:string, baseline:string, origin:string, unit:string}} info - 名称、原始基准期 ID、文件名与单位
+   * @returns {Promise<object>} 数据集对象（结构同 ClimateData.loadRaw()）
+   */
+  async function save(built, info) {
+    if (built.errors.length) throw new Error('Cannot save an import with validation errors');
+    const existing = (await window.ClimateData.listDatasets()).filter(d => d.user).length;
+    const base = window.ClimateData.getBaselines().find(b => b.id === info.baseline);
+    const imported = new Date().toISOString();
+    const dataset = {
+      id: ID_PREFIX + Date.now().toString(36),
+      version: imported,
+      meta: {
+        label: info.label,
+        description: info.origin,
+        source: info.origin,
+        format: 'upload',
+        baseline: base ? [base.start, base.end] : [built.annual[0].year, built.annual[built.annual.length - 1].year],
+        units: '°C',
+        sourceUnit: info.unit,
+        color: COLORS[existing % COLORS.length],
+        annual: null,
+        monthly: null,
+        grid: null,
+        imported,
+        user: true,
+      },
+      annual: built.annual,
+      monthly: built.monthly,
+      monthlyDerived: built.monthlyDerived,
+      firstYear: built.annual[0].year,
+      lastYear: built.annual[built.annual.length - 1].year,
+    };
+    await withStore('readwrite', store => store.put(dataset));
+    window.ClimateData.registerDatasets([dataset]);
+    return dataset;
+  }
+
+  /**
+   * 删除一个导入的数据集
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async function remove(id) {
+    await withStore('readwrite', store => store.delete(id));
+    window.ClimateData.removeDataset(id);
+  }
+
+  /**
+   * 从 IndexedDB 读取已保存的数据集
+   * @returns {Promise<object[]>}
+   */
+  function restore() {
+    return withStore('readonly', store => store.getAll())
+      .then(list => list || [])
+      .catch(err => {
+        console.error('Error restoring imported datasets:', err);
+        return [];
+      });
+  }
+
+  // 启动时登记已保存的数据集；ClimateData.select() 会等待这一过程
+  if (window.ClimateData) window.ClimateData.registerDatasets(restore());
+
+  window.ClimateImport = {
+    UNITS,
+    DEFAULT_MISSING,
+    readTable,
+    guessMapping,
+    build,
+    save,
+    remove,
+  };
+})();
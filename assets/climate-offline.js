@@ -0,0 +1,171 @@
+/**
+ * 气候变化分析平台 - 离线使用
+ * Climate Change Analysis Platform - Offline Support
+ *
+ * 功能：注册站点根目录的 Service Worker（sw.js），跟踪网络状态、离线缓存是否就绪，
+ * 以及是否有新构建或新数据版本可用，供页面显示更新提示；用户确认后再切换，不在使用中途替换页面。
+ *
+ * 说明：
+ * - 新构建：新的 Service Worker 安装完毕后进入等待状态，applyUpdate() 让它接管并在接管后刷新页面；
+ * - 新数据：每次加载与恢复联网时向 Service Worker 询问 data/manifest.json 的版本，
+ *   applyDataUpdate() 下载新数据后清空 ClimateData 缓存并刷新页面；
+ * - 首次安装完成（页面开始受 Service Worker 控制）时 firstInstall 为 true，用于提示"已可离线使用"；
+ * - 以 file:// 打开或浏览器不支持 Service Worker 时 supported 为 false，页面照常在线使用；
+ * - 通过 window.ClimateOffline 暴露接口，需在入口脚本之前加载。
+ */
+(function () {
+  'use strict';
+
+  const SW_URL = 'sw.js';
+
+  /**
+   * @type {{supported:boolean, online:boolean, ready:boolean, firstInstall:boolean, update:boolean,
+   *   data:string|null, updatingData:boolean, dataError:string|null}}
+   *   ready 表示页面已受 Service Worker 控制（离线可用）；update 表示有新构建等待接管；data 为可用的新数据版本号
+   */
+  let state = Object.freeze({
+    supported: 'serviceWorker' in navigator && /^https?:$/.test(window.location.protocol),
+    online: navigator.onLine !== false,
+    ready: false,
+    firstInstall: false,
+    update: false,
+    data: null,
+    updatingData: false,
+    dataError: null,
+  });
+  /** @type {Set<Function>} */
+  const listeners = new Set();
+  /** @type {ServiceWorkerRegistration|null} */
+  let registration = null;
+  let reloading = false;
+
+  function getState() {
+    return state;
+  }
+
+  /**
+   * 合并更新状态并通知订阅者
+   * @param {object} patch
+   */
+  function setState(patch) {
+    const next = { ...state, ...patch };
+    if (Object.keys(next).every(k => next[k] === state[k])) return;
+    state = Object.freeze(next);
+    listeners.forEach(fn => {
+      try { fn(state); } catch (_) {}
+    });
+  }
+
+  /**
+   * 订阅状态变化（签名与 React useSyncExternalStore 的 subscribe 参数兼容）
+   * @param {Function} fn
+   * @returns {Function} 取消订阅
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /**
+   * 向当前控制页面的 Service Worker 发送消息
+   * @param {object} message
+   */
+  function post(message) {
+    const controller = navigator.serviceWorker.controller;
+    if (controller) controller.postMessage(message);
+  }
+
+  /** 询问是否有新数据版本 */
+  function checkData() {
+    if (state.online) post({ type: 'check-data' });
+  }
+
+  /**
+   * 跟踪正在安装的新 Service Worker
+   * @param {ServiceWorker} worker
+   */
+  function track(worker) {
+    worker.addEventListener('statechange', () => {
+      // 已有控制者时，新安装的版本需要等待用户确认；没有控制者说明是首次安装
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) setState({ update: true });
+    });
+  }
+
+  /** 让等待中的新构建接管并刷新页面 */
+  function applyUpdate() {
+    if (registration && registration.waiting) registration.waiting.postMessage({ type: 'skip-waiting' });
+  }
+
+  /** 下载新数据版本，完成后刷新页面 */
+  function applyDataUpdate() {
+    if (!state.data || state.updatingData) return;
+    setState({ updatingData: true, dataError: null });
+    post({ type: 'update-data' });
+  }
+
+  /**
+   * 暂不处理提示（本次访问内不再显示）
+   * @param {'update'|'data'|'firstInstall'} kind
+   */
+  function dismiss(kind) {
+    setState({ [kind]: kind === 'data' ? null : false });
+  }
+
+  function handleMessage(event) {
+    const msg = event.data || {};
+    if (msg.type === 'data-available') setState({ data: msg.version });
+    else if (msg.type === 'data-current') setState({ data: null });
+    else if (msg.type === 'data-updated') {
+      window.ClimateData.clearCache();
+      window.location.reload();
+    } else if (msg.type === 'data-failed') setState({ updatingData: false, dataError: msg.message });
+  }
+
+  function init() {
+    window.addEventListener('online', () => {
+      setState({ online: true });
+      checkData();
+      if (registration) registration.update().catch(() => {});
+    });
+    window.addEventListener('offline', () => setState({ online: false }));
+    if (!state.supported) return;
+
+    const sw = navigator.serviceWorker;
+    let controlled = !!sw.controller;
+    sw.addEventListener('message', handleMessage);
+    sw.addEventListener('controllerchange', () => {
+      if (controlled) {
+        // 用户确认更新后新版本接管：刷新一次以载入新构建
+        if (!reloading) {
+          reloading = true;
+          window.location.reload();
+        }
+        return;
+      }
+      controlled = true;
+      setState({ ready: true, firstInstall: true });
+      checkData();
+    });
+    sw.register(SW_URL).then(reg => {
+      registration = reg;
+      if (reg.waiting && sw.controller) setState({ update: true });
+      if (reg.installing) track(reg.installing);
+      reg.addEventListener('updatefound', () => track(reg.installing));
+      if (sw.controller) {
+        setState({ ready: true });
+        checkData();
+      }
+    }, err => console.warn('Offline support unavailable:', err));
+  }
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
+
+  window.ClimateOffline = {
+    getState,
+    subscribe,
+    applyUpdate,
+    applyDataUpdate,
+    dismiss,
+  };
+})();
@@ -0,0 +1,102 @@
+/**
+ * 气候变化分析平台 - 数据集解析器
+ * Climate Change Analysis Platform - Dataset Parsers
+ *
+ * 功能：将各机构发布的原始导出文件解析为统一的距平序列，供共享数据层（climate-data.js）使用。
+ *
+ * 说明：不同发布方的列布局与缺测值标记各不相同，因此每种格式一个解析器：
+ * - simple：本项目的简单 CSV（year,anomaly / year,month,anomaly）；
+ * - gistemp：NASA GISS 的 GLB.Ts+dSST.csv（首行为标题，Jan…Dec 为月度列，J-D 为年均，缺测为 ***）。
+ *
+ * 所有解析器签名一致：parse(text, kind, meta)，kind 为 'annual' 或 'monthly'；
+ * 年度结果为 [{year, anomaly}]，月度结果为 [{year, month, anomaly}]（month 取 0-11），均按时间升序且不含缺测。
+ */
+(function () {
+  'use strict';
+
+  const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+  /**
+   * 将单元格解析为数值，空值、缺测标记或非数字返回 null
+   * @param {string} raw - 原始单元格文本
+   * @param {Set<string>} markers - 缺测值标记
+   * @returns {number|null}
+   */
+  function toNumber(raw, markers) {
+    const v = (raw || '').trim();
+    if (v === '' || markers.has(v)) return null;
+    const num = Number(v);
+    return isNaN(num) ? null : num;
+  }
+
+  /**
+   * 解析逗号分隔表格：跳过空行与 # 注释行，首个非注释行作为表头
+   * @param {string} text - CSV 文本
+   * @param {string[]} [missing] - 缺测值标记（如 "***"），解析为 null
+   * @returns {Array<Object<string, number|null>>} 以表头（小写）为键的行对象数组
+   */
+  function parseCsv(text, missing) {
+    const markers = new Set(missing || []);
+    const lines = String(text || '').split(/\r?\n/).filter(l => l.trim() && !/^\s*#/.test(l));
+    if (!lines.length) return [];
+    const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+    return lines.slice(1).map(line => {
+      const cells = line.split(',');
+      const row = {};
+      header.forEach((key, i) => { row[key] = toNumber(cells[i], markers); });
+      return row;
+    });
+  }
+
+  /**
+   * 去除缺测点并按时间排序
+   * @param {Array<{year:number, month?:number, anomaly:number|null}>} points
+   * @returns {Array<{year:number, month?:number, anomaly:number}>}
+   */
+  function clean(points) {
+    return points
+      .filter(p => p.year != null && p.anomaly != null && (p.month === undefined || p.month != null))
+      .sort((a, b) => a.year - b.year || (a.month || 0) - (b.month || 0));
+  }
+
+  /**
+   * 本项目的简单 CSV
+   * @param {string} text
+   * @param {'annual'|'monthly'} kind
+   * @param {{missing?: string[]}} [meta]
+   * @returns {Array<object>}
+   */
+  function parseSimple(text, kind, meta) {
+    const rows = parseCsv(text, (meta && meta.missing) || []);
+    if (kind === 'monthly') {
+      return clean(rows.map(r => ({ year: r.year, month: r.month == null ? null : r.month - 1, anomaly: r.anomaly })));
+    }
+    return clean(rows.map(r => ({ year: r.year, anomaly: r.anomaly })));
+  }
+
+  /**
+   * NASA GISS GLB.Ts+dSST.csv
+   * @param {string} text
+   * @param {'annual'|'monthly'} kind
+   * @returns {Array<object>}
+   */
+  function parseGistemp(text, kind) {
+    // 跳过表头之前的标题行（如 "Land-Ocean: Global Means"）
+    const lines = String(text || '').split(/\r?\n/);
+    const start = lines.findIndex(l => /^\s*Year\s*,/i.test(l));
+    if (start < 0) throw new Error('GISTEMP: header row not found');
+    const rows = parseCsv(lines.slice(start).join('\n'), ['***', '****']);
+    if (kind === 'monthly') {
+      const out = [];
+      rows.forEach(r => MONTH_KEYS.forEach((k, m) => out.push({ year: r.year, month: m, anomaly: r[k] })));
+      return clean(out);
+    }
+    return clean(rows.map(r => ({ year: r.year, anomaly: r['j-d'] })));
+  }
+
+  window.ClimateParsers = {
+    parseCsv,
+    simple: parseSimple,
+    gistemp: parseGistemp,
+  };
+})();
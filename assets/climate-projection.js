@@ -0,0 +1,120 @@
+/**
+ * 气候变化分析平台 - 排放情景预估
+ * Climate Change Analysis Platform - Scenario Projections
+ *
+ * 功能：加载随站点发布的 SSP 情景全球升温预估（data/projections/ipcc-ar6-gsat.json），
+ * 把它接在观测序列之后生成逐年的中值与 5–95% 区间（温度趋势图的扇形与气候螺旋的预估环），
+ * 并估算越过 1.5°C 与 2°C 的年份。
+ *
+ * 说明：
+ * - 数据为 IPCC AR6 第一工作组决策者摘要表 SPM.1 的评估值：相对 1850–1900 年、按 20 年时段平均，
+ *   结合了 CMIP6 多模式集合与观测约束，并非逐年的模式输出；
+ * - 换算到当前基准期时加上数据集的 preindustrial（1850–1900 年在该基准下的距平），与阈值线的位置一致；
+ *   数据集不覆盖 1850–1900 年时无法换算，不生成预估；只覆盖一部分年份时（如 GISTEMP 始于 1880 年）按覆盖的年份换算，
+ *   fan() 返回的 coverage 记录实际使用的年份，界面须注明；
+ * - 起点为最近 20 个观测年份的平均（位于这些年份的中点，区间宽度为 0），与各时段中点之间线性插值，
+ *   只延伸到最后一个时段的中点，不外推；
+ * - 越线年份为插值后的 20 年平均曲线首次达到阈值的年份：中值给出估计年份，高值 / 低值曲线给出最早 / 最晚年份；
+ * - 通过 window.ClimateProjection 暴露接口。
+ */
+(function () {
+  'use strict';
+
+  const DATA_URL = 'data/projections/ipcc-ar6-gsat.json';
+  /** 预估起点所用的最近观测年数（与表中 20 年时段平均一致） */
+  const ANCHOR_YEARS = 20;
+  /** 计算越线年份的阈值（°C，相对 1850–1900 年） */
+  const THRESHOLDS = [1.5, 2];
+
+  /** @type {Promise<object>|null} */
+  let dataPromise = null;
+
+  /**
+   * 加载情景数据（只请求一次）
+   * @returns {Promise<{source:string, citation:string, url:string, reference:number[], periods:number[][], scenarios:Object<string, object>}>}
+   */
+  function load() {
+    if (!dataPromise) {
+      dataPromise = fetch(DATA_URL)
+        .then(res => {
+          if (!res.ok) throw new Error(`Projection data request failed: ${DATA_URL} (${res.status})`);
+          return res.json();
+        })
+        .catch(err => {
+          dataPromise = null; // 失败时允许重试
+          throw err;
+        });
+    }
+    return dataPromise;
+  }
+
+  /**
+   * 情景 ID 列表（按文件中的顺序）
+   * @param {object} data - load() 的结果
+   * @returns {string[]}
+   */
+  function scenarioIds(data) {
+    return Object.keys(data.scenarios);
+  }
+
+  /**
+   * 逐年的预估中值与区间（已换算到数据集当前基准期）
+   * @param {object} data - load() 的结果
+   * @param {string} id - 情景 ID
+   * @param {object} dataset - ClimateData.load() 的结果
+   * @returns {{id:string, label:string, color:string, offset:number, coverage:{start:number, end:number, complete:boolean},
+   *   anchor:{year:number, value:number}, points:Array<{year:number, median:number, low:number, high:number}>}|null}
+   *   points 从观测最后一年开始（便于与观测曲线相接）；coverage 为换算 offset 所用的 1850–1900 年内的年份；
+   *   无法换算或已超出预估范围时为 null
+   */
+  function fan(data, id, dataset) {
+    const scenario = data.scenarios[id];
+    if (!scenario || dataset.preindustrial == null || dataset.annual.length < ANCHOR_YEARS) return null;
+    const offset = dataset.preindustrial;
+    const recent = dataset.annual.slice(-ANCHOR_YEARS);
+    const value = recent.reduce((s, p) => s + p.anomaly, 0) / recent.length;
+    const anchor = { year: (recent[0].year + recent[recent.length - 1].year) / 2, value };
+    const nodes = [{ year: anchor.year, median: value, low: value, high: value }].concat(data.periods.map(([start, end], i) => ({
+      year: (start + end) / 2,
+      median: scenario.median[i] + offset,
+      low: scenario.low[i] + offset,
+      high: scenario.high[i] + offset,
+    })));
+    const horizon = Math.floor(nodes[nodes.length - 1].year);
+    const points = [];
+    for (let year = dataset.lastYear; year <= horizon; year++) {
+      const j = nodes.findIndex(n => n.year >= year);
+      const a = nodes[Math.max(j - 1, 0)], b = nodes[j];
+      const t = b.year === a.year ? 1 : (year - a.year) / (b.year - a.year);
+      const at = key => Math.round((a[key] + (b[key] - a[key]) * t) * 100) / 100;
+      points.push({ year, median: at('median'), low: at('low'), high: at('high') });
+    }
+    if (points.length < 2) return null;
+    return { id, label: scenario.label, color: scenario.color, offset, coverage: dataset.preindustrialCoverage, anchor: { year: anchor.year, value: Math.round(value * 100) / 100 }, points };
+  }
+
+  /**
+   * 越过阈值的年份
+   * @param {object} projection - fan() 的结果
+   * @param {number} threshold - 相对 1850–1900 年的升温（°C）
+   * @returns {{already:boolean, median:number|null, early:number|null, late:number|null}}
+   *   already 表示最近 20 年平均已超过阈值；年份为 null 表示在预估范围内未越过
+   */
+  function crossing(projection, threshold) {
+    const level = projection.offset + threshold;
+    if (projection.anchor.value >= level) return { already: true, median: null, early: null, late: null };
+    const first = key => {
+      const p = projection.points.find(q => q[key] >= level);
+      return p ? p.year : null;
+    };
+    return { already: false, median: first('median'), early: first('high'), late: first('low') };
+  }
+
+  window.ClimateProjection = {
+    THRESHOLDS,
+    load,
+    scenarioIds,
+    fan,
+    crossing,
+  };
+})();
@@ -0,0 +1,179 @@
+/**
+ * 气候变化分析平台 - 区域汇总
+ * Climate Change Analysis Platform - Region Aggregation
+ *
+ * 功能：把国家距平序列汇总为大洲、纬度带、半球与用户自定义国家组的面积加权平均序列，
+ * 并给出指定年份各组的排名，供地理分布卡片的区域汇总面板使用。
+ *
+ * 说明：
+ * - 国家序列来自 ClimateCountry.seriesFor()，与国家详细分析的口径一致（有格点场时为格点平均，否则为模型估算）；
+ * - 纬度带与半球按国家质心纬度划分：热带 |纬度| < 23.44°，中纬度 23.44°–66.56°，极地 > 66.56°；
+ * - 权重为国土面积（ClimateGeo 按边界计算）；缺少面积的国家不参与平均，coverage 记录参与平均的面积占全组的比例；
+ * - 没有格点场时各国数值只是全球序列乘以固定系数，各组的先后次序逐年不变，rankAt() 的排名没有意义，界面不予展示；
+ * - 自定义国家组保存在 localStorage，只存国家代码与名称；
+ * - 通过 window.ClimateRegion 暴露接口，需在 climate-country.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'climate-region-groups';
+  /** 汇总方式 */
+  const KINDS = ['continent', 'band', 'hemisphere', 'custom'];
+  /** 纬度带（按质心纬度的绝对值） */
+  const BANDS = [
+    { id: 'tropics', min: 0, max: 23.44 },
+    { id: 'mid', min: 23.44, max: 66.56 },
+    { id: 'polar', min: 66.56, max: 90 },
+  ];
+  /** 自定义国家组的上限 */
+  const MAX_GROUPS = 8;
+
+  /**
+   * 某种汇总方式下的分组
+   * @param {string} kind - KINDS 之一
+   * @param {object[]} countries - ClimateGeo.loadCountries() 的结果
+   * @param {Array<{id:string, name:string, codes:string[]}>} [custom] - 自定义国家组
+   * @returns {Array<{id:string, key:string|null, name:string|null, codes:string[]}>} key 为界面文字的消息键，自定义组用 name
+   */
+  function groupsOf(kind, countries, custom) {
+    if (kind === 'custom') {
+      const known = new Set(countries.map(c => c.code));
+      return (custom || [])
+        .map(g => ({ id: g.id, key: null, name: g.name, codes: g.codes.filter(code => known.has(code)) }))
+        .filter(g => g.codes.length);
+    }
+    const pick = {
+      continent: c => c.region,
+      band: c => (BANDS.find(b => Math.abs(c.lat) < b.max) || BANDS[BANDS.length - 1]).id,
+      hemisphere: c => (c.lat >= 0 ? 'north' : 'south'),
+    }[kind];
+    const prefix = { continent: 'region.', band: 'region.band.', hemisphere: 'region.hemisphere.' }[kind];
+    const groups = new Map();
+    countries.forEach(c => {
+      const id = pick(c);
+      if (!groups.has(id)) groups.set(id, { id, key: prefix + id, name: null, codes: [] });
+      groups.get(id).codes.push(c.code);
+    });
+    const order = kind === 'band' ? BANDS.map(b => b.id) : kind === 'hemisphere' ? ['north', 'south'] : null;
+    const list = Array.from(groups.values());
+    return order ? list.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id)) : list.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * 国家的权重（国土面积）
+   * @param {object} country
+   * @returns {number|null}
+   */
+  function weightOf(country) {
+    return country.area > 0 ? country.area : null;
+  }
+
+  /**
+   * 全部国家的年度距平
+   * @param {object[]} countries
+   * @param {object} dataset - ClimateData.load() 的结果
+   * @param {object|null} grid - ClimateGrid.load() 的结果
+   * @returns {Map<string, Map<number, number>>} 国家代码 → 年份 → 距平
+   */
+  function countrySeries(countries, dataset, grid) {
+    const out = new Map();
+    countries.forEach(c => {
+      const s = window.ClimateCountry.seriesFor(c, dataset, grid);
+      out.set(c.code, new Map(s.annual.map(p => [p.year, p.anomaly])));
+    });
+    return out;
+  }
+
+  /**
+   * 各组的面积加权平均序列
+   * @param {Array<{id:string, codes:string[]}>} groups - groupsOf() 的结果
+   * @param {object[]} countries
+   * @param {Map<string, Map<number, number>>} series - countrySeries() 的结果
+   * @returns {Array<{id:string, annual:Array<{year:number, anomaly:number, coverage:number}>}>}
+   */
+  function aggregate(groups, countries, series) {
+    const byCode = new Map(countries.map(c => [c.code, c]));
+    return groups.map(g => {
+      const members = g.codes
+        .map(code => ({ values: series.get(code), w: weightOf(byCode.get(code)) }))
+        .filter(m => m.values && m.w !== null);
+      const total = members.reduce((s, m) => s + m.w, 0);
+      const years = new Set();
+      members.forEach(m => m.values.forEach((v, year) => years.add(year)));
+      const annual = Array.from(years).sort((a, b) => a - b).map(year => {
+        let sum = 0, w = 0;
+        members.forEach(m => {
+          const v = m.values.get(year);
+          if (v !== undefined) {
+            sum += v * m.w;
+            w += m.w;
+          }
+        });
+        return { year, anomaly: Math.round(sum / w * 100) / 100, coverage: w / total };
+      });
+      return { id: g.id, annual };
+    });
+  }
+
+  /**
+   * 指定年份各组的排名（距平从高到低）
+   * @param {Array<{id:string, annual:Array}>} aggregates - aggregate() 的结果
+   * @param {number} year
+   * @returns {Array<{id:string, rank:number, anomaly:number, coverage:number}>} 当年无数据的组不在其中
+   */
+  function rankAt(aggregates, year) {
+    return aggregates
+      .map(a => ({ id: a.id, point: a.annual.find(p => p.year === year) }))
+      .filter(a => a.point)
+      .sort((a, b) => b.point.anomaly - a.point.anomaly)
+      .map((a, i) => ({ id: a.id, rank: i + 1, anomaly: a.point.anomaly, coverage: a.point.coverage }));
+  }
+
+  /**
+   * 读取自定义国家组
+   * @returns {Array<{id:string, name:string, codes:string[]}>}
+   */
+  function loadGroups() {
+    try {
+      const list = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(g => g && g.id && g.name && Array.isArray(g.codes)).slice(0, MAX_GROUPS) : [];
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * 保存自定义国家组
+   * @param {Array<{id:string, name:string, codes:string[]}>} groups
+   */
+  function saveGroups(groups) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(groups.slice(0, MAX_GROUPS)));
+    } catch (err) {
+      console.warn('Unable to save custom region groups:', err);
+    }
+  }
+
+  /**
+   * 新建自定义国家组
+   * @param {string} name
+   * @param {string[]} codes
+   * @returns {{id:string, name:string, codes:string[]}}
+   */
+  function createGroup(name, codes) {
+    return { id: 'g-' + Date.now().toString(36), name: name.trim(), codes: Array.from(new Set(codes)) };
+  }
+
+  window.ClimateRegion = {
+    KINDS,
+    BANDS,
+    MAX_GROUPS,
+    groupsOf,
+    countrySeries,
+    aggregate,
+    rankAt,
+    loadGroups,
+    saveGroups,
+    createGroup,
+  };
+})();
@@ -0,0 +1,139 @@
+/**
+ * 气候变化分析平台 - 打印报告
+ * Climate Change Analysis Platform - Printable Report
+ *
+ * 功能：把页面中的卡片排成可打印的 A4 文档（封面、带编号与图注的图、方法与来源附录），
+ * 打印前等待各卡片加载完成，并把画布与地图换成静态图像，浏览器"另存为 PDF"即可导出。
+ *
+ * 说明：
+ * - 报告由入口脚本在地址栏带 report=true 时渲染，本模块只负责版式分组与打印前后的处理；
+ * - 版式：overviewCards（导航卡片）不进入报告，dataSource 与 sources 改写为附录，FIGURES 中的卡片编号并加图注，
+ *   其余卡片（首屏、指标）按配置顺序原样排在正文中；
+ * - 静态图像：打印前把报告中的 <canvas> 与带 data-report-static 的 <svg> 复制为图片，打印时只显示图片，
+ *   避免部分浏览器打印画布空白或打印出悬停、缩放状态；打印结束后移除；
+ * - 直接按 Ctrl+P 打印时同样处理（beforeprint），但不会等待仍在加载的卡片；
+ * - 页面尺寸、分页与打印时隐藏的控件由 climate-theme.css 中的打印样式声明；
+ * - 通过 window.ClimateReport 暴露接口。
+ */
+(function () {
+  'use strict';
+
+  /** 编号并加图注的图表卡片 */
+  const FIGURES = ['trends', 'warming', 'baseline', 'spiral', 'geography'];
+  /** 改写为附录的卡片 */
+  const APPENDIX = ['dataSource', 'sources'];
+  /** 不进入报告的卡片 */
+  const OMITTED = ['overviewCards'];
+  /** 等待卡片加载完成的最长时间（毫秒）与检查间隔 */
+  const SETTLE_TIMEOUT = 15000;
+  const SETTLE_INTERVAL = 200;
+  /** 仍在加载的卡片中显示的加载动画 */
+  const LOADING = '.animate-spin';
+  const REPORT_ROOT = '.climate-report';
+
+  /**
+   * 按页面配置中的卡片顺序安排报告版式
+   * @param {string[]} cards - ClimateConfig 的 cards
+   * @returns {{body:Array<{id:string, figure:number|null}>, appendix:string[]}} figure 为图号（从 1 开始），非图表卡片为 null
+   */
+  function layout(cards) {
+    let n = 0;
+    const body = cards
+      .filter(id => !OMITTED.includes(id) && !APPENDIX.includes(id))
+      .map(id => ({ id, figure: FIGURES.includes(id) ? ++n : null }));
+    return { body, appendix: cards.filter(id => APPENDIX.includes(id)) };
+  }
+
+  /**
+   * 等待报告中的卡片加载完成（没有加载动画）
+   * @param {Element} root
+   * @returns {Promise<boolean>} 超时仍有卡片在加载时为 false
+   */
+  function settle(root) {
+    const start = Date.now();
+    return new Promise(resolve => {
+      (function check() {
+        if (!root.querySelector(LOADING)) resolve(true);
+        else if (Date.now() - start > SETTLE_TIMEOUT) resolve(false);
+        else setTimeout(check, SETTLE_INTERVAL);
+      })();
+    });
+  }
+
+  /**
+   * 图形 → 静态图片地址
+   * @param {HTMLCanvasElement|SVGSVGElement} el
+   * @returns {string|null}
+   */
+  function snapshot(el) {
+    try {
+      if (el.tagName.toLowerCase() === 'canvas') return el.toDataURL('image/png');
+      const clone = el.cloneNode(true);
+      clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+      return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(new XMLSerializer().serializeToString(clone));
+    } catch (err) {
+      console.warn('Report snapshot failed:', err);
+      return null;
+    }
+  }
+
+  /**
+   * 在报告中的画布与地图旁插入打印用的静态图片
+   * @param {Element} root
+   */
+  function freeze(root) {
+    root.querySelectorAll('canvas, svg[data-report-static]').forEach(el => {
+      if (el.classList.contains('report-live')) return;
+      const rect = el.getBoundingClientRect();
+      const src = rect.width ? snapshot(el) : null;
+      if (!src) return;
+      const img = document.createElement('img');
+      img.className = 'report-static';
+      img.src = src;
+      img.alt = el.getAttribute('aria-label') || '';
+      img.style.width = `${rect.width}px`;
+      el.classList.add('report-live');
+      el.after(img);
+    });
+  }
+
+  /**
+   * 移除 freeze() 插入的图片
+   * @param {Element} root
+   */
+  function thaw(root) {
+    root.querySelectorAll('img.report-static').forEach(img => img.remove());
+    root.querySelectorAll('.report-live').forEach(el => el.classList.remove('report-live'));
+  }
+
+  /**
+   * 等待加载完成、生成静态图像后打开浏览器打印对话框
+   * @param {Element} root - 报告根元素
+   * @returns {Promise<boolean>} settle() 的结果
+   */
+  function print(root) {
+    return settle(root).then(done => {
+      freeze(root);
+      window.print();
+      return done;
+    });
+  }
+
+  window.addEventListener('beforeprint', () => {
+    const root = document.querySelector(REPORT_ROOT);
+    if (root) freeze(root);
+  });
+  window.addEventListener('afterprint', () => {
+    const root = document.querySelector(REPORT_ROOT);
+    if (root) thaw(root);
+  });
+
+  window.ClimateReport = {
+    FIGURES,
+    layout,
+    settle,
+    freeze,
+    thaw,
+    print,
+  };
+})();
@@ -0,0 +1,627 @@
+/**
+ * 气候变化分析平台 - 气候螺旋渲染器
+ * Climate Change Analysis Platform - Climate Spiral Renderer
+ *
+ * 功能：在 canvas 上绘制温度距平螺旋（每圈一年、半径表示距平），支持高分辨率屏幕、容器尺寸变化、
+ * 可切换的配色方案与鼠标悬停查询；同一份月度序列还可显示为螺旋塔（Ed Hawkins 的 spiral tower，
+ * 每年抬升一层、可旋转视角）与变暖条纹。
+ *
+ * 说明：
+ * - 画布按 devicePixelRatio 放大像素尺寸，绘制时使用 CSS 像素坐标；
+ * - 已完成的年份与刻度环缓存在离屏画布中，逐年前进时只追加新的一圈，每帧只重画当前年份，
+ *   播放耗时不随年份累积而增加；后退、切换区间或配色时才整体重建缓存；
+ * - 角度与月份标签一致：1 月位于正上方，顺时针排列；
+ * - 螺旋塔为 canvas 2.5D 正交投影，不依赖 WebGL；视角变化时重建缓存；
+ * - 月份、阈值与标注文字按当前界面语言（ClimateI18n）绘制，切换语言后重建缓存；
+ * - 文字、坐标轴与底色取自 setOptions 指定的界面主题（ClimateTheme.tokens()），数据配色不随主题变化；
+ * - 设置情景预估（ClimateProjection.fan()）后，平面螺旋可绘制到观测之后的年份：完整的观测螺旋之上
+ *   以半透明圆环表示当年的 5–95% 区间、虚线圆表示中值；预估每帧重画，不进缓存；
+ * - 通过 window.ClimateSpiral 暴露接口，需在 climate-i18n.js 与 climate-theme.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  const FONT = 'Inter, "PingFang SC", "Microsoft YaHei", sans-serif';
+  /** 螺旋外圈到画布边缘的留白（CSS 像素），用于月份与阈值标签 */
+  const MARGIN = 50;
+  /** 画布边长范围（CSS 像素） */
+  const MIN_SIZE = 280;
+  const MAX_SIZE = 560;
+  /** 悬停命中半径（CSS 像素） */
+  const HIT_RADIUS = 12;
+  /** 配色分级的距平断点（°C） */
+  const BREAKS = [-1, -0.5, 0, 0.5, 1, 1.5];
+
+  /**
+   * 配色方案：每个方案对应 BREAKS 划分出的 7 个区间，label 为消息键
+   * colorblind 取自 Paul Tol 的 BuRd 发散色带，对红绿色弱友好，且各级在白底上均清晰可见
+   */
+  const PALETTES = {
+    classic: {
+      label: 'spiral.palette.classic',
+      colors: ['#1e40af', '#3b82f6', '#6b7280', '#10b981', '#f59e0b', '#f97316', '#ef4444'],
+    },
+    colorblind: {
+      label: 'spiral.palette.colorblind',
+      colors: ['#2166ac', '#4393c3', '#92c5de', '#f4a582', '#d6604d', '#b2182b', '#67001f'],
+    },
+  };
+  const DEFAULT_PALETTE = 'classic';
+
+  /** 视图（值为名称的消息键）：平面螺旋、螺旋塔（每年抬升一层）与变暖条纹 */
+  const MODES = {
+    spiral: 'spiral.mode.spiral',
+    tower: 'spiral.mode.tower',
+    stripes: 'spiral.mode.stripes',
+  };
+  const DEFAULT_MODE = 'spiral';
+  /** 螺旋塔默认视角：yaw 为绕竖直轴的旋转角，pitch 为俯视仰角（0 为侧视，π/2 为正上方俯视） */
+  const DEFAULT_VIEW = { yaw: -Math.PI / 6, pitch: Math.PI / 5 };
+  const MIN_PITCH = 0.05;
+  const MAX_PITCH = Math.PI / 2;
+  /** 塔身高度相对螺旋半径的比例 */
+  const TOWER_HEIGHT = 1.1;
+  /** 投影刻度环时的分段数 */
+  const RING_STEPS = 72;
+  /** 螺旋塔中轴的年份刻度间隔 */
+  const TOWER_TICK = 20;
+  /** 变暖条纹色带（ColorBrewer RdBu，自冷至暖），与 Ed Hawkins 原版条纹一致 */
+  const STRIPES = ['#053061', '#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b', '#67001f'];
+
+  /**
+   * 距平对应的半径比例（-1.5°C 位于圆心，+2.5°C 位于外圈）
+   * @param {number} anomaly
+   * @returns {number}
+   */
+  function radius(anomaly) {
+    return Math.max(0, (anomaly + 1.5) / 4);
+  }
+
+  /**
+   * 距平对应的颜色
+   * @param {number} anomaly
+   * @param {string} [palette=DEFAULT_PALETTE]
+   * @returns {string}
+   */
+  function colorFor(anomaly, palette) {
+    const colors = (PALETTES[palette] || PALETTES[DEFAULT_PALETTE]).colors;
+    const i = BREAKS.findIndex(b => anomaly < b);
+    return colors[i === -1 ? colors.length - 1 : i];
+  }
+
+  /**
+   * 限制螺旋塔视角：仰角保持在侧视与正上方之间，方位角归一到 (-π, π]
+   * @param {{yaw:number, pitch:number}} v
+   * @returns {{yaw:number, pitch:number}}
+   */
+  function clampView(v) {
+    const yaw = Math.atan2(Math.sin(v.yaw), Math.cos(v.yaw));
+    return { yaw, pitch: Math.min(Math.max(v.pitch, MIN_PITCH), MAX_PITCH) };
+  }
+
+  /**
+   * 变暖条纹色阶的对称范围：各年平均距平绝对值的最大值
+   * @param {Array<{avgAnomaly:number}>} years
+   * @returns {number}
+   */
+  function stripeLimit(years) {
+    return years.reduce((m, y) => Math.max(m, Math.abs(y.avgAnomaly)), 0.1);
+  }
+
+  /**
+   * 变暖条纹颜色：在 [-limit, limit] 上对 RdBu 色带线性插值
+   * @param {number} anomaly
+   * @param {number} limit
+   * @returns {string}
+   */
+  function stripeColor(anomaly, limit) {
+    const t = Math.min(Math.max((anomaly / limit + 1) / 2, 0), 1) * (STRIPES.length - 1);
+    const i = Math.min(Math.floor(t), STRIPES.length - 2);
+    const a = parseInt(STRIPES[i].slice(1), 16), b = parseInt(STRIPES[i + 1].slice(1), 16);
+    const f = t - i;
+    const mix = shift => Math.round(((a >> shift) & 255) * (1 - f) + ((b >> shift) & 255) * f);
+    return `rgb(${mix(16)}, ${mix(8)}, ${mix(0)})`;
+  }
+
+  /**
+   * 把月度序列整理为逐年数据
+   * @param {Array<{year:number, month:number, anomaly:number}>} monthly - month 从 0 开始
+   * @returns {Array<{year:number, months:Array<{month:number, anomaly:number}>, avgAnomaly:number}>}
+   */
+  function toYears(monthly) {
+    const years = [];
+    let cur = null;
+    monthly.forEach(d => {
+      if (!cur || cur.year !== d.year) {
+        cur = { year: d.year, months: [] };
+        years.push(cur);
+      }
+      cur.months.push({ month: d.month, anomaly: d.anomaly });
+    });
+    years.forEach(y => {
+      y.avgAnomaly = y.months.reduce((sum, m) => sum + m.anomaly, 0) / y.months.length;
+    });
+    return years;
+  }
+
+  /**
+   * 由容器宽度得到画布边长
+   * @param {number} width - 容器宽度（CSS 像素）
+   * @returns {number}
+   */
+  function fitSize(width) {
+    return Math.round(Math.min(Math.max(width, MIN_SIZE), MAX_SIZE));
+  }
+
+  /**
+   * 创建渲染器
+   * @param {HTMLCanvasElement} canvas
+   * @returns {object} 渲染器
+   */
+  function create(canvas) {
+    const cache = document.createElement('canvas');
+    let years = [];
+    let preindustrial = 0;
+    let palette = DEFAULT_PALETTE;
+    let startYear = null;
+    let mode = DEFAULT_MODE;
+    let view = DEFAULT_VIEW;
+    let theme = 'light';
+    /** 当前主题的画布颜色（ClimateTheme.tokens()） */
+    let tone = window.ClimateTheme.tokens(theme);
+    let size = 0;
+    let dpr = 1;
+    /** 缓存中已画入的最后一年的下标；null 表示缓存需要重建 */
+    let cachedUntil = null;
+    /** 缓存中文字所用的界面语言 */
+    let cachedLang = null;
+    let shown = null;
+    /** @type {{label:string, color:string, points:Array<{year:number, median:number, low:number, high:number}>}|null} */
+    let projection = null;
+
+    function geometry() {
+      const c = size / 2;
+      if (mode !== 'tower') return { cx: c, cy: c, r: Math.max(c - MARGIN, 20) };
+      // 螺旋塔：半径略小，为塔身高度与侧面标签留出空间
+      const r = Math.max((c - MARGIN) * 0.78, 20);
+      return { cx: c, cy: c + 10, r, h: r * TOWER_HEIGHT };
+    }
+
+    function startIndex() {
+      const i = startYear == null ? 0 : years.findIndex(y => y.year >= startYear);
+      return i === -1 ? years.length : i;
+    }
+
+    /**
+     * 塔身高度比例：区间起点为 0，数据最后一年为 1（播放过程中比例不变，塔身逐年升高）
+     * @param {number} i - 年份下标
+     * @returns {number}
+     */
+    function level(i) {
+      const first = startIndex();
+      const span = years.length - 1 - first;
+      return span > 0 ? (i - first) / span : 0;
+    }
+
+    /**
+     * 三维坐标投影到画布：先绕竖直轴旋转 yaw，再按仰角 pitch 俯视（正交投影）
+     * @returns {[number, number]}
+     */
+    function project(g, x, y, z) {
+      const cosA = Math.cos(view.yaw), sinA = Math.sin(view.yaw);
+      const x1 = x * cosA - y * sinA;
+      const y1 = x * sinA + y * cosA;
+      return [g.cx + x1, g.cy + y1 * Math.sin(view.pitch) - (z - g.h / 2) * Math.cos(view.pitch)];
+    }
+
+    /**
+     * 数据点在画布上的位置
+     * @param {object} g - geometry()
+     * @param {number} month
+     * @param {number} anomaly
+     * @param {number} i - 年份下标（螺旋塔用于确定高度）
+     * @returns {[number, number]}
+     */
+    function point(g, month, anomaly, i) {
+      const angle = month / 12 * 2 * Math.PI - Math.PI / 2;
+      const k = radius(anomaly) * g.r;
+      if (mode === 'tower') return project(g, Math.cos(angle) * k, Math.sin(angle) * k, level(i) * g.h);
+      return [g.cx + Math.cos(angle) * k, g.cy + Math.sin(angle) * k];
+    }
+
+    function rings() {
+      return [
+        { temp: -1, color: '#3b82f6', label: '-1°C' },
+        { temp: 0, color: tone.muted, label: '0°C' },
+        { temp: 1, color: '#f59e0b', label: '+1°C' },
+        { temp: preindustrial + 1.5, color: '#f97316', label: window.ClimateI18n.t('spiral.ring.threshold', { value: '1.5' }) },
+        { temp: preindustrial + 2, color: '#ef4444', label: window.ClimateI18n.t('spiral.ring.threshold', { value: '2' }) },
+      ];
+    }
+
+    /** 平面螺旋：刻度环（距平与 1.5 / 2°C 阈值）与月份标签 */
+    function drawGrid(ctx, g) {
+      rings().forEach(ring => {
+        const k = radius(ring.temp) * g.r;
+        ctx.strokeStyle = ring.color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(ring.temp === 0 ? [] : [5, 5]);
+        ctx.beginPath();
+        ctx.arc(g.cx, g.cy, k, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillStyle = ring.color;
+        ctx.font = `12px ${FONT}`;
+        ctx.textAlign = 'left';
+        ctx.fillText(ring.label, g.cx + k + 5, g.cy + 4);
+      });
+      ctx.setLineDash([]);
+      ctx.fillStyle = tone.muted;
+      ctx.font = `11px ${FONT}`;
+      ctx.textAlign = 'center';
+      window.ClimateI18n.months().forEach((label, k) => {
+        const angle = k / 12 * 2 * Math.PI - Math.PI / 2;
+        ctx.fillText(label, g.cx + Math.cos(angle) * (g.r + 20), g.cy + Math.sin(angle) * (g.r + 20) + 4);
+      });
+    }
+
+    /**
+     * 螺旋塔：在高度 z 处画一组刻度环（投影为椭圆）
+     * @param {boolean} labels - 是否在环右侧标注
+     */
+    function drawTowerRings(ctx, g, z, labels) {
+      rings().forEach(ring => {
+        const k = radius(ring.temp) * g.r;
+        ctx.strokeStyle = ring.color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash(ring.temp === 0 ? [] : [5, 5]);
+        ctx.beginPath();
+        for (let a = 0; a <= RING_STEPS; a++) {
+          const t = a / RING_STEPS * 2 * Math.PI;
+          const [px, py] = project(g, Math.cos(t) * k, Math.sin(t) * k, z);
+          if (a === 0) ctx.moveTo(px, py);
+          else ctx.lineTo(px, py);
+        }
+        ctx.stroke();
+        if (labels) {
+          const [px, py] = project(g, k, 0, z);
+          ctx.fillStyle = ring.color;
+          ctx.font = `11px ${FONT}`;
+          ctx.textAlign = 'left';
+          ctx.fillText(ring.label, px + 5, py + 4);
+        }
+      });
+      ctx.setLineDash([]);
+    }
+
+    /** 螺旋塔：底面刻度环、月份标签与年份轴 */
+    function drawTowerBase(ctx, g) {
+      drawTowerRings(ctx, g, 0, false);
+      ctx.fillStyle = tone.muted;
+      ctx.font = `11px ${FONT}`;
+      ctx.textAlign = 'center';
+      window.ClimateI18n.months().forEach((label, k) => {
+        const angle = k / 12 * 2 * Math.PI - Math.PI / 2;
+        const [px, py] = project(g, Math.cos(angle) * (g.r + 18), Math.sin(angle) * (g.r + 18), 0);
+        ctx.fillText(label, px, py + 4);
+      });
+      const first = startIndex();
+      if (first >= years.length) return;
+      // 年份轴立在塔身屏幕左侧（世界坐标按 yaw 反向旋转），避免被轨迹遮挡
+      const R = g.r + 34;
+      const ax = -R * Math.cos(view.yaw), ay = R * Math.sin(view.yaw);
+      const [bx, by] = project(g, ax, ay, 0);
+      const [tx, ty] = project(g, ax, ay, g.h);
+      ctx.strokeStyle = tone.rule;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(bx, by);
+      ctx.lineTo(tx, ty);
+      ctx.stroke();
+      ctx.fillStyle = tone.faint;
+      ctx.font = `10px ${FONT}`;
+      ctx.textAlign = 'right';
+      for (let i = first; i < years.length; i++) {
+        if (years[i].year % TOWER_TICK !== 0) continue;
+        const [px, py] = project(g, ax, ay, level(i) * g.h);
+        ctx.fillText(String(years[i].year), px - 4, py + 3);
+      }
+    }
+
+    /** 画一年的轨迹；与上一年末月相连，使螺旋连续 */
+    function strokeYear(ctx, g, i, width, alpha) {
+      const y = years[i];
+      const prev = i > startIndex() ? years[i - 1] : null;
+      ctx.strokeStyle = colorFor(y.avgAnomaly, palette);
+      ctx.globalAlpha = alpha;
+      ctx.lineWidth = width;
+      ctx.lineJoin = 'round';
+      ctx.beginPath();
+      if (prev) {
+        const last = prev.months[prev.months.length - 1];
+        ctx.moveTo(...point(g, last.month, last.anomaly, i - 1));
+      }
+      y.months.forEach((m, k) => {
+        const [px, py] = point(g, m.month, m.anomaly, i);
+        if (k === 0 && !prev) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+      });
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    /** 确保缓存包含区间起点到下标 upto 的各年（平面螺旋与螺旋塔） */
+    function bake(upto) {
+      const g = geometry();
+      const ctx = cache.getContext('2d');
+      const first = startIndex();
+      const lang = window.ClimateI18n.getLang();
+      if (cachedUntil === null || cachedUntil > Math.max(upto, first - 1) || cachedLang !== lang) {
+        if (cache.width !== canvas.width) cache.width = canvas.width;
+        if (cache.height !== canvas.height) cache.height = canvas.height;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, cache.width, cache.height);
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        if (mode === 'tower') drawTowerBase(ctx, g);
+        else drawGrid(ctx, g);
+        cachedUntil = first - 1;
+        cachedLang = lang;
+      }
+      // 螺旋塔自下而上绘制，俯视时较新的年份覆盖在上方
+      for (let i = Math.max(cachedUntil + 1, first); i <= upto; i++) strokeYear(ctx, g, i, 1, 0.45);
+      cachedUntil = Math.max(cachedUntil, upto);
+    }
+
+    /** 当前年份与年平均距平（平面螺旋标注在圆心，其余视图标注在左上角） */
+    function drawCaption(ctx, g, year, avg) {
+      const center = mode === 'spiral';
+      ctx.fillStyle = tone.ink;
+      ctx.textAlign = center ? 'center' : 'left';
+      ctx.font = `bold 24px ${FONT}`;
+      ctx.fillText(String(year), center ? g.cx : 16, center ? g.cy - 10 : 30);
+      ctx.font = `14px ${FONT}`;
+      ctx.fillText(window.ClimateI18n.t('spiral.caption.average', { value: window.ClimateI18n.temp(avg, 2) }), center ? g.cx : 16, center ? g.cy + 15 : 50);
+    }
+
+    /**
+     * 观测之后某年的预估（仅平面螺旋）
+     * @param {number} year
+     * @returns {{year:number, median:number, low:number, high:number}|null}
+     */
+    function projectedAt(year) {
+      if (mode !== 'spiral' || !projection || !years.length || year <= years[years.length - 1].year) return null;
+      return projection.points.find(p => p.year === year) || null;
+    }
+
+    /** 预估年份：区间圆环、中值虚线圆与标注；超出外圈的部分裁剪在月份标签以内 */
+    function drawProjection(ctx, g, p) {
+      const I = window.ClimateI18n;
+      ctx.save();
+      ctx.beginPath();
+      ctx.arc(g.cx, g.cy, g.r + MARGIN - 6, 0, 2 * Math.PI);
+      ctx.clip();
+      ctx.fillStyle = projection.color;
+      ctx.globalAlpha = 0.22;
+      ctx.beginPath();
+      ctx.arc(g.cx, g.cy, radius(p.high) * g.r, 0, 2 * Math.PI);
+      ctx.arc(g.cx, g.cy, radius(p.low) * g.r, 0, 2 * Math.PI);
+      ctx.fill('evenodd');
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = projection.color;
+      ctx.lineWidth = 2.5;
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.arc(g.cx, g.cy, radius(p.median) * g.r, 0, 2 * Math.PI);
+      ctx.stroke();
+      ctx.restore();
+      ctx.fillStyle = tone.ink;
+      ctx.textAlign = 'center';
+      ctx.font = `bold 24px ${FONT}`;
+      ctx.fillText(String(p.year), g.cx, g.cy - 16);
+      ctx.font = `13px ${FONT}`;
+      ctx.fillText(I.t('spiral.caption.projection', { scenario: projection.label, value: I.temp(p.median, 2) }), g.cx, g.cy + 6);
+      ctx.fillStyle = tone.muted;
+      ctx.font = `12px ${FONT}`;
+      ctx.fillText(I.t('spiral.caption.range', { low: I.temp(p.low, 1), high: I.temp(p.high, 1) }), g.cx, g.cy + 24);
+    }
+
+    /**
+     * 变暖条纹的绘图区：区间起点至数据最后一年，每年一条
+     * @returns {{x:number, y:number, width:number, height:number, step:number}}
+     */
+    function stripeBox() {
+      const first = startIndex();
+      const n = Math.max(years.length - first, 1);
+      const x = 16, y = 70, width = size - 32, height = size - 110;
+      return { x, y, width, height, step: width / n };
+    }
+
+    /** 变暖条纹：按年平均距平着色，尚未播放到的年份留空 */
+    function drawStripes(ctx, k) {
+      const first = startIndex();
+      const box = stripeBox();
+      const lim = stripeLimit(years);
+      ctx.fillStyle = tone.panel;
+      ctx.fillRect(box.x, box.y, box.width, box.height);
+      for (let i = first; i <= k; i++) {
+        ctx.fillStyle = stripeColor(years[i].avgAnomaly, lim);
+        // 向外扩 0.5 像素，避免相邻条纹之间出现抗锯齿缝隙
+        ctx.fillRect(box.x + (i - first) * box.step - 0.25, box.y, box.step + 0.5, box.height);
+      }
+      if (first >= years.length) return;
+      ctx.fillStyle = tone.muted;
+      ctx.font = `11px ${FONT}`;
+      ctx.textAlign = 'left';
+      ctx.fillText(String(years[first].year), box.x, box.y + box.height + 16);
+      ctx.textAlign = 'right';
+      ctx.fillText(String(years[years.length - 1].year), box.x + box.width, box.y + box.height + 16);
+      ctx.textAlign = 'center';
+      ctx.fillText(window.ClimateI18n.t('spiral.caption.scale', { value: window.ClimateI18n.temp(lim, 1) }), box.x + box.width / 2, box.y + box.height + 16);
+    }
+
+    /**
+     * 绘制到指定年份（区间起点至上一年为细线，当前年份加粗并标注）
+     * @param {number} year
+     * @param {{year:number, month:number|null}} [highlight] - 悬停的数据点
+     */
+    function draw(year, highlight) {
+      if (!size) return;
+      const ctx = canvas.getContext('2d');
+      const k = years.findIndex(y => y.year === year);
+      const g = geometry();
+      const future = k < 0 ? projectedAt(year) : null;
+      shown = year;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      if (mode === 'stripes') {
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        drawStripes(ctx, k);
+        if (k < 0) return;
+        drawCaption(ctx, g, year, years[k].avgAnomaly);
+        const i = highlight ? years.findIndex(y => y.year === highlight.year) : -1;
+        if (i >= startIndex() && i <= k) {
+          const box = stripeBox();
+          ctx.strokeStyle = tone.strong;
+          ctx.lineWidth = 2;
+          ctx.strokeRect(box.x + (i - startIndex()) * box.step, box.y, box.step, box.height);
+        }
+        return;
+      }
+      if (future) {
+        bake(years.length - 1);
+        ctx.drawImage(cache, 0, 0);
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        drawProjection(ctx, g, future);
+        return;
+      }
+      bake(k - 1);
+      ctx.drawImage(cache, 0, 0);
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      if (k < 0) return;
+      if (k >= startIndex()) strokeYear(ctx, g, k, 3, 1);
+      // 螺旋塔在当前高度再画一组阈值环，便于与当年轨迹对比
+      if (mode === 'tower') drawTowerRings(ctx, g, Math.max(level(k), 0) * g.h, true);
+      drawCaption(ctx, g, year, years[k].avgAnomaly);
+      const i = highlight ? years.findIndex(y => y.year === highlight.year) : -1;
+      const m = i >= 0 && years[i].months.find(d => d.month === highlight.month);
+      if (m) {
+        const [px, py] = point(g, m.month, m.anomaly, i);
+        ctx.fillStyle = colorFor(m.anomaly, palette);
+        ctx.strokeStyle = tone.halo;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(px, py, 5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+
+    return {
+      /**
+       * 设置逐年数据（toYears() 的结果）
+       * @param {Array} data
+       */
+      setData(data) {
+        if (data === years) return;
+        years = data;
+        cachedUntil = null;
+      },
+      /**
+       * 更新绘制选项；任何一项变化都会重建缓存
+       * @param {{palette?:string, preindustrial?:number, start?:number, mode?:string, view?:{yaw:number, pitch:number},
+       *   theme?:string}} options - theme 为 ClimateTheme 的主题（'light' | 'dark' | 'contrast'），默认 'light'
+       */
+      setOptions(options) {
+        const next = {
+          palette: PALETTES[options.palette] ? options.palette : palette,
+          preindustrial: options.preindustrial != null ? options.preindustrial : preindustrial,
+          start: options.start !== undefined ? options.start : startYear,
+          mode: MODES[options.mode] ? options.mode : mode,
+          view: options.view ? clampView(options.view) : view,
+          theme: options.theme || theme,
+        };
+        if (next.palette === palette && next.preindustrial === preindustrial && next.start === startYear &&
+          next.mode === mode && next.view.yaw === view.yaw && next.view.pitch === view.pitch && next.theme === theme) return;
+        palette = next.palette;
+        preindustrial = next.preindustrial;
+        startYear = next.start;
+        mode = next.mode;
+        view = next.view;
+        if (next.theme !== theme) {
+          theme = next.theme;
+          tone = window.ClimateTheme.tokens(theme);
+        }
+        cachedUntil = null;
+      },
+      /**
+       * 设置情景预估；null 表示不显示
+       * @param {{label:string, color:string, points:Array}|null} data - ClimateProjection.fan() 的结果
+       */
+      setProjection(data) {
+        projection = data && data.points.length ? data : null;
+      },
+      /**
+       * 按 CSS 边长与当前 devicePixelRatio 设置画布尺寸
+       * @param {number} cssSize
+       * @returns {boolean} 尺寸是否变化
+       */
+      resize(cssSize) {
+        const ratio = window.devicePixelRatio || 1;
+        if (cssSize === size && ratio === dpr) return false;
+        size = cssSize;
+        dpr = ratio;
+        canvas.width = Math.round(size * dpr);
+        canvas.height = Math.round(size * dpr);
+        canvas.style.width = `${size}px`;
+        canvas.style.height = `${size}px`;
+        cachedUntil = null;
+        return true;
+      },
+      draw,
+      /**
+       * 查找 (x, y) 处的数据：螺旋视图取最近的月度点，条纹视图取所在年份（month 为 null，anomaly 为年平均）
+       * @param {number} x - 画布内 CSS 像素坐标
+       * @param {number} y
+       * @returns {{year:number, month:number|null, anomaly:number, x:number, y:number}|null}
+       */
+      hitTest(x, y) {
+        if (!size || shown === null) return null;
+        const first = startIndex();
+        if (mode === 'stripes') {
+          const box = stripeBox();
+          if (x < box.x || x >= box.x + box.width || y < box.y || y > box.y + box.height) return null;
+          const i = first + Math.floor((x - box.x) / box.step);
+          const d = years[i];
+          if (!d || d.year > shown) return null;
+          return { year: d.year, month: null, anomaly: d.avgAnomaly, x, y };
+        }
+        const g = geometry();
+        let best = null;
+        let dist = HIT_RADIUS * HIT_RADIUS;
+        for (let i = first; i < years.length && years[i].year <= shown; i++) {
+          years[i].months.forEach(m => {
+            const [px, py] = point(g, m.month, m.anomaly, i);
+            const d = (px - x) * (px - x) + (py - y) * (py - y);
+            // 螺旋塔中投影后的点可能重叠，距离相同时取较新的年份（位于上层）
+            if (d <= dist) {
+              dist = d;
+              best = { year: years[i].year, month: m.month, anomaly: m.anomaly, x: px, y: py };
+            }
+          });
+        }
+        return best;
+      },
+    };
+  }
+
+  window.ClimateSpiral = {
+    PALETTES,
+    DEFAULT_PALETTE,
+    MODES,
+    DEFAULT_MODE,
+    DEFAULT_VIEW,
+    colorFor,
+    toYears,
+    fitSize,
+    create,
+  };
+})();
@@ -0,0 +1,425 @@
+/**
+ * 气候变化分析平台 - 统计分析
+ * Climate Change Analysis Platform - Statistics
+ *
+ * 功能：基于已加载的距平序列计算线性趋势、分窗口升温速率、分段（转折点）趋势与加速倍数，
+ * 以及基线漂移卡片所需的分布估计（核密度 / 直方图）、σ 超越概率、年份排名与纪录概况，
+ * 为各卡片的图表与结论文字提供数值。
+ *
+ * 说明：
+ * - 趋势为普通最小二乘（OLS）斜率；置信区间按残差一阶自相关修正有效样本量
+ *   （n_eff = n(1-r1)/(1+r1)，Santer et al. 2008），再取 t 分布 95% 临界值；
+ * - 所有速率以 °C/十年 返回；
+ * - 核密度默认使用 Silverman 经验带宽；
+ * - 转折点为连续分段线性（铰链）拟合，0-2 个转折点中按 BIC 选择最优模型；
+ * - 通过 window.ClimateStats 暴露接口，输入均为 [{year, anomaly}] 序列。
+ */
+(function () {
+  'use strict';
+
+  // df = 1…30 的双侧 95% t 临界值（t 分布 0.975 分位数表，保留三位小数）
+  const T95 = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+  ];
+
+  /**
+   * 双侧 95% 的 t 分布临界值
+   * df ≤ 30 查表（有效样本量修正后 df 多为小数，在相邻整数间线性插值，df < 1 按 1 取值）；
+   * df > 30 使用 Cornish-Fisher 展开，与精确值相差不到 1e-6
+   * @param {number} df - 自由度
+   * @returns {number}
+   */
+  function tCritical95(df) {
+    if (!(df > 0)) return Infinity;
+    if (df <= 30) {
+      if (df <= 1) return T95[0];
+      const i = Math.floor(df);
+      return T95[i - 1] + (T95[Math.min(i, 29)] - T95[i - 1]) * (df - i);
+    }
+    const z = 1.959964;
+    const z3 = z ** 3, z5 = z ** 5, z7 = z ** 7, z9 = z ** 9;
+    return z
+      + (z3 + z) / (4 * df)
+      + (5 * z5 + 16 * z3 + 3 * z) / (96 * df ** 2)
+      + (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df ** 3)
+      + (79 * z9 + 776 * z7 + 1482 * z5 - 1920 * z3 - 945 * z) / (92160 * df ** 4);
+  }
+
+  /**
+   * 普通最小二乘线性趋势（含自相关修正的 95% 置信区间）
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @returns {{slope:number, intercept:number, se:number, ciLow:number, ciHigh:number, n:number, nEff:number, r1:number, r2:number}|null}
+   *   slope / se / ci 单位为 °C/年；点数不足 3 时返回 null
+   */
+  function ols(series) {
+    const n = series.length;
+    if (n < 3) return null;
+    const xm = series.reduce((s, p) => s + p.year, 0) / n;
+    const ym = series.reduce((s, p) => s + p.anomaly, 0) / n;
+    let sxx = 0, sxy = 0, syy = 0;
+    series.forEach(p => {
+      sxx += (p.year - xm) ** 2;
+      sxy += (p.year - xm) * (p.anomaly - ym);
+      syy += (p.anomaly - ym) ** 2;
+    });
+    if (sxx === 0) return null;
+    const slope = sxy / sxx;
+    const intercept = ym - slope * xm;
+    const resid = series.map(p => p.anomaly - (intercept + slope * p.year));
+    const sse = resid.reduce((s, e) => s + e * e, 0);
+    // 残差一阶自相关：年际距平存在持续性，忽略它会低估不确定性
+    let lagged = 0;
+    for (let i = 1; i < n; i++) lagged += resid[i] * resid[i - 1];
+    const r1 = sse > 0 ? lagged / sse : 0;
+    const nEff = r1 > 0 ? Math.max(3, n * (1 - r1) / (1 + r1)) : n;
+    const se = Math.sqrt(sse / (nEff - 2) / sxx);
+    const half = tCritical95(nEff - 2) * se;
+    return {
+      slope,
+      intercept,
+      se,
+      ciLow: slope - half,
+      ciHigh: slope + half,
+      n,
+      nEff,
+      r1,
+      r2: syy > 0 ? 1 - sse / syy : 0,
+    };
+  }
+
+  /**
+   * 将单位为 °C/年 的趋势结果换算为 °C/十年 的速率描述
+   * @param {object} fit - ols() 结果
+   * @param {number} start - 窗口起始年
+   * @param {number} end - 窗口结束年
+   * @returns {{start:number, end:number, n:number, rate:number, ciLow:number, ciHigh:number, se:number, significant:boolean}}
+   */
+  function toRate(fit, start, end) {
+    return {
+      start,
+      end,
+      n: fit.n,
+      rate: round3(fit.slope * 10),
+      ciLow: round3(fit.ciLow * 10),
+      ciHigh: round3(fit.ciHigh * 10),
+      se: round3(fit.se * 10),
+      significant: fit.ciLow > 0 || fit.ciHigh < 0,
+    };
+  }
+
+  /**
+   * 保留三位小数
+   * @param {number} v
+   * @returns {number}
+   */
+  function round3(v) {
+    return Math.round(v * 1000) / 1000;
+  }
+
+  /**
+   * 指定年份区间内的升温速率
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @param {number} start - 起始年（含）
+   * @param {number} [end] - 结束年（含），缺省到序列末尾
+   * @returns {object|null} toRate() 结构，数据不足时为 null
+   */
+  function rateBetween(series, start, end) {
+    const last = end == null ? Infinity : end;
+    const part = series.filter(p => p.year >= start && p.year <= last);
+    const fit = ols(part);
+    return fit ? toRate(fit, part[0].year, part[part.length - 1].year) : null;
+  }
+
+  /**
+   * 分窗口升温速率
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @param {{length?:number, mode?:'fixed'|'rolling'}} [options]
+   *   fixed：从首个整十年开始、互不重叠的窗口；rolling：逐年滑动，以窗口结束年标注
+   * @returns {Array<object>} toRate() 结构并附 label、partial（末尾不完整窗口）
+   */
+  function windowTrends(series, options) {
+    const length = (options && options.length) || 10;
+    const mode = (options && options.mode) || 'fixed';
+    if (!series.length) return [];
+    const first = series[0].year;
+    const last = series[series.length - 1].year;
+    const out = [];
+    if (mode === 'rolling') {
+      for (let end = first + length - 1; end <= last; end++) {
+        const r = rateBetween(series, end - length + 1, end);
+        if (r) out.push({ ...r, label: String(end), partial: false });
+      }
+      return out;
+    }
+    for (let start = Math.floor(first / 10) * 10; start <= last; start += length) {
+      const r = rateBetween(series, start, start + length - 1);
+      // 末尾不足半个窗口的残段趋势噪声过大，不予展示
+      if (!r || r.n < Math.max(3, length / 2)) continue;
+      const partial = r.n < length;
+      out.push({ ...r, label: `${start}-${partial ? r.end : start + length - 1}`, partial });
+    }
+    return out;
+  }
+
+  /**
+   * 高斯消元求解线性方程组
+   * @param {number[][]} a - 系数矩阵（会被修改）
+   * @param {number[]} b - 常数向量（会被修改）
+   * @returns {number[]|null} 奇异时返回 null
+   */
+  function solve(a, b) {
+    const n = b.length;
+    for (let i = 0; i < n; i++) {
+      let pivot = i;
+      for (let r = i + 1; r < n; r++) if (Math.abs(a[r][i]) > Math.abs(a[pivot][i])) pivot = r;
+      if (Math.abs(a[pivot][i]) < 1e-12) return null;
+      [a[i], a[pivot]] = [a[pivot], a[i]];
+      [b[i], b[pivot]] = [b[pivot], b[i]];
+      for (let r = i + 1; r < n; r++) {
+        const f = a[r][i] / a[i][i];
+        for (let c = i; c < n; c++) a[r][c] -= f * a[i][c];
+        b[r] -= f * b[i];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+      let s = b[i];
+      for (let c = i + 1; c < n; c++) s -= a[i][c] * x[c];
+      x[i] = s / a[i][i];
+    }
+    return x;
+  }
+
+  /**
+   * 以给定转折点拟合连续分段线性模型
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @param {number[]} breaks - 转折年份（升序）
+   * @returns {{coef:number[], sse:number}|null}
+   */
+  function fitHinge(series, breaks) {
+    const x0 = series[0].year;
+    const rows = series.map(p => [1, p.year - x0].concat(breaks.map(t => Math.max(0, p.year - t))));
+    const k = rows[0].length;
+    const ata = Array.from({ length: k }, () => new Array(k).fill(0));
+    const aty = new Array(k).fill(0);
+    rows.forEach((r, i) => {
+      for (let a = 0; a < k; a++) {
+        aty[a] += r[a] * series[i].anomaly;
+        for (let b = 0; b < k; b++) ata[a][b] += r[a] * r[b];
+      }
+    });
+    const coef = solve(ata, aty);
+    if (!coef) return null;
+    const sse = rows.reduce((s, r, i) => {
+      const e = series[i].anomaly - r.reduce((acc, v, j) => acc + v * coef[j], 0);
+      return s + e * e;
+    }, 0);
+    return { coef, sse };
+  }
+
+  /**
+   * 转折点检测：在 0-maxBreaks 个转折点的连续分段线性模型中按 BIC 选优
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @param {{maxBreaks?:number, minSegment?:number}} [options] - minSegment 为每段最少年数
+   * @returns {{breaks:number[], segments:Array<object>, fitted:Array<{year:number, value:number}>, models:Array<{breaks:number[], bic:number}>}|null}
+   */
+  function changepoints(series, options) {
+    const maxBreaks = Math.min(2, (options && options.maxBreaks) != null ? options.maxBreaks : 2);
+    const minSegment = (options && options.minSegment) || 15;
+    const n = series.length;
+    if (n < 2 * minSegment) return null;
+    const first = series[0].year;
+    const last = series[n - 1].year;
+    // BIC = n·ln(SSE/n) + k·ln(n)，转折年份本身也计为待估参数
+    const bic = (sse, breaks) => n * Math.log(sse / n) + (2 + 2 * breaks) * Math.log(n);
+
+    const models = [];
+    const best = [];
+    const base = fitHinge(series, []);
+    best[0] = { breaks: [], fit: base, bic: bic(base.sse, 0) };
+    if (maxBreaks >= 1) {
+      for (let t = first + minSegment; t <= last - minSegment; t++) {
+        const fit = fitHinge(series, [t]);
+        if (fit && (!best[1] || fit.sse < best[1].fit.sse)) best[1] = { breaks: [t], fit };
+      }
+      if (best[1]) best[1].bic = bic(best[1].fit.sse, 1);
+    }
+    if (maxBreaks >= 2) {
+      for (let t1 = first + minSegment; t1 <= last - 2 * minSegment; t1++) {
+        for (let t2 = t1 + minSegment; t2 <= last - minSegment; t2++) {
+          const fit = fitHinge(series, [t1, t2]);
+          if (fit && (!best[2] || fit.sse < best[2].fit.sse)) best[2] = { breaks: [t1, t2], fit };
+        }
+      }
+      if (best[2]) best[2].bic = bic(best[2].fit.sse, 2);
+    }
+    best.filter(Boolean).forEach(m => models.push({ breaks: m.breaks, bic: Math.round(m.bic * 10) / 10 }));
+    const chosen = best.filter(Boolean).reduce((a, b) => (b.bic < a.bic ? b : a));
+
+    const { coef } = chosen.fit;
+    const bounds = [first].concat(chosen.breaks, [last]);
+    const segments = bounds.slice(0, -1).map((start, i) => {
+      // 第 i 段斜率 = 基础斜率 + 前 i 个铰链项系数之和
+      const slope = coef.slice(1, 2 + i).reduce((s, v) => s + v, 0);
+      const end = bounds[i + 1];
+      const ci = rateBetween(series, start, end);
+      return {
+        start,
+        end,
+        rate: round3(slope * 10),
+        ciLow: ci ? ci.ciLow : null,
+        ciHigh: ci ? ci.ciHigh : null,
+      };
+    });
+    const fitted = series.map(p => ({
+      year: p.year,
+      value: Math.round((coef[0] + coef[1] * (p.year - first)
+        + chosen.breaks.reduce((s, t, j) => s + coef[2 + j] * Math.max(0, p.year - t), 0)) * 100) / 100,
+    }));
+    return { breaks: chosen.breaks, segments, fitted, models };
+  }
+
+  /**
+   * 近期与全记录升温速率对比（用于"自 1982 年以来速率是历史平均的 N 倍"之类的结论）
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @param {number} [since=1982] - 近期起始年
+   * @returns {{since:number, recent:object, overall:object, ratio:number}|null}
+   */
+  function acceleration(series, since) {
+    const from = since || 1982;
+    const recent = rateBetween(series, from);
+    const overall = series.length ? rateBetween(series, series[0].year) : null;
+    if (!recent || !overall || overall.rate <= 0) return null;
+    return { since: from, recent, overall, ratio: Math.round(recent.rate / overall.rate * 10) / 10 };
+  }
+
+  /**
+   * 均值与标准差（总体标准差）
+   * @param {number[]} values
+   * @returns {{n:number, mean:number, sd:number}}
+   */
+  function summary(values) {
+    const n = values.length;
+    if (!n) return { n: 0, mean: NaN, sd: NaN };
+    const mean = values.reduce((s, v) => s + v, 0) / n;
+    const sd = Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / n);
+    return { n, mean, sd };
+  }
+
+  /**
+   * Silverman 经验带宽 h = 0.9·min(σ, IQR/1.34)·n^(-1/5)
+   * @param {number[]} values
+   * @returns {number}
+   */
+  function silvermanBandwidth(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const q = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const spread = Math.min(summary(values).sd, (q(0.75) - q(0.25)) / 1.34) || summary(values).sd;
+    return 0.9 * spread * Math.pow(values.length, -0.2);
+  }
+
+  /**
+   * 高斯核密度估计
+   * @param {number[]} values - 样本
+   * @param {number[]} xs - 求值点
+   * @param {number} [bandwidth] - 带宽，缺省使用 Silverman 经验带宽
+   * @returns {number[]} 各求值点的概率密度
+   */
+  function kde(values, xs, bandwidth) {
+    const n = values.length;
+    if (!n) return xs.map(() => 0);
+    const h = bandwidth || silvermanBandwidth(values) || 0.05;
+    const norm = 1 / (n * h * Math.sqrt(2 * Math.PI));
+    return xs.map(x => values.reduce((s, v) => s + Math.exp(-0.5 * ((x - v) / h) ** 2), 0) * norm);
+  }
+
+  /**
+   * 按固定组距统计直方图（分组边界对齐到组距的整数倍）
+   * @param {number[]} values
+   * @param {number} binWidth - 组距
+   * @returns {Map<number, number>} 键为分组下界（按组距取整后的索引），值为样本数
+   */
+  function histogram(values, binWidth) {
+    const bins = new Map();
+    values.forEach(v => {
+      const k = Math.floor(v / binWidth + 1e-9);
+      bins.set(k, (bins.get(k) || 0) + 1);
+    });
+    return bins;
+  }
+
+  /**
+   * 超过阈值的样本比例
+   * @param {number[]} values
+   * @param {number} threshold
+   * @returns {number} 0-1
+   */
+  function exceedance(values, threshold) {
+    return values.length ? values.filter(v => v > threshold).length / values.length : 0;
+  }
+
+  /**
+   * 某一年份在全部年份中的冷暖排名（1 = 最热）
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @param {number} year
+   * @returns {{year:number, anomaly:number, rank:number, total:number, recordWhenSet:boolean, warmer:number[]}|null}
+   *   recordWhenSet 表示该年在当时是否刷新了此前的最高纪录；warmer 为比它更热的年份（升序）
+   */
+  function rankYear(series, year) {
+    const point = series.find(p => p.year === year);
+    if (!point) return null;
+    const warmer = series.filter(p => p.anomaly > point.anomaly).map(p => p.year);
+    const before = series.filter(p => p.year < year);
+    return {
+      year,
+      anomaly: point.anomaly,
+      rank: warmer.length + 1,
+      total: series.length,
+      recordWhenSet: before.length > 0 && before.every(p => p.anomaly < point.anomaly),
+      warmer,
+    };
+  }
+
+  /**
+   * 纪录概况：最新年份的排名、最热年份、最热 N 年的起始年份，以及若干年前纪录保持者如今的排名
+   * @param {Array<{year:number, anomaly:number}>} series
+   * @param {{top?:number, lookback?:number}} [options] - top 最热年数（默认 10），lookback 回看年数（默认 20）
+   * @returns {{latest:object, warmest:{year:number, anomaly:number}, top:{count:number, since:number}, former:object|null}|null}
+   *   latest / former 为 rankYear() 的结果；former 为截至 lastYear - lookback 的最热年份，序列不够长时为 null
+   */
+  function records(series, options) {
+    if (!series.length) return null;
+    const opts = options || {};
+    const top = opts.top || 10;
+    const lookback = opts.lookback || 20;
+    const last = series[series.length - 1].year;
+    const sorted = series.slice().sort((a, b) => b.anomaly - a.anomaly);
+    const hottest = sorted.slice(0, top);
+    const earlier = series.filter(p => p.year <= last - lookback);
+    const formerYear = earlier.length ? earlier.reduce((m, p) => (p.anomaly > m.anomaly ? p : m)).year : null;
+    return {
+      latest: rankYear(series, last),
+      warmest: { year: sorted[0].year, anomaly: sorted[0].anomaly },
+      top: { count: hottest.length, since: Math.min(...hottest.map(p => p.year)) },
+      former: formerYear === null ? null : rankYear(series, formerYear),
+    };
+  }
+
+  window.ClimateStats = {
+    ols,
+    tCritical95,
+    rateBetween,
+    windowTrends,
+    changepoints,
+    acceleration,
+    summary,
+    silvermanBandwidth,
+    kde,
+    histogram,
+    exceedance,
+    rankYear,
+    records,
+  };
+})();
@@ -0,0 +1,191 @@
+/**
+ * 气候变化分析平台 - 界面主题
+ * Climate Change Analysis Platform - Theme
+ *
+ * 功能：在浅色、深色、高对比度与跟随系统之间切换界面主题，记住用户的选择，
+ * 并把 climate-theme.css 中按主题定义的颜色变量提供给画布绘制的图形（气候螺旋、地图）使用。
+ *
+ * 说明：
+ * - 颜色只在 climate-theme.css 中定义：[data-theme] 选择器给出各主题的变量值，卡片、Recharts 坐标轴与网格线
+ *   通过样式规则直接使用变量；画布无法读取 CSS，由 tokens() 读出当前（或指定）主题的变量值；
+ * - 主题写在 <html data-theme>，深色主题同时加上 .dark 类，沿用样式表中已有的深色变体；
+ * - 跟随系统时按 prefers-contrast: more → 高对比度、prefers-color-scheme: dark → 深色，系统设置变化时随之切换；
+ * - 选择保存在 localStorage（'climate-theme'），无法写入时只在本次访问内生效；
+ * - 打印报告等需要固定主题的视图用 lock() 临时指定主题，不改变也不保存用户的选择；
+ * - 在 <head> 中同步加载，首次绘制前就设置好主题，避免页面先以浅色闪现；
+ * - 通过 window.ClimateTheme 暴露接口。
+ */
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'climate-theme';
+  /** 可选的主题（system 表示跟随系统） */
+  const THEMES = ['system', 'light', 'dark', 'contrast'];
+
+  /**
+   * 画布用到的颜色变量及浅色默认值（样式表未加载时使用）
+   * ramp 为地图 11 级色阶，变量值为逗号分隔的颜色列表
+   */
+  const TOKENS = {
+    ink: ['--climate-canvas-ink', '#1f2937'],
+    muted: ['--climate-canvas-muted', '#6b7280'],
+    faint: ['--climate-canvas-faint', '#9ca3af'],
+    rule: ['--climate-canvas-rule', '#d1d5db'],
+    panel: ['--climate-canvas-panel', '#f3f4f6'],
+    strong: ['--climate-canvas-strong', '#111827'],
+    halo: ['--climate-canvas-halo', '#ffffff'],
+    ocean: ['--climate-map-ocean', '#eff6ff'],
+    coast: ['--climate-map-coast', '#93c5fd'],
+    empty: ['--climate-map-empty', '#e5e7eb'],
+    ramp: ['--climate-map-ramp', '#1e3a8a,#1e40af,#3b82f6,#60a5fa,#93c5fd,#fbbf24,#f59e0b,#f97316,#ea580c,#dc2626,#991b1b'],
+  };
+
+  const media = {
+    dark: window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null,
+    contrast: window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null,
+  };
+
+  /** @type {Set<Function>} */
+  const listeners = new Set();
+  /** @type {Object<string, object>} 按主题缓存的 tokens() 结果 */
+  const tokenCache = {};
+  /** lock() 指定的主题 */
+  let locked = null;
+
+  /**
+   * 读取保存的选择
+   * @returns {string}
+   */
+  function stored() {
+    try {
+      const value = window.localStorage.getItem(STORAGE_KEY);
+      return THEMES.includes(value) ? value : 'system';
+    } catch (_) {
+      return 'system';
+    }
+  }
+
+  /**
+   * 选择 → 实际使用的主题
+   * @param {string} choice
+   * @returns {'light'|'dark'|'contrast'}
+   */
+  function resolve(choice) {
+    if (locked) return locked;
+    if (choice !== 'system') return choice;
+    if (media.contrast && media.contrast.matches) return 'contrast';
+    if (media.dark && media.dark.matches) return 'dark';
+    return 'light';
+  }
+
+  /** @type {{choice:string, theme:'light'|'dark'|'contrast'}} choice 为用户的选择，theme 为实际使用的主题 */
+  let state = Object.freeze({ choice: stored(), theme: 'light' });
+
+  function getState() {
+    return state;
+  }
+
+  /**
+   * 订阅主题变化（签名与 React useSyncExternalStore 的 subscribe 参数兼容）
+   * @param {Function} fn
+   * @returns {Function} 取消订阅
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /** 把当前主题写到 <html> */
+  function apply() {
+    const root = document.documentElement;
+    root.setAttribute('data-theme', state.theme);
+    root.classList.toggle('dark', state.theme === 'dark');
+    root.style.colorScheme = state.theme === 'dark' ? 'dark' : 'light';
+  }
+
+  /**
+   * 按选择更新状态并通知订阅者
+   * @param {string} choice
+   */
+  function update(choice) {
+    const next = { choice, theme: resolve(choice) };
+    if (next.choice === state.choice && next.theme === state.theme) return;
+    state = Object.freeze(next);
+    apply();
+    listeners.forEach(fn => {
+      try { fn(state); } catch (_) {}
+    });
+  }
+
+  /**
+   * 切换主题并保存选择
+   * @param {string} choice - THEMES 之一
+   */
+  function set(choice) {
+    if (!THEMES.includes(choice)) throw new Error(`Unknown theme "${choice}"`);
+    try {
+      if (choice === 'system') window.localStorage.removeItem(STORAGE_KEY);
+      else window.localStorage.setItem(STORAGE_KEY, choice);
+    } catch (_) {
+      // 隐私模式等无法写入时只在本次访问内生效
+    }
+    update(choice);
+  }
+
+  /**
+   * 临时固定主题（不保存）；传 null 恢复用户的选择
+   * @param {'light'|'dark'|'contrast'|null} theme
+   */
+  function lock(theme) {
+    locked = theme || null;
+    update(state.choice);
+  }
+
+  /**
+   * 画布绘制用的颜色（从样式表读取，结果按主题缓存）
+   * @param {'light'|'dark'|'contrast'} [theme] - 默认为当前主题；导出图片时传 'light'
+   * @returns {{ink:string, muted:string, faint:string, rule:string, panel:string, strong:string, halo:string,
+   *   ocean:string, coast:string, empty:string, ramp:string[]}}
+   */
+  function tokens(theme) {
+    const key = theme || state.theme;
+    if (tokenCache[key]) return tokenCache[key];
+    // 用带 data-theme 的隐藏元素读取指定主题的变量，不影响页面当前主题
+    const probe = document.createElement('div');
+    probe.setAttribute('data-theme', key);
+    probe.hidden = true;
+    document.body.appendChild(probe);
+    const style = window.getComputedStyle(probe);
+    const out = {};
+    Object.keys(TOKENS).forEach(name => {
+      const [variable, fallback] = TOKENS[name];
+      out[name] = style.getPropertyValue(variable).trim() || fallback;
+    });
+    // 样式表尚未加载时不缓存默认值
+    const loaded = !!style.getPropertyValue(TOKENS.ink[0]).trim();
+    probe.remove();
+    out.ramp = out.ramp.split(',').map(c => c.trim());
+    Object.freeze(out);
+    if (loaded) tokenCache[key] = out;
+    return out;
+  }
+
+  Object.values(media).forEach(query => {
+    if (!query) return;
+    const onChange = () => update(state.choice);
+    if (query.addEventListener) query.addEventListener('change', onChange);
+    else if (query.addListener) query.addListener(onChange);
+  });
+
+  state = Object.freeze({ choice: state.choice, theme: resolve(state.choice) });
+  apply();
+
+  window.ClimateTheme = {
+    THEMES,
+    getState,
+    subscribe,
+    set,
+    lock,
+    tokens,
+  };
+})();
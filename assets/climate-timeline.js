@@ -0,0 +1,289 @@
+/**
+ * 气候变化分析平台 - 时间轴播放控制
+ * Climate Change Analysis Platform - Timeline Playback Controller
+ *
+ * 功能：供气候螺旋、地理分布等逐年动画卡片共用的播放控制器，包含播放 / 暂停、单步前进与后退、
+ * 速度档位、年份拖动、起止年份区间与循环播放，以及统一的键盘快捷键。
+ *
+ * 说明：
+ * - 控制器只负责"当前年份"的推进，画面由卡片根据年份自行重绘；
+ * - 以 requestAnimationFrame 计时并累计经过时间，帧率波动或标签页节流时不会跳年或加速；
+ * - 播放只在 [start, end] 区间内进行，年份滑块仍可拖到数据的全部范围；
+ * - getState() 返回的快照仅在变化时替换，可直接用于 React useSyncExternalStore；
+ * - 通过 window.ClimateTimeline 暴露接口，无第三方依赖。
+ */
+(function () {
+  'use strict';
+
+  /** 速度档位（相对基础间隔的倍数） */
+  const SPEEDS = [0.5, 1, 2, 4];
+  /** 每年默认停留时间（毫秒，1× 速度） */
+  const DEFAULT_INTERVAL = 200;
+
+  /** 键盘快捷键说明（界面提示与无障碍描述共用）：[按键, 说明的消息键]，按键中的 {space} 为空格键名称 */
+  const SHORTCUTS = [
+    ['{space} / K', 'timeline.shortcut.toggle'],
+    ['← / →', 'timeline.shortcut.step'],
+    ['Home / End', 'timeline.shortcut.bounds'],
+    ['[ / ]', 'timeline.shortcut.range'],
+    ['- / +', 'timeline.shortcut.speed'],
+    ['L', 'timeline.shortcut.loop'],
+  ];
+
+  const frame = typeof window.requestAnimationFrame === 'function'
+    ? cb => window.requestAnimationFrame(cb)
+    : cb => setTimeout(() => cb(Date.now()), 16);
+  const cancelFrame = typeof window.cancelAnimationFrame === 'function'
+    ? id => window.cancelAnimationFrame(id)
+    : id => clearTimeout(id);
+
+  function clamp(v, lo, hi) {
+    return Math.min(Math.max(v, lo), hi);
+  }
+
+  /**
+   * 创建播放控制器
+   * @param {object} options
+   * @param {number} options.min - 数据起始年份
+   * @param {number} options.max - 数据结束年份
+   * @param {number} [options.value] - 初始年份（缺省为 min）
+   * @param {number} [options.interval=DEFAULT_INTERVAL] - 1× 速度下每年停留的毫秒数
+   * @param {number} [options.speed=1]
+   * @param {boolean} [options.loop=false]
+   * @param {Function} [options.onChange] - 年份变化时回调（参数为新年份）
+   * @returns {object} 控制器
+   */
+  function create(options) {
+    const interval = options.interval || DEFAULT_INTERVAL;
+    const onChange = options.onChange;
+    /** @type {Set<Function>} */
+    const listeners = new Set();
+    let state = {
+      min: options.min,
+      max: options.max,
+      start: options.min,
+      end: options.max,
+      value: clamp(options.value != null ? options.value : options.min, options.min, options.max),
+      playing: false,
+      speed: SPEEDS.includes(options.speed) ? options.speed : 1,
+      loop: !!options.loop,
+    };
+    let handle = null;
+    let last = 0;
+    let elapsed = 0;
+
+    function update(patch) {
+      const prev = state;
+      state = { ...state, ...patch };
+      listeners.forEach(fn => {
+        try { fn(state); } catch (_) {}
+      });
+      if (state.value !== prev.value && onChange) onChange(state.value);
+    }
+
+    /** 前进一年；到达区间终点时循环回起点或停止 */
+    function advance() {
+      if (state.value >= state.end || state.value < state.start) {
+        if (state.loop) update({ value: state.start });
+        else pause();
+        return;
+      }
+      update({ value: state.value + 1 });
+    }
+
+    function tick(now) {
+      handle = null;
+      if (!state.playing) return;
+      elapsed += now - last;
+      last = now;
+      const step = interval / state.speed;
+      // 标签页切回时经过时间可能很长，最多补一帧，避免一次跳过多年
+      if (elapsed >= step) {
+        elapsed = Math.min(elapsed - step, step);
+        advance();
+      }
+      if (state.playing) handle = frame(tick);
+    }
+
+    function play() {
+      if (state.playing || state.start >= state.end) return;
+      const patch = { playing: true };
+      // 已在区间终点或区间外时从起点重新开始
+      if (state.value >= state.end || state.value < state.start) patch.value = state.start;
+      elapsed = 0;
+      last = typeof performance !== 'undefined' ? performance.now() : Date.now();
+      update(patch);
+      handle = frame(tick);
+    }
+
+    function pause() {
+      if (handle !== null) cancelFrame(handle);
+      handle = null;
+      if (state.playing) update({ playing: false });
+    }
+
+    function toggle() {
+      if (state.playing) pause();
+      else play();
+    }
+
+    /**
+     * 跳到指定年份（限制在数据范围内，不影响播放状态）
+     * @param {number} year
+     */
+    function seek(year) {
+      const value = clamp(Math.round(year), state.min, state.max);
+      if (value !== state.value) update({ value });
+    }
+
+    /**
+     * 单步移动（暂停播放）
+     * @param {number} delta - 年数，负数为后退
+     */
+    function step(delta) {
+      pause();
+      seek(state.value + delta);
+    }
+
+    /**
+     * 设置播放区间（自动排序并限制在数据范围内）
+     * @param {number} start
+     * @param {number} end
+     */
+    function setRange(start, end) {
+      let a = clamp(Math.round(start), state.min, state.max);
+      let b = clamp(Math.round(end), state.min, state.max);
+      if (a > b) [a, b] = [b, a];
+      if (a !== state.start || b !== state.end) update({ start: a, end: b });
+      if (a === b) pause();
+    }
+
+    /**
+     * 数据范围变化（切换数据集）时更新上下界；区间原本覆盖全部数据时继续覆盖全部
+     * @param {number} min
+     * @param {number} max
+     */
+    function setBounds(min, max) {
+      if (min === state.min && max === state.max) return;
+      const start = state.start === state.min ? min : clamp(state.start, min, max);
+      const end = state.end === state.max ? max : clamp(state.end, min, max);
+      update({ min, max, start: Math.min(start, end), end: Math.max(start, end), value: clamp(state.value, min, max) });
+    }
+
+    function setSpeed(speed) {
+      if (SPEEDS.includes(speed) && speed !== state.speed) update({ speed });
+    }
+
+    /**
+     * 切换到相邻速度档位
+     * @param {number} delta - +1 加速，-1 减速
+     */
+    function shiftSpeed(delta) {
+      const i = clamp(SPEEDS.indexOf(state.speed) + delta, 0, SPEEDS.length - 1);
+      setSpeed(SPEEDS[i]);
+    }
+
+    function setLoop(loop) {
+      if (!!loop !== state.loop) update({ loop: !!loop });
+    }
+
+    return {
+      getState: () => state,
+      subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+      },
+      play,
+      pause,
+      toggle,
+      seek,
+      step,
+      first: () => seek(state.start),
+      last: () => seek(state.end),
+      setRange,
+      setBounds,
+      setSpeed,
+      shiftSpeed,
+      setLoop,
+      /** 停止计时并移除所有订阅（卡片卸载时调用） */
+      destroy() {
+        pause();
+        listeners.clear();
+      },
+    };
+  }
+
+  /**
+   * 处理键盘快捷键；焦点位于文本输入、下拉框或按钮上时不拦截其自身的按键
+   * @param {object} timeline - create() 的结果
+   * @param {KeyboardEvent} e
+   * @returns {boolean} 是否已处理
+   */
+  function handleKey(timeline, e) {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return false;
+    const el = e.target;
+    const tag = el && el.tagName ? el.tagName.toLowerCase() : '';
+    const range = tag === 'input' && el.type === 'range';
+    if ((tag === 'input' && !range) || tag === 'select' || tag === 'textarea' || (el && el.isContentEditable)) return false;
+    const s = timeline.getState();
+    switch (e.key) {
+      case ' ':
+      case 'k':
+      case 'K':
+        // 按钮上的空格会触发点击，交给按钮本身
+        if (e.key === ' ' && tag === 'button') return false;
+        timeline.toggle();
+        break;
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'Home':
+      case 'End':
+        // 滑块自带方向键与 Home / End 行为
+        if (range) return false;
+        if (e.key === 'ArrowLeft') timeline.step(-1);
+        else if (e.key === 'ArrowRight') timeline.step(1);
+        else if (e.key === 'Home') timeline.first();
+        else timeline.last();
+        break;
+      case '[':
+        timeline.setRange(s.value, Math.max(s.value, s.end));
+        break;
+      case ']':
+        timeline.setRange(Math.min(s.value, s.start), s.value);
+        break;
+      case '-':
+      case '_':
+        timeline.shiftSpeed(-1);
+        break;
+      case '+':
+      case '=':
+        timeline.shiftSpeed(1);
+        break;
+      case 'l':
+      case 'L':
+        timeline.setLoop(!s.loop);
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
+  /**
+   * 按当前界面语言描述快捷键
+   * @returns {string[]} 每项如 "L 切换循环播放"
+   */
+  function describeShortcuts() {
+    const t = window.ClimateI18n.t;
+    return SHORTCUTS.map(([keys, action]) => `${keys.replace('{space}', t('timeline.space'))} ${t(action)}`);
+  }
+
+  window.ClimateTimeline = {
+    SPEEDS,
+    SHORTCUTS,
+    describeShortcuts,
+    create,
+    handleKey,
+  };
+})();
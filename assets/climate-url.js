@@ -0,0 +1,229 @@
+/**
+ * 气候变化分析平台 - 链接状态同步
+ * Climate Change Analysis Platform - URL State Sync
+ *
+ * 功能：把当前视图状态写入地址栏，打开分享链接时恢复同一视图。
+ * 查询参数：
+ *   ds      数据集 ID（缺省为清单默认数据集）
+ *   base    基准期 ID（缺省为 1951-1980）
+ *   accel   变暖加速度视图：decadal | rolling | changepoint；window 窗口长度（年）
+ *   decade  基线漂移卡片选中的年代，如 1980s；dist 分布形式：kde | hist
+ *   spiral  气候螺旋当前年份；palette 螺旋配色：classic | colorblind；view 螺旋卡片视图：spiral | tower | stripes
+ *   geo     地理分布年份；scale 显示模式：absolute | relative；layer 图层：grid | country
+ *   country 选中的国家（ISO 3166-1 二位字母代码，无代码时为数字代码或英文名）；drill 国家详细分析是否展开；
+ *           compare 对比的国家（逗号分隔）；group 区域汇总方式
+ *   ssp     温度趋势与气候螺旋卡片共用的排放情景，如 ssp245（缺省不显示预估）
+ * 地址栏的 #hash 为当前区域（overview / trends / warming / baseline / spiral / geography）。
+ *
+ * 说明：
+ * - 控件变化生成新的历史记录；1 秒内的连续变化（拖动滑块、自动播放）合并为一条，避免刷屏；
+ * - 浏览器前进 / 后退时通知订阅者重新读取参数，数据集与基准期直接同步到 ClimateData（同步期间不写回地址栏，保留前进记录）；
+ *   多个卡片共用的参数写入时可要求通知订阅者（notify），使其他卡片同步；
+ * - 与默认值相同的参数不写入地址栏，保持链接简短；
+ * - 通过 window.ClimateUrl 暴露接口，需在 climate-data.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  /** 连续写入合并为同一条历史记录的时间窗口（毫秒） */
+  const COALESCE_MS = 1000;
+  /** 打开带 #hash 的链接时，等待卡片加载完成再滚动的最长时间（毫秒） */
+  const RESTORE_TIMEOUT = 8000;
+
+  /** @type {Set<Function>} */
+  const listeners = new Set();
+  let lastWrite = 0;
+  let lastSection = currentSection();
+  /** 正在把地址栏应用到 ClimateData：期间的状态变化来自地址栏本身，不再写回（否则会新增历史记录、清掉前进记录） */
+  let applying = false;
+
+  function params() {
+    return new URLSearchParams(window.location.search);
+  }
+
+  function buildUrl(search, hash) {
+    const query = search.toString();
+    return window.location.pathname + (query ? `?${query}` : '') + (hash ? `#${encodeURIComponent(hash)}` : '');
+  }
+
+  /**
+   * 读取查询参数
+   * @param {string} key
+   * @returns {string|null}
+   */
+  function get(key) {
+    return params().get(key);
+  }
+
+  /**
+   * 合并写入查询参数（值为 null / undefined / '' 时删除该参数）
+   * @param {Object<string, *>} patch
+   * @param {{replace?: boolean, notify?: boolean}} [options] - replace 为 true 时不新增历史记录；notify 为 true 时通知订阅者
+   */
+  function set(patch, options) {
+    const search = params();
+    let changed = false;
+    Object.keys(patch).forEach(key => {
+      const v = patch[key];
+      const value = v == null || v === '' ? null : String(v);
+      if (search.get(key) === value) return;
+      if (value === null) search.delete(key);
+      else search.set(key, value);
+      changed = true;
+    });
+    if (!changed) return;
+    const now = Date.now();
+    const replace = (options && options.replace) || now - lastWrite < COALESCE_MS;
+    lastWrite = now;
+    window.history[replace ? 'replaceState' : 'pushState'](window.history.state, '', buildUrl(search, currentSection()));
+    if (options && options.notify) notifyAll();
+  }
+
+  /**
+   * 当前区域（地址栏 #hash）
+   * @returns {string|null}
+   */
+  function currentSection() {
+    const hash = window.location.hash.slice(1);
+    return hash ? decodeURIComponent(hash) : null;
+  }
+
+  /**
+   * 滚动到指定区域（吸顶导航栏的遮挡由区域的 scroll-margin-top 样式扣除）
+   * @param {string} id
+   * @param {ScrollBehavior} [behavior='smooth']
+   * @returns {boolean} 区域是否存在
+   */
+  function scrollToSection(id, behavior) {
+    const target = document.getElementById(id);
+    if (!target) return false;
+    target.scrollIntoView({ behavior: behavior || 'smooth', block: 'start' });
+    return true;
+  }
+
+  /**
+   * 切换当前区域：写入 #hash（新增历史记录）并滚动
+   * @param {string} id
+   */
+  function setSection(id) {
+    if (currentSection() !== id) {
+      window.history.pushState(window.history.state, '', buildUrl(params(), id));
+      lastWrite = Date.now();
+    }
+    lastSection = id;
+    scrollToSection(id);
+  }
+
+  function notifyAll() {
+    listeners.forEach(fn => {
+      try { fn(); } catch (_) {}
+    });
+  }
+
+  /**
+   * 订阅前进 / 后退（以及带 notify 的写入）引起的参数变化
+   * @param {Function} fn
+   * @returns {Function} 取消订阅
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  /**
+   * 把地址栏中的数据集与基准期应用到 ClimateData（未知 ID 忽略并保留当前选择）
+   * @returns {Promise<void>}
+   */
+  async function applyData() {
+    const data = window.ClimateData;
+    const manifest = await data.getManifest();
+    const ds = get('ds') || manifest.default;
+    const base = get('base') || data.DEFAULT_BASELINE;
+    applying = true;
+    try {
+      if (data.getBaselines().some(b => b.id === base)) data.setBaseline(base);
+      else console.warn(`Ignoring unknown baseline in URL: ${base}`);
+      await data.select(ds).catch(() => console.warn(`Ignoring unknown dataset in URL: ${ds}`));
+    } finally {
+      applying = false;
+    }
+  }
+
+  /**
+   * 把 ClimateData 的当前选择写回地址栏（默认值省略）
+   * @param {{dataset:string|null, baseline:string}} state
+   * @param {{replace?: boolean}} [options]
+   */
+  async function writeData(state, options) {
+    const manifest = await window.ClimateData.getManifest();
+    set({
+      ds: state.dataset && state.dataset !== manifest.default ? state.dataset : null,
+      base: state.baseline !== window.ClimateData.DEFAULT_BASELINE ? state.baseline : null,
+    }, options);
+  }
+
+  /**
+   * 打开带 #hash 的链接时，等目标区域渲染且页面内的加载动画消失后再滚动，避免卡片高度变化导致错位
+   */
+  function restoreSection() {
+    const id = currentSection();
+    if (!id) return;
+    const started = Date.now();
+    const ready = () => {
+      const root = document.getElementById('root');
+      return document.getElementById(id) && root && !root.querySelector('.animate-spin');
+    };
+    const observer = new MutationObserver(() => {
+      if (!ready() && Date.now() - started < RESTORE_TIMEOUT) return;
+      observer.disconnect();
+      clearTimeout(timer);
+      // 等待本轮布局完成
+      setTimeout(() => scrollToSection(id, 'auto'), 100);
+    });
+    const timer = setTimeout(() => {
+      observer.disconnect();
+      scrollToSection(id, 'auto');
+    }, RESTORE_TIMEOUT);
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  function init() {
+    if (window.ClimateData) {
+      applyData()
+        .catch(err => console.error('Error applying URL state:', err))
+        .then(() => {
+          const onError = err => console.error('Error writing URL state:', err);
+          writeData(window.ClimateData.getState(), { replace: true }).catch(onError);
+          window.ClimateData.subscribe(state => {
+            if (!applying) writeData(state).catch(onError);
+          });
+        });
+    }
+    restoreSection();
+  }
+
+  window.addEventListener('popstate', () => {
+    if (window.ClimateData) applyData().catch(err => console.error('Error applying URL state:', err));
+    notifyAll();
+    const section = currentSection();
+    if (section !== lastSection) {
+      lastSection = section;
+      if (section) scrollToSection(section);
+    }
+  });
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.ClimateUrl = {
+    get,
+    set,
+    subscribe,
+    currentSection,
+    setSection,
+    scrollToSection,
+  };
+})();
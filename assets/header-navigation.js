@@ -1,108 +1,146 @@
 /**
- * 气候变化分析平台 - 导航栏交互功能
- * Climate Change Analysis Platform - Header Navigation Interactions
+ * 气候变化分析平台 - 区域注册表与导航
+ * Climate Change Analysis Platform - Section Registry & Navigation
+ *
+ * 功能：维护页面区域（锚点 + 导航标签）的注册表。每个卡片在挂载时登记自己的 id 与标签，
+ * 导航栏由注册表生成，并通过 IntersectionObserver 跟踪当前可见区域以同步高亮。
+ *
+ * 说明：
+ * - 区域按其在文档中的先后顺序排列，无需手工维护顺序；
+ * - list() / getActive() 返回的快照仅在变化时替换，可直接用于 React useSyncExternalStore；
+ * - 跳转通过 ClimateUrl.setSection() 写入地址栏 #hash，未加载时退化为直接滚动；
+ * - 通过 window.ClimateSections 暴露接口，需在 climate-url.js 之后、入口脚本之前加载。
  */
-
-(function() {
+(function () {
   'use strict';
 
-  /**
-   * 初始化导航栏功能
-   */
-  function initHeaderNavigation() {
-    const navItems = document.querySelectorAll('.nav-item');
-    const sections = ['overview', 'trends', 'warming', 'baseline', 'spiral', 'geography'];
+  /** 视口顶部被吸顶导航栏遮挡的高度（像素），该区域内不计为可见 */
+  const TOP_OFFSET = 80;
 
-    /**
-     * 平滑滚动到指定区域
-     * @param {string} targetId - 目标区域的ID
-     */
-    function scrollToSection(targetId) {
-      const targetElement = document.getElementById(targetId);
-      if (targetElement) {
-        const headerHeight = document.querySelector('.climate-header').offsetHeight;
-        const targetPosition = targetElement.offsetTop - headerHeight - 20;
-        
-        window.scrollTo({
-          top: targetPosition,
-          behavior: 'smooth'
-        });
-      }
-    }
+  /** @type {Map<string, {id:string, label:string, element:Element}>} */
+  const sections = new Map();
+  /** @type {Set<Function>} */
+  const listeners = new Set();
+  /** @type {Set<string>} 当前与观察带相交的区域 */
+  const visible = new Set();
+  /** @type {Array<{id:string, label:string}>} */
+  let snapshot = [];
+  /** @type {string|null} */
+  let active = null;
+  /** @type {IntersectionObserver|null} */
+  let observer = null;
 
-    /**
-     * 更新导航栏活跃状态
-     * @param {string} activeId - 当前活跃区域的ID
-     */
-    function updateActiveNavItem(activeId) {
-      navItems.forEach(item => {
-        const href = item.getAttribute('href');
-        if (href === `#${activeId}`) {
-          item.classList.add('active');
-        } else {
-          item.classList.remove('active');
-        }
-      });
-    }
+  function notify() {
+    listeners.forEach(fn => {
+      try { fn(); } catch (_) {}
+    });
+  }
 
-    /**
-     * 检测当前可见区域
-     */
-    function detectCurrentSection() {
-      const headerHeight = document.querySelector('.climate-header').offsetHeight;
-      const scrollPosition = window.scrollY + headerHeight + 100;
+  /** 按文档顺序排列的区域 */
+  function ordered() {
+    return Array.from(sections.values()).sort((a, b) =>
+      a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  }
 
-      for (let i = sections.length - 1; i >= 0; i--) {
-        const section = document.getElementById(sections[i]);
-        if (section && section.offsetTop <= scrollPosition) {
-          updateActiveNavItem(sections[i]);
-          break;
-        }
-      }
+  /**
+   * 观察带：视口中吸顶导航以下、高度约 40% 的横条，区域进入该横条即视为当前区域
+   * @returns {IntersectionObserver|null}
+   */
+  function getObserver() {
+    if (!observer && 'IntersectionObserver' in window) {
+      observer = new IntersectionObserver(entries => {
+        entries.forEach(e => {
+          const id = e.target.id;
+          if (e.isIntersecting) visible.add(id);
+          else visible.delete(id);
+        });
+        const first = ordered().find(s => visible.has(s.id));
+        // 全部离开观察带时（例如快速滚动途中）保持上一次的高亮
+        if (first) setActive(first.id);
+      }, { rootMargin: `-${TOP_OFFSET}px 0px -60% 0px` });
     }
+    return observer;
+  }
 
-    // 为导航项添加点击事件监听器
-    navItems.forEach(item => {
-      item.addEventListener('click', function(e) {
-        e.preventDefault();
-        const targetId = this.getAttribute('href').substring(1);
-        scrollToSection(targetId);
-        updateActiveNavItem(targetId);
-      });
-    });
+  function setActive(id) {
+    if (id === active) return;
+    active = id;
+    notify();
+  }
 
-    // 监听滚动事件，自动更新活跃状态
-    let scrollTimeout;
-    window.addEventListener('scroll', function() {
-      clearTimeout(scrollTimeout);
-      scrollTimeout = setTimeout(detectCurrentSection, 100);
-    });
+  /**
+   * 登记区域
+   * @param {{id:string, label:string, element:Element}} section
+   * @returns {Function} 注销函数（卡片卸载时调用）
+   */
+  function register(section) {
+    const { id, element } = section;
+    if (!id || !element) throw new Error('Section requires an id and an element');
+    const prev = sections.get(id);
+    if (prev && observer) observer.unobserve(prev.element);
+    sections.set(id, { id, label: section.label || id, element });
+    snapshot = ordered().map(s => ({ id: s.id, label: s.label }));
+    const io = getObserver();
+    if (io) io.observe(element);
+    if (active === null) active = snapshot[0].id;
+    notify();
+    return () => {
+      if (sections.get(id) !== undefined && sections.get(id).element === element) {
+        sections.delete(id);
+        visible.delete(id);
+        if (observer) observer.unobserve(element);
+        snapshot = ordered().map(s => ({ id: s.id, label: s.label }));
+        if (active === id) active = snapshot.length ? snapshot[0].id : null;
+        notify();
+      }
+    };
+  }
 
-    // 页面加载完成后检测初始状态
-    window.addEventListener('load', function() {
-      setTimeout(detectCurrentSection, 500);
-    });
+  /**
+   * 已登记的区域（文档顺序）
+   * @returns {Array<{id:string, label:string}>}
+   */
+  function list() {
+    return snapshot;
+  }
 
-    // 监听DOM变化，确保在内容加载后正确检测
-    const observer = new MutationObserver(function(mutations) {
-      mutations.forEach(function(mutation) {
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          setTimeout(detectCurrentSection, 300);
-        }
-      });
-    });
+  /**
+   * 当前高亮的区域
+   * @returns {string|null}
+   */
+  function getActive() {
+    return active;
+  }
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+  /**
+   * 订阅注册表或当前区域的变化
+   * @param {Function} fn
+   * @returns {Function} 取消订阅
+   */
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
   }
 
-  // 等待DOM加载完成后初始化
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initHeaderNavigation);
-  } else {
-    initHeaderNavigation();
+  /**
+   * 跳转到区域，并把焦点移入该区域（便于键盘用户继续操作）
+   * @param {string} id
+   */
+  function go(id) {
+    const section = sections.get(id);
+    if (!section) return;
+    if (window.ClimateUrl) window.ClimateUrl.setSection(id);
+    else section.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    setActive(id);
+    if (!section.element.hasAttribute('tabindex')) section.element.setAttribute('tabindex', '-1');
+    section.element.focus({ preventScroll: true });
   }
 
-})();
\ No newline at end of file
+  window.ClimateSections = {
+    register,
+    list,
+    getActive,
+    subscribe,
+    go,
+  };
+})();
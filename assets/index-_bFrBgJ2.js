@@ -126,7 +126,7 @@ Error generating stack: `+l.message+`
  *
  * This source code is licensed under the ISC license.
  * See the LICENSE file in the root directory of this source tree.
- */const P$=[["path",{d:"M4 14a1 1 0 0 1-.78-1.63l9.9-10.2a.5.5 0 0 1 .86.46l-1.92 6.02A1 1 0 0 0 13 10h7a1 1 0 0 1 .78 1.63l-9.9 10.2a.5.5 0 0 1-.86-.46l1.92-6.02A1 1 0 0 0 11 14z",key:"1xq2db"}]],Kg=qr("zap",P$);var Hp,Tw;function ir(){if(Tw)return Hp;Tw=1;var e=Array.isArray;return Hp=e,Hp}var Gp,Mw;function RM(){if(Mw)return Gp;Mw=1;var e=typeof Ts=="object"&&Ts&&Ts.Object===Object&&Ts;return Gp=e,Gp}var Yp,Nw;function un(){if(Nw)return Yp;Nw=1;var e=RM(),t=typeof self=="object"&&self&&self.Object===Object&&self,r=e||t||Function("return this")();return Yp=r,Yp}var Kp,Pw;function lc(){if(Pw)return Kp;Pw=1;var e=un(),t=e.Symbol;return Kp=t,Kp}var Xp,Cw;function C$(){if(Cw)return Xp;Cw=1;var e=lc(),t=Object.prototype,r=t.hasOwnProperty,n=t.toString,o=e?e.toStringTag:void 0;function u(c){var f=r.call(c,o),d=c[o];try{c[o]=void 0;var h=!0}catch{}var v=n.call(c);return h&&(f?c[o]=d:delete c[o]),v}return Xp=u,Xp}var Vp,Dw;function D$(){if(Dw)return Vp;Dw=1;var e=Object.prototype,t=e.toString;function r(n){return t.call(n)}return Vp=r,Vp}var Wp,Rw;function zn(){if(Rw)return Wp;Rw=1;var e=lc(),t=C$(),r=D$(),n="[object Null]",o="[object Undefined]",u=e?e.toStringTag:void 0;function c(f){return f==null?f===void 0?o:n:u&&u in Object(f)?t(f):r(f)}return Wp=c,Wp}var Fp,$w;function Bn(){if($w)return Fp;$w=1;function e(t){return t!=null&&typeof t=="object"}return Fp=e,Fp}var Zp,qw;function Wo(){if(qw)return Zp;qw=1;var e=zn(),t=Bn(),r="[object Symbol]";function n(o){return typeof o=="symbol"||t(o)&&e(o)==r}return Zp=n,Zp}var Qp,kw;function y0(){if(kw)return Qp;kw=1;var e=ir(),t=Wo(),r=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,n=/^\w*$/;function o(u,c){if(e(u))return!1;var f=typeof u;return f=="number"||f=="symbol"||f=="boolean"||u==null||t(u)?!0:n.test(u)||!r.test(u)||c!=null&&u in Object(c)}return Qp=o,Qp}var Jp,zw;function Oa(){if(zw)return Jp;zw=1;function e(t){var r=typeof t;return t!=null&&(r=="object"||r=="function")}return Jp=e,Jp}var ev,Bw;function m0(){if(Bw)return ev;Bw=1;var e=zn(),t=Oa(),r="[object AsyncFunction]",n="[object Function]",o="[object GeneratorFunction]",u="[object Proxy]";function c(f){if(!t(f))return!1;var d=e(f);return d==n||d==o||d==r||d==u}return ev=c,ev}var tv,Lw;function R$(){if(Lw)return tv;Lw=1;var e=un(),t=e["__core-js_shared__"];return tv=t,tv}var rv,Uw;function $$(){if(Uw)return rv;Uw=1;var e=R$(),t=function(){var n=/[^.]+$/.exec(e&&e.keys&&e.keys.IE_PROTO||"");return n?"Symbol(src)_1."+n:""}();function r(n){return!!t&&t in n}return rv=r,rv}var nv,Iw;function $M(){if(Iw)return nv;Iw=1;var e=Function.prototype,t=e.toString;function r(n){if(n!=null){try{return t.call(n)}catch{}try{return n+""}catch{}}return""}return nv=r,nv}var av,Hw;function q$(){if(Hw)return av;Hw=1;var e=m0(),t=$$(),r=Oa(),n=$M(),o=/[\\^$.*+?()[\]{}|]/g,u=/^\[object .+?Constructor\]$/,c=Function.prototype,f=Object.prototype,d=c.toString,h=f.hasOwnProperty,v=RegExp("^"+d.call(h).replace(o,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");function y(g){if(!r(g)||t(g))return!1;var b=e(g)?v:u;return b.test(n(g))}return av=y,av}var iv,Gw;function k$(){if(Gw)return iv;Gw=1;function e(t,r){return t==null?void 0:t[r]}return iv=e,iv}var ov,Yw;function yi(){if(Yw)return ov;Yw=1;var e=q$(),t=k$();function r(n,o){var u=t(n,o);return e(u)?u:void 0}return ov=r,ov}var lv,Kw;function Gf(){if(Kw)return lv;Kw=1;var e=yi(),t=e(Object,"create");return lv=t,lv}var uv,Xw;function z$(){if(Xw)return uv;Xw=1;var e=Gf();function t(){this.__data__=e?e(null):{},this.size=0}return uv=t,uv}var cv,Vw;function B$(){if(Vw)return cv;Vw=1;function e(t){var r=this.has(t)&&delete this.__data__[t];return this.size-=r?1:0,r}return cv=e,cv}var sv,Ww;function L$(){if(Ww)return sv;Ww=1;var e=Gf(),t="__lodash_hash_undefined__",r=Object.prototype,n=r.hasOwnProperty;function o(u){var c=this.__data__;if(e){var f=c[u];return f===t?void 0:f}return n.call(c,u)?c[u]:void 0}return sv=o,sv}var fv,Fw;function U$(){if(Fw)return fv;Fw=1;var e=Gf(),t=Object.prototype,r=t.hasOwnProperty;function n(o){var u=this.__data__;return e?u[o]!==void 0:r.call(u,o)}return fv=n,fv}var dv,Zw;function I$(){if(Zw)return dv;Zw=1;var e=Gf(),t="__lodash_hash_undefined__";function r(n,o){var u=this.__data__;return this.size+=this.has(n)?0:1,u[n]=e&&o===void 0?t:o,this}return dv=r,dv}var hv,Qw;function H$(){if(Qw)return hv;Qw=1;var e=z$(),t=B$(),r=L$(),n=U$(),o=I$();function u(c){var f=-1,d=c==null?0:c.length;for(this.clear();++f<d;){var h=c[f];this.set(h[0],h[1])}}return u.prototype.clear=e,u.prototype.delete=t,u.prototype.get=r,u.prototype.has=n,u.prototype.set=o,hv=u,hv}var pv,Jw;function G$(){if(Jw)return pv;Jw=1;function e(){this.__data__=[],this.size=0}return pv=e,pv}var vv,e_;function g0(){if(e_)return vv;e_=1;function e(t,r){return t===r||t!==t&&r!==r}return vv=e,vv}var yv,t_;function Yf(){if(t_)return yv;t_=1;var e=g0();function t(r,n){for(var o=r.length;o--;)if(e(r[o][0],n))return o;return-1}return yv=t,yv}var mv,r_;function Y$(){if(r_)return mv;r_=1;var e=Yf(),t=Array.prototype,r=t.splice;function n(o){var u=this.__data__,c=e(u,o);if(c<0)return!1;var f=u.length-1;return c==f?u.pop():r.call(u,c,1),--this.size,!0}return mv=n,mv}var gv,n_;function K$(){if(n_)return gv;n_=1;var e=Yf();function t(r){var n=this.__data__,o=e(n,r);return o<0?void 0:n[o][1]}return gv=t,gv}var bv,a_;function X$(){if(a_)return bv;a_=1;var e=Yf();function t(r){return e(this.__data__,r)>-1}return bv=t,bv}var xv,i_;function V$(){if(i_)return xv;i_=1;var e=Yf();function t(r,n){var o=this.__data__,u=e(o,r);return u<0?(++this.size,o.push([r,n])):o[u][1]=n,this}return xv=t,xv}var Sv,o_;function Kf(){if(o_)return Sv;o_=1;var e=G$(),t=Y$(),r=K$(),n=X$(),o=V$();function u(c){var f=-1,d=c==null?0:c.length;for(this.clear();++f<d;){var h=c[f];this.set(h[0],h[1])}}return u.prototype.clear=e,u.prototype.delete=t,u.prototype.get=r,u.prototype.has=n,u.prototype.set=o,Sv=u,Sv}var Ov,l_;function b0(){if(l_)return Ov;l_=1;var e=yi(),t=un(),r=e(t,"Map");return Ov=r,Ov}var wv,u_;function W$(){if(u_)return wv;u_=1;var e=H$(),t=Kf(),r=b0();function n(){this.size=0,this.__data__={hash:new e,map:new(r||t),string:new e}}return wv=n,wv}var _v,c_;function F$(){if(c_)return _v;c_=1;function e(t){var r=typeof t;return r=="string"||r=="number"||r=="symbol"||r=="boolean"?t!=="__proto__":t===null}return _v=e,_v}var Av,s_;function Xf(){if(s_)return Av;s_=1;var e=F$();function t(r,n){var o=r.__data__;return e(n)?o[typeof n=="string"?"string":"hash"]:o.map}return Av=t,Av}var jv,f_;function Z$(){if(f_)return jv;f_=1;var e=Xf();function t(r){var n=e(this,r).delete(r);return this.size-=n?1:0,n}return jv=t,jv}var Ev,d_;function Q$(){if(d_)return Ev;d_=1;var e=Xf();function t(r){return e(this,r).get(r)}return Ev=t,Ev}var Tv,h_;function J$(){if(h_)return Tv;h_=1;var e=Xf();function t(r){return e(this,r).has(r)}return Tv=t,Tv}var Mv,p_;function eq(){if(p_)return Mv;p_=1;var e=Xf();function t(r,n){var o=e(this,r),u=o.size;return o.set(r,n),this.size+=o.size==u?0:1,this}return Mv=t,Mv}var Nv,v_;function x0(){if(v_)return Nv;v_=1;var e=W$(),t=Z$(),r=Q$(),n=J$(),o=eq();function u(c){var f=-1,d=c==null?0:c.length;for(this.clear();++f<d;){var h=c[f];this.set(h[0],h[1])}}return u.prototype.clear=e,u.prototype.delete=t,u.prototype.get=r,u.prototype.has=n,u.prototype.set=o,Nv=u,Nv}var Pv,y_;function qM(){if(y_)return Pv;y_=1;var e=x0(),t="Expected a function";function r(n,o){if(typeof n!="function"||o!=null&&typeof o!="function")throw new TypeError(t);var u=function(){var c=arguments,f=o?o.apply(this,c):c[0],d=u.cache;if(d.has(f))return d.get(f);var h=n.apply(this,c);return u.cache=d.set(f,h)||d,h};return u.cache=new(r.Cache||e),u}return r.Cache=e,Pv=r,Pv}var Cv,m_;function tq(){if(m_)return Cv;m_=1;var e=qM(),t=500;function r(n){var o=e(n,function(c){return u.size===t&&u.clear(),c}),u=o.cache;return o}return Cv=r,Cv}var Dv,g_;function rq(){if(g_)return Dv;g_=1;var e=tq(),t=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,r=/\\(\\)?/g,n=e(function(o){var u=[];return o.charCodeAt(0)===46&&u.push(""),o.replace(t,function(c,f,d,h){u.push(d?h.replace(r,"$1"):f||c)}),u});return Dv=n,Dv}var Rv,b_;function S0(){if(b_)return Rv;b_=1;function e(t,r){for(var n=-1,o=t==null?0:t.length,u=Array(o);++n<o;)u[n]=r(t[n],n,t);return u}return Rv=e,Rv}var $v,x_;function nq(){if(x_)return $v;x_=1;var e=lc(),t=S0(),r=ir(),n=Wo(),o=e?e.prototype:void 0,u=o?o.toString:void 0;function c(f){if(typeof f=="string")return f;if(r(f))return t(f,c)+"";if(n(f))return u?u.call(f):"";var d=f+"";return d=="0"&&1/f==-1/0?"-0":d}return $v=c,$v}var qv,S_;function kM(){if(S_)return qv;S_=1;var e=nq();function t(r){return r==null?"":e(r)}return qv=t,qv}var kv,O_;function zM(){if(O_)return kv;O_=1;var e=ir(),t=y0(),r=rq(),n=kM();function o(u,c){return e(u)?u:t(u,c)?[u]:r(n(u))}return kv=o,kv}var zv,w_;function Vf(){if(w_)return zv;w_=1;var e=Wo();function t(r){if(typeof r=="string"||e(r))return r;var n=r+"";return n=="0"&&1/r==-1/0?"-0":n}return zv=t,zv}var Bv,__;function O0(){if(__)return Bv;__=1;var e=zM(),t=Vf();function r(n,o){o=e(o,n);for(var u=0,c=o.length;n!=null&&u<c;)n=n[t(o[u++])];return u&&u==c?n:void 0}return Bv=r,Bv}var Lv,A_;function BM(){if(A_)return Lv;A_=1;var e=O0();function t(r,n,o){var u=r==null?void 0:e(r,n);return u===void 0?o:u}return Lv=t,Lv}var aq=BM();const Rr=Je(aq);var Uv,j_;function iq(){if(j_)return Uv;j_=1;function e(t){return t==null}return Uv=e,Uv}var oq=iq();const je=Je(oq);var Iv,E_;function lq(){if(E_)return Iv;E_=1;var e=zn(),t=ir(),r=Bn(),n="[object String]";function o(u){return typeof u=="string"||!t(u)&&r(u)&&e(u)==n}return Iv=o,Iv}var uq=lq();const si=Je(uq);var cq=m0();const Ee=Je(cq);var sq=Oa();const Fo=Je(sq);var Hv={exports:{}},He={};/**
+ */const P$=[["path",{d:"M4 14a1 1 0 0 1-.78-1.63l9.9-10.2a.5.5 0 0 1 .86.46l-1.92 6.02A1 1 0 0 0 13 10h7a1 1 0 0 1 .78 1.63l-9.9 10.2a.5.5 0 0 1-.86-.46l1.92-6.02A1 1 0 0 0 11 14z",key:"1xq2db"}]],Kg=qr("zap",P$);const fX$=[["path",{d:"M12 15V3",key:"m9g1x1"}],["path",{d:"M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4",key:"ih7n3h"}],["path",{d:"m7 10 5 5 5-5",key:"brsn70"}]],fX=qr("download",fX$);const bX$=[["polygon",{points:"19 20 9 12 19 4 19 20",key:"o2sva"}],["line",{x1:"5",x2:"5",y1:"19",y2:"5",key:"1ocqjk"}]],bX=qr("skip-back",bX$);const wX$=[["polygon",{points:"5 4 15 12 5 20 5 4",key:"16p6eg"}],["line",{x1:"19",x2:"19",y1:"5",y2:"19",key:"futhcm"}]],wX=qr("skip-forward",wX$);const kX$=[["path",{d:"m17 2 4 4-4 4",key:"nntrym"}],["path",{d:"M3 11v-1a4 4 0 0 1 4-4h14",key:"84bu3i"}],["path",{d:"m7 22-4-4 4-4",key:"1wqhfi"}],["path",{d:"M21 13v1a4 4 0 0 1-4 4H3",key:"1rx37r"}]],kX=qr("repeat",kX$);const gX$=[["line",{x1:"4",x2:"20",y1:"12",y2:"12",key:"1e0a9i"}],["line",{x1:"4",x2:"20",y1:"6",y2:"6",key:"1owob3"}],["line",{x1:"4",x2:"20",y1:"18",y2:"18",key:"yk5zj1"}]],gX=qr("menu",gX$);var Hp,Tw;function ir(){if(Tw)return Hp;Tw=1;var e=Array.isArray;return Hp=e,Hp}var Gp,Mw;function RM(){if(Mw)return Gp;Mw=1;var e=typeof Ts=="object"&&Ts&&Ts.Object===Object&&Ts;return Gp=e,Gp}var Yp,Nw;function un(){if(Nw)return Yp;Nw=1;var e=RM(),t=typeof self=="object"&&self&&self.Object===Object&&self,r=e||t||Function("return this")();return Yp=r,Yp}var Kp,Pw;function lc(){if(Pw)return Kp;Pw=1;var e=un(),t=e.Symbol;return Kp=t,Kp}var Xp,Cw;function C$(){if(Cw)return Xp;Cw=1;var e=lc(),t=Object.prototype,r=t.hasOwnProperty,n=t.toString,o=e?e.toStringTag:void 0;function u(c){var f=r.call(c,o),d=c[o];try{c[o]=void 0;var h=!0}catch{}var v=n.call(c);return h&&(f?c[o]=d:delete c[o]),v}return Xp=u,Xp}var Vp,Dw;function D$(){if(Dw)return Vp;Dw=1;var e=Object.prototype,t=e.toString;function r(n){return t.call(n)}return Vp=r,Vp}var Wp,Rw;function zn(){if(Rw)return Wp;Rw=1;var e=lc(),t=C$(),r=D$(),n="[object Null]",o="[object Undefined]",u=e?e.toStringTag:void 0;function c(f){return f==null?f===void 0?o:n:u&&u in Object(f)?t(f):r(f)}return Wp=c,Wp}var Fp,$w;function Bn(){if($w)return Fp;$w=1;function e(t){return t!=null&&typeof t=="object"}return Fp=e,Fp}var Zp,qw;function Wo(){if(qw)return Zp;qw=1;var e=zn(),t=Bn(),r="[object Symbol]";function n(o){return typeof o=="symbol"||t(o)&&e(o)==r}return Zp=n,Zp}var Qp,kw;function y0(){if(kw)return Qp;kw=1;var e=ir(),t=Wo(),r=/\.|\[(?:[^[\]]*|(["'])(?:(?!\1)[^\\]|\\.)*?\1)\]/,n=/^\w*$/;function o(u,c){if(e(u))return!1;var f=typeof u;return f=="number"||f=="symbol"||f=="boolean"||u==null||t(u)?!0:n.test(u)||!r.test(u)||c!=null&&u in Object(c)}return Qp=o,Qp}var Jp,zw;function Oa(){if(zw)return Jp;zw=1;function e(t){var r=typeof t;return t!=null&&(r=="object"||r=="function")}return Jp=e,Jp}var ev,Bw;function m0(){if(Bw)return ev;Bw=1;var e=zn(),t=Oa(),r="[object AsyncFunction]",n="[object Function]",o="[object GeneratorFunction]",u="[object Proxy]";function c(f){if(!t(f))return!1;var d=e(f);return d==n||d==o||d==r||d==u}return ev=c,ev}var tv,Lw;function R$(){if(Lw)return tv;Lw=1;var e=un(),t=e["__core-js_shared__"];return tv=t,tv}var rv,Uw;function $$(){if(Uw)return rv;Uw=1;var e=R$(),t=function(){var n=/[^.]+$/.exec(e&&e.keys&&e.keys.IE_PROTO||"");return n?"Symbol(src)_1."+n:""}();function r(n){return!!t&&t in n}return rv=r,rv}var nv,Iw;function $M(){if(Iw)return nv;Iw=1;var e=Function.prototype,t=e.toString;function r(n){if(n!=null){try{return t.call(n)}catch{}try{return n+""}catch{}}return""}return nv=r,nv}var av,Hw;function q$(){if(Hw)return av;Hw=1;var e=m0(),t=$$(),r=Oa(),n=$M(),o=/[\\^$.*+?()[\]{}|]/g,u=/^\[object .+?Constructor\]$/,c=Function.prototype,f=Object.prototype,d=c.toString,h=f.hasOwnProperty,v=RegExp("^"+d.call(h).replace(o,"\\$&").replace(/hasOwnProperty|(function).*?(?=\\\()| for .+?(?=\\\])/g,"$1.*?")+"$");function y(g){if(!r(g)||t(g))return!1;var b=e(g)?v:u;return b.test(n(g))}return av=y,av}var iv,Gw;function k$(){if(Gw)return iv;Gw=1;function e(t,r){return t==null?void 0:t[r]}return iv=e,iv}var ov,Yw;function yi(){if(Yw)return ov;Yw=1;var e=q$(),t=k$();function r(n,o){var u=t(n,o);return e(u)?u:void 0}return ov=r,ov}var lv,Kw;function Gf(){if(Kw)return lv;Kw=1;var e=yi(),t=e(Object,"create");return lv=t,lv}var uv,Xw;function z$(){if(Xw)return uv;Xw=1;var e=Gf();function t(){this.__data__=e?e(null):{},this.size=0}return uv=t,uv}var cv,Vw;function B$(){if(Vw)return cv;Vw=1;function e(t){var r=this.has(t)&&delete this.__data__[t];return this.size-=r?1:0,r}return cv=e,cv}var sv,Ww;function L$(){if(Ww)return sv;Ww=1;var e=Gf(),t="__lodash_hash_undefined__",r=Object.prototype,n=r.hasOwnProperty;function o(u){var c=this.__data__;if(e){var f=c[u];return f===t?void 0:f}return n.call(c,u)?c[u]:void 0}return sv=o,sv}var fv,Fw;function U$(){if(Fw)return fv;Fw=1;var e=Gf(),t=Object.prototype,r=t.hasOwnProperty;function n(o){var u=this.__data__;return e?u[o]!==void 0:r.call(u,o)}return fv=n,fv}var dv,Zw;function I$(){if(Zw)return dv;Zw=1;var e=Gf(),t="__lodash_hash_undefined__";function r(n,o){var u=this.__data__;return this.size+=this.has(n)?0:1,u[n]=e&&o===void 0?t:o,this}return dv=r,dv}var hv,Qw;function H$(){if(Qw)return hv;Qw=1;var e=z$(),t=B$(),r=L$(),n=U$(),o=I$();function u(c){var f=-1,d=c==null?0:c.length;for(this.clear();++f<d;){var h=c[f];this.set(h[0],h[1])}}return u.prototype.clear=e,u.prototype.delete=t,u.prototype.get=r,u.prototype.has=n,u.prototype.set=o,hv=u,hv}var pv,Jw;function G$(){if(Jw)return pv;Jw=1;function e(){this.__data__=[],this.size=0}return pv=e,pv}var vv,e_;function g0(){if(e_)return vv;e_=1;function e(t,r){return t===r||t!==t&&r!==r}return vv=e,vv}var yv,t_;function Yf(){if(t_)return yv;t_=1;var e=g0();function t(r,n){for(var o=r.length;o--;)if(e(r[o][0],n))return o;return-1}return yv=t,yv}var mv,r_;function Y$(){if(r_)return mv;r_=1;var e=Yf(),t=Array.prototype,r=t.splice;function n(o){var u=this.__data__,c=e(u,o);if(c<0)return!1;var f=u.length-1;return c==f?u.pop():r.call(u,c,1),--this.size,!0}return mv=n,mv}var gv,n_;function K$(){if(n_)return gv;n_=1;var e=Yf();function t(r){var n=this.__data__,o=e(n,r);return o<0?void 0:n[o][1]}return gv=t,gv}var bv,a_;function X$(){if(a_)return bv;a_=1;var e=Yf();function t(r){return e(this.__data__,r)>-1}return bv=t,bv}var xv,i_;function V$(){if(i_)return xv;i_=1;var e=Yf();function t(r,n){var o=this.__data__,u=e(o,r);return u<0?(++this.size,o.push([r,n])):o[u][1]=n,this}return xv=t,xv}var Sv,o_;function Kf(){if(o_)return Sv;o_=1;var e=G$(),t=Y$(),r=K$(),n=X$(),o=V$();function u(c){var f=-1,d=c==null?0:c.length;for(this.clear();++f<d;){var h=c[f];this.set(h[0],h[1])}}return u.prototype.clear=e,u.prototype.delete=t,u.prototype.get=r,u.prototype.has=n,u.prototype.set=o,Sv=u,Sv}var Ov,l_;function b0(){if(l_)return Ov;l_=1;var e=yi(),t=un(),r=e(t,"Map");return Ov=r,Ov}var wv,u_;function W$(){if(u_)return wv;u_=1;var e=H$(),t=Kf(),r=b0();function n(){this.size=0,this.__data__={hash:new e,map:new(r||t),string:new e}}return wv=n,wv}var _v,c_;function F$(){if(c_)return _v;c_=1;function e(t){var r=typeof t;return r=="string"||r=="number"||r=="symbol"||r=="boolean"?t!=="__proto__":t===null}return _v=e,_v}var Av,s_;function Xf(){if(s_)return Av;s_=1;var e=F$();function t(r,n){var o=r.__data__;return e(n)?o[typeof n=="string"?"string":"hash"]:o.map}return Av=t,Av}var jv,f_;function Z$(){if(f_)return jv;f_=1;var e=Xf();function t(r){var n=e(this,r).delete(r);return this.size-=n?1:0,n}return jv=t,jv}var Ev,d_;function Q$(){if(d_)return Ev;d_=1;var e=Xf();function t(r){return e(this,r).get(r)}return Ev=t,Ev}var Tv,h_;function J$(){if(h_)return Tv;h_=1;var e=Xf();function t(r){return e(this,r).has(r)}return Tv=t,Tv}var Mv,p_;function eq(){if(p_)return Mv;p_=1;var e=Xf();function t(r,n){var o=e(this,r),u=o.size;return o.set(r,n),this.size+=o.size==u?0:1,this}return Mv=t,Mv}var Nv,v_;function x0(){if(v_)return Nv;v_=1;var e=W$(),t=Z$(),r=Q$(),n=J$(),o=eq();function u(c){var f=-1,d=c==null?0:c.length;for(this.clear();++f<d;){var h=c[f];this.set(h[0],h[1])}}return u.prototype.clear=e,u.prototype.delete=t,u.prototype.get=r,u.prototype.has=n,u.prototype.set=o,Nv=u,Nv}var Pv,y_;function qM(){if(y_)return Pv;y_=1;var e=x0(),t="Expected a function";function r(n,o){if(typeof n!="function"||o!=null&&typeof o!="function")throw new TypeError(t);var u=function(){var c=arguments,f=o?o.apply(this,c):c[0],d=u.cache;if(d.has(f))return d.get(f);var h=n.apply(this,c);return u.cache=d.set(f,h)||d,h};return u.cache=new(r.Cache||e),u}return r.Cache=e,Pv=r,Pv}var Cv,m_;function tq(){if(m_)return Cv;m_=1;var e=qM(),t=500;function r(n){var o=e(n,function(c){return u.size===t&&u.clear(),c}),u=o.cache;return o}return Cv=r,Cv}var Dv,g_;function rq(){if(g_)return Dv;g_=1;var e=tq(),t=/[^.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|$))/g,r=/\\(\\)?/g,n=e(function(o){var u=[];return o.charCodeAt(0)===46&&u.push(""),o.replace(t,function(c,f,d,h){u.push(d?h.replace(r,"$1"):f||c)}),u});return Dv=n,Dv}var Rv,b_;function S0(){if(b_)return Rv;b_=1;function e(t,r){for(var n=-1,o=t==null?0:t.length,u=Array(o);++n<o;)u[n]=r(t[n],n,t);return u}return Rv=e,Rv}var $v,x_;function nq(){if(x_)return $v;x_=1;var e=lc(),t=S0(),r=ir(),n=Wo(),o=e?e.prototype:void 0,u=o?o.toString:void 0;function c(f){if(typeof f=="string")return f;if(r(f))return t(f,c)+"";if(n(f))return u?u.call(f):"";var d=f+"";return d=="0"&&1/f==-1/0?"-0":d}return $v=c,$v}var qv,S_;function kM(){if(S_)return qv;S_=1;var e=nq();function t(r){return r==null?"":e(r)}return qv=t,qv}var kv,O_;function zM(){if(O_)return kv;O_=1;var e=ir(),t=y0(),r=rq(),n=kM();function o(u,c){return e(u)?u:t(u,c)?[u]:r(n(u))}return kv=o,kv}var zv,w_;function Vf(){if(w_)return zv;w_=1;var e=Wo();function t(r){if(typeof r=="string"||e(r))return r;var n=r+"";return n=="0"&&1/r==-1/0?"-0":n}return zv=t,zv}var Bv,__;function O0(){if(__)return Bv;__=1;var e=zM(),t=Vf();function r(n,o){o=e(o,n);for(var u=0,c=o.length;n!=null&&u<c;)n=n[t(o[u++])];return u&&u==c?n:void 0}return Bv=r,Bv}var Lv,A_;function BM(){if(A_)return Lv;A_=1;var e=O0();function t(r,n,o){var u=r==null?void 0:e(r,n);return u===void 0?o:u}return Lv=t,Lv}var aq=BM();const Rr=Je(aq);var Uv,j_;function iq(){if(j_)return Uv;j_=1;function e(t){return t==null}return Uv=e,Uv}var oq=iq();const je=Je(oq);var Iv,E_;function lq(){if(E_)return Iv;E_=1;var e=zn(),t=ir(),r=Bn(),n="[object String]";function o(u){return typeof u=="string"||!t(u)&&r(u)&&e(u)==n}return Iv=o,Iv}var uq=lq();const si=Je(uq);var cq=m0();const Ee=Je(cq);var sq=Oa();const Fo=Je(sq);var Hv={exports:{}},He={};/**
  * @license React
  * react-is.production.min.js
  *
@@ -194,7 +194,7 @@ In order to be iterable, non-array objects must have a [Symbol.iterator]() metho
 In order to be iterable, non-array objects must have a [Symbol.iterator]() method.`)}function eY(e,t){if(e){if(typeof e=="string")return e0(e,t);var r=Object.prototype.toString.call(e).slice(8,-1);if(r==="Object"&&e.constructor&&(r=e.constructor.name),r==="Map"||r==="Set")return Array.from(e);if(r==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(r))return e0(e,t)}}function tY(e){if(typeof Symbol<"u"&&e[Symbol.iterator]!=null||e["@@iterator"]!=null)return Array.from(e)}function rY(e){if(Array.isArray(e))return e0(e)}function e0(e,t){(t==null||t>e.length)&&(t=e.length);for(var r=0,n=new Array(t);r<t;r++)n[r]=e[r];return n}function nY(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function nM(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,jC(n.key),n)}}function aY(e,t,r){return t&&nM(e.prototype,t),r&&nM(e,r),Object.defineProperty(e,"prototype",{writable:!1}),e}function iY(e,t,r){return t=kf(t),oY(e,AC()?Reflect.construct(t,r||[],kf(e).constructor):t.apply(e,r))}function oY(e,t){if(t&&(Bo(t)==="object"||typeof t=="function"))return t;if(t!==void 0)throw new TypeError("Derived constructors may only return object or undefined");return lY(e)}function lY(e){if(e===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function AC(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch{}return(AC=function(){return!!e})()}function kf(e){return kf=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(r){return r.__proto__||Object.getPrototypeOf(r)},kf(e)}function uY(e,t){if(typeof t!="function"&&t!==null)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&t0(e,t)}function t0(e,t){return t0=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(n,o){return n.__proto__=o,n},t0(e,t)}function Gr(e,t,r){return t=jC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function jC(e){var t=cY(e,"string");return Bo(t)=="symbol"?t:t+""}function cY(e,t){if(Bo(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Bo(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}var xa=function(e){function t(){var r;nY(this,t);for(var n=arguments.length,o=new Array(n),u=0;u<n;u++)o[u]=arguments[u];return r=iY(this,t,[].concat(o)),Gr(r,"state",{isAnimationFinished:!0,totalLength:0}),Gr(r,"generateSimpleStrokeDasharray",function(c,f){return"".concat(f,"px ").concat(c-f,"px")}),Gr(r,"getStrokeDasharray",function(c,f,d){var h=d.reduce(function(T,P){return T+P});if(!h)return r.generateSimpleStrokeDasharray(f,c);for(var v=Math.floor(c/h),y=c%h,g=f-c,b=[],O=0,S=0;O<d.length;S+=d[O],++O)if(S+d[O]>y){b=[].concat(fo(d.slice(0,O)),[y-S]);break}var x=b.length%2===0?[0,g]:[g];return[].concat(fo(t.repeat(d,v)),fo(b),x).map(function(T){return"".concat(T,"px")}).join(", ")}),Gr(r,"id",mi("recharts-line-")),Gr(r,"pathRef",function(c){r.mainCurve=c}),Gr(r,"handleAnimationEnd",function(){r.setState({isAnimationFinished:!0}),r.props.onAnimationEnd&&r.props.onAnimationEnd()}),Gr(r,"handleAnimationStart",function(){r.setState({isAnimationFinished:!1}),r.props.onAnimationStart&&r.props.onAnimationStart()}),r}return uY(t,e),aY(t,[{key:"componentDidMount",value:function(){if(this.props.isAnimationActive){var n=this.getTotalLength();this.setState({totalLength:n})}}},{key:"componentDidUpdate",value:function(){if(this.props.isAnimationActive){var n=this.getTotalLength();n!==this.state.totalLength&&this.setState({totalLength:n})}}},{key:"getTotalLength",value:function(){var n=this.mainCurve;try{return n&&n.getTotalLength&&n.getTotalLength()||0}catch{return 0}}},{key:"renderErrorBar",value:function(n,o){if(this.props.isAnimationActive&&!this.state.isAnimationFinished)return null;var u=this.props,c=u.points,f=u.xAxis,d=u.yAxis,h=u.layout,v=u.children,y=ar(v,rl);if(!y)return null;var g=function(S,x){return{x:S.x,y:S.y,value:S.value,errorVal:Nt(S.payload,x)}},b={clipPath:n?"url(#clipPath-".concat(o,")"):null};return B.createElement(Ie,b,y.map(function(O){return B.cloneElement(O,{key:"bar-".concat(O.props.dataKey),data:c,xAxis:f,yAxis:d,layout:h,dataPointFormatter:g})}))}},{key:"renderDots",value:function(n,o,u){var c=this.props.isAnimationActive;if(c&&!this.state.isAnimationFinished)return null;var f=this.props,d=f.dot,h=f.points,v=f.dataKey,y=Ae(this.props,!1),g=Ae(d,!0),b=h.map(function(S,x){var T=vr(vr(vr({key:"dot-".concat(x),r:3},y),g),{},{index:x,cx:S.x,cy:S.y,value:S.value,dataKey:v,payload:S.payload,points:h});return t.renderDotItem(d,T)}),O={clipPath:n?"url(#clipPath-".concat(o?"":"dots-").concat(u,")"):null};return B.createElement(Ie,Su({className:"recharts-line-dots",key:"dots"},O),b)}},{key:"renderCurveStatically",value:function(n,o,u,c){var f=this.props,d=f.type,h=f.layout,v=f.connectNulls;f.ref;var y=tM(f,FG),g=vr(vr(vr({},Ae(y,!0)),{},{fill:"none",className:"recharts-line-curve",clipPath:o?"url(#clipPath-".concat(u,")"):null,points:n},c),{},{type:d,layout:h,connectNulls:v});return B.createElement(ui,Su({},g,{pathRef:this.pathRef}))}},{key:"renderCurveWithAnimation",value:function(n,o){var u=this,c=this.props,f=c.points,d=c.strokeDasharray,h=c.isAnimationActive,v=c.animationBegin,y=c.animationDuration,g=c.animationEasing,b=c.animationId,O=c.animateNewValues,S=c.width,x=c.height,T=this.state,P=T.prevPoints,E=T.totalLength;return B.createElement(Xr,{begin:v,duration:y,isActive:h,easing:g,from:{t:0},to:{t:1},key:"line-".concat(b),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(N){var _=N.t;if(P){var j=P.length/f.length,M=f.map(function(L,K){var Z=Math.floor(K*j);if(P[Z]){var V=P[Z],$=xt(V.x,L.x),H=xt(V.y,L.y);return vr(vr({},L),{},{x:$(_),y:H(_)})}if(O){var G=xt(S*2,L.x),le=xt(x/2,L.y);return vr(vr({},L),{},{x:G(_),y:le(_)})}return vr(vr({},L),{},{x:L.x,y:L.y})});return u.renderCurveStatically(M,n,o)}var D=xt(0,E),q=D(_),I;if(d){var k="".concat(d).split(/[,\s]+/gim).map(function(L){return parseFloat(L)});I=u.getStrokeDasharray(q,E,k)}else I=u.generateSimpleStrokeDasharray(E,q);return u.renderCurveStatically(f,n,o,{strokeDasharray:I})})}},{key:"renderCurve",value:function(n,o){var u=this.props,c=u.points,f=u.isAnimationActive,d=this.state,h=d.prevPoints,v=d.totalLength;return f&&c&&c.length&&(!h&&v>0||!di(h,c))?this.renderCurveWithAnimation(n,o):this.renderCurveStatically(c,n,o)}},{key:"render",value:function(){var n,o=this.props,u=o.hide,c=o.dot,f=o.points,d=o.className,h=o.xAxis,v=o.yAxis,y=o.top,g=o.left,b=o.width,O=o.height,S=o.isAnimationActive,x=o.id;if(u||!f||!f.length)return null;var T=this.state.isAnimationFinished,P=f.length===1,E=ke("recharts-line",d),N=h&&h.allowDataOverflow,_=v&&v.allowDataOverflow,j=N||_,M=je(x)?this.id:x,D=(n=Ae(c,!1))!==null&&n!==void 0?n:{r:3,strokeWidth:2},q=D.r,I=q===void 0?3:q,k=D.strokeWidth,L=k===void 0?2:k,K=UM(c)?c:{},Z=K.clipDot,V=Z===void 0?!0:Z,$=I*2+L;return B.createElement(Ie,{className:E},N||_?B.createElement("defs",null,B.createElement("clipPath",{id:"clipPath-".concat(M)},B.createElement("rect",{x:N?g:g-b/2,y:_?y:y-O/2,width:N?b:b*2,height:_?O:O*2})),!V&&B.createElement("clipPath",{id:"clipPath-dots-".concat(M)},B.createElement("rect",{x:g-$/2,y:y-$/2,width:b+$,height:O+$}))):null,!P&&this.renderCurve(j,M),this.renderErrorBar(j,M),(P||c)&&this.renderDots(j,V,M),(!S||T)&&an.renderCallByParent(this.props,f))}}],[{key:"getDerivedStateFromProps",value:function(n,o){return n.animationId!==o.prevAnimationId?{prevAnimationId:n.animationId,curPoints:n.points,prevPoints:o.curPoints}:n.points!==o.curPoints?{curPoints:n.points}:null}},{key:"repeat",value:function(n,o){for(var u=n.length%2!==0?[].concat(fo(n),[0]):n,c=[],f=0;f<o;++f)c=[].concat(fo(c),fo(u));return c}},{key:"renderDotItem",value:function(n,o){var u;if(B.isValidElement(n))u=B.cloneElement(n,o);else if(Ee(n))u=n(o);else{var c=o.key,f=tM(o,ZG),d=ke("recharts-line-dot",typeof n!="boolean"?n.className:"");u=B.createElement(dd,Su({key:c},f,{className:d}))}return u}}])}(re.PureComponent);Gr(xa,"displayName","Line");Gr(xa,"defaultProps",{xAxisId:0,yAxisId:0,connectNulls:!1,activeDot:!0,dot:!0,legendType:"line",stroke:"#3182bd",strokeWidth:1,fill:"#fff",points:[],isAnimationActive:!_a.isSsr,animateNewValues:!0,animationBegin:0,animationDuration:1500,animationEasing:"ease",hide:!1,label:!1});Gr(xa,"getComposedData",function(e){var t=e.props,r=e.xAxis,n=e.yAxis,o=e.xAxisTicks,u=e.yAxisTicks,c=e.dataKey,f=e.bandSize,d=e.displayedData,h=e.offset,v=t.layout,y=d.map(function(g,b){var O=Nt(g,c);return v==="horizontal"?{x:No({axis:r,ticks:o,bandSize:f,entry:g,index:b}),y:je(O)?null:n.scale(O),value:O,payload:g}:{x:je(O)?null:r.scale(O),y:No({axis:n,ticks:u,bandSize:f,entry:g,index:b}),value:O,payload:g}});return vr({points:y,layout:v},h)});var sY=["layout","type","stroke","connectNulls","isRange","ref"],fY=["key"],EC;function Lo(e){"@babel/helpers - typeof";return Lo=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},Lo(e)}function TC(e,t){if(e==null)return{};var r=dY(e,t),n,o;if(Object.getOwnPropertySymbols){var u=Object.getOwnPropertySymbols(e);for(o=0;o<u.length;o++)n=u[o],!(t.indexOf(n)>=0)&&Object.prototype.propertyIsEnumerable.call(e,n)&&(r[n]=e[n])}return r}function dY(e,t){if(e==null)return{};var r={};for(var n in e)if(Object.prototype.hasOwnProperty.call(e,n)){if(t.indexOf(n)>=0)continue;r[n]=e[n]}return r}function ai(){return ai=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var r=arguments[t];for(var n in r)Object.prototype.hasOwnProperty.call(r,n)&&(e[n]=r[n])}return e},ai.apply(this,arguments)}function aM(e,t){var r=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(o){return Object.getOwnPropertyDescriptor(e,o).enumerable})),r.push.apply(r,n)}return r}function da(e){for(var t=1;t<arguments.length;t++){var r=arguments[t]!=null?arguments[t]:{};t%2?aM(Object(r),!0).forEach(function(n){rn(e,n,r[n])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(r)):aM(Object(r)).forEach(function(n){Object.defineProperty(e,n,Object.getOwnPropertyDescriptor(r,n))})}return e}function hY(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function iM(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,NC(n.key),n)}}function pY(e,t,r){return t&&iM(e.prototype,t),r&&iM(e,r),Object.defineProperty(e,"prototype",{writable:!1}),e}function vY(e,t,r){return t=zf(t),yY(e,MC()?Reflect.construct(t,r||[],zf(e).constructor):t.apply(e,r))}function yY(e,t){if(t&&(Lo(t)==="object"||typeof t=="function"))return t;if(t!==void 0)throw new TypeError("Derived constructors may only return object or undefined");return mY(e)}function mY(e){if(e===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function MC(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch{}return(MC=function(){return!!e})()}function zf(e){return zf=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(r){return r.__proto__||Object.getPrototypeOf(r)},zf(e)}function gY(e,t){if(typeof t!="function"&&t!==null)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&r0(e,t)}function r0(e,t){return r0=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(n,o){return n.__proto__=o,n},r0(e,t)}function rn(e,t,r){return t=NC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function NC(e){var t=bY(e,"string");return Lo(t)=="symbol"?t:t+""}function bY(e,t){if(Lo(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Lo(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}var Ta=function(e){function t(){var r;hY(this,t);for(var n=arguments.length,o=new Array(n),u=0;u<n;u++)o[u]=arguments[u];return r=vY(this,t,[].concat(o)),rn(r,"state",{isAnimationFinished:!0}),rn(r,"id",mi("recharts-area-")),rn(r,"handleAnimationEnd",function(){var c=r.props.onAnimationEnd;r.setState({isAnimationFinished:!0}),Ee(c)&&c()}),rn(r,"handleAnimationStart",function(){var c=r.props.onAnimationStart;r.setState({isAnimationFinished:!1}),Ee(c)&&c()}),r}return gY(t,e),pY(t,[{key:"renderDots",value:function(n,o,u){var c=this.props.isAnimationActive,f=this.state.isAnimationFinished;if(c&&!f)return null;var d=this.props,h=d.dot,v=d.points,y=d.dataKey,g=Ae(this.props,!1),b=Ae(h,!0),O=v.map(function(x,T){var P=da(da(da({key:"dot-".concat(T),r:3},g),b),{},{index:T,cx:x.x,cy:x.y,dataKey:y,value:x.value,payload:x.payload,points:v});return t.renderDotItem(h,P)}),S={clipPath:n?"url(#clipPath-".concat(o?"":"dots-").concat(u,")"):null};return B.createElement(Ie,ai({className:"recharts-area-dots"},S),O)}},{key:"renderHorizontalRect",value:function(n){var o=this.props,u=o.baseLine,c=o.points,f=o.strokeWidth,d=c[0].x,h=c[c.length-1].x,v=n*Math.abs(d-h),y=ya(c.map(function(g){return g.y||0}));return se(u)&&typeof u=="number"?y=Math.max(u,y):u&&Array.isArray(u)&&u.length&&(y=Math.max(ya(u.map(function(g){return g.y||0})),y)),se(y)?B.createElement("rect",{x:d<h?d:d-v,y:0,width:v,height:Math.floor(y+(f?parseInt("".concat(f),10):1))}):null}},{key:"renderVerticalRect",value:function(n){var o=this.props,u=o.baseLine,c=o.points,f=o.strokeWidth,d=c[0].y,h=c[c.length-1].y,v=n*Math.abs(d-h),y=ya(c.map(function(g){return g.x||0}));return se(u)&&typeof u=="number"?y=Math.max(u,y):u&&Array.isArray(u)&&u.length&&(y=Math.max(ya(u.map(function(g){return g.x||0})),y)),se(y)?B.createElement("rect",{x:0,y:d<h?d:d-v,width:y+(f?parseInt("".concat(f),10):1),height:Math.floor(v)}):null}},{key:"renderClipRect",value:function(n){var o=this.props.layout;return o==="vertical"?this.renderVerticalRect(n):this.renderHorizontalRect(n)}},{key:"renderAreaStatically",value:function(n,o,u,c){var f=this.props,d=f.layout,h=f.type,v=f.stroke,y=f.connectNulls,g=f.isRange;f.ref;var b=TC(f,sY);return B.createElement(Ie,{clipPath:u?"url(#clipPath-".concat(c,")"):null},B.createElement(ui,ai({},Ae(b,!0),{points:n,connectNulls:y,type:h,baseLine:o,layout:d,stroke:"none",className:"recharts-area-area"})),v!=="none"&&B.createElement(ui,ai({},Ae(this.props,!1),{className:"recharts-area-curve",layout:d,type:h,connectNulls:y,fill:"none",points:n})),v!=="none"&&g&&B.createElement(ui,ai({},Ae(this.props,!1),{className:"recharts-area-curve",layout:d,type:h,connectNulls:y,fill:"none",points:o})))}},{key:"renderAreaWithAnimation",value:function(n,o){var u=this,c=this.props,f=c.points,d=c.baseLine,h=c.isAnimationActive,v=c.animationBegin,y=c.animationDuration,g=c.animationEasing,b=c.animationId,O=this.state,S=O.prevPoints,x=O.prevBaseLine;return B.createElement(Xr,{begin:v,duration:y,isActive:h,easing:g,from:{t:0},to:{t:1},key:"area-".concat(b),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(T){var P=T.t;if(S){var E=S.length/f.length,N=f.map(function(D,q){var I=Math.floor(q*E);if(S[I]){var k=S[I],L=xt(k.x,D.x),K=xt(k.y,D.y);return da(da({},D),{},{x:L(P),y:K(P)})}return D}),_;if(se(d)&&typeof d=="number"){var j=xt(x,d);_=j(P)}else if(je(d)||Zo(d)){var M=xt(x,0);_=M(P)}else _=d.map(function(D,q){var I=Math.floor(q*E);if(x[I]){var k=x[I],L=xt(k.x,D.x),K=xt(k.y,D.y);return da(da({},D),{},{x:L(P),y:K(P)})}return D});return u.renderAreaStatically(N,_,n,o)}return B.createElement(Ie,null,B.createElement("defs",null,B.createElement("clipPath",{id:"animationClipPath-".concat(o)},u.renderClipRect(P))),B.createElement(Ie,{clipPath:"url(#animationClipPath-".concat(o,")")},u.renderAreaStatically(f,d,n,o)))})}},{key:"renderArea",value:function(n,o){var u=this.props,c=u.points,f=u.baseLine,d=u.isAnimationActive,h=this.state,v=h.prevPoints,y=h.prevBaseLine,g=h.totalLength;return d&&c&&c.length&&(!v&&g>0||!di(v,c)||!di(y,f))?this.renderAreaWithAnimation(n,o):this.renderAreaStatically(c,f,n,o)}},{key:"render",value:function(){var n,o=this.props,u=o.hide,c=o.dot,f=o.points,d=o.className,h=o.top,v=o.left,y=o.xAxis,g=o.yAxis,b=o.width,O=o.height,S=o.isAnimationActive,x=o.id;if(u||!f||!f.length)return null;var T=this.state.isAnimationFinished,P=f.length===1,E=ke("recharts-area",d),N=y&&y.allowDataOverflow,_=g&&g.allowDataOverflow,j=N||_,M=je(x)?this.id:x,D=(n=Ae(c,!1))!==null&&n!==void 0?n:{r:3,strokeWidth:2},q=D.r,I=q===void 0?3:q,k=D.strokeWidth,L=k===void 0?2:k,K=UM(c)?c:{},Z=K.clipDot,V=Z===void 0?!0:Z,$=I*2+L;return B.createElement(Ie,{className:E},N||_?B.createElement("defs",null,B.createElement("clipPath",{id:"clipPath-".concat(M)},B.createElement("rect",{x:N?v:v-b/2,y:_?h:h-O/2,width:N?b:b*2,height:_?O:O*2})),!V&&B.createElement("clipPath",{id:"clipPath-dots-".concat(M)},B.createElement("rect",{x:v-$/2,y:h-$/2,width:b+$,height:O+$}))):null,P?null:this.renderArea(j,M),(c||P)&&this.renderDots(j,V,M),(!S||T)&&an.renderCallByParent(this.props,f))}}],[{key:"getDerivedStateFromProps",value:function(n,o){return n.animationId!==o.prevAnimationId?{prevAnimationId:n.animationId,curPoints:n.points,curBaseLine:n.baseLine,prevPoints:o.curPoints,prevBaseLine:o.curBaseLine}:n.points!==o.curPoints||n.baseLine!==o.curBaseLine?{curPoints:n.points,curBaseLine:n.baseLine}:null}}])}(re.PureComponent);EC=Ta;rn(Ta,"displayName","Area");rn(Ta,"defaultProps",{stroke:"#3182bd",fill:"#3182bd",fillOpacity:.6,xAxisId:0,yAxisId:0,legendType:"line",connectNulls:!1,points:[],dot:!1,activeDot:!0,hide:!1,isAnimationActive:!_a.isSsr,animationBegin:0,animationDuration:1500,animationEasing:"ease"});rn(Ta,"getBaseValue",function(e,t,r,n){var o=e.layout,u=e.baseValue,c=t.props.baseValue,f=c??u;if(se(f)&&typeof f=="number")return f;var d=o==="horizontal"?n:r,h=d.scale.domain();if(d.type==="number"){var v=Math.max(h[0],h[1]),y=Math.min(h[0],h[1]);return f==="dataMin"?y:f==="dataMax"||v<0?v:Math.max(Math.min(h[0],h[1]),0)}return f==="dataMin"?h[0]:f==="dataMax"?h[1]:h[0]});rn(Ta,"getComposedData",function(e){var t=e.props,r=e.item,n=e.xAxis,o=e.yAxis,u=e.xAxisTicks,c=e.yAxisTicks,f=e.bandSize,d=e.dataKey,h=e.stackedData,v=e.dataStartIndex,y=e.displayedData,g=e.offset,b=t.layout,O=h&&h.length,S=EC.getBaseValue(t,r,n,o),x=b==="horizontal",T=!1,P=y.map(function(N,_){var j;O?j=h[v+_]:(j=Nt(N,d),Array.isArray(j)?T=!0:j=[S,j]);var M=j[1]==null||O&&Nt(N,d)==null;return x?{x:No({axis:n,ticks:u,bandSize:f,entry:N,index:_}),y:M?null:o.scale(j[1]),value:j,payload:N}:{x:M?null:n.scale(j[1]),y:No({axis:o,ticks:c,bandSize:f,entry:N,index:_}),value:j,payload:N}}),E;return O||T?E=P.map(function(N){var _=Array.isArray(N.value)?N.value[0]:null;return x?{x:N.x,y:_!=null&&N.y!=null?o.scale(_):null}:{x:_!=null?n.scale(_):null,y:N.y}}):E=x?o.scale(S):n.scale(S),da({points:P,baseLine:E,layout:b,isRange:T},g)});rn(Ta,"renderDotItem",function(e,t){var r;if(B.isValidElement(e))r=B.cloneElement(e,t);else if(Ee(e))r=e(t);else{var n=ke("recharts-area-dot",typeof e!="boolean"?e.className:""),o=t.key,u=TC(t,fY);r=B.createElement(dd,ai({},u,{key:o,className:n}))}return r});function Uo(e){"@babel/helpers - typeof";return Uo=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},Uo(e)}function xY(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function SY(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,DC(n.key),n)}}function OY(e,t,r){return t&&SY(e.prototype,t),Object.defineProperty(e,"prototype",{writable:!1}),e}function wY(e,t,r){return t=Bf(t),_Y(e,PC()?Reflect.construct(t,r||[],Bf(e).constructor):t.apply(e,r))}function _Y(e,t){if(t&&(Uo(t)==="object"||typeof t=="function"))return t;if(t!==void 0)throw new TypeError("Derived constructors may only return object or undefined");return AY(e)}function AY(e){if(e===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function PC(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch{}return(PC=function(){return!!e})()}function Bf(e){return Bf=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(r){return r.__proto__||Object.getPrototypeOf(r)},Bf(e)}function jY(e,t){if(typeof t!="function"&&t!==null)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&n0(e,t)}function n0(e,t){return n0=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(n,o){return n.__proto__=o,n},n0(e,t)}function CC(e,t,r){return t=DC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function DC(e){var t=EY(e,"string");return Uo(t)=="symbol"?t:t+""}function EY(e,t){if(Uo(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Uo(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}var Sd=function(e){function t(){return xY(this,t),wY(this,t,arguments)}return jY(t,e),OY(t,[{key:"render",value:function(){return null}}])}(B.Component);CC(Sd,"displayName","ZAxis");CC(Sd,"defaultProps",{zAxisId:0,range:[64,64],scale:"auto",type:"number"});var TY=["option","isActive"];function Ou(){return Ou=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var r=arguments[t];for(var n in r)Object.prototype.hasOwnProperty.call(r,n)&&(e[n]=r[n])}return e},Ou.apply(this,arguments)}function MY(e,t){if(e==null)return{};var r=NY(e,t),n,o;if(Object.getOwnPropertySymbols){var u=Object.getOwnPropertySymbols(e);for(o=0;o<u.length;o++)n=u[o],!(t.indexOf(n)>=0)&&Object.prototype.propertyIsEnumerable.call(e,n)&&(r[n]=e[n])}return r}function NY(e,t){if(e==null)return{};var r={};for(var n in e)if(Object.prototype.hasOwnProperty.call(e,n)){if(t.indexOf(n)>=0)continue;r[n]=e[n]}return r}function PY(e){var t=e.option,r=e.isActive,n=MY(e,TY);return typeof t=="string"?B.createElement(Hb,Ou({option:B.createElement(Jf,Ou({type:t},n)),isActive:r,shapeType:"symbols"},n)):B.createElement(Hb,Ou({option:t,isActive:r,shapeType:"symbols"},n))}function Io(e){"@babel/helpers - typeof";return Io=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},Io(e)}function wu(){return wu=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var r=arguments[t];for(var n in r)Object.prototype.hasOwnProperty.call(r,n)&&(e[n]=r[n])}return e},wu.apply(this,arguments)}function oM(e,t){var r=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(o){return Object.getOwnPropertyDescriptor(e,o).enumerable})),r.push.apply(r,n)}return r}function Pr(e){for(var t=1;t<arguments.length;t++){var r=arguments[t]!=null?arguments[t]:{};t%2?oM(Object(r),!0).forEach(function(n){ga(e,n,r[n])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(r)):oM(Object(r)).forEach(function(n){Object.defineProperty(e,n,Object.getOwnPropertyDescriptor(r,n))})}return e}function CY(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function lM(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,$C(n.key),n)}}function DY(e,t,r){return t&&lM(e.prototype,t),r&&lM(e,r),Object.defineProperty(e,"prototype",{writable:!1}),e}function RY(e,t,r){return t=Lf(t),$Y(e,RC()?Reflect.construct(t,r||[],Lf(e).constructor):t.apply(e,r))}function $Y(e,t){if(t&&(Io(t)==="object"||typeof t=="function"))return t;if(t!==void 0)throw new TypeError("Derived constructors may only return object or undefined");return qY(e)}function qY(e){if(e===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function RC(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch{}return(RC=function(){return!!e})()}function Lf(e){return Lf=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(r){return r.__proto__||Object.getPrototypeOf(r)},Lf(e)}function kY(e,t){if(typeof t!="function"&&t!==null)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&a0(e,t)}function a0(e,t){return a0=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(n,o){return n.__proto__=o,n},a0(e,t)}function ga(e,t,r){return t=$C(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function $C(e){var t=zY(e,"string");return Io(t)=="symbol"?t:t+""}function zY(e,t){if(Io(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Io(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}var Od=function(e){function t(){var r;CY(this,t);for(var n=arguments.length,o=new Array(n),u=0;u<n;u++)o[u]=arguments[u];return r=RY(this,t,[].concat(o)),ga(r,"state",{isAnimationFinished:!1}),ga(r,"handleAnimationEnd",function(){r.setState({isAnimationFinished:!0})}),ga(r,"handleAnimationStart",function(){r.setState({isAnimationFinished:!1})}),ga(r,"id",mi("recharts-scatter-")),r}return kY(t,e),DY(t,[{key:"renderSymbolsStatically",value:function(n){var o=this,u=this.props,c=u.shape,f=u.activeShape,d=u.activeIndex,h=Ae(this.props,!1);return n.map(function(v,y){var g=d===y,b=g?f:c,O=Pr(Pr({},h),v);return B.createElement(Ie,wu({className:"recharts-scatter-symbol",key:"symbol-".concat(v==null?void 0:v.cx,"-").concat(v==null?void 0:v.cy,"-").concat(v==null?void 0:v.size,"-").concat(y)},Au(o.props,v,y),{role:"img"}),B.createElement(PY,wu({option:b,isActive:g,key:"symbol-".concat(y)},O)))})}},{key:"renderSymbolsWithAnimation",value:function(){var n=this,o=this.props,u=o.points,c=o.isAnimationActive,f=o.animationBegin,d=o.animationDuration,h=o.animationEasing,v=o.animationId,y=this.state.prevPoints;return B.createElement(Xr,{begin:f,duration:d,isActive:c,easing:h,from:{t:0},to:{t:1},key:"pie-".concat(v),onAnimationEnd:this.handleAnimationEnd,onAnimationStart:this.handleAnimationStart},function(g){var b=g.t,O=u.map(function(S,x){var T=y&&y[x];if(T){var P=xt(T.cx,S.cx),E=xt(T.cy,S.cy),N=xt(T.size,S.size);return Pr(Pr({},S),{},{cx:P(b),cy:E(b),size:N(b)})}var _=xt(0,S.size);return Pr(Pr({},S),{},{size:_(b)})});return B.createElement(Ie,null,n.renderSymbolsStatically(O))})}},{key:"renderSymbols",value:function(){var n=this.props,o=n.points,u=n.isAnimationActive,c=this.state.prevPoints;return u&&o&&o.length&&(!c||!di(c,o))?this.renderSymbolsWithAnimation():this.renderSymbolsStatically(o)}},{key:"renderErrorBar",value:function(){var n=this.props.isAnimationActive;if(n&&!this.state.isAnimationFinished)return null;var o=this.props,u=o.points,c=o.xAxis,f=o.yAxis,d=o.children,h=ar(d,rl);return h?h.map(function(v,y){var g=v.props,b=g.direction,O=g.dataKey;return B.cloneElement(v,{key:"".concat(b,"-").concat(O,"-").concat(u[y]),data:u,xAxis:c,yAxis:f,layout:b==="x"?"vertical":"horizontal",dataPointFormatter:function(x,T){return{x:x.cx,y:x.cy,value:b==="x"?+x.node.x:+x.node.y,errorVal:Nt(x,T)}}})}):null}},{key:"renderLine",value:function(){var n=this.props,o=n.points,u=n.line,c=n.lineType,f=n.lineJointType,d=Ae(this.props,!1),h=Ae(u,!1),v,y;if(c==="joint")v=o.map(function(E){return{x:E.cx,y:E.cy}});else if(c==="fitting"){var g=xq(o),b=g.xmin,O=g.xmax,S=g.a,x=g.b,T=function(N){return S*N+x};v=[{x:b,y:T(b)},{x:O,y:T(O)}]}var P=Pr(Pr(Pr({},d),{},{fill:"none",stroke:d&&d.fill},h),{},{points:v});return B.isValidElement(u)?y=B.cloneElement(u,P):Ee(u)?y=u(P):y=B.createElement(ui,wu({},P,{type:f})),B.createElement(Ie,{className:"recharts-scatter-line",key:"recharts-scatter-line"},y)}},{key:"render",value:function(){var n=this.props,o=n.hide,u=n.points,c=n.line,f=n.className,d=n.xAxis,h=n.yAxis,v=n.left,y=n.top,g=n.width,b=n.height,O=n.id,S=n.isAnimationActive;if(o||!u||!u.length)return null;var x=this.state.isAnimationFinished,T=ke("recharts-scatter",f),P=d&&d.allowDataOverflow,E=h&&h.allowDataOverflow,N=P||E,_=je(O)?this.id:O;return B.createElement(Ie,{className:T,clipPath:N?"url(#clipPath-".concat(_,")"):null},P||E?B.createElement("defs",null,B.createElement("clipPath",{id:"clipPath-".concat(_)},B.createElement("rect",{x:P?v:v-g/2,y:E?y:y-b/2,width:P?g:g*2,height:E?b:b*2}))):null,c&&this.renderLine(),this.renderErrorBar(),B.createElement(Ie,{key:"recharts-scatter-symbols"},this.renderSymbols()),(!S||x)&&an.renderCallByParent(this.props,u))}}],[{key:"getDerivedStateFromProps",value:function(n,o){return n.animationId!==o.prevAnimationId?{prevAnimationId:n.animationId,curPoints:n.points,prevPoints:o.curPoints}:n.points!==o.curPoints?{curPoints:n.points}:null}}])}(re.PureComponent);ga(Od,"displayName","Scatter");ga(Od,"defaultProps",{xAxisId:0,yAxisId:0,zAxisId:0,legendType:"circle",lineType:"joint",lineJointType:"linear",data:[],shape:"circle",hide:!1,isAnimationActive:!_a.isSsr,animationBegin:0,animationDuration:400,animationEasing:"linear"});ga(Od,"getComposedData",function(e){var t=e.xAxis,r=e.yAxis,n=e.zAxis,o=e.item,u=e.displayedData,c=e.xAxisTicks,f=e.yAxisTicks,d=e.offset,h=o.props.tooltipType,v=ar(o.props.children,z0),y=je(t.dataKey)?o.props.dataKey:t.dataKey,g=je(r.dataKey)?o.props.dataKey:r.dataKey,b=n&&n.dataKey,O=n?n.range:Sd.defaultProps.range,S=O&&O[0],x=t.scale.bandwidth?t.scale.bandwidth():0,T=r.scale.bandwidth?r.scale.bandwidth():0,P=u.map(function(E,N){var _=Nt(E,y),j=Nt(E,g),M=!je(b)&&Nt(E,b)||"-",D=[{name:je(t.dataKey)?o.props.name:t.name||t.dataKey,unit:t.unit||"",value:_,payload:E,dataKey:y,type:h},{name:je(r.dataKey)?o.props.name:r.name||r.dataKey,unit:r.unit||"",value:j,payload:E,dataKey:g,type:h}];M!=="-"&&D.push({name:n.name||n.dataKey,unit:n.unit||"",value:M,payload:E,dataKey:b,type:h});var q=No({axis:t,ticks:c,bandSize:x,entry:E,index:N,dataKey:y}),I=No({axis:r,ticks:f,bandSize:T,entry:E,index:N,dataKey:g}),k=M!=="-"?n.scale(M):S,L=Math.sqrt(Math.max(k,0)/Math.PI);return Pr(Pr({},E),{},{cx:q,cy:I,x:q-L,y:I-L,xAxis:t,yAxis:r,zAxis:n,width:2*L,height:2*L,size:k,node:{x:_,y:j,z:M},tooltipPayload:D,tooltipPosition:{x:q,y:I},payload:E},v&&v[N]&&v[N].props)});return Pr({points:P},d)});function Ho(e){"@babel/helpers - typeof";return Ho=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},Ho(e)}function BY(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function LY(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,zC(n.key),n)}}function UY(e,t,r){return t&&LY(e.prototype,t),Object.defineProperty(e,"prototype",{writable:!1}),e}function IY(e,t,r){return t=Uf(t),HY(e,qC()?Reflect.construct(t,r||[],Uf(e).constructor):t.apply(e,r))}function HY(e,t){if(t&&(Ho(t)==="object"||typeof t=="function"))return t;if(t!==void 0)throw new TypeError("Derived constructors may only return object or undefined");return GY(e)}function GY(e){if(e===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function qC(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch{}return(qC=function(){return!!e})()}function Uf(e){return Uf=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(r){return r.__proto__||Object.getPrototypeOf(r)},Uf(e)}function YY(e,t){if(typeof t!="function"&&t!==null)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&i0(e,t)}function i0(e,t){return i0=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(n,o){return n.__proto__=o,n},i0(e,t)}function kC(e,t,r){return t=zC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function zC(e){var t=KY(e,"string");return Ho(t)=="symbol"?t:t+""}function KY(e,t){if(Ho(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Ho(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}function o0(){return o0=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var r=arguments[t];for(var n in r)Object.prototype.hasOwnProperty.call(r,n)&&(e[n]=r[n])}return e},o0.apply(this,arguments)}function XY(e){var t=e.xAxisId,r=vx(),n=yx(),o=hC(t);return o==null?null:B.createElement(nl,o0({},o,{className:ke("recharts-".concat(o.axisType," ").concat(o.axisType),o.className),viewBox:{x:0,y:0,width:r,height:n},ticksGenerator:function(c){return Nn(c,!0)}}))}var Ma=function(e){function t(){return BY(this,t),IY(this,t,arguments)}return YY(t,e),UY(t,[{key:"render",value:function(){return B.createElement(XY,this.props)}}])}(B.Component);kC(Ma,"displayName","XAxis");kC(Ma,"defaultProps",{allowDecimals:!0,hide:!1,orientation:"bottom",width:0,height:30,mirror:!1,xAxisId:0,tickCount:5,type:"category",padding:{left:0,right:0},allowDataOverflow:!1,scale:"auto",reversed:!1,allowDuplicatedCategory:!0});function Go(e){"@babel/helpers - typeof";return Go=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},Go(e)}function VY(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function WY(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,UC(n.key),n)}}function FY(e,t,r){return t&&WY(e.prototype,t),Object.defineProperty(e,"prototype",{writable:!1}),e}function ZY(e,t,r){return t=If(t),QY(e,BC()?Reflect.construct(t,r||[],If(e).constructor):t.apply(e,r))}function QY(e,t){if(t&&(Go(t)==="object"||typeof t=="function"))return t;if(t!==void 0)throw new TypeError("Derived constructors may only return object or undefined");return JY(e)}function JY(e){if(e===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function BC(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch{}return(BC=function(){return!!e})()}function If(e){return If=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(r){return r.__proto__||Object.getPrototypeOf(r)},If(e)}function eK(e,t){if(typeof t!="function"&&t!==null)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&l0(e,t)}function l0(e,t){return l0=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(n,o){return n.__proto__=o,n},l0(e,t)}function LC(e,t,r){return t=UC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function UC(e){var t=tK(e,"string");return Go(t)=="symbol"?t:t+""}function tK(e,t){if(Go(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Go(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}function u0(){return u0=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var r=arguments[t];for(var n in r)Object.prototype.hasOwnProperty.call(r,n)&&(e[n]=r[n])}return e},u0.apply(this,arguments)}var rK=function(t){var r=t.yAxisId,n=vx(),o=yx(),u=pC(r);return u==null?null:B.createElement(nl,u0({},u,{className:ke("recharts-".concat(u.axisType," ").concat(u.axisType),u.className),viewBox:{x:0,y:0,width:n,height:o},ticksGenerator:function(f){return Nn(f,!0)}}))},Na=function(e){function t(){return VY(this,t),ZY(this,t,arguments)}return eK(t,e),FY(t,[{key:"render",value:function(){return B.createElement(rK,this.props)}}])}(B.Component);LC(Na,"displayName","YAxis");LC(Na,"defaultProps",{allowDuplicatedCategory:!0,allowDecimals:!0,hide:!1,orientation:"left",width:60,height:0,mirror:!1,yAxisId:0,tickCount:5,type:"number",padding:{top:0,bottom:0},allowDataOverflow:!1,scale:"auto",reversed:!1});function uM(e){return oK(e)||iK(e)||aK(e)||nK()}function nK(){throw new TypeError(`Invalid attempt to spread non-iterable instance.
 In order to be iterable, non-array objects must have a [Symbol.iterator]() method.`)}function aK(e,t){if(e){if(typeof e=="string")return c0(e,t);var r=Object.prototype.toString.call(e).slice(8,-1);if(r==="Object"&&e.constructor&&(r=e.constructor.name),r==="Map"||r==="Set")return Array.from(e);if(r==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(r))return c0(e,t)}}function iK(e){if(typeof Symbol<"u"&&e[Symbol.iterator]!=null||e["@@iterator"]!=null)return Array.from(e)}function oK(e){if(Array.isArray(e))return c0(e)}function c0(e,t){(t==null||t>e.length)&&(t=e.length);for(var r=0,n=new Array(t);r<t;r++)n[r]=e[r];return n}var s0=function(t,r,n,o,u){var c=ar(t,bo),f=ar(t,md),d=[].concat(uM(c),uM(f)),h=ar(t,bd),v="".concat(o,"Id"),y=o[0],g=r;if(d.length&&(g=d.reduce(function(S,x){if(x.props[v]===n&&on(x.props,"extendDomain")&&se(x.props[y])){var T=x.props[y];return[Math.min(S[0],T),Math.max(S[1],T)]}return S},g)),h.length){var b="".concat(y,"1"),O="".concat(y,"2");g=h.reduce(function(S,x){if(x.props[v]===n&&on(x.props,"extendDomain")&&se(x.props[b])&&se(x.props[O])){var T=x.props[b],P=x.props[O];return[Math.min(S[0],T,P),Math.max(S[1],T,P)]}return S},g)}return u&&u.length&&(g=u.reduce(function(S,x){return se(x)?[Math.min(S[0],x),Math.max(S[1],x)]:S},g)),g},zg={exports:{}},cM;function lK(){return cM||(cM=1,function(e){var t=Object.prototype.hasOwnProperty,r="~";function n(){}Object.create&&(n.prototype=Object.create(null),new n().__proto__||(r=!1));function o(d,h,v){this.fn=d,this.context=h,this.once=v||!1}function u(d,h,v,y,g){if(typeof v!="function")throw new TypeError("The listener must be a function");var b=new o(v,y||d,g),O=r?r+h:h;return d._events[O]?d._events[O].fn?d._events[O]=[d._events[O],b]:d._events[O].push(b):(d._events[O]=b,d._eventsCount++),d}function c(d,h){--d._eventsCount===0?d._events=new n:delete d._events[h]}function f(){this._events=new n,this._eventsCount=0}f.prototype.eventNames=function(){var h=[],v,y;if(this._eventsCount===0)return h;for(y in v=this._events)t.call(v,y)&&h.push(r?y.slice(1):y);return Object.getOwnPropertySymbols?h.concat(Object.getOwnPropertySymbols(v)):h},f.prototype.listeners=function(h){var v=r?r+h:h,y=this._events[v];if(!y)return[];if(y.fn)return[y.fn];for(var g=0,b=y.length,O=new Array(b);g<b;g++)O[g]=y[g].fn;return O},f.prototype.listenerCount=function(h){var v=r?r+h:h,y=this._events[v];return y?y.fn?1:y.length:0},f.prototype.emit=function(h,v,y,g,b,O){var S=r?r+h:h;if(!this._events[S])return!1;var x=this._events[S],T=arguments.length,P,E;if(x.fn){switch(x.once&&this.removeListener(h,x.fn,void 0,!0),T){case 1:return x.fn.call(x.context),!0;case 2:return x.fn.call(x.context,v),!0;case 3:return x.fn.call(x.context,v,y),!0;case 4:return x.fn.call(x.context,v,y,g),!0;case 5:return x.fn.call(x.context,v,y,g,b),!0;case 6:return x.fn.call(x.context,v,y,g,b,O),!0}for(E=1,P=new Array(T-1);E<T;E++)P[E-1]=arguments[E];x.fn.apply(x.context,P)}else{var N=x.length,_;for(E=0;E<N;E++)switch(x[E].once&&this.removeListener(h,x[E].fn,void 0,!0),T){case 1:x[E].fn.call(x[E].context);break;case 2:x[E].fn.call(x[E].context,v);break;case 3:x[E].fn.call(x[E].context,v,y);break;case 4:x[E].fn.call(x[E].context,v,y,g);break;default:if(!P)for(_=1,P=new Array(T-1);_<T;_++)P[_-1]=arguments[_];x[E].fn.apply(x[E].context,P)}}return!0},f.prototype.on=function(h,v,y){return u(this,h,v,y,!1)},f.prototype.once=function(h,v,y){return u(this,h,v,y,!0)},f.prototype.removeListener=function(h,v,y,g){var b=r?r+h:h;if(!this._events[b])return this;if(!v)return c(this,b),this;var O=this._events[b];if(O.fn)O.fn===v&&(!g||O.once)&&(!y||O.context===y)&&c(this,b);else{for(var S=0,x=[],T=O.length;S<T;S++)(O[S].fn!==v||g&&!O[S].once||y&&O[S].context!==y)&&x.push(O[S]);x.length?this._events[b]=x.length===1?x[0]:x:c(this,b)}return this},f.prototype.removeAllListeners=function(h){var v;return h?(v=r?r+h:h,this._events[v]&&c(this,v)):(this._events=new n,this._eventsCount=0),this},f.prototype.off=f.prototype.removeListener,f.prototype.addListener=f.prototype.on,f.prefixed=r,f.EventEmitter=f,e.exports=f}(zg)),zg.exports}var uK=lK();const cK=Je(uK);var Bg=new cK,Lg="recharts.syncMouseEvents";function ic(e){"@babel/helpers - typeof";return ic=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},ic(e)}function sK(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function fK(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,IC(n.key),n)}}function dK(e,t,r){return t&&fK(e.prototype,t),Object.defineProperty(e,"prototype",{writable:!1}),e}function Ug(e,t,r){return t=IC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function IC(e){var t=hK(e,"string");return ic(t)=="symbol"?t:t+""}function hK(e,t){if(ic(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(ic(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return String(e)}var pK=function(){function e(){sK(this,e),Ug(this,"activeIndex",0),Ug(this,"coordinateList",[]),Ug(this,"layout","horizontal")}return dK(e,[{key:"setDetails",value:function(r){var n,o=r.coordinateList,u=o===void 0?null:o,c=r.container,f=c===void 0?null:c,d=r.layout,h=d===void 0?null:d,v=r.offset,y=v===void 0?null:v,g=r.mouseHandlerCallback,b=g===void 0?null:g;this.coordinateList=(n=u??this.coordinateList)!==null&&n!==void 0?n:[],this.container=f??this.container,this.layout=h??this.layout,this.offset=y??this.offset,this.mouseHandlerCallback=b??this.mouseHandlerCallback,this.activeIndex=Math.min(Math.max(this.activeIndex,0),this.coordinateList.length-1)}},{key:"focus",value:function(){this.spoofMouse()}},{key:"keyboardEvent",value:function(r){if(this.coordinateList.length!==0)switch(r.key){case"ArrowRight":{if(this.layout!=="horizontal")return;this.activeIndex=Math.min(this.activeIndex+1,this.coordinateList.length-1),this.spoofMouse();break}case"ArrowLeft":{if(this.layout!=="horizontal")return;this.activeIndex=Math.max(this.activeIndex-1,0),this.spoofMouse();break}}}},{key:"setIndex",value:function(r){this.activeIndex=r}},{key:"spoofMouse",value:function(){var r,n;if(this.layout==="horizontal"&&this.coordinateList.length!==0){var o=this.container.getBoundingClientRect(),u=o.x,c=o.y,f=o.height,d=this.coordinateList[this.activeIndex].coordinate,h=((r=window)===null||r===void 0?void 0:r.scrollX)||0,v=((n=window)===null||n===void 0?void 0:n.scrollY)||0,y=u+d+h,g=c+this.offset.top+f/2+v;this.mouseHandlerCallback({pageX:y,pageY:g})}}}])}();function vK(e,t,r){if(r==="number"&&t===!0&&Array.isArray(e)){var n=e==null?void 0:e[0],o=e==null?void 0:e[1];if(n&&o&&se(n)&&se(o))return!0}return!1}function yK(e,t,r,n){var o=n/2;return{stroke:"none",fill:"#ccc",x:e==="horizontal"?t.x-o:r.left+.5,y:e==="horizontal"?r.top+.5:t.y-o,width:e==="horizontal"?n:r.width-1,height:e==="horizontal"?r.height-1:n}}function HC(e){var t=e.cx,r=e.cy,n=e.radius,o=e.startAngle,u=e.endAngle,c=It(t,r,n,o),f=It(t,r,n,u);return{points:[c,f],cx:t,cy:r,radius:n,startAngle:o,endAngle:u}}function mK(e,t,r){var n,o,u,c;if(e==="horizontal")n=t.x,u=n,o=r.top,c=r.top+r.height;else if(e==="vertical")o=t.y,c=o,n=r.left,u=r.left+r.width;else if(t.cx!=null&&t.cy!=null)if(e==="centric"){var f=t.cx,d=t.cy,h=t.innerRadius,v=t.outerRadius,y=t.angle,g=It(f,d,h,y),b=It(f,d,v,y);n=g.x,o=g.y,u=b.x,c=b.y}else return HC(t);return[{x:n,y:o},{x:u,y:c}]}function oc(e){"@babel/helpers - typeof";return oc=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},oc(e)}function sM(e,t){var r=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(o){return Object.getOwnPropertyDescriptor(e,o).enumerable})),r.push.apply(r,n)}return r}function Is(e){for(var t=1;t<arguments.length;t++){var r=arguments[t]!=null?arguments[t]:{};t%2?sM(Object(r),!0).forEach(function(n){gK(e,n,r[n])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(r)):sM(Object(r)).forEach(function(n){Object.defineProperty(e,n,Object.getOwnPropertyDescriptor(r,n))})}return e}function gK(e,t,r){return t=bK(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function bK(e){var t=xK(e,"string");return oc(t)=="symbol"?t:t+""}function xK(e,t){if(oc(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(oc(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return(t==="string"?String:Number)(e)}function SK(e){var t,r,n=e.element,o=e.tooltipEventType,u=e.isActive,c=e.activeCoordinate,f=e.activePayload,d=e.offset,h=e.activeTooltipIndex,v=e.tooltipAxisBandSize,y=e.layout,g=e.chartName,b=(t=n.props.cursor)!==null&&t!==void 0?t:(r=n.type.defaultProps)===null||r===void 0?void 0:r.cursor;if(!n||!b||!u||!c||g!=="ScatterChart"&&o!=="axis")return null;var O,S=ui;if(g==="ScatterChart")O=c,S=YI;else if(g==="BarChart")O=yK(y,c,d,v),S=sx;else if(y==="radial"){var x=HC(c),T=x.cx,P=x.cy,E=x.radius,N=x.startAngle,_=x.endAngle;O={cx:T,cy:P,startAngle:N,endAngle:_,innerRadius:E,outerRadius:E},S=HP}else O={points:mK(y,c,d)},S=ui;var j=Is(Is(Is(Is({stroke:"#ccc",pointerEvents:"none"},d),O),Ae(b,!1)),{},{payload:f,payloadIndex:h,className:ke("recharts-tooltip-cursor",b.className)});return re.isValidElement(b)?re.cloneElement(b,j):re.createElement(S,j)}var OK=["item"],wK=["children","className","width","height","style","compact","title","desc"];function Yo(e){"@babel/helpers - typeof";return Yo=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?function(t){return typeof t}:function(t){return t&&typeof Symbol=="function"&&t.constructor===Symbol&&t!==Symbol.prototype?"symbol":typeof t},Yo(e)}function vo(){return vo=Object.assign?Object.assign.bind():function(e){for(var t=1;t<arguments.length;t++){var r=arguments[t];for(var n in r)Object.prototype.hasOwnProperty.call(r,n)&&(e[n]=r[n])}return e},vo.apply(this,arguments)}function fM(e,t){return jK(e)||AK(e,t)||YC(e,t)||_K()}function _K(){throw new TypeError(`Invalid attempt to destructure non-iterable instance.
 In order to be iterable, non-array objects must have a [Symbol.iterator]() method.`)}function AK(e,t){var r=e==null?null:typeof Symbol<"u"&&e[Symbol.iterator]||e["@@iterator"];if(r!=null){var n,o,u,c,f=[],d=!0,h=!1;try{if(u=(r=r.call(e)).next,t!==0)for(;!(d=(n=u.call(r)).done)&&(f.push(n.value),f.length!==t);d=!0);}catch(v){h=!0,o=v}finally{try{if(!d&&r.return!=null&&(c=r.return(),Object(c)!==c))return}finally{if(h)throw o}}return f}}function jK(e){if(Array.isArray(e))return e}function dM(e,t){if(e==null)return{};var r=EK(e,t),n,o;if(Object.getOwnPropertySymbols){var u=Object.getOwnPropertySymbols(e);for(o=0;o<u.length;o++)n=u[o],!(t.indexOf(n)>=0)&&Object.prototype.propertyIsEnumerable.call(e,n)&&(r[n]=e[n])}return r}function EK(e,t){if(e==null)return{};var r={};for(var n in e)if(Object.prototype.hasOwnProperty.call(e,n)){if(t.indexOf(n)>=0)continue;r[n]=e[n]}return r}function TK(e,t){if(!(e instanceof t))throw new TypeError("Cannot call a class as a function")}function MK(e,t){for(var r=0;r<t.length;r++){var n=t[r];n.enumerable=n.enumerable||!1,n.configurable=!0,"value"in n&&(n.writable=!0),Object.defineProperty(e,KC(n.key),n)}}function NK(e,t,r){return t&&MK(e.prototype,t),Object.defineProperty(e,"prototype",{writable:!1}),e}function PK(e,t,r){return t=Hf(t),CK(e,GC()?Reflect.construct(t,r||[],Hf(e).constructor):t.apply(e,r))}function CK(e,t){if(t&&(Yo(t)==="object"||typeof t=="function"))return t;if(t!==void 0)throw new TypeError("Derived constructors may only return object or undefined");return DK(e)}function DK(e){if(e===void 0)throw new ReferenceError("this hasn't been initialised - super() hasn't been called");return e}function GC(){try{var e=!Boolean.prototype.valueOf.call(Reflect.construct(Boolean,[],function(){}))}catch{}return(GC=function(){return!!e})()}function Hf(e){return Hf=Object.setPrototypeOf?Object.getPrototypeOf.bind():function(r){return r.__proto__||Object.getPrototypeOf(r)},Hf(e)}function RK(e,t){if(typeof t!="function"&&t!==null)throw new TypeError("Super expression must either be null or a function");e.prototype=Object.create(t&&t.prototype,{constructor:{value:e,writable:!0,configurable:!0}}),Object.defineProperty(e,"prototype",{writable:!1}),t&&f0(e,t)}function f0(e,t){return f0=Object.setPrototypeOf?Object.setPrototypeOf.bind():function(n,o){return n.__proto__=o,n},f0(e,t)}function Ko(e){return kK(e)||qK(e)||YC(e)||$K()}function $K(){throw new TypeError(`Invalid attempt to spread non-iterable instance.
-In order to be iterable, non-array objects must have a [Symbol.iterator]() method.`)}function YC(e,t){if(e){if(typeof e=="string")return d0(e,t);var r=Object.prototype.toString.call(e).slice(8,-1);if(r==="Object"&&e.constructor&&(r=e.constructor.name),r==="Map"||r==="Set")return Array.from(e);if(r==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(r))return d0(e,t)}}function qK(e){if(typeof Symbol<"u"&&e[Symbol.iterator]!=null||e["@@iterator"]!=null)return Array.from(e)}function kK(e){if(Array.isArray(e))return d0(e)}function d0(e,t){(t==null||t>e.length)&&(t=e.length);for(var r=0,n=new Array(t);r<t;r++)n[r]=e[r];return n}function hM(e,t){var r=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(o){return Object.getOwnPropertyDescriptor(e,o).enumerable})),r.push.apply(r,n)}return r}function ne(e){for(var t=1;t<arguments.length;t++){var r=arguments[t]!=null?arguments[t]:{};t%2?hM(Object(r),!0).forEach(function(n){Oe(e,n,r[n])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(r)):hM(Object(r)).forEach(function(n){Object.defineProperty(e,n,Object.getOwnPropertyDescriptor(r,n))})}return e}function Oe(e,t,r){return t=KC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function KC(e){var t=zK(e,"string");return Yo(t)=="symbol"?t:t+""}function zK(e,t){if(Yo(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Yo(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return(t==="string"?String:Number)(e)}var BK={xAxis:["bottom","top"],yAxis:["left","right"]},LK={width:"100%",height:"100%"},XC={x:0,y:0};function Hs(e){return e}var UK=function(t,r){return r==="horizontal"?t.x:r==="vertical"?t.y:r==="centric"?t.angle:t.radius},IK=function(t,r,n,o){var u=r.find(function(v){return v&&v.index===n});if(u){if(t==="horizontal")return{x:u.coordinate,y:o.y};if(t==="vertical")return{x:o.x,y:u.coordinate};if(t==="centric"){var c=u.coordinate,f=o.radius;return ne(ne(ne({},o),It(o.cx,o.cy,f,c)),{},{angle:c,radius:f})}var d=u.coordinate,h=o.angle;return ne(ne(ne({},o),It(o.cx,o.cy,d,h)),{},{angle:h,radius:d})}return XC},wd=function(t,r){var n=r.graphicalItems,o=r.dataStartIndex,u=r.dataEndIndex,c=(n??[]).reduce(function(f,d){var h=d.props.data;return h&&h.length?[].concat(Ko(f),Ko(h)):f},[]);return c.length>0?c:t&&t.length&&se(o)&&se(u)?t.slice(o,u+1):[]};function VC(e){return e==="number"?[0,"auto"]:void 0}var h0=function(t,r,n,o){var u=t.graphicalItems,c=t.tooltipAxis,f=wd(r,t);return n<0||!u||!u.length||n>=f.length?null:u.reduce(function(d,h){var v,y=(v=h.props.data)!==null&&v!==void 0?v:r;y&&t.dataStartIndex+t.dataEndIndex!==0&&t.dataEndIndex-t.dataStartIndex>=n&&(y=y.slice(t.dataStartIndex,t.dataEndIndex+1));var g;if(c.dataKey&&!c.allowDuplicatedCategory){var b=y===void 0?f:y;g=Ys(b,c.dataKey,o)}else g=y&&y[n]||f[n];return g?[].concat(Ko(d),[LP(h,g)]):d},[])},pM=function(t,r,n,o){var u=o||{x:t.chartX,y:t.chartY},c=UK(u,n),f=t.orderedTooltipTicks,d=t.tooltipAxis,h=t.tooltipTicks,v=TL(c,f,h,d);if(v>=0&&h){var y=h[v]&&h[v].value,g=h0(t,r,v,y),b=IK(n,f,v,u);return{activeTooltipIndex:v,activeLabel:y,activePayload:g,activeCoordinate:b}}return null},HK=function(t,r){var n=r.axes,o=r.graphicalItems,u=r.axisType,c=r.axisIdKey,f=r.stackGroups,d=r.dataStartIndex,h=r.dataEndIndex,v=t.layout,y=t.children,g=t.stackOffset,b=kP(v,u);return n.reduce(function(O,S){var x,T=S.type.defaultProps!==void 0?ne(ne({},S.type.defaultProps),S.props):S.props,P=T.type,E=T.dataKey,N=T.allowDataOverflow,_=T.allowDuplicatedCategory,j=T.scale,M=T.ticks,D=T.includeHidden,q=T[c];if(O[q])return O;var I=wd(t.data,{graphicalItems:o.filter(function(ee){var te,ce=c in ee.props?ee.props[c]:(te=ee.type.defaultProps)===null||te===void 0?void 0:te[c];return ce===q}),dataStartIndex:d,dataEndIndex:h}),k=I.length,L,K,Z;vK(T.domain,N,P)&&(L=Eb(T.domain,null,N),b&&(P==="number"||j!=="auto")&&(Z=bu(I,E,"category")));var V=VC(P);if(!L||L.length===0){var $,H=($=T.domain)!==null&&$!==void 0?$:V;if(E){if(L=bu(I,E,P),P==="category"&&b){var G=bq(L);_&&G?(K=L,L=Ef(0,k)):_||(L=SE(H,L,S).reduce(function(ee,te){return ee.indexOf(te)>=0?ee:[].concat(Ko(ee),[te])},[]))}else if(P==="category")_?L=L.filter(function(ee){return ee!==""&&!je(ee)}):L=SE(H,L,S).reduce(function(ee,te){return ee.indexOf(te)>=0||te===""||je(te)?ee:[].concat(Ko(ee),[te])},[]);else if(P==="number"){var le=DL(I,o.filter(function(ee){var te,ce,me=c in ee.props?ee.props[c]:(te=ee.type.defaultProps)===null||te===void 0?void 0:te[c],ye="hide"in ee.props?ee.props.hide:(ce=ee.type.defaultProps)===null||ce===void 0?void 0:ce.hide;return me===q&&(D||!ye)}),E,u,v);le&&(L=le)}b&&(P==="number"||j!=="auto")&&(Z=bu(I,E,"category"))}else b?L=Ef(0,k):f&&f[q]&&f[q].hasStack&&P==="number"?L=g==="expand"?[0,1]:BP(f[q].stackGroups,d,h):L=qP(I,o.filter(function(ee){var te=c in ee.props?ee.props[c]:ee.type.defaultProps[c],ce="hide"in ee.props?ee.props.hide:ee.type.defaultProps.hide;return te===q&&(D||!ce)}),P,v,!0);if(P==="number")L=s0(y,L,q,u,M),H&&(L=Eb(H,L,N));else if(P==="category"&&H){var R=H,F=L.every(function(ee){return R.indexOf(ee)>=0});F&&(L=R)}}return ne(ne({},O),{},Oe({},q,ne(ne({},T),{},{axisType:u,domain:L,categoricalDomain:Z,duplicateDomain:K,originalDomain:(x=T.domain)!==null&&x!==void 0?x:V,isCategorical:b,layout:v})))},{})},GK=function(t,r){var n=r.graphicalItems,o=r.Axis,u=r.axisType,c=r.axisIdKey,f=r.stackGroups,d=r.dataStartIndex,h=r.dataEndIndex,v=t.layout,y=t.children,g=wd(t.data,{graphicalItems:n,dataStartIndex:d,dataEndIndex:h}),b=g.length,O=kP(v,u),S=-1;return n.reduce(function(x,T){var P=T.type.defaultProps!==void 0?ne(ne({},T.type.defaultProps),T.props):T.props,E=P[c],N=VC("number");if(!x[E]){S++;var _;return O?_=Ef(0,b):f&&f[E]&&f[E].hasStack?(_=BP(f[E].stackGroups,d,h),_=s0(y,_,E,u)):(_=Eb(N,qP(g,n.filter(function(j){var M,D,q=c in j.props?j.props[c]:(M=j.type.defaultProps)===null||M===void 0?void 0:M[c],I="hide"in j.props?j.props.hide:(D=j.type.defaultProps)===null||D===void 0?void 0:D.hide;return q===E&&!I}),"number",v),o.defaultProps.allowDataOverflow),_=s0(y,_,E,u)),ne(ne({},x),{},Oe({},E,ne(ne({axisType:u},o.defaultProps),{},{hide:!0,orientation:Rr(BK,"".concat(u,".").concat(S%2),null),domain:_,originalDomain:N,isCategorical:O,layout:v})))}return x},{})},YK=function(t,r){var n=r.axisType,o=n===void 0?"xAxis":n,u=r.AxisComp,c=r.graphicalItems,f=r.stackGroups,d=r.dataStartIndex,h=r.dataEndIndex,v=t.children,y="".concat(o,"Id"),g=ar(v,u),b={};return g&&g.length?b=HK(t,{axes:g,graphicalItems:c,axisType:o,axisIdKey:y,stackGroups:f,dataStartIndex:d,dataEndIndex:h}):c&&c.length&&(b=GK(t,{Axis:u,graphicalItems:c,axisType:o,axisIdKey:y,stackGroups:f,dataStartIndex:d,dataEndIndex:h})),b},KK=function(t){var r=pa(t),n=Nn(r,!1,!0);return{tooltipTicks:n,orderedTooltipTicks:$0(n,function(o){return o.coordinate}),tooltipAxis:r,tooltipAxisBandSize:gf(r,n)}},vM=function(t){var r=t.children,n=t.defaultShowTooltip,o=mr(r,Do),u=0,c=0;return t.data&&t.data.length!==0&&(c=t.data.length-1),o&&o.props&&(o.props.startIndex>=0&&(u=o.props.startIndex),o.props.endIndex>=0&&(c=o.props.endIndex)),{chartX:0,chartY:0,dataStartIndex:u,dataEndIndex:c,activeTooltipIndex:-1,isTooltipActive:!!n}},XK=function(t){return!t||!t.length?!1:t.some(function(r){var n=Pn(r&&r.type);return n&&n.indexOf("Bar")>=0})},yM=function(t){return t==="horizontal"?{numericAxisName:"yAxis",cateAxisName:"xAxis"}:t==="vertical"?{numericAxisName:"xAxis",cateAxisName:"yAxis"}:t==="centric"?{numericAxisName:"radiusAxis",cateAxisName:"angleAxis"}:{numericAxisName:"angleAxis",cateAxisName:"radiusAxis"}},VK=function(t,r){var n=t.props,o=t.graphicalItems,u=t.xAxisMap,c=u===void 0?{}:u,f=t.yAxisMap,d=f===void 0?{}:f,h=n.width,v=n.height,y=n.children,g=n.margin||{},b=mr(y,Do),O=mr(y,ii),S=Object.keys(d).reduce(function(_,j){var M=d[j],D=M.orientation;return!M.mirror&&!M.hide?ne(ne({},_),{},Oe({},D,_[D]+M.width)):_},{left:g.left||0,right:g.right||0}),x=Object.keys(c).reduce(function(_,j){var M=c[j],D=M.orientation;return!M.mirror&&!M.hide?ne(ne({},_),{},Oe({},D,Rr(_,"".concat(D))+M.height)):_},{top:g.top||0,bottom:g.bottom||0}),T=ne(ne({},x),S),P=T.bottom;b&&(T.bottom+=b.props.height||Do.defaultProps.height),O&&r&&(T=PL(T,o,n,r));var E=h-T.left-T.right,N=v-T.top-T.bottom;return ne(ne({brushBottom:P},T),{},{width:Math.max(E,0),height:Math.max(N,0)})},WK=function(t,r){if(r==="xAxis")return t[r].width;if(r==="yAxis")return t[r].height},xx=function(t){var r=t.chartName,n=t.GraphicalChild,o=t.defaultTooltipEventType,u=o===void 0?"axis":o,c=t.validateTooltipEventTypes,f=c===void 0?["axis"]:c,d=t.axisComponents,h=t.legendContent,v=t.formatAxisMap,y=t.defaultProps,g=function(T,P){var E=P.graphicalItems,N=P.stackGroups,_=P.offset,j=P.updateId,M=P.dataStartIndex,D=P.dataEndIndex,q=T.barSize,I=T.layout,k=T.barGap,L=T.barCategoryGap,K=T.maxBarSize,Z=yM(I),V=Z.numericAxisName,$=Z.cateAxisName,H=XK(E),G=[];return E.forEach(function(le,R){var F=wd(T.data,{graphicalItems:[le],dataStartIndex:M,dataEndIndex:D}),ee=le.type.defaultProps!==void 0?ne(ne({},le.type.defaultProps),le.props):le.props,te=ee.dataKey,ce=ee.maxBarSize,me=ee["".concat(V,"Id")],ye=ee["".concat($,"Id")],Ne={},Te=d.reduce(function(br,sn){var Si=P["".concat(sn.axisType,"Map")],hc=ee["".concat(sn.axisType,"Id")];Si&&Si[hc]||sn.axisType==="zAxis"||pi();var pc=Si[hc];return ne(ne({},br),{},Oe(Oe({},sn.axisType,pc),"".concat(sn.axisType,"Ticks"),Nn(pc)))},Ne),fe=Te[$],xe=Te["".concat($,"Ticks")],we=N&&N[me]&&N[me].hasStack&&YL(le,N[me].stackGroups),ue=Pn(le.type).indexOf("Bar")>=0,et=gf(fe,xe),Re=[],yt=H&&ML({barSize:q,stackGroups:N,totalSize:WK(Te,$)});if(ue){var mt,nt,Wr=je(ce)?K:ce,cn=(mt=(nt=gf(fe,xe,!0))!==null&&nt!==void 0?nt:Wr)!==null&&mt!==void 0?mt:0;Re=NL({barGap:k,barCategoryGap:L,bandSize:cn!==et?cn:et,sizeList:yt[ye],maxBarSize:Wr}),cn!==et&&(Re=Re.map(function(br){return ne(ne({},br),{},{position:ne(ne({},br.position),{},{offset:br.position.offset-cn/2})})}))}var Pa=le&&le.type&&le.type.getComposedData;Pa&&G.push({props:ne(ne({},Pa(ne(ne({},Te),{},{displayedData:F,props:T,dataKey:te,item:le,bandSize:et,barPosition:Re,offset:_,stackedData:we,layout:I,dataStartIndex:M,dataEndIndex:D}))),{},Oe(Oe(Oe({key:le.key||"item-".concat(R)},V,Te[V]),$,Te[$]),"animationId",j)),childIndex:Cq(le,T.children),item:le})}),G},b=function(T,P){var E=T.props,N=T.dataStartIndex,_=T.dataEndIndex,j=T.updateId;if(!q_({props:E}))return null;var M=E.children,D=E.layout,q=E.stackOffset,I=E.data,k=E.reverseStackOrder,L=yM(D),K=L.numericAxisName,Z=L.cateAxisName,V=ar(M,n),$=IL(I,V,"".concat(K,"Id"),"".concat(Z,"Id"),q,k),H=d.reduce(function(ee,te){var ce="".concat(te.axisType,"Map");return ne(ne({},ee),{},Oe({},ce,YK(E,ne(ne({},te),{},{graphicalItems:V,stackGroups:te.axisType===K&&$,dataStartIndex:N,dataEndIndex:_}))))},{}),G=VK(ne(ne({},H),{},{props:E,graphicalItems:V}),P==null?void 0:P.legendBBox);Object.keys(H).forEach(function(ee){H[ee]=v(E,H[ee],G,ee.replace("Map",""),r)});var le=H["".concat(Z,"Map")],R=KK(le),F=g(E,ne(ne({},H),{},{dataStartIndex:N,dataEndIndex:_,updateId:j,graphicalItems:V,stackGroups:$,offset:G}));return ne(ne({formattedGraphicalItems:F,graphicalItems:V,offset:G,stackGroups:$},R),H)},O=function(x){function T(P){var E,N,_;return TK(this,T),_=PK(this,T,[P]),Oe(_,"eventEmitterSymbol",Symbol("rechartsEventEmitter")),Oe(_,"accessibilityManager",new pK),Oe(_,"handleLegendBBoxUpdate",function(j){if(j){var M=_.state,D=M.dataStartIndex,q=M.dataEndIndex,I=M.updateId;_.setState(ne({legendBBox:j},b({props:_.props,dataStartIndex:D,dataEndIndex:q,updateId:I},ne(ne({},_.state),{},{legendBBox:j}))))}}),Oe(_,"handleReceiveSyncEvent",function(j,M,D){if(_.props.syncId===j){if(D===_.eventEmitterSymbol&&typeof _.props.syncMethod!="function")return;_.applySyncEvent(M)}}),Oe(_,"handleBrushChange",function(j){var M=j.startIndex,D=j.endIndex;if(M!==_.state.dataStartIndex||D!==_.state.dataEndIndex){var q=_.state.updateId;_.setState(function(){return ne({dataStartIndex:M,dataEndIndex:D},b({props:_.props,dataStartIndex:M,dataEndIndex:D,updateId:q},_.state))}),_.triggerSyncEvent({dataStartIndex:M,dataEndIndex:D})}}),Oe(_,"handleMouseEnter",function(j){var M=_.getMouseInfo(j);if(M){var D=ne(ne({},M),{},{isTooltipActive:!0});_.setState(D),_.triggerSyncEvent(D);var q=_.props.onMouseEnter;Ee(q)&&q(D,j)}}),Oe(_,"triggeredAfterMouseMove",function(j){var M=_.getMouseInfo(j),D=M?ne(ne({},M),{},{isTooltipActive:!0}):{isTooltipActive:!1};_.setState(D),_.triggerSyncEvent(D);var q=_.props.onMouseMove;Ee(q)&&q(D,j)}),Oe(_,"handleItemMouseEnter",function(j){_.setState(function(){return{isTooltipActive:!0,activeItem:j,activePayload:j.tooltipPayload,activeCoordinate:j.tooltipPosition||{x:j.cx,y:j.cy}}})}),Oe(_,"handleItemMouseLeave",function(){_.setState(function(){return{isTooltipActive:!1}})}),Oe(_,"handleMouseMove",function(j){j.persist(),_.throttleTriggeredAfterMouseMove(j)}),Oe(_,"handleMouseLeave",function(j){_.throttleTriggeredAfterMouseMove.cancel();var M={isTooltipActive:!1};_.setState(M),_.triggerSyncEvent(M);var D=_.props.onMouseLeave;Ee(D)&&D(M,j)}),Oe(_,"handleOuterEvent",function(j){var M=Pq(j),D=Rr(_.props,"".concat(M));if(M&&Ee(D)){var q,I;/.*touch.*/i.test(M)?I=_.getMouseInfo(j.changedTouches[0]):I=_.getMouseInfo(j),D((q=I)!==null&&q!==void 0?q:{},j)}}),Oe(_,"handleClick",function(j){var M=_.getMouseInfo(j);if(M){var D=ne(ne({},M),{},{isTooltipActive:!0});_.setState(D),_.triggerSyncEvent(D);var q=_.props.onClick;Ee(q)&&q(D,j)}}),Oe(_,"handleMouseDown",function(j){var M=_.props.onMouseDown;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"handleMouseUp",function(j){var M=_.props.onMouseUp;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"handleTouchMove",function(j){j.changedTouches!=null&&j.changedTouches.length>0&&_.throttleTriggeredAfterMouseMove(j.changedTouches[0])}),Oe(_,"handleTouchStart",function(j){j.changedTouches!=null&&j.changedTouches.length>0&&_.handleMouseDown(j.changedTouches[0])}),Oe(_,"handleTouchEnd",function(j){j.changedTouches!=null&&j.changedTouches.length>0&&_.handleMouseUp(j.changedTouches[0])}),Oe(_,"handleDoubleClick",function(j){var M=_.props.onDoubleClick;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"handleContextMenu",function(j){var M=_.props.onContextMenu;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"triggerSyncEvent",function(j){_.props.syncId!==void 0&&Bg.emit(Lg,_.props.syncId,j,_.eventEmitterSymbol)}),Oe(_,"applySyncEvent",function(j){var M=_.props,D=M.layout,q=M.syncMethod,I=_.state.updateId,k=j.dataStartIndex,L=j.dataEndIndex;if(j.dataStartIndex!==void 0||j.dataEndIndex!==void 0)_.setState(ne({dataStartIndex:k,dataEndIndex:L},b({props:_.props,dataStartIndex:k,dataEndIndex:L,updateId:I},_.state)));else if(j.activeTooltipIndex!==void 0){var K=j.chartX,Z=j.chartY,V=j.activeTooltipIndex,$=_.state,H=$.offset,G=$.tooltipTicks;if(!H)return;if(typeof q=="function")V=q(G,j);else if(q==="value"){V=-1;for(var le=0;le<G.length;le++)if(G[le].value===j.activeLabel){V=le;break}}var R=ne(ne({},H),{},{x:H.left,y:H.top}),F=Math.min(K,R.x+R.width),ee=Math.min(Z,R.y+R.height),te=G[V]&&G[V].value,ce=h0(_.state,_.props.data,V),me=G[V]?{x:D==="horizontal"?G[V].coordinate:F,y:D==="horizontal"?ee:G[V].coordinate}:XC;_.setState(ne(ne({},j),{},{activeLabel:te,activeCoordinate:me,activePayload:ce,activeTooltipIndex:V}))}else _.setState(j)}),Oe(_,"renderCursor",function(j){var M,D=_.state,q=D.isTooltipActive,I=D.activeCoordinate,k=D.activePayload,L=D.offset,K=D.activeTooltipIndex,Z=D.tooltipAxisBandSize,V=_.getTooltipEventType(),$=(M=j.props.active)!==null&&M!==void 0?M:q,H=_.props.layout,G=j.key||"_recharts-cursor";return B.createElement(SK,{key:G,activeCoordinate:I,activePayload:k,activeTooltipIndex:K,chartName:r,element:j,isActive:$,layout:H,offset:L,tooltipAxisBandSize:Z,tooltipEventType:V})}),Oe(_,"renderPolarAxis",function(j,M,D){var q=Rr(j,"type.axisType"),I=Rr(_.state,"".concat(q,"Map")),k=j.type.defaultProps,L=k!==void 0?ne(ne({},k),j.props):j.props,K=I&&I[L["".concat(q,"Id")]];return re.cloneElement(j,ne(ne({},K),{},{className:ke(q,K.className),key:j.key||"".concat(M,"-").concat(D),ticks:Nn(K,!0)}))}),Oe(_,"renderPolarGrid",function(j){var M=j.props,D=M.radialLines,q=M.polarAngles,I=M.polarRadius,k=_.state,L=k.radiusAxisMap,K=k.angleAxisMap,Z=pa(L),V=pa(K),$=V.cx,H=V.cy,G=V.innerRadius,le=V.outerRadius;return re.cloneElement(j,{polarAngles:Array.isArray(q)?q:Nn(V,!0).map(function(R){return R.coordinate}),polarRadius:Array.isArray(I)?I:Nn(Z,!0).map(function(R){return R.coordinate}),cx:$,cy:H,innerRadius:G,outerRadius:le,key:j.key||"polar-grid",radialLines:D})}),Oe(_,"renderLegend",function(){var j=_.state.formattedGraphicalItems,M=_.props,D=M.children,q=M.width,I=M.height,k=_.props.margin||{},L=q-(k.left||0)-(k.right||0),K=RP({children:D,formattedGraphicalItems:j,legendWidth:L,legendContent:h});if(!K)return null;var Z=K.item,V=dM(K,OK);return re.cloneElement(Z,ne(ne({},V),{},{chartWidth:q,chartHeight:I,margin:k,onBBoxUpdate:_.handleLegendBBoxUpdate}))}),Oe(_,"renderTooltip",function(){var j,M=_.props,D=M.children,q=M.accessibilityLayer,I=mr(D,Cr);if(!I)return null;var k=_.state,L=k.isTooltipActive,K=k.activeCoordinate,Z=k.activePayload,V=k.activeLabel,$=k.offset,H=(j=I.props.active)!==null&&j!==void 0?j:L;return re.cloneElement(I,{viewBox:ne(ne({},$),{},{x:$.left,y:$.top}),active:H,label:V,payload:H?Z:[],coordinate:K,accessibilityLayer:q})}),Oe(_,"renderBrush",function(j){var M=_.props,D=M.margin,q=M.data,I=_.state,k=I.offset,L=I.dataStartIndex,K=I.dataEndIndex,Z=I.updateId;return re.cloneElement(j,{key:j.key||"_recharts-brush",onChange:zs(_.handleBrushChange,j.props.onChange),data:q,x:se(j.props.x)?j.props.x:k.left,y:se(j.props.y)?j.props.y:k.top+k.height+k.brushBottom-(D.bottom||0),width:se(j.props.width)?j.props.width:k.width,startIndex:L,endIndex:K,updateId:"brush-".concat(Z)})}),Oe(_,"renderReferenceElement",function(j,M,D){if(!j)return null;var q=_,I=q.clipPathId,k=_.state,L=k.xAxisMap,K=k.yAxisMap,Z=k.offset,V=j.type.defaultProps||{},$=j.props,H=$.xAxisId,G=H===void 0?V.xAxisId:H,le=$.yAxisId,R=le===void 0?V.yAxisId:le;return re.cloneElement(j,{key:j.key||"".concat(M,"-").concat(D),xAxis:L[G],yAxis:K[R],viewBox:{x:Z.left,y:Z.top,width:Z.width,height:Z.height},clipPathId:I})}),Oe(_,"renderActivePoints",function(j){var M=j.item,D=j.activePoint,q=j.basePoint,I=j.childIndex,k=j.isRange,L=[],K=M.props.key,Z=M.item.type.defaultProps!==void 0?ne(ne({},M.item.type.defaultProps),M.item.props):M.item.props,V=Z.activeDot,$=Z.dataKey,H=ne(ne({index:I,dataKey:$,cx:D.x,cy:D.y,r:4,fill:cx(M.item),strokeWidth:2,stroke:"#fff",payload:D.payload,value:D.value},Ae(V,!1)),Ks(V));return L.push(T.renderActiveDot(V,H,"".concat(K,"-activePoint-").concat(I))),q?L.push(T.renderActiveDot(V,ne(ne({},H),{},{cx:q.x,cy:q.y}),"".concat(K,"-basePoint-").concat(I))):k&&L.push(null),L}),Oe(_,"renderGraphicChild",function(j,M,D){var q=_.filterFormatItem(j,M,D);if(!q)return null;var I=_.getTooltipEventType(),k=_.state,L=k.isTooltipActive,K=k.tooltipAxis,Z=k.activeTooltipIndex,V=k.activeLabel,$=_.props.children,H=mr($,Cr),G=q.props,le=G.points,R=G.isRange,F=G.baseLine,ee=q.item.type.defaultProps!==void 0?ne(ne({},q.item.type.defaultProps),q.item.props):q.item.props,te=ee.activeDot,ce=ee.hide,me=ee.activeBar,ye=ee.activeShape,Ne=!!(!ce&&L&&H&&(te||me||ye)),Te={};I!=="axis"&&H&&H.props.trigger==="click"?Te={onClick:zs(_.handleItemMouseEnter,j.props.onClick)}:I!=="axis"&&(Te={onMouseLeave:zs(_.handleItemMouseLeave,j.props.onMouseLeave),onMouseEnter:zs(_.handleItemMouseEnter,j.props.onMouseEnter)});var fe=re.cloneElement(j,ne(ne({},q.props),Te));function xe(sn){return typeof K.dataKey=="function"?K.dataKey(sn.payload):null}if(Ne)if(Z>=0){var we,ue;if(K.dataKey&&!K.allowDuplicatedCategory){var et=typeof K.dataKey=="function"?xe:"payload.".concat(K.dataKey.toString());we=Ys(le,et,V),ue=R&&F&&Ys(F,et,V)}else we=le==null?void 0:le[Z],ue=R&&F&&F[Z];if(ye||me){var Re=j.props.activeIndex!==void 0?j.props.activeIndex:Z;return[re.cloneElement(j,ne(ne(ne({},q.props),Te),{},{activeIndex:Re})),null,null]}if(!je(we))return[fe].concat(Ko(_.renderActivePoints({item:q,activePoint:we,basePoint:ue,childIndex:Z,isRange:R})))}else{var yt,mt=(yt=_.getItemByXY(_.state.activeCoordinate))!==null&&yt!==void 0?yt:{graphicalItem:fe},nt=mt.graphicalItem,Wr=nt.item,cn=Wr===void 0?j:Wr,Pa=nt.childIndex,br=ne(ne(ne({},q.props),Te),{},{activeIndex:Pa});return[re.cloneElement(cn,br),null,null]}return R?[fe,null,null]:[fe,null]}),Oe(_,"renderCustomized",function(j,M,D){return re.cloneElement(j,ne(ne({key:"recharts-customized-".concat(D)},_.props),_.state))}),Oe(_,"renderMap",{CartesianGrid:{handler:Hs,once:!0},ReferenceArea:{handler:_.renderReferenceElement},ReferenceLine:{handler:Hs},ReferenceDot:{handler:_.renderReferenceElement},XAxis:{handler:Hs},YAxis:{handler:Hs},Brush:{handler:_.renderBrush,once:!0},Bar:{handler:_.renderGraphicChild},Line:{handler:_.renderGraphicChild},Area:{handler:_.renderGraphicChild},Radar:{handler:_.renderGraphicChild},RadialBar:{handler:_.renderGraphicChild},Scatter:{handler:_.renderGraphicChild},Pie:{handler:_.renderGraphicChild},Funnel:{handler:_.renderGraphicChild},Tooltip:{handler:_.renderCursor,once:!0},PolarGrid:{handler:_.renderPolarGrid,once:!0},PolarAngleAxis:{handler:_.renderPolarAxis},PolarRadiusAxis:{handler:_.renderPolarAxis},Customized:{handler:_.renderCustomized}}),_.clipPathId="".concat((E=P.id)!==null&&E!==void 0?E:mi("recharts"),"-clip"),_.throttleTriggeredAfterMouseMove=RN(_.triggeredAfterMouseMove,(N=P.throttleDelay)!==null&&N!==void 0?N:1e3/60),_.state={},_}return RK(T,x),NK(T,[{key:"componentDidMount",value:function(){var E,N;this.addListener(),this.accessibilityManager.setDetails({container:this.container,offset:{left:(E=this.props.margin.left)!==null&&E!==void 0?E:0,top:(N=this.props.margin.top)!==null&&N!==void 0?N:0},coordinateList:this.state.tooltipTicks,mouseHandlerCallback:this.triggeredAfterMouseMove,layout:this.props.layout}),this.displayDefaultTooltip()}},{key:"displayDefaultTooltip",value:function(){var E=this.props,N=E.children,_=E.data,j=E.height,M=E.layout,D=mr(N,Cr);if(D){var q=D.props.defaultIndex;if(!(typeof q!="number"||q<0||q>this.state.tooltipTicks.length-1)){var I=this.state.tooltipTicks[q]&&this.state.tooltipTicks[q].value,k=h0(this.state,_,q,I),L=this.state.tooltipTicks[q].coordinate,K=(this.state.offset.top+j)/2,Z=M==="horizontal",V=Z?{x:L,y:K}:{y:L,x:K},$=this.state.formattedGraphicalItems.find(function(G){var le=G.item;return le.type.name==="Scatter"});$&&(V=ne(ne({},V),$.props.points[q].tooltipPosition),k=$.props.points[q].tooltipPayload);var H={activeTooltipIndex:q,isTooltipActive:!0,activeLabel:I,activePayload:k,activeCoordinate:V};this.setState(H),this.renderCursor(D),this.accessibilityManager.setIndex(q)}}}},{key:"getSnapshotBeforeUpdate",value:function(E,N){if(!this.props.accessibilityLayer)return null;if(this.state.tooltipTicks!==N.tooltipTicks&&this.accessibilityManager.setDetails({coordinateList:this.state.tooltipTicks}),this.props.layout!==E.layout&&this.accessibilityManager.setDetails({layout:this.props.layout}),this.props.margin!==E.margin){var _,j;this.accessibilityManager.setDetails({offset:{left:(_=this.props.margin.left)!==null&&_!==void 0?_:0,top:(j=this.props.margin.top)!==null&&j!==void 0?j:0}})}return null}},{key:"componentDidUpdate",value:function(E){Wg([mr(E.children,Cr)],[mr(this.props.children,Cr)])||this.displayDefaultTooltip()}},{key:"componentWillUnmount",value:function(){this.removeListener(),this.throttleTriggeredAfterMouseMove.cancel()}},{key:"getTooltipEventType",value:function(){var E=mr(this.props.children,Cr);if(E&&typeof E.props.shared=="boolean"){var N=E.props.shared?"axis":"item";return f.indexOf(N)>=0?N:u}return u}},{key:"getMouseInfo",value:function(E){if(!this.container)return null;var N=this.container,_=N.getBoundingClientRect(),j=g8(_),M={chartX:Math.round(E.pageX-j.left),chartY:Math.round(E.pageY-j.top)},D=_.width/N.offsetWidth||1,q=this.inRange(M.chartX,M.chartY,D);if(!q)return null;var I=this.state,k=I.xAxisMap,L=I.yAxisMap,K=this.getTooltipEventType(),Z=pM(this.state,this.props.data,this.props.layout,q);if(K!=="axis"&&k&&L){var V=pa(k).scale,$=pa(L).scale,H=V&&V.invert?V.invert(M.chartX):null,G=$&&$.invert?$.invert(M.chartY):null;return ne(ne({},M),{},{xValue:H,yValue:G},Z)}return Z?ne(ne({},M),Z):null}},{key:"inRange",value:function(E,N){var _=arguments.length>2&&arguments[2]!==void 0?arguments[2]:1,j=this.props.layout,M=E/_,D=N/_;if(j==="horizontal"||j==="vertical"){var q=this.state.offset,I=M>=q.left&&M<=q.left+q.width&&D>=q.top&&D<=q.top+q.height;return I?{x:M,y:D}:null}var k=this.state,L=k.angleAxisMap,K=k.radiusAxisMap;if(L&&K){var Z=pa(L);return _E({x:M,y:D},Z)}return null}},{key:"parseEventsOfWrapper",value:function(){var E=this.props.children,N=this.getTooltipEventType(),_=mr(E,Cr),j={};_&&N==="axis"&&(_.props.trigger==="click"?j={onClick:this.handleClick}:j={onMouseEnter:this.handleMouseEnter,onDoubleClick:this.handleDoubleClick,onMouseMove:this.handleMouseMove,onMouseLeave:this.handleMouseLeave,onTouchMove:this.handleTouchMove,onTouchStart:this.handleTouchStart,onTouchEnd:this.handleTouchEnd,onContextMenu:this.handleContextMenu});var M=Ks(this.props,this.handleOuterEvent);return ne(ne({},M),j)}},{key:"addListener",value:function(){Bg.on(Lg,this.handleReceiveSyncEvent)}},{key:"removeListener",value:function(){Bg.removeListener(Lg,this.handleReceiveSyncEvent)}},{key:"filterFormatItem",value:function(E,N,_){for(var j=this.state.formattedGraphicalItems,M=0,D=j.length;M<D;M++){var q=j[M];if(q.item===E||q.props.key===E.key||N===Pn(q.item.type)&&_===q.childIndex)return q}return null}},{key:"renderClipPath",value:function(){var E=this.clipPathId,N=this.state.offset,_=N.left,j=N.top,M=N.height,D=N.width;return B.createElement("defs",null,B.createElement("clipPath",{id:E},B.createElement("rect",{x:_,y:j,height:M,width:D})))}},{key:"getXScales",value:function(){var E=this.state.xAxisMap;return E?Object.entries(E).reduce(function(N,_){var j=fM(_,2),M=j[0],D=j[1];return ne(ne({},N),{},Oe({},M,D.scale))},{}):null}},{key:"getYScales",value:function(){var E=this.state.yAxisMap;return E?Object.entries(E).reduce(function(N,_){var j=fM(_,2),M=j[0],D=j[1];return ne(ne({},N),{},Oe({},M,D.scale))},{}):null}},{key:"getXScaleByAxisId",value:function(E){var N;return(N=this.state.xAxisMap)===null||N===void 0||(N=N[E])===null||N===void 0?void 0:N.scale}},{key:"getYScaleByAxisId",value:function(E){var N;return(N=this.state.yAxisMap)===null||N===void 0||(N=N[E])===null||N===void 0?void 0:N.scale}},{key:"getItemByXY",value:function(E){var N=this.state,_=N.formattedGraphicalItems,j=N.activeItem;if(_&&_.length)for(var M=0,D=_.length;M<D;M++){var q=_[M],I=q.props,k=q.item,L=k.type.defaultProps!==void 0?ne(ne({},k.type.defaultProps),k.props):k.props,K=Pn(k.type);if(K==="Bar"){var Z=(I.data||[]).find(function(G){return $I(E,G)});if(Z)return{graphicalItem:q,payload:Z}}else if(K==="RadialBar"){var V=(I.data||[]).find(function(G){return _E(E,G)});if(V)return{graphicalItem:q,payload:V}}else if(hd(q,j)||pd(q,j)||ec(q,j)){var $=_7({graphicalItem:q,activeTooltipItem:j,itemData:L.data}),H=L.activeIndex===void 0?$:L.activeIndex;return{graphicalItem:ne(ne({},q),{},{childIndex:H}),payload:ec(q,j)?L.data[$]:q.props.data[$]}}}return null}},{key:"render",value:function(){var E=this;if(!q_(this))return null;var N=this.props,_=N.children,j=N.className,M=N.width,D=N.height,q=N.style,I=N.compact,k=N.title,L=N.desc,K=dM(N,wK),Z=Ae(K,!1);if(I)return B.createElement(IT,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},B.createElement(Zg,vo({},Z,{width:M,height:D,title:k,desc:L}),this.renderClipPath(),z_(_,this.renderMap)));if(this.props.accessibilityLayer){var V,$;Z.tabIndex=(V=this.props.tabIndex)!==null&&V!==void 0?V:0,Z.role=($=this.props.role)!==null&&$!==void 0?$:"application",Z.onKeyDown=function(G){E.accessibilityManager.keyboardEvent(G)},Z.onFocus=function(){E.accessibilityManager.focus()}}var H=this.parseEventsOfWrapper();return B.createElement(IT,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},B.createElement("div",vo({className:ke("recharts-wrapper",j),style:ne({position:"relative",cursor:"default",width:M,height:D},q)},H,{ref:function(le){E.container=le}}),B.createElement(Zg,vo({},Z,{width:M,height:D,title:k,desc:L,style:LK}),this.renderClipPath(),z_(_,this.renderMap)),this.renderLegend(),this.renderTooltip()))}}])}(re.Component);Oe(O,"displayName",r),Oe(O,"defaultProps",ne({layout:"horizontal",stackOffset:"none",barCategoryGap:"10%",barGap:4,margin:{top:5,right:5,bottom:5,left:5},reverseStackOrder:!1,syncMethod:"index"},y)),Oe(O,"getDerivedStateFromProps",function(x,T){var P=x.dataKey,E=x.data,N=x.children,_=x.width,j=x.height,M=x.layout,D=x.stackOffset,q=x.margin,I=T.dataStartIndex,k=T.dataEndIndex;if(T.updateId===void 0){var L=vM(x);return ne(ne(ne({},L),{},{updateId:0},b(ne(ne({props:x},L),{},{updateId:0}),T)),{},{prevDataKey:P,prevData:E,prevWidth:_,prevHeight:j,prevLayout:M,prevStackOffset:D,prevMargin:q,prevChildren:N})}if(P!==T.prevDataKey||E!==T.prevData||_!==T.prevWidth||j!==T.prevHeight||M!==T.prevLayout||D!==T.prevStackOffset||!yo(q,T.prevMargin)){var K=vM(x),Z={chartX:T.chartX,chartY:T.chartY,isTooltipActive:T.isTooltipActive},V=ne(ne({},pM(T,E,M)),{},{updateId:T.updateId+1}),$=ne(ne(ne({},K),Z),V);return ne(ne(ne({},$),b(ne({props:x},$),T)),{},{prevDataKey:P,prevData:E,prevWidth:_,prevHeight:j,prevLayout:M,prevStackOffset:D,prevMargin:q,prevChildren:N})}if(!Wg(N,T.prevChildren)){var H,G,le,R,F=mr(N,Do),ee=F&&(H=(G=F.props)===null||G===void 0?void 0:G.startIndex)!==null&&H!==void 0?H:I,te=F&&(le=(R=F.props)===null||R===void 0?void 0:R.endIndex)!==null&&le!==void 0?le:k,ce=ee!==I||te!==k,me=!je(E),ye=me&&!ce?T.updateId:T.updateId+1;return ne(ne({updateId:ye},b(ne(ne({props:x},T),{},{updateId:ye,dataStartIndex:ee,dataEndIndex:te}),T)),{},{prevChildren:N,dataStartIndex:ee,dataEndIndex:te})}return null}),Oe(O,"renderActiveDot",function(x,T,P){var E;return re.isValidElement(x)?E=re.cloneElement(x,T):Ee(x)?E=x(T):E=B.createElement(dd,T),B.createElement(Ie,{className:"recharts-active-dot",key:P},E)});var S=re.forwardRef(function(T,P){return B.createElement(O,vo({},T,{ref:P}))});return S.displayName=O.displayName,S},FK=xx({chartName:"LineChart",GraphicalChild:xa,axisComponents:[{axisType:"xAxis",AxisComp:Ma},{axisType:"yAxis",AxisComp:Na}],formatAxisMap:fx}),ZK=xx({chartName:"BarChart",GraphicalChild:kn,defaultTooltipEventType:"axis",validateTooltipEventTypes:["axis","item"],axisComponents:[{axisType:"xAxis",AxisComp:Ma},{axisType:"yAxis",AxisComp:Na}],formatAxisMap:fx}),QK=xx({chartName:"ComposedChart",GraphicalChild:[xa,Ta,kn,Od],axisComponents:[{axisType:"xAxis",AxisComp:Ma},{axisType:"yAxis",AxisComp:Na},{axisType:"zAxis",AxisComp:Sd}],formatAxisMap:fx});const JK=()=>{const[e,t]=re.useState([]),[r,n]=re.useState(!0),[o,u]=re.useState(null);re.useEffect(()=>{(async()=>{try{const g=c();t(g)}catch(g){console.error("Error loading data:",g)}finally{n(!1)}})()},[]);const c=()=>{const b=[];for(let O=1880;O<=2023;O++){let S;O<1920?S=-.3+Math.random()*.4-.2:O<1980?S=-.1+(O-1920)*.002+Math.random()*.4-.2:S=.1+(O-1980)*.018+Math.random()*.3-.15,b.push({year:O,anomaly:parseFloat(S.toFixed(2)),isRecent:O>=2014,isExtreme:S>1})}return b},f=({active:y,payload:g,label:b})=>{if(y&&g&&g.length){const O=g[0].payload;return w.jsxs("div",{className:"bg-white p-3 border rounded-lg shadow-lg",children:[w.jsx("p",{className:"font-semibold",children:`年份: ${b}`}),w.jsx("p",{className:"text-red-600",children:`温度距平: ${g[0].value>0?"+":""}${g[0].value}°C`}),O.isRecent&&w.jsx(ut,{variant:"destructive",className:"mt-1",children:"最热十年"}),O.isExtreme&&w.jsx(ut,{variant:"outline",className:"mt-1 ml-1",children:"极端高温"})]})}return null},d=y=>{const{cx:g,cy:b,payload:O}=y;return O.isRecent?w.jsx("circle",{cx:g,cy:b,r:3,fill:"#ef4444",stroke:"#dc2626",strokeWidth:2,className:"animate-pulse"}):null};if(r)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(xo,{className:"h-5 w-5"}),w.jsx("span",{children:"全球温度距平趋势"})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const h=e.filter(y=>y.year>=2014),v=h.reduce((y,g)=>y+g.anomaly,0)/h.length;return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(xo,{className:"h-5 w-5"}),w.jsx("span",{children:"全球温度距平趋势 (1880-2023)"})]}),w.jsx(ci,{children:"相对于1951-1980年基准期的年度温度偏差。红色圆点标记最近十年的数据点。"})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-4 grid grid-cols-1 md:grid-cols-3 gap-4",children:[w.jsxs("div",{className:"bg-red-50 p-3 rounded-lg",children:[w.jsxs("div",{className:"text-2xl font-bold text-red-600",children:["+",v.toFixed(2),"°C"]}),w.jsx("div",{className:"text-sm text-gray-600",children:"最近十年平均距平"})]}),w.jsxs("div",{className:"bg-orange-50 p-3 rounded-lg",children:[w.jsx("div",{className:"text-2xl font-bold text-orange-600",children:e.filter(y=>y.anomaly>1).length}),w.jsx("div",{className:"text-sm text-gray-600",children:"超过1°C的年份数"})]}),w.jsxs("div",{className:"bg-yellow-50 p-3 rounded-lg flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5 text-yellow-600"}),w.jsxs("div",{children:[w.jsx("div",{className:"text-sm font-semibold text-yellow-800",children:"加速变暖"}),w.jsx("div",{className:"text-xs text-gray-600",children:"1980年后趋势明显"})]})]})]}),w.jsx("div",{className:"h-96",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(FK,{data:e,margin:{top:20,right:30,left:20,bottom:20},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"year",stroke:"#6b7280",fontSize:12,tickFormatter:y=>y.toString(),interval:"preserveStartEnd"}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:y=>`${y>0?"+":""}${y}°C`}),w.jsx(Cr,{content:w.jsx(f,{})}),w.jsx(bo,{y:0,stroke:"#6b7280",strokeDasharray:"2 2"}),w.jsx(bo,{y:1.5,stroke:"#f59e0b",strokeDasharray:"5 5",label:{value:"1.5°C目标",position:"topRight"}}),w.jsx(bo,{y:2,stroke:"#ef4444",strokeDasharray:"5 5",label:{value:"2°C警戒线",position:"topRight"}}),w.jsx(xa,{type:"monotone",dataKey:"anomaly",stroke:"#3b82f6",strokeWidth:2,dot:w.jsx(d,{}),activeDot:{r:4,fill:"#ef4444"}}),w.jsx(xa,{type:"monotone",dataKey:"anomaly",stroke:"#ef4444",strokeWidth:3,dot:!1,data:e.filter(y=>y.year>=2014),connectNulls:!1})]})})}),w.jsx("div",{className:"mt-4 text-sm text-gray-600",children:w.jsxs("p",{children:[w.jsx("strong",{children:"关键观察："}),"数据显示自1982年以来，全球变暖的速率是1850年以来平均速率的三倍以上， 达到了每十年0.20°C。有记录以来最热的十年均发生在最近的十年内。"]})})]})]})},eX=()=>{const[e,t]=re.useState([]),[r,n]=re.useState(!0),[o,u]=re.useState("decadal");re.useEffect(()=>{(async()=>{try{const b=c();t(b)}catch(b){console.error("Error loading acceleration data:",b)}finally{n(!1)}})()},[]);const c=()=>[{period:"1880-1890",rate:.05,confidence:"low"},{period:"1890-1900",rate:.02,confidence:"low"},{period:"1900-1910",rate:-.01,confidence:"low"},{period:"1910-1920",rate:.08,confidence:"medium"},{period:"1920-1930",rate:.12,confidence:"medium"},{period:"1930-1940",rate:.09,confidence:"medium"},{period:"1940-1950",rate:.03,confidence:"medium"},{period:"1950-1960",rate:-.02,confidence:"high"},{period:"1960-1970",rate:.01,confidence:"high"},{period:"1970-1980",rate:.08,confidence:"high"},{period:"1980-1990",rate:.15,confidence:"high"},{period:"1990-2000",rate:.18,confidence:"high"},{period:"2000-2010",rate:.19,confidence:"high"},{period:"2010-2020",rate:.22,confidence:"high"},{period:"2020-2023",rate:.25,confidence:"high",isProjected:!0}].map((b,O)=>({...b,index:O,isAccelerating:b.rate>.15,isRecent:O>=10})),f=({active:g,payload:b,label:O})=>{if(g&&b&&b.length){const S=b[0].payload;return w.jsxs("div",{className:"bg-white p-3 border rounded-lg shadow-lg",children:[w.jsx("p",{className:"font-semibold",children:`时期: ${O}`}),w.jsx("p",{className:`${S.rate>0?"text-red-600":"text-blue-600"}`,children:`升温速率: ${S.rate>0?"+":""}${S.rate.toFixed(2)}°C/十年`}),w.jsxs("div",{className:"flex items-center space-x-2 mt-1",children:[w.jsx(ut,{variant:S.confidence==="high"?"default":S.confidence==="medium"?"secondary":"outline",className:"text-xs",children:S.confidence==="high"?"高置信度":S.confidence==="medium"?"中等置信度":"低置信度"}),S.isAccelerating&&w.jsx(ut,{variant:"destructive",className:"text-xs",children:"加速期"}),S.isProjected&&w.jsx(ut,{variant:"outline",className:"text-xs",children:"预测值"})]})]})}return null},d=g=>g.rate<0?"#3b82f6":g.rate<.1?"#10b981":g.rate<.15?"#f59e0b":"#ef4444";if(r)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(yu,{className:"h-5 w-5"}),w.jsx("span",{children:"变暖加速度分析"})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const h=e.filter(g=>g.isRecent),v=h.reduce((g,b)=>g+b.rate,0)/h.length,y=e.filter(g=>!g.isRecent&&g.rate>0).reduce((g,b)=>g+b.rate,0)/e.filter(g=>!g.isRecent&&g.rate>0).length;return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(yu,{className:"h-5 w-5"}),w.jsx("span",{children:"变暖加速度分析：每十年升温速率"})]}),w.jsx(ci,{children:"展示不同时期的升温速率变化，揭示气候变化的加速趋势。负值表示降温期，正值表示升温期。"})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 grid grid-cols-1 md:grid-cols-4 gap-4",children:[w.jsxs("div",{className:"bg-red-50 p-4 rounded-lg",children:[w.jsxs("div",{className:"flex items-center space-x-2 mb-2",children:[w.jsx(xo,{className:"h-4 w-4 text-red-600"}),w.jsx("span",{className:"text-sm font-semibold text-red-800",children:"当前速率"})]}),w.jsxs("div",{className:"text-2xl font-bold text-red-600",children:["+",v.toFixed(2),"°C"]}),w.jsx("div",{className:"text-xs text-gray-600",children:"每十年（2000年以来）"})]}),w.jsxs("div",{className:"bg-orange-50 p-4 rounded-lg",children:[w.jsxs("div",{className:"flex items-center space-x-2 mb-2",children:[w.jsx(x$,{className:"h-4 w-4 text-orange-600"}),w.jsx("span",{className:"text-sm font-semibold text-orange-800",children:"历史对比"})]}),w.jsxs("div",{className:"text-2xl font-bold text-orange-600",children:[(v/y).toFixed(1),"x"]}),w.jsx("div",{className:"text-xs text-gray-600",children:"相对于历史平均"})]}),w.jsxs("div",{className:"bg-yellow-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-yellow-800 mb-2",children:"加速期数量"}),w.jsx("div",{className:"text-2xl font-bold text-yellow-600",children:e.filter(g=>g.isAccelerating).length}),w.jsx("div",{className:"text-xs text-gray-600",children:"超过0.15°C/十年"})]}),w.jsxs("div",{className:"bg-blue-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-blue-800 mb-2",children:"数据置信度"}),w.jsxs("div",{className:"text-2xl font-bold text-blue-600",children:[Math.round(e.filter(g=>g.confidence==="high").length/e.length*100),"%"]}),w.jsx("div",{className:"text-xs text-gray-600",children:"高置信度数据"})]})]}),w.jsx("div",{className:"h-96",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(ZK,{data:e,margin:{top:20,right:30,left:20,bottom:60},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"period",stroke:"#6b7280",fontSize:11,angle:-45,textAnchor:"end",height:80}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:g=>`${g>0?"+":""}${g}°C`}),w.jsx(Cr,{content:w.jsx(f,{})}),w.jsx(kn,{dataKey:"rate",fill:g=>d(g),radius:[2,2,0,0],children:e.map((g,b)=>w.jsx(kn,{fill:d(g)},`cell-${b}`))})]})})}),w.jsxs("div",{className:"mt-6 space-y-4",children:[w.jsxs("div",{className:"bg-gray-50 p-4 rounded-lg",children:[w.jsxs("h4",{className:"font-semibold mb-2 flex items-center space-x-2",children:[w.jsx(yu,{className:"h-4 w-4"}),w.jsx("span",{children:"关键发现"})]}),w.jsxs("div",{className:"space-y-2 text-sm text-gray-700",children:[w.jsxs("p",{children:[w.jsx("strong",{children:"加速趋势明显："}),"自1982年以来，全球变暖的速率是1850年以来平均速率的三倍以上，达到了每十年0.20°C。"]}),w.jsxs("p",{children:[w.jsx("strong",{children:"阶段性特征："}),'1940-1970年期间出现了相对的"冷却期"，但1980年代开始的加速变暖趋势持续至今。']}),w.jsxs("p",{children:[w.jsx("strong",{children:"未来预测："}),"基于当前趋势，2020年代的升温速率可能达到每十年0.25°C，创历史新高。"]})]})]}),w.jsxs("div",{className:"flex flex-wrap gap-2",children:[w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-blue-500 rounded"}),w.jsx("span",{children:"降温期"})]}),w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-green-500 rounded"}),w.jsx("span",{children:"轻微升温 (<0.1°C)"})]}),w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-yellow-500 rounded"}),w.jsx("span",{children:"中等升温 (0.1-0.15°C)"})]}),w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-red-500 rounded"}),w.jsx("span",{children:"快速升温 (>0.15°C)"})]})]})]})]})]})},tX=()=>{const[e,t]=re.useState([]),[r,n]=re.useState(!0),[o,u]=re.useState("2010s");re.useEffect(()=>{(async()=>{try{const S=c();t(S)}catch(S){console.error("Error loading baseline shift data:",S)}finally{n(!1)}})()},[]);const c=()=>{const O=["1880s","1900s","1920s","1940s","1960s","1980s","2000s","2010s","2020s"],S=[];for(let x=-2;x<=3;x+=.1){const T={temperature:parseFloat(x.toFixed(1))};O.forEach((P,E)=>{const N=-.5+E*.25,j=Math.exp(-Math.pow(x-N,2)/(2*Math.pow(.4,2)));T[P]=parseFloat((j*100).toFixed(2))}),S.push(T)}return S},f=({active:O,payload:S,label:x})=>O&&S&&S.length?w.jsxs("div",{className:"bg-white p-3 border rounded-lg shadow-lg",children:[w.jsx("p",{className:"font-semibold",children:`温度距平: ${x}°C`}),S.map((T,P)=>w.jsx("p",{style:{color:T.color},children:`${T.dataKey}: ${T.value.toFixed(1)}%`},P))]}):null,d=["1880s","1900s","1920s","1940s","1960s","1980s","2000s","2010s","2020s"],h={"1880s":"#1e40af","1900s":"#1e3a8a","1920s":"#3730a3","1940s":"#4338ca","1960s":"#6366f1","1980s":"#8b5cf6","2000s":"#f59e0b","2010s":"#f97316","2020s":"#ef4444"};if(r)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5"}),w.jsx("span",{children:"基线漂移分析"})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const v=O=>{var _;const S=e.map(j=>({temp:j.temperature,freq:j[O]})),x=S.reduce((j,M)=>j+M.freq,0),P=S.reduce((j,M)=>j+M.temp*M.freq,0)/x,E=Math.max(...S.map(j=>j.freq)),N=((_=S.find(j=>j.freq===E))==null?void 0:_.temp)||0;return{mean:P,mode:N,maxFreq:E}},y=v("2010s"),g=v("1880s"),b=y.mean-g.mean;return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5"}),w.jsx("span",{children:"基线漂移：温度分布的历史演变"})]}),w.jsx(ci,{children:'展示不同十年间温度距平分布的变化，揭示"常态"如何被重新定义。 整个分布曲线随时间向右（更暖）移动，表明极端高温正在成为新常态。'})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 grid grid-cols-1 md:grid-cols-4 gap-4",children:[w.jsxs("div",{className:"bg-red-50 p-4 rounded-lg",children:[w.jsxs("div",{className:"flex items-center space-x-2 mb-2",children:[w.jsx(xo,{className:"h-4 w-4 text-red-600"}),w.jsx("span",{className:"text-sm font-semibold text-red-800",children:"分布漂移"})]}),w.jsxs("div",{className:"text-2xl font-bold text-red-600",children:["+",b.toFixed(2),"°C"]}),w.jsx("div",{className:"text-xs text-gray-600",children:"2010s vs 1880s平均值"})]}),w.jsxs("div",{className:"bg-orange-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-orange-800 mb-2",children:"当前常态"}),w.jsxs("div",{className:"text-2xl font-bold text-orange-600",children:["+",y.mode.toFixed(1),"°C"]}),w.jsx("div",{className:"text-xs text-gray-600",children:"2010s最常见温度"})]}),w.jsxs("div",{className:"bg-yellow-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-yellow-800 mb-2",children:"历史常态"}),w.jsxs("div",{className:"text-2xl font-bold text-yellow-600",children:[g.mode.toFixed(1),"°C"]}),w.jsx("div",{className:"text-xs text-gray-600",children:"1880s最常见温度"})]}),w.jsxs("div",{className:"bg-blue-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-blue-800 mb-2",children:"极端化程度"}),w.jsxs("div",{className:"text-2xl font-bold text-blue-600",children:[Math.round(e.filter(O=>O.temperature>1).reduce((O,S)=>O+S["2010s"],0)/e.filter(O=>O.temperature>1).reduce((O,S)=>O+S["1880s"],0)*10)/10,"x"]}),w.jsx("div",{className:"text-xs text-gray-600",children:"高温事件增加倍数"})]})]}),w.jsxs("div",{className:"mb-4 flex flex-wrap gap-2",children:[w.jsx("span",{className:"text-sm font-medium text-gray-700 mr-2",children:"显示十年:"}),d.map(O=>w.jsx(va,{variant:o===O?"default":"outline",size:"sm",onClick:()=>u(O),className:"text-xs",style:{backgroundColor:o===O?h[O]:"transparent",borderColor:h[O],color:o===O?"white":h[O]},children:O},O))]}),w.jsx("div",{className:"h-96",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(QK,{data:e,margin:{top:20,right:30,left:20,bottom:20},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"temperature",stroke:"#6b7280",fontSize:12,tickFormatter:O=>`${O>0?"+":""}${O}°C`}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,label:{value:"出现频率 (%)",angle:-90,position:"insideLeft"}}),w.jsx(Cr,{content:w.jsx(f,{})}),w.jsx(ii,{}),w.jsx(Ta,{type:"monotone",dataKey:o,stroke:h[o],fill:h[o],fillOpacity:.3,strokeWidth:2,name:`${o} 分布`}),o!=="1880s"&&w.jsx(xa,{type:"monotone",dataKey:"1880s",stroke:h["1880s"],strokeWidth:2,strokeDasharray:"5 5",dot:!1,name:"1880s 基准"})]})})}),w.jsxs("div",{className:"mt-6 space-y-4",children:[w.jsxs("div",{className:"bg-gray-50 p-4 rounded-lg",children:[w.jsxs("h4",{className:"font-semibold mb-2 flex items-center space-x-2",children:[w.jsx(Yg,{className:"h-4 w-4"}),w.jsx("span",{children:"基线漂移的含义"})]}),w.jsxs("div",{className:"space-y-2 text-sm text-gray-700",children:[w.jsxs("p",{children:[w.jsx("strong",{children:"常态的重新定义："}),"曾经创下高温纪录的2005年，如今在全球最热年份排名中已跌至第13位。 这表明我们正在逐渐适应并常态化极端高温。"]}),w.jsxs("p",{children:[w.jsx("strong",{children:"分布整体右移："}),'整个温度分布曲线随着时间的推移不断向右（更暖）移动， 意味着过去的"极端高温"正在成为今天的"正常温度"。']}),w.jsxs("p",{children:[w.jsx("strong",{children:"极端事件常态化："}),"1880年代罕见的高温事件（+1°C以上），在2010年代的出现频率增加了数倍， 揭示了气候变化对我们认知和感知的深刻影响。"]})]})]}),w.jsxs("div",{className:"grid grid-cols-1 md:grid-cols-2 gap-4",children:[w.jsxs("div",{className:"bg-blue-50 p-4 rounded-lg",children:[w.jsx("h5",{className:"font-semibold text-blue-800 mb-2",children:"历史视角 (1880s-1960s)"}),w.jsx("p",{className:"text-sm text-gray-700",children:'温度分布相对稳定，以负距平为主，极端高温事件罕见。 这一时期建立了我们对"正常"气候的基本认知。'})]}),w.jsxs("div",{className:"bg-red-50 p-4 rounded-lg",children:[w.jsx("h5",{className:"font-semibold text-red-800 mb-2",children:"现代变化 (1980s-2020s)"}),w.jsx("p",{className:"text-sm text-gray-700",children:'分布明显右移，正距平成为常态，极端高温频发。 过去的"异常"正在成为新的"正常"，基线已经发生根本性漂移。'})]})]})]})]})]})},rX=()=>{const e=re.useRef(null),t=re.useRef(null),[r,n]=re.useState(!1),[o,u]=re.useState(1880),[c,f]=re.useState([]),[d,h]=re.useState(!0);re.useEffect(()=>{(async()=>{try{const _=v();f(_)}catch(_){console.error("Error loading spiral data:",_)}finally{h(!1)}})()},[]);const v=()=>{const j=[];for(let M=1880;M<=2023;M++){const D=[];for(let q=0;q<12;q++){let I;M<1920?I=-.3+Math.random()*.4-.2:M<1980?I=-.1+(M-1920)*.002+Math.random()*.4-.2:I=.1+(M-1980)*.018+Math.random()*.3-.15;const k=Math.sin((q-1)*Math.PI/6)*.3,L=I+k;D.push({month:q,anomaly:parseFloat(L.toFixed(2)),angle:q/12*2*Math.PI,radius:Math.max(0,L+2)*50+50})}j.push({year:M,months:D,avgAnomaly:D.reduce((q,I)=>q+I.anomaly,0)/12})}return j},y=(N,_,j)=>{const M=N.width/2,D=N.height/2,q=Math.min(M,D)-50;if(_.clearRect(0,0,N.width,N.height),g(_,M,D,q),!c.find(L=>L.year<=j))return;const k=c.findIndex(L=>L.year===j);_.strokeStyle="rgba(59, 130, 246, 0.3)",_.lineWidth=1,_.beginPath();for(let L=0;L<=k;L++)c[L].months.forEach((Z,V)=>{const $=M+Math.cos(Z.angle)*(Z.radius*q/150),H=D+Math.sin(Z.angle)*(Z.radius*q/150);L===0&&V===0?_.moveTo($,H):_.lineTo($,H)});if(_.stroke(),k>=0){const L=c[k];_.strokeStyle=b(L.avgAnomaly),_.lineWidth=3,_.beginPath(),L.months.forEach((K,Z)=>{const V=M+Math.cos(K.angle)*(K.radius*q/150),$=D+Math.sin(K.angle)*(K.radius*q/150);Z===0?_.moveTo(V,$):_.lineTo(V,$)}),_.stroke(),_.fillStyle="#1f2937",_.font="bold 24px Inter",_.textAlign="center",_.fillText(j.toString(),M,D-10),_.font="14px Inter",_.fillText(`平均距平: ${L.avgAnomaly.toFixed(2)}°C`,M,D+15)}},g=(N,_,j,M)=>{[{temp:-2,radius:.2,color:"#1e40af",label:"-2°C"},{temp:-1,radius:.4,color:"#3b82f6",label:"-1°C"},{temp:0,radius:.6,color:"#6b7280",label:"0°C"},{temp:1,radius:.8,color:"#f59e0b",label:"+1°C"},{temp:1.5,radius:.9,color:"#f97316",label:"+1.5°C"},{temp:2,radius:1,color:"#ef4444",label:"+2°C"}].forEach(I=>{const k=I.radius*M;N.strokeStyle=I.color,N.lineWidth=2,N.setLineDash(I.temp===0?[]:[5,5]),N.beginPath(),N.arc(_,j,k,0,2*Math.PI),N.stroke(),N.fillStyle=I.color,N.font="12px Inter",N.textAlign="left",N.fillText(I.label,_+k+5,j+4)}),["1月","2月","3月","4月","5月","6月","7月","8月","9月","10月","11月","12月"].forEach((I,k)=>{const L=k/12*2*Math.PI-Math.PI/2,K=_+Math.cos(L)*(M+20),Z=j+Math.sin(L)*(M+20);N.fillStyle="#6b7280",N.font="11px Inter",N.textAlign="center",N.fillText(I,K,Z+4)}),N.setLineDash([])},b=N=>N<-1?"#1e40af":N<-.5?"#3b82f6":N<0?"#6b7280":N<.5?"#10b981":N<1?"#f59e0b":N<1.5?"#f97316":"#ef4444",O=()=>{if(r)return;n(!0);const N=()=>{u(_=>_>=2023?(n(!1),2023):_+1),o<2023?t.current=setTimeout(N,100):n(!1)};N()},S=()=>{n(!1),t.current&&clearTimeout(t.current)},x=()=>{S(),u(1880)};if(re.useEffect(()=>{const N=e.current;if(!N||!c.length)return;const _=N.getContext("2d");N.width=500,N.height=500,y(N,_,o)},[o,c]),d)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Kg,{className:"h-5 w-5"}),w.jsx("span",{children:"气候螺旋图"})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const T=c.find(N=>N.year===o),P=T&&T.avgAnomaly>1,E=T&&T.avgAnomaly>1.5;return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Kg,{className:"h-5 w-5"}),w.jsx("span",{children:"气候螺旋图：温度距平的时间演化"})]}),w.jsx(ci,{children:"由气候科学家Ed Hawkins推广的可视化形式，以极具视觉冲击力的方式展示全球温度如何逐步逼近关键阈值。 每一圈代表一年，从中心向外的距离表示温度距平的大小。"})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 flex flex-wrap items-center justify-between gap-4",children:[w.jsxs("div",{className:"flex items-center space-x-4",children:[w.jsxs(va,{onClick:r?S:O,variant:r?"destructive":"default",size:"sm",className:"flex items-center space-x-2",children:[r?w.jsx(PM,{className:"h-4 w-4"}):w.jsx(CM,{className:"h-4 w-4"}),w.jsx("span",{children:r?"暂停":"播放"})]}),w.jsxs(va,{onClick:x,variant:"outline",size:"sm",className:"flex items-center space-x-2",children:[w.jsx(DM,{className:"h-4 w-4"}),w.jsx("span",{children:"重置"})]}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx("span",{className:"text-sm text-gray-600",children:"年份:"}),w.jsx("input",{type:"range",min:"1880",max:"2023",value:o,onChange:N=>u(parseInt(N.target.value)),className:"w-32",disabled:r}),w.jsx("span",{className:"text-sm font-mono",children:o})]})]}),w.jsx("div",{className:"flex items-center space-x-2",children:T&&w.jsxs(w.Fragment,{children:[w.jsx(ut,{variant:E?"destructive":P?"secondary":"outline",className:"flex items-center space-x-1",children:w.jsxs("span",{children:["当前距平: ",T.avgAnomaly.toFixed(2),"°C"]})}),E&&w.jsx(ut,{variant:"destructive",children:"超过1.5°C警戒线"}),P&&!E&&w.jsx(ut,{variant:"secondary",children:"接近1.5°C目标"})]})})]}),w.jsxs("div",{className:"flex flex-col lg:flex-row gap-6",children:[w.jsx("div",{className:"flex-1 flex justify-center",children:w.jsxs("div",{className:"relative",children:[w.jsx("canvas",{ref:e,className:"border rounded-lg shadow-sm bg-white",style:{maxWidth:"100%",height:"auto"}}),E&&w.jsx("div",{className:"absolute top-4 left-4 bg-red-500 text-white px-2 py-1 rounded text-sm font-semibold animate-pulse",children:"危险水平"})]})}),w.jsxs("div",{className:"lg:w-80 space-y-4",children:[w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:"关键阈值"})}),w.jsxs(dt,{className:"space-y-3",children:[w.jsxs("div",{className:"flex items-center justify-between",children:[w.jsx("span",{className:"text-sm",children:"1.5°C 目标"}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx("div",{className:"w-4 h-4 bg-orange-500 rounded"}),w.jsx("span",{className:"text-sm text-orange-600",children:"警戒"})]})]}),w.jsxs("div",{className:"flex items-center justify-between",children:[w.jsx("span",{className:"text-sm",children:"2.0°C 警戒线"}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx("div",{className:"w-4 h-4 bg-red-500 rounded"}),w.jsx("span",{className:"text-sm text-red-600",children:"危险"})]})]}),w.jsxs("div",{className:"flex items-center justify-between",children:[w.jsx("span",{className:"text-sm",children:"基准线 (0°C)"}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx("div",{className:"w-4 h-4 bg-gray-500 rounded"}),w.jsx("span",{className:"text-sm text-gray-600",children:"正常"})]})]})]})]}),w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:"螺旋解读"})}),w.jsx(dt,{children:w.jsxs("div",{className:"space-y-2 text-sm text-gray-700",children:[w.jsxs("p",{children:["• ",w.jsx("strong",{children:"螺旋轨迹："}),"每一圈代表一年的12个月"]}),w.jsxs("p",{children:["• ",w.jsx("strong",{children:"距离中心："}),"表示温度距平的大小"]}),w.jsxs("p",{children:["• ",w.jsx("strong",{children:"颜色变化："}),"从蓝色（冷）到红色（热）"]}),w.jsxs("p",{children:["• ",w.jsx("strong",{children:"轨迹演化："}),"观察螺旋如何逐渐向外扩展"]})]})})]}),T&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg",children:[o,"年数据"]})}),w.jsx(dt,{children:w.jsxs("div",{className:"space-y-2",children:[w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"年平均距平:"}),w.jsxs("span",{className:`text-sm font-semibold ${T.avgAnomaly>1?"text-red-600":T.avgAnomaly>0?"text-orange-600":"text-blue-600"}`,children:[T.avgAnomaly>0?"+":"",T.avgAnomaly.toFixed(2),"°C"]})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"最热月份:"}),w.jsxs("span",{className:"text-sm font-semibold",children:[Math.max(...T.months.map(N=>N.anomaly)).toFixed(2),"°C"]})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"最冷月份:"}),w.jsxs("span",{className:"text-sm font-semibold",children:[Math.min(...T.months.map(N=>N.anomaly)).toFixed(2),"°C"]})]})]})})]})]})]}),w.jsxs("div",{className:"mt-6 bg-gray-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2",children:"气候螺旋的意义"}),w.jsx("p",{className:"text-sm text-gray-700",children:"气候螺旋图由英国气候科学家Ed Hawkins创造，通过极坐标系统展示温度变化的时间序列。 这种可视化方式能够直观地展示全球温度如何逐步逼近并超越关键的气候阈值， 特别是《巴黎协定》设定的1.5°C和2°C目标。螺旋的向外扩展清晰地表明了气候变化的加速趋势。"})]})]})]})},WC=re.forwardRef(({className:e,min:t=0,max:r=100,step:n=1,value:o,onValueChange:u,disabled:c,...f},d)=>{const[h,v]=re.useState(o||[t]),y=o||h,g=b=>{const O=[parseInt(b.target.value)];v(O),u&&u(O)};return w.jsxs("div",{className:Sa("relative flex w-full touch-none select-none items-center",e),...f,children:[w.jsx("input",{ref:d,type:"range",min:t,max:r,step:n,value:y[0],onChange:g,disabled:c,className:"w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"}),w.jsx("style",{jsx:!0,children:`
+In order to be iterable, non-array objects must have a [Symbol.iterator]() method.`)}function YC(e,t){if(e){if(typeof e=="string")return d0(e,t);var r=Object.prototype.toString.call(e).slice(8,-1);if(r==="Object"&&e.constructor&&(r=e.constructor.name),r==="Map"||r==="Set")return Array.from(e);if(r==="Arguments"||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(r))return d0(e,t)}}function qK(e){if(typeof Symbol<"u"&&e[Symbol.iterator]!=null||e["@@iterator"]!=null)return Array.from(e)}function kK(e){if(Array.isArray(e))return d0(e)}function d0(e,t){(t==null||t>e.length)&&(t=e.length);for(var r=0,n=new Array(t);r<t;r++)n[r]=e[r];return n}function hM(e,t){var r=Object.keys(e);if(Object.getOwnPropertySymbols){var n=Object.getOwnPropertySymbols(e);t&&(n=n.filter(function(o){return Object.getOwnPropertyDescriptor(e,o).enumerable})),r.push.apply(r,n)}return r}function ne(e){for(var t=1;t<arguments.length;t++){var r=arguments[t]!=null?arguments[t]:{};t%2?hM(Object(r),!0).forEach(function(n){Oe(e,n,r[n])}):Object.getOwnPropertyDescriptors?Object.defineProperties(e,Object.getOwnPropertyDescriptors(r)):hM(Object(r)).forEach(function(n){Object.defineProperty(e,n,Object.getOwnPropertyDescriptor(r,n))})}return e}function Oe(e,t,r){return t=KC(t),t in e?Object.defineProperty(e,t,{value:r,enumerable:!0,configurable:!0,writable:!0}):e[t]=r,e}function KC(e){var t=zK(e,"string");return Yo(t)=="symbol"?t:t+""}function zK(e,t){if(Yo(e)!="object"||!e)return e;var r=e[Symbol.toPrimitive];if(r!==void 0){var n=r.call(e,t);if(Yo(n)!="object")return n;throw new TypeError("@@toPrimitive must return a primitive value.")}return(t==="string"?String:Number)(e)}var BK={xAxis:["bottom","top"],yAxis:["left","right"]},LK={width:"100%",height:"100%"},XC={x:0,y:0};function Hs(e){return e}var UK=function(t,r){return r==="horizontal"?t.x:r==="vertical"?t.y:r==="centric"?t.angle:t.radius},IK=function(t,r,n,o){var u=r.find(function(v){return v&&v.index===n});if(u){if(t==="horizontal")return{x:u.coordinate,y:o.y};if(t==="vertical")return{x:o.x,y:u.coordinate};if(t==="centric"){var c=u.coordinate,f=o.radius;return ne(ne(ne({},o),It(o.cx,o.cy,f,c)),{},{angle:c,radius:f})}var d=u.coordinate,h=o.angle;return ne(ne(ne({},o),It(o.cx,o.cy,d,h)),{},{angle:h,radius:d})}return XC},wd=function(t,r){var n=r.graphicalItems,o=r.dataStartIndex,u=r.dataEndIndex,c=(n??[]).reduce(function(f,d){var h=d.props.data;return h&&h.length?[].concat(Ko(f),Ko(h)):f},[]);return c.length>0?c:t&&t.length&&se(o)&&se(u)?t.slice(o,u+1):[]};function VC(e){return e==="number"?[0,"auto"]:void 0}var h0=function(t,r,n,o){var u=t.graphicalItems,c=t.tooltipAxis,f=wd(r,t);return n<0||!u||!u.length||n>=f.length?null:u.reduce(function(d,h){var v,y=(v=h.props.data)!==null&&v!==void 0?v:r;y&&t.dataStartIndex+t.dataEndIndex!==0&&t.dataEndIndex-t.dataStartIndex>=n&&(y=y.slice(t.dataStartIndex,t.dataEndIndex+1));var g;if(c.dataKey&&!c.allowDuplicatedCategory){var b=y===void 0?f:y;g=Ys(b,c.dataKey,o)}else g=y&&y[n]||f[n];return g?[].concat(Ko(d),[LP(h,g)]):d},[])},pM=function(t,r,n,o){var u=o||{x:t.chartX,y:t.chartY},c=UK(u,n),f=t.orderedTooltipTicks,d=t.tooltipAxis,h=t.tooltipTicks,v=TL(c,f,h,d);if(v>=0&&h){var y=h[v]&&h[v].value,g=h0(t,r,v,y),b=IK(n,f,v,u);return{activeTooltipIndex:v,activeLabel:y,activePayload:g,activeCoordinate:b}}return null},HK=function(t,r){var n=r.axes,o=r.graphicalItems,u=r.axisType,c=r.axisIdKey,f=r.stackGroups,d=r.dataStartIndex,h=r.dataEndIndex,v=t.layout,y=t.children,g=t.stackOffset,b=kP(v,u);return n.reduce(function(O,S){var x,T=S.type.defaultProps!==void 0?ne(ne({},S.type.defaultProps),S.props):S.props,P=T.type,E=T.dataKey,N=T.allowDataOverflow,_=T.allowDuplicatedCategory,j=T.scale,M=T.ticks,D=T.includeHidden,q=T[c];if(O[q])return O;var I=wd(t.data,{graphicalItems:o.filter(function(ee){var te,ce=c in ee.props?ee.props[c]:(te=ee.type.defaultProps)===null||te===void 0?void 0:te[c];return ce===q}),dataStartIndex:d,dataEndIndex:h}),k=I.length,L,K,Z;vK(T.domain,N,P)&&(L=Eb(T.domain,null,N),b&&(P==="number"||j!=="auto")&&(Z=bu(I,E,"category")));var V=VC(P);if(!L||L.length===0){var $,H=($=T.domain)!==null&&$!==void 0?$:V;if(E){if(L=bu(I,E,P),P==="category"&&b){var G=bq(L);_&&G?(K=L,L=Ef(0,k)):_||(L=SE(H,L,S).reduce(function(ee,te){return ee.indexOf(te)>=0?ee:[].concat(Ko(ee),[te])},[]))}else if(P==="category")_?L=L.filter(function(ee){return ee!==""&&!je(ee)}):L=SE(H,L,S).reduce(function(ee,te){return ee.indexOf(te)>=0||te===""||je(te)?ee:[].concat(Ko(ee),[te])},[]);else if(P==="number"){var le=DL(I,o.filter(function(ee){var te,ce,me=c in ee.props?ee.props[c]:(te=ee.type.defaultProps)===null||te===void 0?void 0:te[c],ye="hide"in ee.props?ee.props.hide:(ce=ee.type.defaultProps)===null||ce===void 0?void 0:ce.hide;return me===q&&(D||!ye)}),E,u,v);le&&(L=le)}b&&(P==="number"||j!=="auto")&&(Z=bu(I,E,"category"))}else b?L=Ef(0,k):f&&f[q]&&f[q].hasStack&&P==="number"?L=g==="expand"?[0,1]:BP(f[q].stackGroups,d,h):L=qP(I,o.filter(function(ee){var te=c in ee.props?ee.props[c]:ee.type.defaultProps[c],ce="hide"in ee.props?ee.props.hide:ee.type.defaultProps.hide;return te===q&&(D||!ce)}),P,v,!0);if(P==="number")L=s0(y,L,q,u,M),H&&(L=Eb(H,L,N));else if(P==="category"&&H){var R=H,F=L.every(function(ee){return R.indexOf(ee)>=0});F&&(L=R)}}return ne(ne({},O),{},Oe({},q,ne(ne({},T),{},{axisType:u,domain:L,categoricalDomain:Z,duplicateDomain:K,originalDomain:(x=T.domain)!==null&&x!==void 0?x:V,isCategorical:b,layout:v})))},{})},GK=function(t,r){var n=r.graphicalItems,o=r.Axis,u=r.axisType,c=r.axisIdKey,f=r.stackGroups,d=r.dataStartIndex,h=r.dataEndIndex,v=t.layout,y=t.children,g=wd(t.data,{graphicalItems:n,dataStartIndex:d,dataEndIndex:h}),b=g.length,O=kP(v,u),S=-1;return n.reduce(function(x,T){var P=T.type.defaultProps!==void 0?ne(ne({},T.type.defaultProps),T.props):T.props,E=P[c],N=VC("number");if(!x[E]){S++;var _;return O?_=Ef(0,b):f&&f[E]&&f[E].hasStack?(_=BP(f[E].stackGroups,d,h),_=s0(y,_,E,u)):(_=Eb(N,qP(g,n.filter(function(j){var M,D,q=c in j.props?j.props[c]:(M=j.type.defaultProps)===null||M===void 0?void 0:M[c],I="hide"in j.props?j.props.hide:(D=j.type.defaultProps)===null||D===void 0?void 0:D.hide;return q===E&&!I}),"number",v),o.defaultProps.allowDataOverflow),_=s0(y,_,E,u)),ne(ne({},x),{},Oe({},E,ne(ne({axisType:u},o.defaultProps),{},{hide:!0,orientation:Rr(BK,"".concat(u,".").concat(S%2),null),domain:_,originalDomain:N,isCategorical:O,layout:v})))}return x},{})},YK=function(t,r){var n=r.axisType,o=n===void 0?"xAxis":n,u=r.AxisComp,c=r.graphicalItems,f=r.stackGroups,d=r.dataStartIndex,h=r.dataEndIndex,v=t.children,y="".concat(o,"Id"),g=ar(v,u),b={};return g&&g.length?b=HK(t,{axes:g,graphicalItems:c,axisType:o,axisIdKey:y,stackGroups:f,dataStartIndex:d,dataEndIndex:h}):c&&c.length&&(b=GK(t,{Axis:u,graphicalItems:c,axisType:o,axisIdKey:y,stackGroups:f,dataStartIndex:d,dataEndIndex:h})),b},KK=function(t){var r=pa(t),n=Nn(r,!1,!0);return{tooltipTicks:n,orderedTooltipTicks:$0(n,function(o){return o.coordinate}),tooltipAxis:r,tooltipAxisBandSize:gf(r,n)}},vM=function(t){var r=t.children,n=t.defaultShowTooltip,o=mr(r,Do),u=0,c=0;return t.data&&t.data.length!==0&&(c=t.data.length-1),o&&o.props&&(o.props.startIndex>=0&&(u=o.props.startIndex),o.props.endIndex>=0&&(c=o.props.endIndex)),{chartX:0,chartY:0,dataStartIndex:u,dataEndIndex:c,activeTooltipIndex:-1,isTooltipActive:!!n}},XK=function(t){return!t||!t.length?!1:t.some(function(r){var n=Pn(r&&r.type);return n&&n.indexOf("Bar")>=0})},yM=function(t){return t==="horizontal"?{numericAxisName:"yAxis",cateAxisName:"xAxis"}:t==="vertical"?{numericAxisName:"xAxis",cateAxisName:"yAxis"}:t==="centric"?{numericAxisName:"radiusAxis",cateAxisName:"angleAxis"}:{numericAxisName:"angleAxis",cateAxisName:"radiusAxis"}},VK=function(t,r){var n=t.props,o=t.graphicalItems,u=t.xAxisMap,c=u===void 0?{}:u,f=t.yAxisMap,d=f===void 0?{}:f,h=n.width,v=n.height,y=n.children,g=n.margin||{},b=mr(y,Do),O=mr(y,ii),S=Object.keys(d).reduce(function(_,j){var M=d[j],D=M.orientation;return!M.mirror&&!M.hide?ne(ne({},_),{},Oe({},D,_[D]+M.width)):_},{left:g.left||0,right:g.right||0}),x=Object.keys(c).reduce(function(_,j){var M=c[j],D=M.orientation;return!M.mirror&&!M.hide?ne(ne({},_),{},Oe({},D,Rr(_,"".concat(D))+M.height)):_},{top:g.top||0,bottom:g.bottom||0}),T=ne(ne({},x),S),P=T.bottom;b&&(T.bottom+=b.props.height||Do.defaultProps.height),O&&r&&(T=PL(T,o,n,r));var E=h-T.left-T.right,N=v-T.top-T.bottom;return ne(ne({brushBottom:P},T),{},{width:Math.max(E,0),height:Math.max(N,0)})},WK=function(t,r){if(r==="xAxis")return t[r].width;if(r==="yAxis")return t[r].height},xx=function(t){var r=t.chartName,n=t.GraphicalChild,o=t.defaultTooltipEventType,u=o===void 0?"axis":o,c=t.validateTooltipEventTypes,f=c===void 0?["axis"]:c,d=t.axisComponents,h=t.legendContent,v=t.formatAxisMap,y=t.defaultProps,g=function(T,P){var E=P.graphicalItems,N=P.stackGroups,_=P.offset,j=P.updateId,M=P.dataStartIndex,D=P.dataEndIndex,q=T.barSize,I=T.layout,k=T.barGap,L=T.barCategoryGap,K=T.maxBarSize,Z=yM(I),V=Z.numericAxisName,$=Z.cateAxisName,H=XK(E),G=[];return E.forEach(function(le,R){var F=wd(T.data,{graphicalItems:[le],dataStartIndex:M,dataEndIndex:D}),ee=le.type.defaultProps!==void 0?ne(ne({},le.type.defaultProps),le.props):le.props,te=ee.dataKey,ce=ee.maxBarSize,me=ee["".concat(V,"Id")],ye=ee["".concat($,"Id")],Ne={},Te=d.reduce(function(br,sn){var Si=P["".concat(sn.axisType,"Map")],hc=ee["".concat(sn.axisType,"Id")];Si&&Si[hc]||sn.axisType==="zAxis"||pi();var pc=Si[hc];return ne(ne({},br),{},Oe(Oe({},sn.axisType,pc),"".concat(sn.axisType,"Ticks"),Nn(pc)))},Ne),fe=Te[$],xe=Te["".concat($,"Ticks")],we=N&&N[me]&&N[me].hasStack&&YL(le,N[me].stackGroups),ue=Pn(le.type).indexOf("Bar")>=0,et=gf(fe,xe),Re=[],yt=H&&ML({barSize:q,stackGroups:N,totalSize:WK(Te,$)});if(ue){var mt,nt,Wr=je(ce)?K:ce,cn=(mt=(nt=gf(fe,xe,!0))!==null&&nt!==void 0?nt:Wr)!==null&&mt!==void 0?mt:0;Re=NL({barGap:k,barCategoryGap:L,bandSize:cn!==et?cn:et,sizeList:yt[ye],maxBarSize:Wr}),cn!==et&&(Re=Re.map(function(br){return ne(ne({},br),{},{position:ne(ne({},br.position),{},{offset:br.position.offset-cn/2})})}))}var Pa=le&&le.type&&le.type.getComposedData;Pa&&G.push({props:ne(ne({},Pa(ne(ne({},Te),{},{displayedData:F,props:T,dataKey:te,item:le,bandSize:et,barPosition:Re,offset:_,stackedData:we,layout:I,dataStartIndex:M,dataEndIndex:D}))),{},Oe(Oe(Oe({key:le.key||"item-".concat(R)},V,Te[V]),$,Te[$]),"animationId",j)),childIndex:Cq(le,T.children),item:le})}),G},b=function(T,P){var E=T.props,N=T.dataStartIndex,_=T.dataEndIndex,j=T.updateId;if(!q_({props:E}))return null;var M=E.children,D=E.layout,q=E.stackOffset,I=E.data,k=E.reverseStackOrder,L=yM(D),K=L.numericAxisName,Z=L.cateAxisName,V=ar(M,n),$=IL(I,V,"".concat(K,"Id"),"".concat(Z,"Id"),q,k),H=d.reduce(function(ee,te){var ce="".concat(te.axisType,"Map");return ne(ne({},ee),{},Oe({},ce,YK(E,ne(ne({},te),{},{graphicalItems:V,stackGroups:te.axisType===K&&$,dataStartIndex:N,dataEndIndex:_}))))},{}),G=VK(ne(ne({},H),{},{props:E,graphicalItems:V}),P==null?void 0:P.legendBBox);Object.keys(H).forEach(function(ee){H[ee]=v(E,H[ee],G,ee.replace("Map",""),r)});var le=H["".concat(Z,"Map")],R=KK(le),F=g(E,ne(ne({},H),{},{dataStartIndex:N,dataEndIndex:_,updateId:j,graphicalItems:V,stackGroups:$,offset:G}));return ne(ne({formattedGraphicalItems:F,graphicalItems:V,offset:G,stackGroups:$},R),H)},O=function(x){function T(P){var E,N,_;return TK(this,T),_=PK(this,T,[P]),Oe(_,"eventEmitterSymbol",Symbol("rechartsEventEmitter")),Oe(_,"accessibilityManager",new pK),Oe(_,"handleLegendBBoxUpdate",function(j){if(j){var M=_.state,D=M.dataStartIndex,q=M.dataEndIndex,I=M.updateId;_.setState(ne({legendBBox:j},b({props:_.props,dataStartIndex:D,dataEndIndex:q,updateId:I},ne(ne({},_.state),{},{legendBBox:j}))))}}),Oe(_,"handleReceiveSyncEvent",function(j,M,D){if(_.props.syncId===j){if(D===_.eventEmitterSymbol&&typeof _.props.syncMethod!="function")return;_.applySyncEvent(M)}}),Oe(_,"handleBrushChange",function(j){var M=j.startIndex,D=j.endIndex;if(M!==_.state.dataStartIndex||D!==_.state.dataEndIndex){var q=_.state.updateId;_.setState(function(){return ne({dataStartIndex:M,dataEndIndex:D},b({props:_.props,dataStartIndex:M,dataEndIndex:D,updateId:q},_.state))}),_.triggerSyncEvent({dataStartIndex:M,dataEndIndex:D})}}),Oe(_,"handleMouseEnter",function(j){var M=_.getMouseInfo(j);if(M){var D=ne(ne({},M),{},{isTooltipActive:!0});_.setState(D),_.triggerSyncEvent(D);var q=_.props.onMouseEnter;Ee(q)&&q(D,j)}}),Oe(_,"triggeredAfterMouseMove",function(j){var M=_.getMouseInfo(j),D=M?ne(ne({},M),{},{isTooltipActive:!0}):{isTooltipActive:!1};_.setState(D),_.triggerSyncEvent(D);var q=_.props.onMouseMove;Ee(q)&&q(D,j)}),Oe(_,"handleItemMouseEnter",function(j){_.setState(function(){return{isTooltipActive:!0,activeItem:j,activePayload:j.tooltipPayload,activeCoordinate:j.tooltipPosition||{x:j.cx,y:j.cy}}})}),Oe(_,"handleItemMouseLeave",function(){_.setState(function(){return{isTooltipActive:!1}})}),Oe(_,"handleMouseMove",function(j){j.persist(),_.throttleTriggeredAfterMouseMove(j)}),Oe(_,"handleMouseLeave",function(j){_.throttleTriggeredAfterMouseMove.cancel();var M={isTooltipActive:!1};_.setState(M),_.triggerSyncEvent(M);var D=_.props.onMouseLeave;Ee(D)&&D(M,j)}),Oe(_,"handleOuterEvent",function(j){var M=Pq(j),D=Rr(_.props,"".concat(M));if(M&&Ee(D)){var q,I;/.*touch.*/i.test(M)?I=_.getMouseInfo(j.changedTouches[0]):I=_.getMouseInfo(j),D((q=I)!==null&&q!==void 0?q:{},j)}}),Oe(_,"handleClick",function(j){var M=_.getMouseInfo(j);if(M){var D=ne(ne({},M),{},{isTooltipActive:!0});_.setState(D),_.triggerSyncEvent(D);var q=_.props.onClick;Ee(q)&&q(D,j)}}),Oe(_,"handleMouseDown",function(j){var M=_.props.onMouseDown;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"handleMouseUp",function(j){var M=_.props.onMouseUp;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"handleTouchMove",function(j){j.changedTouches!=null&&j.changedTouches.length>0&&_.throttleTriggeredAfterMouseMove(j.changedTouches[0])}),Oe(_,"handleTouchStart",function(j){j.changedTouches!=null&&j.changedTouches.length>0&&_.handleMouseDown(j.changedTouches[0])}),Oe(_,"handleTouchEnd",function(j){j.changedTouches!=null&&j.changedTouches.length>0&&_.handleMouseUp(j.changedTouches[0])}),Oe(_,"handleDoubleClick",function(j){var M=_.props.onDoubleClick;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"handleContextMenu",function(j){var M=_.props.onContextMenu;if(Ee(M)){var D=_.getMouseInfo(j);M(D,j)}}),Oe(_,"triggerSyncEvent",function(j){_.props.syncId!==void 0&&Bg.emit(Lg,_.props.syncId,j,_.eventEmitterSymbol)}),Oe(_,"applySyncEvent",function(j){var M=_.props,D=M.layout,q=M.syncMethod,I=_.state.updateId,k=j.dataStartIndex,L=j.dataEndIndex;if(j.dataStartIndex!==void 0||j.dataEndIndex!==void 0)_.setState(ne({dataStartIndex:k,dataEndIndex:L},b({props:_.props,dataStartIndex:k,dataEndIndex:L,updateId:I},_.state)));else if(j.activeTooltipIndex!==void 0){var K=j.chartX,Z=j.chartY,V=j.activeTooltipIndex,$=_.state,H=$.offset,G=$.tooltipTicks;if(!H)return;if(typeof q=="function")V=q(G,j);else if(q==="value"){V=-1;for(var le=0;le<G.length;le++)if(G[le].value===j.activeLabel){V=le;break}}var R=ne(ne({},H),{},{x:H.left,y:H.top}),F=Math.min(K,R.x+R.width),ee=Math.min(Z,R.y+R.height),te=G[V]&&G[V].value,ce=h0(_.state,_.props.data,V),me=G[V]?{x:D==="horizontal"?G[V].coordinate:F,y:D==="horizontal"?ee:G[V].coordinate}:XC;_.setState(ne(ne({},j),{},{activeLabel:te,activeCoordinate:me,activePayload:ce,activeTooltipIndex:V}))}else _.setState(j)}),Oe(_,"renderCursor",function(j){var M,D=_.state,q=D.isTooltipActive,I=D.activeCoordinate,k=D.activePayload,L=D.offset,K=D.activeTooltipIndex,Z=D.tooltipAxisBandSize,V=_.getTooltipEventType(),$=(M=j.props.active)!==null&&M!==void 0?M:q,H=_.props.layout,G=j.key||"_recharts-cursor";return B.createElement(SK,{key:G,activeCoordinate:I,activePayload:k,activeTooltipIndex:K,chartName:r,element:j,isActive:$,layout:H,offset:L,tooltipAxisBandSize:Z,tooltipEventType:V})}),Oe(_,"renderPolarAxis",function(j,M,D){var q=Rr(j,"type.axisType"),I=Rr(_.state,"".concat(q,"Map")),k=j.type.defaultProps,L=k!==void 0?ne(ne({},k),j.props):j.props,K=I&&I[L["".concat(q,"Id")]];return re.cloneElement(j,ne(ne({},K),{},{className:ke(q,K.className),key:j.key||"".concat(M,"-").concat(D),ticks:Nn(K,!0)}))}),Oe(_,"renderPolarGrid",function(j){var M=j.props,D=M.radialLines,q=M.polarAngles,I=M.polarRadius,k=_.state,L=k.radiusAxisMap,K=k.angleAxisMap,Z=pa(L),V=pa(K),$=V.cx,H=V.cy,G=V.innerRadius,le=V.outerRadius;return re.cloneElement(j,{polarAngles:Array.isArray(q)?q:Nn(V,!0).map(function(R){return R.coordinate}),polarRadius:Array.isArray(I)?I:Nn(Z,!0).map(function(R){return R.coordinate}),cx:$,cy:H,innerRadius:G,outerRadius:le,key:j.key||"polar-grid",radialLines:D})}),Oe(_,"renderLegend",function(){var j=_.state.formattedGraphicalItems,M=_.props,D=M.children,q=M.width,I=M.height,k=_.props.margin||{},L=q-(k.left||0)-(k.right||0),K=RP({children:D,formattedGraphicalItems:j,legendWidth:L,legendContent:h});if(!K)return null;var Z=K.item,V=dM(K,OK);return re.cloneElement(Z,ne(ne({},V),{},{chartWidth:q,chartHeight:I,margin:k,onBBoxUpdate:_.handleLegendBBoxUpdate}))}),Oe(_,"renderTooltip",function(){var j,M=_.props,D=M.children,q=M.accessibilityLayer,I=mr(D,Cr);if(!I)return null;var k=_.state,L=k.isTooltipActive,K=k.activeCoordinate,Z=k.activePayload,V=k.activeLabel,$=k.offset,H=(j=I.props.active)!==null&&j!==void 0?j:L;return re.cloneElement(I,{viewBox:ne(ne({},$),{},{x:$.left,y:$.top}),active:H,label:V,payload:H?Z:[],coordinate:K,accessibilityLayer:q})}),Oe(_,"renderBrush",function(j){var M=_.props,D=M.margin,q=M.data,I=_.state,k=I.offset,L=I.dataStartIndex,K=I.dataEndIndex,Z=I.updateId;return re.cloneElement(j,{key:j.key||"_recharts-brush",onChange:zs(_.handleBrushChange,j.props.onChange),data:q,x:se(j.props.x)?j.props.x:k.left,y:se(j.props.y)?j.props.y:k.top+k.height+k.brushBottom-(D.bottom||0),width:se(j.props.width)?j.props.width:k.width,startIndex:L,endIndex:K,updateId:"brush-".concat(Z)})}),Oe(_,"renderReferenceElement",function(j,M,D){if(!j)return null;var q=_,I=q.clipPathId,k=_.state,L=k.xAxisMap,K=k.yAxisMap,Z=k.offset,V=j.type.defaultProps||{},$=j.props,H=$.xAxisId,G=H===void 0?V.xAxisId:H,le=$.yAxisId,R=le===void 0?V.yAxisId:le;return re.cloneElement(j,{key:j.key||"".concat(M,"-").concat(D),xAxis:L[G],yAxis:K[R],viewBox:{x:Z.left,y:Z.top,width:Z.width,height:Z.height},clipPathId:I})}),Oe(_,"renderActivePoints",function(j){var M=j.item,D=j.activePoint,q=j.basePoint,I=j.childIndex,k=j.isRange,L=[],K=M.props.key,Z=M.item.type.defaultProps!==void 0?ne(ne({},M.item.type.defaultProps),M.item.props):M.item.props,V=Z.activeDot,$=Z.dataKey,H=ne(ne({index:I,dataKey:$,cx:D.x,cy:D.y,r:4,fill:cx(M.item),strokeWidth:2,stroke:"#fff",payload:D.payload,value:D.value},Ae(V,!1)),Ks(V));return L.push(T.renderActiveDot(V,H,"".concat(K,"-activePoint-").concat(I))),q?L.push(T.renderActiveDot(V,ne(ne({},H),{},{cx:q.x,cy:q.y}),"".concat(K,"-basePoint-").concat(I))):k&&L.push(null),L}),Oe(_,"renderGraphicChild",function(j,M,D){var q=_.filterFormatItem(j,M,D);if(!q)return null;var I=_.getTooltipEventType(),k=_.state,L=k.isTooltipActive,K=k.tooltipAxis,Z=k.activeTooltipIndex,V=k.activeLabel,$=_.props.children,H=mr($,Cr),G=q.props,le=G.points,R=G.isRange,F=G.baseLine,ee=q.item.type.defaultProps!==void 0?ne(ne({},q.item.type.defaultProps),q.item.props):q.item.props,te=ee.activeDot,ce=ee.hide,me=ee.activeBar,ye=ee.activeShape,Ne=!!(!ce&&L&&H&&(te||me||ye)),Te={};I!=="axis"&&H&&H.props.trigger==="click"?Te={onClick:zs(_.handleItemMouseEnter,j.props.onClick)}:I!=="axis"&&(Te={onMouseLeave:zs(_.handleItemMouseLeave,j.props.onMouseLeave),onMouseEnter:zs(_.handleItemMouseEnter,j.props.onMouseEnter)});var fe=re.cloneElement(j,ne(ne({},q.props),Te));function xe(sn){return typeof K.dataKey=="function"?K.dataKey(sn.payload):null}if(Ne)if(Z>=0){var we,ue;if(K.dataKey&&!K.allowDuplicatedCategory){var et=typeof K.dataKey=="function"?xe:"payload.".concat(K.dataKey.toString());we=Ys(le,et,V),ue=R&&F&&Ys(F,et,V)}else we=le==null?void 0:le[Z],ue=R&&F&&F[Z];if(ye||me){var Re=j.props.activeIndex!==void 0?j.props.activeIndex:Z;return[re.cloneElement(j,ne(ne(ne({},q.props),Te),{},{activeIndex:Re})),null,null]}if(!je(we))return[fe].concat(Ko(_.renderActivePoints({item:q,activePoint:we,basePoint:ue,childIndex:Z,isRange:R})))}else{var yt,mt=(yt=_.getItemByXY(_.state.activeCoordinate))!==null&&yt!==void 0?yt:{graphicalItem:fe},nt=mt.graphicalItem,Wr=nt.item,cn=Wr===void 0?j:Wr,Pa=nt.childIndex,br=ne(ne(ne({},q.props),Te),{},{activeIndex:Pa});return[re.cloneElement(cn,br),null,null]}return R?[fe,null,null]:[fe,null]}),Oe(_,"renderCustomized",function(j,M,D){return re.cloneElement(j,ne(ne({key:"recharts-customized-".concat(D)},_.props),_.state))}),Oe(_,"renderMap",{CartesianGrid:{handler:Hs,once:!0},ReferenceArea:{handler:_.renderReferenceElement},ReferenceLine:{handler:Hs},ReferenceDot:{handler:_.renderReferenceElement},XAxis:{handler:Hs},YAxis:{handler:Hs},Brush:{handler:_.renderBrush,once:!0},Bar:{handler:_.renderGraphicChild},Line:{handler:_.renderGraphicChild},Area:{handler:_.renderGraphicChild},Radar:{handler:_.renderGraphicChild},RadialBar:{handler:_.renderGraphicChild},Scatter:{handler:_.renderGraphicChild},Pie:{handler:_.renderGraphicChild},Funnel:{handler:_.renderGraphicChild},Tooltip:{handler:_.renderCursor,once:!0},PolarGrid:{handler:_.renderPolarGrid,once:!0},PolarAngleAxis:{handler:_.renderPolarAxis},PolarRadiusAxis:{handler:_.renderPolarAxis},Customized:{handler:_.renderCustomized}}),_.clipPathId="".concat((E=P.id)!==null&&E!==void 0?E:mi("recharts"),"-clip"),_.throttleTriggeredAfterMouseMove=RN(_.triggeredAfterMouseMove,(N=P.throttleDelay)!==null&&N!==void 0?N:1e3/60),_.state={},_}return RK(T,x),NK(T,[{key:"componentDidMount",value:function(){var E,N;this.addListener(),this.accessibilityManager.setDetails({container:this.container,offset:{left:(E=this.props.margin.left)!==null&&E!==void 0?E:0,top:(N=this.props.margin.top)!==null&&N!==void 0?N:0},coordinateList:this.state.tooltipTicks,mouseHandlerCallback:this.triggeredAfterMouseMove,layout:this.props.layout}),this.displayDefaultTooltip()}},{key:"displayDefaultTooltip",value:function(){var E=this.props,N=E.children,_=E.data,j=E.height,M=E.layout,D=mr(N,Cr);if(D){var q=D.props.defaultIndex;if(!(typeof q!="number"||q<0||q>this.state.tooltipTicks.length-1)){var I=this.state.tooltipTicks[q]&&this.state.tooltipTicks[q].value,k=h0(this.state,_,q,I),L=this.state.tooltipTicks[q].coordinate,K=(this.state.offset.top+j)/2,Z=M==="horizontal",V=Z?{x:L,y:K}:{y:L,x:K},$=this.state.formattedGraphicalItems.find(function(G){var le=G.item;return le.type.name==="Scatter"});$&&(V=ne(ne({},V),$.props.points[q].tooltipPosition),k=$.props.points[q].tooltipPayload);var H={activeTooltipIndex:q,isTooltipActive:!0,activeLabel:I,activePayload:k,activeCoordinate:V};this.setState(H),this.renderCursor(D),this.accessibilityManager.setIndex(q)}}}},{key:"getSnapshotBeforeUpdate",value:function(E,N){if(!this.props.accessibilityLayer)return null;if(this.state.tooltipTicks!==N.tooltipTicks&&this.accessibilityManager.setDetails({coordinateList:this.state.tooltipTicks}),this.props.layout!==E.layout&&this.accessibilityManager.setDetails({layout:this.props.layout}),this.props.margin!==E.margin){var _,j;this.accessibilityManager.setDetails({offset:{left:(_=this.props.margin.left)!==null&&_!==void 0?_:0,top:(j=this.props.margin.top)!==null&&j!==void 0?j:0}})}return null}},{key:"componentDidUpdate",value:function(E){Wg([mr(E.children,Cr)],[mr(this.props.children,Cr)])||this.displayDefaultTooltip()}},{key:"componentWillUnmount",value:function(){this.removeListener(),this.throttleTriggeredAfterMouseMove.cancel()}},{key:"getTooltipEventType",value:function(){var E=mr(this.props.children,Cr);if(E&&typeof E.props.shared=="boolean"){var N=E.props.shared?"axis":"item";return f.indexOf(N)>=0?N:u}return u}},{key:"getMouseInfo",value:function(E){if(!this.container)return null;var N=this.container,_=N.getBoundingClientRect(),j=g8(_),M={chartX:Math.round(E.pageX-j.left),chartY:Math.round(E.pageY-j.top)},D=_.width/N.offsetWidth||1,q=this.inRange(M.chartX,M.chartY,D);if(!q)return null;var I=this.state,k=I.xAxisMap,L=I.yAxisMap,K=this.getTooltipEventType(),Z=pM(this.state,this.props.data,this.props.layout,q);if(K!=="axis"&&k&&L){var V=pa(k).scale,$=pa(L).scale,H=V&&V.invert?V.invert(M.chartX):null,G=$&&$.invert?$.invert(M.chartY):null;return ne(ne({},M),{},{xValue:H,yValue:G},Z)}return Z?ne(ne({},M),Z):null}},{key:"inRange",value:function(E,N){var _=arguments.length>2&&arguments[2]!==void 0?arguments[2]:1,j=this.props.layout,M=E/_,D=N/_;if(j==="horizontal"||j==="vertical"){var q=this.state.offset,I=M>=q.left&&M<=q.left+q.width&&D>=q.top&&D<=q.top+q.height;return I?{x:M,y:D}:null}var k=this.state,L=k.angleAxisMap,K=k.radiusAxisMap;if(L&&K){var Z=pa(L);return _E({x:M,y:D},Z)}return null}},{key:"parseEventsOfWrapper",value:function(){var E=this.props.children,N=this.getTooltipEventType(),_=mr(E,Cr),j={};_&&N==="axis"&&(_.props.trigger==="click"?j={onClick:this.handleClick}:j={onMouseEnter:this.handleMouseEnter,onDoubleClick:this.handleDoubleClick,onMouseMove:this.handleMouseMove,onMouseLeave:this.handleMouseLeave,onTouchMove:this.handleTouchMove,onTouchStart:this.handleTouchStart,onTouchEnd:this.handleTouchEnd,onContextMenu:this.handleContextMenu});var M=Ks(this.props,this.handleOuterEvent);return ne(ne({},M),j)}},{key:"addListener",value:function(){Bg.on(Lg,this.handleReceiveSyncEvent)}},{key:"removeListener",value:function(){Bg.removeListener(Lg,this.handleReceiveSyncEvent)}},{key:"filterFormatItem",value:function(E,N,_){for(var j=this.state.formattedGraphicalItems,M=0,D=j.length;M<D;M++){var q=j[M];if(q.item===E||q.props.key===E.key||N===Pn(q.item.type)&&_===q.childIndex)return q}return null}},{key:"renderClipPath",value:function(){var E=this.clipPathId,N=this.state.offset,_=N.left,j=N.top,M=N.height,D=N.width;return B.createElement("defs",null,B.createElement("clipPath",{id:E},B.createElement("rect",{x:_,y:j,height:M,width:D})))}},{key:"getXScales",value:function(){var E=this.state.xAxisMap;return E?Object.entries(E).reduce(function(N,_){var j=fM(_,2),M=j[0],D=j[1];return ne(ne({},N),{},Oe({},M,D.scale))},{}):null}},{key:"getYScales",value:function(){var E=this.state.yAxisMap;return E?Object.entries(E).reduce(function(N,_){var j=fM(_,2),M=j[0],D=j[1];return ne(ne({},N),{},Oe({},M,D.scale))},{}):null}},{key:"getXScaleByAxisId",value:function(E){var N;return(N=this.state.xAxisMap)===null||N===void 0||(N=N[E])===null||N===void 0?void 0:N.scale}},{key:"getYScaleByAxisId",value:function(E){var N;return(N=this.state.yAxisMap)===null||N===void 0||(N=N[E])===null||N===void 0?void 0:N.scale}},{key:"getItemByXY",value:function(E){var N=this.state,_=N.formattedGraphicalItems,j=N.activeItem;if(_&&_.length)for(var M=0,D=_.length;M<D;M++){var q=_[M],I=q.props,k=q.item,L=k.type.defaultProps!==void 0?ne(ne({},k.type.defaultProps),k.props):k.props,K=Pn(k.type);if(K==="Bar"){var Z=(I.data||[]).find(function(G){return $I(E,G)});if(Z)return{graphicalItem:q,payload:Z}}else if(K==="RadialBar"){var V=(I.data||[]).find(function(G){return _E(E,G)});if(V)return{graphicalItem:q,payload:V}}else if(hd(q,j)||pd(q,j)||ec(q,j)){var $=_7({graphicalItem:q,activeTooltipItem:j,itemData:L.data}),H=L.activeIndex===void 0?$:L.activeIndex;return{graphicalItem:ne(ne({},q),{},{childIndex:H}),payload:ec(q,j)?L.data[$]:q.props.data[$]}}}return null}},{key:"render",value:function(){var E=this;if(!q_(this))return null;var N=this.props,_=N.children,j=N.className,M=N.width,D=N.height,q=N.style,I=N.compact,k=N.title,L=N.desc,K=dM(N,wK),Z=Ae(K,!1);if(I)return B.createElement(IT,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},B.createElement(Zg,vo({},Z,{width:M,height:D,title:k,desc:L}),this.renderClipPath(),z_(_,this.renderMap)));if(this.props.accessibilityLayer){var V,$;Z.tabIndex=(V=this.props.tabIndex)!==null&&V!==void 0?V:0,Z.role=($=this.props.role)!==null&&$!==void 0?$:"application",Z.onKeyDown=function(G){E.accessibilityManager.keyboardEvent(G)},Z.onFocus=function(){E.accessibilityManager.focus()}}var H=this.parseEventsOfWrapper();return B.createElement(IT,{state:this.state,width:this.props.width,height:this.props.height,clipPathId:this.clipPathId},B.createElement("div",vo({className:ke("recharts-wrapper",j),style:ne({position:"relative",cursor:"default",width:M,height:D},q)},H,{ref:function(le){E.container=le}}),B.createElement(Zg,vo({},Z,{width:M,height:D,title:k,desc:L,style:LK}),this.renderClipPath(),z_(_,this.renderMap)),this.renderLegend(),this.renderTooltip()))}}])}(re.Component);Oe(O,"displayName",r),Oe(O,"defaultProps",ne({layout:"horizontal",stackOffset:"none",barCategoryGap:"10%",barGap:4,margin:{top:5,right:5,bottom:5,left:5},reverseStackOrder:!1,syncMethod:"index"},y)),Oe(O,"getDerivedStateFromProps",function(x,T){var P=x.dataKey,E=x.data,N=x.children,_=x.width,j=x.height,M=x.layout,D=x.stackOffset,q=x.margin,I=T.dataStartIndex,k=T.dataEndIndex;if(T.updateId===void 0){var L=vM(x);return ne(ne(ne({},L),{},{updateId:0},b(ne(ne({props:x},L),{},{updateId:0}),T)),{},{prevDataKey:P,prevData:E,prevWidth:_,prevHeight:j,prevLayout:M,prevStackOffset:D,prevMargin:q,prevChildren:N})}if(P!==T.prevDataKey||E!==T.prevData||_!==T.prevWidth||j!==T.prevHeight||M!==T.prevLayout||D!==T.prevStackOffset||!yo(q,T.prevMargin)){var K=vM(x),Z={chartX:T.chartX,chartY:T.chartY,isTooltipActive:T.isTooltipActive},V=ne(ne({},pM(T,E,M)),{},{updateId:T.updateId+1}),$=ne(ne(ne({},K),Z),V);return ne(ne(ne({},$),b(ne({props:x},$),T)),{},{prevDataKey:P,prevData:E,prevWidth:_,prevHeight:j,prevLayout:M,prevStackOffset:D,prevMargin:q,prevChildren:N})}if(!Wg(N,T.prevChildren)){var H,G,le,R,F=mr(N,Do),ee=F&&(H=(G=F.props)===null||G===void 0?void 0:G.startIndex)!==null&&H!==void 0?H:I,te=F&&(le=(R=F.props)===null||R===void 0?void 0:R.endIndex)!==null&&le!==void 0?le:k,ce=ee!==I||te!==k,me=!je(E),ye=me&&!ce?T.updateId:T.updateId+1;return ne(ne({updateId:ye},b(ne(ne({props:x},T),{},{updateId:ye,dataStartIndex:ee,dataEndIndex:te}),T)),{},{prevChildren:N,dataStartIndex:ee,dataEndIndex:te})}return null}),Oe(O,"renderActiveDot",function(x,T,P){var E;return re.isValidElement(x)?E=re.cloneElement(x,T):Ee(x)?E=x(T):E=B.createElement(dd,T),B.createElement(Ie,{className:"recharts-active-dot",key:P},E)});var S=re.forwardRef(function(T,P){return B.createElement(O,vo({},T,{ref:P}))});return S.displayName=O.displayName,S},FK=xx({chartName:"LineChart",GraphicalChild:xa,axisComponents:[{axisType:"xAxis",AxisComp:Ma},{axisType:"yAxis",AxisComp:Na}],formatAxisMap:fx}),ZK=xx({chartName:"BarChart",GraphicalChild:kn,defaultTooltipEventType:"axis",validateTooltipEventTypes:["axis","item"],axisComponents:[{axisType:"xAxis",AxisComp:Ma},{axisType:"yAxis",AxisComp:Na}],formatAxisMap:fx}),QK=xx({chartName:"ComposedChart",GraphicalChild:[xa,Ta,kn,Od],axisComponents:[{axisType:"xAxis",AxisComp:Ma},{axisType:"yAxis",AxisComp:Na},{axisType:"zAxis",AxisComp:Sd}],formatAxisMap:fx});const lX=()=>re.useSyncExternalStore(window.ClimateData.subscribe,window.ClimateData.getState),xX=()=>(re.useSyncExternalStore(window.ClimateI18n.subscribe,window.ClimateI18n.getLang),window.ClimateI18n),GX=()=>re.useSyncExternalStore(window.ClimateTheme.subscribe,window.ClimateTheme.getState),uX=e=>e?e.baseline.applied?e.baseline.id:e.meta.baseline.join("-"):window.ClimateData.getState().baseline,oX=e=>window.ClimateStats.acceleration(e,1982),sX=e=>{const a=window.ClimateI18n;return e?a.t("summary.acceleration",{since:e.since,rate:a.number(e.recent.rate,2),ciLow:a.number(e.recent.ciLow,2),ciHigh:a.number(e.recent.ciHigh,2),start:e.overall.start,overall:a.number(e.overall.rate,2),ratio:a.number(e.ratio,1)}):a.t("summary.accelerationUnavailable")},iX=()=>{const e=lX(),a=xX(),[r,i]=re.useState([]),[s,o]=re.useState(null),[m,c]=re.useState(!1);re.useEffect(()=>{(async()=>{try{i(await window.ClimateData.listDatasets())}catch(l){console.error("Error loading dataset list:",l)}})()},[e.catalog]),re.useEffect(()=>{window.ClimateData.load(e.dataset,e.baseline).then(o,()=>o(null))},[e]);const x=r.find(l=>l.id===e.dataset),u=s&&window.ClimateData.provenance(s);return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{className:"pb-3",children:[w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx(Gs,{className:"h-5 w-5"}),w.jsx("span",{children:a.t("source.title")})]}),w.jsx(ci,{children:a.t("source.description")})]}),w.jsxs(dt,{children:[w.jsx("div",{className:"flex flex-wrap gap-2",children:r.map(l=>w.jsx(va,{variant:e.dataset===l.id?"default":"outline",size:"sm",disabled:!l.available,title:l.available?l.source:a.t("source.missingFiles",{files:l.files.join(a.t("format.listSeparator"))}),onClick:()=>window.ClimateData.select(l.id),children:l.label},l.id)).concat(w.jsx(va,{variant:"ghost",size:"sm","aria-expanded":m,"aria-controls":"data-import",onClick:()=>c(!m),children:a.t(m?"import.close":"import.open")},"import"))}),m&&w.jsx(cX,{}),x&&w.jsx("p",{className:"mt-3 text-xs text-gray-500",children:a.t("source.origin",{source:x.source})}),u&&(u.version||u.retrieved)&&w.jsx("p",{className:"mt-1 text-xs text-gray-500",children:[u.version&&a.t("source.version",{version:u.version}),u.retrieved&&a.t(u.via?"source.retrievedVia":"source.retrieved",{date:a.date(u.retrieved),via:u.via})].filter(Boolean).join(a.t("format.sentenceSeparator"))}),r.some(l=>!l.available)&&w.jsx("p",{className:"mt-1 text-xs text-gray-500",children:a.t("source.missingHint")}),w.jsxs("div",{className:"mt-4 flex flex-wrap items-center gap-2",children:[w.jsx("span",{className:"text-sm font-medium text-gray-700 mr-2",children:a.t("source.baseline")}),window.ClimateData.getBaselines().map(l=>w.jsx(va,{variant:e.baseline===l.id?"default":"outline",size:"sm",onClick:()=>window.ClimateData.setBaseline(l.id),children:a.t(`baseline.${l.id}`)},l.id))]}),s&&!s.baseline.complete&&w.jsx("p",{className:"mt-2 text-xs text-amber-700",children:s.baseline.applied?a.t("source.partialBaseline",{start:s.baseline.coveredStart,end:s.baseline.coveredEnd}):a.t("source.noBaselineOverlap",{baseline:s.meta.baseline.join("-")})}),w.jsx("p",{className:"mt-2 text-xs text-gray-500",children:a.t("source.thresholdNote")})]})]})},zX=()=>{const e=xX(),a=e.getLang();return w.jsx("div",{role:"radiogroup","aria-label":e.t("app.language"),className:"flex items-center",children:e.LANGS.map(r=>w.jsx(va,{variant:a===r.id?"default":"outline",size:"sm",role:"radio","aria-checked":a===r.id,lang:r.id,onClick:()=>e.setLang(r.id),className:"timeline-speed",children:r.label},r.id))})},HX=()=>{const e=xX(),{choice:a}=GX();return w.jsx("select",{"aria-label":e.t("theme.label"),title:e.t("theme.label"),className:"rounded border px-2 py-1 text-sm",value:a,onChange:r=>window.ClimateTheme.set(r.target.value),children:window.ClimateTheme.THEMES.map(r=>w.jsx("option",{value:r,children:e.t(`theme.${r}`)},r))})},UX=({config:e,ds:a,cards:r,onClose:i})=>{const s=xX(),o=window.ClimateUrl,m=window.ClimateReport,c=re.useRef(null),[x,u]=re.useState(!1),[l,S]=re.useState([]);re.useState(()=>o.set({spiral:o.get("spiral")||a.lastYear,geo:o.get("geo")||a.lastYear},{replace:!0})),re.useEffect(()=>(window.scrollTo(0,0),window.ClimateTheme.lock("light"),window.ClimateData.listDatasets().then(S,d=>console.error("Error loading dataset list:",d)),()=>window.ClimateTheme.lock(null)),[]);const b=oX(a.annual),k=window.ClimateStats.records(a.annual),n=window.ClimateData.provenance(a),f=uX(a),y=a.meta||{},{body:h,appendix:v}=m.layout(e.cards),N=a.monthlyDerived?"stripes":o.get("view")||window.ClimateSpiral.DEFAULT_MODE,E={trends:()=>s.t("report.caption.trends",{dataset:n.label,start:a.firstYear,end:a.lastYear,baseline:f,year:k.warmest.year,value:s.temp(k.warmest.anomaly,2,!0)}),warming:()=>`${s.t("report.caption.warming",{dataset:n.label})} ${sX(b)}`,baseline:()=>s.t(`report.caption.baseline.${a.monthlyDerived?"annual":"monthly"}`,{dataset:n.label,baseline:f}),spiral:()=>s.t(`report.caption.spiral.${N}`,{dataset:n.label,year:o.get("spiral")}),geography:()=>s.t("report.caption.geography",{dataset:n.label,year:o.get("geo"),baseline:f})},p=(d,z)=>z!=null&&z!==""&&w.jsxs("div",{className:"report-meta-row",children:[w.jsx("dt",{children:s.t(`report.meta.${d}`)}),w.jsx("dd",{children:z})]},d),j=()=>{u(!0),m.print(c.current).finally(()=>u(!1))};return w.jsxs("div",{className:"report-screen min-h-screen bg-gray-100 py-8",children:[w.jsxs("div",{role:"toolbar","aria-label":s.t("report.label"),className:"report-toolbar mx-auto mb-6 flex flex-wrap items-center gap-3",children:[w.jsx(va,{size:"sm",disabled:x,onClick:j,children:s.t(x?"report.preparing":"report.print")}),w.jsx(va,{variant:"outline",size:"sm",onClick:i,children:s.t("report.close")}),w.jsx("p",{className:"text-xs text-gray-600",children:s.t("report.hint")})]}),w.jsxs("article",{ref:c,className:"climate-report",children:[w.jsxs("header",{className:"report-cover",children:[w.jsx("p",{className:"text-sm font-semibold uppercase tracking-wide text-red-600",children:s.t("report.kicker")}),w.jsx("h1",{className:"mt-2 text-4xl font-bold text-gray-900",children:s.t("app.title")}),w.jsx("p",{className:"mt-2 text-lg text-gray-600",children:s.t("app.subtitle")}),w.jsxs("dl",{className:"report-meta mt-8",children:[p("dataset",n.label),p("baseline",f),p("coverage",s.t("format.yearRange",{start:n.firstYear,end:n.lastYear})),p("source",n.source),p("version",n.version),p("retrieved",n.retrieved&&s.date(n.retrieved)),p("generated",s.date(new Date))]}),n.issues.length>0&&w.jsxs("div",{className:"mt-6 rounded-lg border border-amber-300 bg-amber-50 p-4 text-sm text-amber-900",children:[w.jsx("p",{className:"font-semibold",children:s.t("provenance.title",{dataset:n.label})}),w.jsx("ul",{className:"mt-1 list-disc pl-5",children:n.issues.map(d=>w.jsx("li",{children:s.t(`provenance.issue.${d}`,{date:n.retrieved&&s.date(n.retrieved),year:n.lastYear})},d))})]}),w.jsx("h2",{className:"mt-8 text-lg font-semibold text-gray-900",children:s.t("report.contents")}),w.jsx("ol",{className:"mt-2 space-y-1 text-sm text-gray-700",children:h.filter(d=>d.figure).map(d=>w.jsx("li",{children:`${s.t("report.figure",{n:d.figure})} ${s.t(`section.${d.id}`)}`},d.id))})]}),w.jsx("div",{className:"grid grid-cols-12 gap-6",children:h.map(d=>d.figure?w.jsxs("figure",{className:"report-figure col-span-12",children:[r[d.id](),w.jsxs("figcaption",{children:[w.jsx("strong",{children:s.t("report.figure",{n:d.figure})})," ",E[d.id]()]})]},d.id):r[d.id]())}),v.length>0&&w.jsxs("section",{className:"report-appendix",children:[w.jsx("h2",{className:"text-2xl font-bold text-gray-900",children:s.t("report.appendix.title")}),v.includes("dataSource")&&w.jsxs(re.Fragment,{children:[w.jsx("h3",{children:s.t("report.appendix.dataset")}),w.jsxs("dl",{className:"report-meta",children:[p("dataset",n.label),p("description",y.description),p("source",n.source),p("url",n.url&&w.jsx("a",{href:n.url,children:n.url})),p("license",y.license),p("version",n.version),p("retrieved",n.retrieved&&s.date(n.retrieved)),p("via",n.via),p("coverage",s.t("format.yearRange",{start:n.firstYear,end:n.lastYear})),p("baseline",a.baseline.complete?f:`${f}${s.t("format.sentenceSeparator")}${a.baseline.applied?s.t("source.partialBaseline",{start:a.baseline.coveredStart,end:a.baseline.coveredEnd}):s.t("source.noBaselineOverlap",{baseline:a.meta.baseline.join("-")})}`)]}),w.jsx("h3",{children:s.t("report.appendix.methods")}),w.jsx("p",{children:sX(b)}),w.jsx("p",{children:s.t("accel.description")}),w.jsx("p",{children:s.t("source.thresholdNote")}),l.length>0&&w.jsxs(re.Fragment,{children:[w.jsx("h3",{children:s.t("report.appendix.datasets")}),w.jsx("ul",{className:"list-disc pl-5",children:l.filter(d=>d.available).map(d=>w.jsx("li",{children:`${d.user?s.t("report.appendix.imported",{label:d.label}):d.label}${d.source?` — ${d.source}`:""}`},d.id))})]})]}),v.includes("sources")&&w.jsx("div",{className:"mt-6 grid grid-cols-12",children:r.sources()})]})]})]})},jX=({id:e,kind:a,color:r,ink:i})=>{const s=window.ClimateA11y.PATTERNS[a]||{};return w.jsxs("pattern",{id:e,width:6,height:6,patternUnits:"userSpaceOnUse",children:[r&&w.jsx("rect",{width:6,height:6,fill:r}),s.dot&&w.jsx("circle",{cx:3,cy:3,r:1.2,fill:i||"#1f2937",fillOpacity:.6}),s.path&&w.jsx("path",{d:s.path,stroke:i||"#1f2937",strokeOpacity:.6,strokeWidth:1.2})]})},qX=({id:e,title:a,summary:r,table:i,sound:s,soundHint:o})=>{const m=xX(),c=window.ClimateA11y,[x,u]=re.useState(!1),[l,S]=re.useState(!1),b=re.useRef(null);re.useEffect(()=>()=>b.current&&b.current(),[]);const k=()=>{if(b.current)return b.current();S(!0),b.current=c.sonify(s,{onEnd:()=>{b.current=null,S(!1)}})},n=h=>h==null||Number.isNaN(h)?"—":typeof h=="boolean"?m.t(h?"a11y.yes":"a11y.no"):typeof h=="number"&&!Number.isInteger(h)?m.number(h):String(h),f=x?i():null,y=f?f.rows.slice(0,c.MAX_TABLE_ROWS):[];return w.jsxs("div",{className:"mt-4 space-y-2",children:[w.jsx("p",{id:`${e}-summary`,className:"text-sm text-gray-600",children:r}),w.jsxs("div",{className:"flex flex-wrap items-center gap-2",children:[w.jsx(va,{variant:"outline",size:"sm","aria-expanded":x,"aria-controls":`${e}-table`,onClick:()=>u(!x),children:m.t(x?"a11y.hideTable":"a11y.showTable")}),s&&s.length>0&&c.canSonify()&&w.jsx(va,{variant:"outline",size:"sm","aria-pressed":l,title:o||m.t("a11y.soundHint"),onClick:k,children:m.t(l?"a11y.stopSound":"a11y.playSound")})]}),x&&w.jsxs("div",{id:`${e}-table`,className:"chart-table max-h-80 overflow-auto rounded-lg",children:[w.jsxs("table",{className:"w-full text-sm",children:[w.jsx("caption",{className:"sr-only",children:a}),w.jsx("thead",{children:w.jsx("tr",{children:f.columns.map(h=>w.jsx("th",{scope:"col",children:h.label},h.key))})}),w.jsx("tbody",{children:y.map((h,v)=>w.jsx("tr",{children:f.columns.map((N,E)=>E===0?w.jsx("th",{scope:"row",children:n(h[N.key])},N.key):w.jsx("td",{children:n(h[N.key])},N.key))},v))})]}),f.rows.length>y.length&&w.jsx("p",{className:"p-2 text-xs text-gray-500",children:m.t("a11y.truncated",{shown:y.length,total:f.rows.length})})]})]})},cX=()=>{const e=xX(),a=window.ClimateImport,r=lX(),[i,s]=re.useState(null),[o,m]=re.useState(null),[c,x]=re.useState(""),[u,l]=re.useState(""),[S,b]=re.useState(window.ClimateData.DEFAULT_BASELINE),[k,n]=re.useState(null),[f,y]=re.useState(!1),[h,v]=re.useState(!1),[N,E]=re.useState([]);re.useEffect(()=>{window.ClimateData.listDatasets().then(t=>E(t.filter(g=>g.user)),()=>E([]))},[r.catalog]);const p=async t=>{if(t){n(null);try{const g=a.readTable(await t.text(),t.name);if(!g.columns.length||!g.rows.length)throw new Error("import.error.empty");const D=a.guessMapping(g);s({name:t.name,table:g,guess:D}),m(D),x(D.missing.join(", ")),l(t.name.replace(/\.[^.]+$/,""))}catch(g){s(null),m(null),n(/^import\./.test(g.message)?g.message:"import.error.read")}}},j=re.useMemo(()=>i&&o?a.build(i.table,{...o,missing:c.split(",").map(t=>t.trim())}):null,[i,o,c]),d=async()=>{y(!0);try{const t=await a.save(j,{label:u.trim()||i.name,baseline:S,origin:i.name,unit:o.unit});await window.ClimateData.select(t.id),s(null),m(null)}catch(t){console.error("Error saving imported dataset:",t),n("import.error.save")}finally{y(!1)}},z=t=>a.remove(t.id).catch(g=>console.error("Error removing imported dataset:",g)),C=(t,g)=>w.jsxs("label",{className:"flex flex-col gap-1 text-xs text-gray-600",children:[e.t(t),g]}),$=(t,g,D)=>w.jsx("select",{className:"rounded border px-2 py-1 text-sm",value:t??"",onChange:I=>D(I.target.value||null),children:g.map(([I,O])=>w.jsx("option",{value:I,children:O},I))}),T=i?i.table.columns.map(t=>[t,t]):[],X=t=>e.t(t.key,t.params&&t.params.value!=null&&typeof t.params.value=="number"?{...t.params,value:e.number(t.params.value,2)}:t.params);return w.jsxs("div",{id:"data-import",className:"mt-4 rounded-lg border border-dashed border-gray-300 p-4 space-y-4",children:[w.jsxs("label",{className:`block cursor-pointer rounded-lg border-2 border-dashed p-4 text-center text-sm ${h?"border-blue-500 bg-blue-50":"border-gray-200"}`,onDragOver:t=>{t.preventDefault(),v(!0)},onDragLeave:()=>v(!1),onDrop:t=>{t.preventDefault(),v(!1),p(t.dataTransfer.files[0])},children:[w.jsx("input",{type:"file",accept:".csv,.tsv,.txt,.json,text/csv,application/json",className:"sr-only",onChange:t=>{p(t.target.files[0]),t.target.value=""}}),w.jsx("span",{className:"font-medium text-gray-700",children:e.t("import.drop")}),w.jsx("span",{className:"block text-xs text-gray-500 mt-1",children:e.t("import.formats")})]}),k&&w.jsx("p",{role:"alert",className:"text-sm text-red-600",children:e.t(k)}),i&&w.jsxs("div",{className:"space-y-3",children:[w.jsx("p",{className:"text-sm text-gray-700",children:e.t("import.fileInfo",{name:i.name,columns:i.table.columns.length,rows:i.table.rows.length})}),w.jsx("div",{className:"overflow-x-auto",children:w.jsxs("table",{className:"text-xs",children:[w.jsx("caption",{className:"sr-only",children:e.t("import.preview")}),w.jsx("thead",{children:w.jsx("tr",{children:i.table.columns.map(t=>w.jsx("th",{scope:"col",className:"px-2 py-1",children:t},t))})}),w.jsx("tbody",{children:i.table.rows.slice(0,3).map((t,g)=>w.jsx("tr",{children:i.table.columns.map((D,I)=>w.jsx("td",{className:"px-2 py-1",children:t[I]},D))},g))})]})}),w.jsxs("div",{className:"grid grid-cols-2 md:grid-cols-4 gap-3",children:[C("import.field.layout",$(o.layout,[["long",e.t("import.layout.long")]].concat(i.guess.months?[["wide",e.t("import.layout.wide")]]:[]),t=>m({...o,layout:t,months:i.guess.months}))),C("import.field.year",$(o.year,T,t=>m({...o,year:t}))),o.layout==="long"&&C("import.field.month",$(o.month,[["",e.t("import.noMonth")]].concat(T),t=>m({...o,month:t}))),o.layout==="long"&&C("import.field.anomaly",$(o.anomaly,T,t=>m({...o,anomaly:t}))),C("import.field.unit",$(o.unit,Object.keys(a.UNITS).map(t=>[t,e.t(`import.unit.${t}`)]),t=>m({...o,unit:t}))),C("import.field.missing",w.jsx("input",{type:"text",className:"rounded border px-2 py-1 text-sm",value:c,onChange:t=>x(t.target.value)})),C("import.field.label",w.jsx("input",{type:"text",className:"rounded border px-2 py-1 text-sm",value:u,onChange:t=>l(t.target.value)})),C("import.field.baseline",$(S,window.ClimateData.getBaselines().map(t=>[t.id,e.t(`baseline.${t.id}`)]),b))]}),j&&w.jsxs("div",{className:"space-y-1 text-sm","aria-live":"polite",children:[j.annual.length>0&&w.jsx("p",{className:"text-gray-700",children:e.t(`import.report.${j.kind}`,{points:e.number(j.stats.points),years:j.annual.length,first:j.annual[0].year,last:j.annual[j.annual.length-1].year})}),j.errors.map(t=>w.jsx("p",{className:"text-red-600",children:X(t)},t.key)),j.warnings.map(t=>w.jsx("p",{className:"text-amber-700",children:X(t)},t.key)),j.problems.length>0&&w.jsxs("details",{className:"text-xs text-gray-600",children:[w.jsx("summary",{children:e.t("import.problems",{count:j.problems.length})}),w.jsx("ul",{className:"mt-1 list-disc pl-5",children:j.problems.map((t,g)=>w.jsx("li",{children:e.t("import.problem.row",{row:t.row,text:e.t(t.key,t.params)})},g))})]})]}),w.jsxs("div",{className:"flex gap-2",children:[w.jsx(va,{size:"sm",disabled:!j||j.errors.length>0||f,onClick:d,children:e.t(f?"import.saving":"import.save")}),w.jsx(va,{variant:"outline",size:"sm",onClick:()=>{s(null),m(null)},children:e.t("import.cancel")})]})]}),N.length>0&&w.jsxs("div",{children:[w.jsx("h4",{className:"text-sm font-medium text-gray-700 mb-2",children:e.t("import.saved")}),w.jsx("ul",{className:"space-y-1",children:N.map(t=>w.jsxs("li",{className:"flex items-center justify-between gap-2 text-sm",children:[w.jsxs("span",{children:[t.label,w.jsx("span",{className:"ml-2 text-xs text-gray-500",children:t.source})]}),w.jsx(va,{variant:"outline",size:"sm","aria-label":e.t("import.removeLabel",{label:t.label}),onClick:()=>z(t),children:e.t("import.remove")})]},t.id))})]})]})},EX=e=>{const a=window.ClimateProjection,[r,i]=hX("ssp",null,c=>/^ssp\d{3}$/.test(c)?c:null,!0),[s,o]=re.useState(null);re.useEffect(()=>{a.load().then(o,c=>console.error("Error loading projection data:",c))},[]);const m=re.useMemo(()=>s&&e&&r?a.fan(s,r,e):null,[s,e,r]);return{data:s,scenario:r,setScenario:i,projection:m}},SX=({state:e,note:a})=>{const r=xX(),i=window.ClimateProjection,{data:s,scenario:o,setScenario:m,projection:c}=e;if(!s)return null;const x=c&&c.points[c.points.length-1].year,u=l=>l.already?r.t("projection.already"):l.median!=null?r.t("projection.year",{year:l.median,early:l.early,late:l.late!=null?l.late:r.t("projection.after",{year:x})}):l.early!=null?r.t("projection.notByEarliest",{year:x,early:l.early}):r.t("projection.notBy",{year:x});return w.jsxs("div",{className:"space-y-1",children:[w.jsxs("div",{className:"flex flex-wrap items-center gap-x-6 gap-y-1 text-sm",children:[w.jsxs("label",{className:"flex items-center gap-2",children:[w.jsx("span",{className:"font-medium",children:r.t("projection.label")}),w.jsxs("select",{className:"rounded border px-2 py-1 text-sm",value:o||"",onChange:l=>m(l.target.value||null),children:[w.jsx("option",{value:"",children:r.t("projection.none")}),...i.scenarioIds(s).map(l=>w.jsx("option",{value:l,children:s.scenarios[l].label},l))]})]}),c&&i.THRESHOLDS.map(l=>w.jsxs("span",{children:[w.jsx("span",{className:"font-medium",children:r.t("projection.crossing",{value:l})})," ",u(i.crossing(c,l))]},l))]}),o&&s&&!c&&w.jsx("p",{className:"text-xs text-amber-700",children:r.t("projection.unavailable")}),c&&c.coverage&&!c.coverage.complete&&w.jsx("p",{className:"text-xs text-amber-700",children:r.t("projection.partial",{start:c.coverage.start,end:c.coverage.end})}),c&&a&&w.jsx("p",{className:"text-xs text-gray-500",children:a}),c&&w.jsx("p",{className:"text-xs text-gray-500",children:r.t("projection.source",{source:s.source,horizon:x})})]})},OX=()=>{const e=xX(),a=re.useSyncExternalStore(window.ClimateOffline.subscribe,window.ClimateOffline.getState),r=window.ClimateOffline,i=(o,m,c)=>w.jsxs("div",{className:"flex flex-wrap items-center gap-3 rounded-lg border border-gray-200 bg-white p-3 text-sm text-gray-700 shadow-lg",children:[w.jsx("p",{className:"flex-1 min-w-48",children:m}),c&&w.jsx("div",{className:"flex gap-2",children:c})]},o),s=[a.update&&i("update",e.t("offline.update"),[w.jsx(va,{size:"sm",onClick:r.applyUpdate,children:e.t("offline.reload")},"go"),w.jsx(va,{size:"sm",variant:"ghost",onClick:()=>r.dismiss("update"),children:e.t("offline.later")},"later")]),a.data&&i("data",a.dataError?e.t("offline.dataFailed",{message:a.dataError}):e.t("offline.data",{version:a.data}),[w.jsx(va,{size:"sm",disabled:a.updatingData||!a.online,onClick:r.applyDataUpdate,children:e.t(a.updatingData?"offline.downloading":"offline.download")},"go"),w.jsx(va,{size:"sm",variant:"ghost",disabled:a.updatingData,onClick:()=>r.dismiss("data"),children:e.t("offline.later")},"later")]),a.firstInstall&&i("ready",e.t("offline.ready"),[w.jsx(va,{size:"sm",variant:"ghost",onClick:()=>r.dismiss("firstInstall"),children:e.t("offline.dismiss")},"ok")]),!a.online&&i("offline",e.t(a.ready?"offline.offline":"offline.offlineUncached"))].filter(Boolean);return s.length>0&&w.jsx("div",{role:"status","aria-label":e.t("offline.label"),className:"fixed bottom-4 right-4 z-50 flex w-full max-w-md flex-col gap-2 px-4 sm:px-0",children:s})},dX=({ds:d,title:h,name:o,target:l,table:p,actions:f})=>{const[r,a]=re.useState(!1),[m,x]=re.useState(!1),[v,g]=re.useState(null),i=re.useRef(null),c=xX();re.useEffect(()=>{if(!r)return;const e=s=>{i.current&&!i.current.contains(s.target)&&a(!1)},t=s=>{s.key==="Escape"&&a(!1)};return document.addEventListener("pointerdown",e),document.addEventListener("keydown",t),()=>{document.removeEventListener("pointerdown",e),document.removeEventListener("keydown",t)}},[r]);const n=window.ClimateExport,y=async e=>{a(!1);const t=n.describe(d,h);x(!0);try{const s=(f||[]).find(u=>u.key===e);s?await s.run(t,(u,j)=>g(Math.round(u/j*100))):e==="png"?await n.exportPng(l.current,t,o):e==="svg"?n.exportSvg(l.current,t,o):e==="csv"?n.exportCsv(p(),t,o):n.exportJson(p(),t,o)}catch(s){console.error("Error exporting chart:",s)}finally{x(!1),g(null)}},b=["png","svg","csv","json"].map(e=>[e,c.t(`export.menu.${e}`)]).filter(([e])=>e!=="svg"||r&&n.canExportSvg(l.current)).concat((f||[]).map(e=>[e.key,e.label]));return w.jsxs("div",{ref:i,"data-slot":"card-action",className:"col-start-2 row-span-2 row-start-1 self-start justify-self-end relative",children:[w.jsxs(va,{variant:"outline",size:"sm",disabled:!d||m,onClick:()=>a(!r),"aria-haspopup":"menu","aria-expanded":r,className:"flex items-center space-x-1",children:[w.jsx(fX,{className:"h-4 w-4"}),w.jsx("span",{children:m?v==null?c.t("export.busy"):c.t("export.progress",{percent:v}):c.t("export.button")})]}),r&&w.jsx("div",{role:"menu",className:"absolute right-0 top-full mt-1 z-20 flex flex-col bg-white border rounded-md shadow-lg py-1",style:{minWidth:"11rem"},children:b.map(([e,t])=>w.jsx(va,{variant:"ghost",size:"sm",role:"menuitem",className:"justify-start",onClick:()=>y(e),children:t},e))})]})},hX=(e,s,c,f)=>{const r=window.ClimateUrl,l=()=>{const u=r.get(e),a=u==null?null:c?c(u):u;return a??s},[t,o]=re.useState(l),n=re.useRef(!1);return re.useEffect(()=>r.subscribe(()=>o(l())),[e]),re.useEffect(()=>{r.set({[e]:t===s?null:t},{replace:!n.current,notify:f&&n.current}),n.current=!0},[e,t]),[t,o]},mX=({id:e,label:r,className:s,children:n})=>{const t=re.useRef(null);return re.useEffect(()=>window.ClimateSections.register({id:e,label:r,element:t.current}),[e,r]),w.jsx("section",{ref:t,id:e,"aria-label":r,className:`climate-section ${s||""}`,children:n})},vX=()=>{const r=window.ClimateSections,l=re.useSyncExternalStore(r.subscribe,r.list),c=re.useSyncExternalStore(r.subscribe,r.getActive),[t,a]=re.useState(!1),u=xX(),s=re.useRef(null);re.useEffect(()=>{if(!t)return;const e=n=>{s.current&&!s.current.contains(n.target)&&a(!1)};return document.addEventListener("pointerdown",e),()=>document.removeEventListener("pointerdown",e)},[t]);const d=e=>{const n=Array.from(s.current.querySelectorAll(".section-nav-link")),i=n.indexOf(document.activeElement);if(e.key==="Escape"&&t){a(!1),s.current.querySelector(".section-nav-toggle").focus();return}if(i<0)return;const o={ArrowRight:i+1,ArrowDown:i+1,ArrowLeft:i-1,ArrowUp:i-1,Home:0,End:n.length-1}[e.key];o!=null&&(e.preventDefault(),n[(o+n.length)%n.length].focus())};return l.length?w.jsxs("div",{ref:s,className:"section-nav",onKeyDown:d,children:[w.jsxs(va,{variant:"outline",size:"sm",className:"section-nav-toggle flex items-center space-x-1","aria-expanded":t,"aria-controls":"section-nav-list",onClick:()=>a(!t),children:[w.jsx(gX,{className:"h-4 w-4"}),w.jsx("span",{children:(l.find(e=>e.id===c)||l[0]).label})]}),w.jsx("nav",{"aria-label":u.t("nav.label"),children:w.jsx("ul",{id:"section-nav-list",className:"section-nav-list","data-open":t,children:l.map(e=>w.jsx("li",{children:w.jsx("a",{href:`#${e.id}`,className:"section-nav-link","aria-current":e.id===c?"location":void 0,onClick:n=>{n.preventDefault(),a(!1),r.go(e.id)},children:e.label})},e.id))})})]}):null},pX=({min:r,max:s,value:t,onChange:c,interval:f})=>{const n=re.useRef(c);n.current=c;const[e]=re.useState(()=>window.ClimateTimeline.create({min:r,max:s,value:t,interval:f,onChange:o=>n.current(o)})),u=re.useSyncExternalStore(e.subscribe,e.getState);return re.useEffect(()=>{e.setBounds(r,s)},[r,s]),re.useEffect(()=>{t!=null&&e.seek(t)},[t]),re.useEffect(()=>()=>e.pause(),[]),re.useMemo(()=>({...e,state:u}),[u])},yX=({timeline:t,className:o})=>{const e=t.state,s=xX(),i=window.ClimateTimeline,n=re.useId(),r=a=>e.max>e.min?`${(a-e.min)/(e.max-e.min)*100}%`:"0%",c=[];for(let a=e.min;a<=e.max;a++)c.push(a);const m=(a,x,d)=>w.jsx("select",{value:x,onChange:l=>d(+l.target.value),"aria-label":a,className:"timeline-year",children:c.map(l=>w.jsx("option",{value:l,children:l},l))});return w.jsxs("div",{role:"group","aria-label":s.t("timeline.controls"),"aria-describedby":n,className:Sa("timeline-controls space-y-3",o),children:[w.jsxs("div",{className:"flex flex-wrap items-center gap-2",children:[w.jsx(va,{variant:"outline",size:"sm",onClick:()=>t.step(-1),disabled:e.value<=e.min,"aria-label":s.t("timeline.prev"),title:`${s.t("timeline.prev")} (←)`,children:w.jsx(bX,{className:"h-4 w-4"})}),w.jsxs(va,{onClick:t.toggle,variant:e.playing?"destructive":"default",size:"sm",disabled:e.start>=e.end,title:s.t("timeline.toggleTitle"),className:"flex items-center space-x-2",children:[e.playing?w.jsx(PM,{className:"h-4 w-4"}):w.jsx(CM,{className:"h-4 w-4"}),w.jsx("span",{children:e.playing?s.t("timeline.pause"):s.t("timeline.play")})]}),w.jsx(va,{variant:"outline",size:"sm",onClick:()=>t.step(1),disabled:e.value>=e.max,"aria-label":s.t("timeline.next"),title:`${s.t("timeline.next")} (→)`,children:w.jsx(wX,{className:"h-4 w-4"})}),w.jsxs(va,{variant:"outline",size:"sm",onClick:()=>{t.pause(),t.first()},className:"flex items-center space-x-2",children:[w.jsx(DM,{className:"h-4 w-4"}),w.jsx("span",{children:s.t("timeline.reset")})]}),w.jsx("div",{role:"group","aria-label":s.t("timeline.speed"),className:"flex items-center",children:i.SPEEDS.map(a=>w.jsx(va,{variant:e.speed===a?"default":"outline",size:"sm","aria-pressed":e.speed===a,onClick:()=>t.setSpeed(a),className:"timeline-speed font-mono",children:`${a}×`},a))}),w.jsxs(va,{variant:e.loop?"secondary":"outline",size:"sm","aria-pressed":e.loop,onClick:()=>t.setLoop(!e.loop),title:s.t("timeline.loopTitle"),className:"flex items-center space-x-2",children:[w.jsx(kX,{className:"h-4 w-4"}),w.jsx("span",{children:s.t("timeline.loop")})]})]}),w.jsxs("div",{className:"flex items-center gap-3",children:[w.jsx("span",{className:"text-xs text-gray-500 font-mono",children:e.min}),w.jsx("input",{type:"range",min:e.min,max:e.max,step:1,value:e.value,onChange:a=>t.seek(+a.target.value),"aria-label":s.t("common.year"),"aria-valuetext":s.year(e.value),className:"timeline-slider flex-1",style:{"--range-start":r(e.start),"--range-end":r(e.end)}}),w.jsx("span",{className:"text-xs text-gray-500 font-mono",children:e.max}),w.jsx("span",{className:"text-sm font-mono font-semibold w-12 text-right","aria-live":e.playing?"off":"polite",children:e.value})]}),w.jsxs("div",{className:"flex flex-wrap items-center gap-2 text-sm text-gray-600",children:[w.jsx("span",{children:s.t("timeline.range")}),m(s.t("timeline.rangeStart"),e.start,a=>t.setRange(a,Math.max(a,e.end))),w.jsx("span",{children:"–"}),m(s.t("timeline.rangeEnd"),e.end,a=>t.setRange(Math.min(a,e.start),a)),(e.start!==e.min||e.end!==e.max)&&w.jsx(va,{variant:"link",size:"sm",onClick:()=>t.setRange(e.min,e.max),children:s.t("timeline.allYears")}),w.jsx("span",{id:n,className:"timeline-keys text-xs text-gray-500",children:s.t("timeline.shortcuts",{list:i.describeShortcuts().join(s.t("format.sentenceSeparator"))})})]})]})},JK=()=>{const x=lX(),t=xX(),[i,f]=re.useState([]),[v,N]=re.useState(!0),[s,k]=re.useState(null),j=re.useRef(null),m=EX(s);re.useEffect(()=>{(async()=>{try{const e=await window.ClimateData.load(x.dataset,x.baseline);f(S(e)),k(e)}catch(e){console.error("Error loading data:",e)}finally{N(!1)}})()},[x]);const c=s?s.annual:null,h=re.useMemo(()=>c&&window.ClimateStats.records(c),[c]),o=re.useMemo(()=>c&&window.ClimateStats.changepoints(c),[c]),d=re.useMemo(()=>{if(!o||!o.breaks.length)return null;const e=o.segments[o.segments.length-1],a=o.segments[o.segments.length-2];return e.rate>a.rate&&e.ciLow!=null&&e.ciLow>a.rate?{since:e.start,rate:e.rate,previous:a.rate}:null},[o]),S=e=>e.annual.map(a=>({year:a.year,anomaly:a.anomaly,isRecent:a.year>e.lastYear-10,isExtreme:a.anomaly>1})),X=({active:e,payload:a,label:l})=>{if(e&&a&&a.length){const n=a[0].payload;return n.anomaly==null&&n.median!=null?w.jsxs("div",{className:"bg-white p-3 border rounded-lg shadow-lg",children:[w.jsx("p",{className:"font-semibold",children:t.t("chart.tooltipYear",{year:l})}),w.jsx("p",{style:{color:m.projection.color},children:t.t("projection.tooltip",{scenario:m.projection.label,value:t.temp(n.median,2,!0)})}),w.jsx("p",{className:"text-xs text-gray-600",children:t.t("projection.tooltipRange",{low:t.temp(n.low,2,!0),high:t.temp(n.high,2,!0)})})]}):w.jsxs("div",{className:"bg-white p-3 border rounded-lg shadow-lg",children:[w.jsx("p",{className:"font-semibold",children:t.t("chart.tooltipYear",{year:l})}),w.jsx("p",{className:"text-red-600",children:t.t("trend.tooltipAnomaly",{value:t.temp(n.anomaly,null,!0)})}),n.isRecent&&w.jsx(ut,{variant:"destructive",className:"mt-1",children:t.t("trend.badge.recent")}),n.isExtreme&&w.jsx(ut,{variant:"outline",className:"mt-1 ml-1",children:t.t("trend.badge.extreme")})]})}return null},R=e=>{const{cx:a,cy:l,payload:n}=e;return n.isExtreme?w.jsx("path",{d:`M${a},${l-5}L${a+4.5},${l+3.5}L${a-4.5},${l+3.5}Z`,fill:"#b91c1c",stroke:"#7f1d1d",strokeWidth:1}):n.isRecent?w.jsx("circle",{cx:a,cy:l,r:3,fill:"#ef4444",stroke:"#dc2626",strokeWidth:2,className:"animate-pulse"}):null};if(v)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(xo,{className:"h-5 w-5"}),w.jsx("span",{children:t.t("trend.chart")})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const p=i.filter(e=>e.isRecent),A=p.reduce((e,a)=>e+a.anomaly,0)/p.length,r=m.projection,u=r?(()=>{const e=new Map(i.map(a=>[a.year,{...a}]));return r.points.forEach(a=>{const l=e.get(a.year)||{year:a.year};e.set(a.year,Object.assign(l,{median:a.median,low:a.low,high:a.high,range:[a.low,a.high]}))}),Array.from(e.values()).sort((a,l)=>a.year-l.year)})():i,y=t.t("trend.chart"),g=()=>{const e=[{key:"year",label:t.t("common.year")},{key:"anomaly",label:t.t("common.anomaly")}];return r?{columns:e.concat(["median","low","high"].map(a=>({key:a,label:t.t(`projection.column.${a}`,{scenario:r.label})}))),rows:u}:{columns:e,rows:i}},b=s?.preindustrial??0;return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(xo,{className:"h-5 w-5"}),w.jsx("span",{children:s?t.t("trend.title",{start:s.firstYear,end:s.lastYear}):t.t("trend.titlePlain")})]}),w.jsx(ci,{children:t.t("trend.description",{baseline:uX(s)})}),w.jsx(dX,{ds:s,title:y,name:"trend",target:j,table:g})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:`mb-4 grid grid-cols-1 ${d?"md:grid-cols-3":"md:grid-cols-2"} gap-4`,children:[w.jsxs("div",{className:"bg-red-50 p-3 rounded-lg",children:[w.jsx("div",{className:"text-2xl font-bold text-red-600",children:t.temp(A,2,!0)}),w.jsx("div",{className:"text-sm text-gray-600",children:t.t("trend.stat.recentMean")})]}),w.jsxs("div",{className:"bg-orange-50 p-3 rounded-lg",children:[w.jsx("div",{className:"text-2xl font-bold text-orange-600",children:i.filter(e=>e.anomaly>1).length}),w.jsx("div",{className:"text-sm text-gray-600",children:t.t("trend.stat.yearsAbove")})]}),d&&w.jsxs("div",{className:"bg-yellow-50 p-3 rounded-lg flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5 text-yellow-600"}),w.jsxs("div",{children:[w.jsx("div",{className:"text-sm font-semibold text-yellow-800",children:t.t("trend.stat.accelerating")}),w.jsx("div",{className:"text-xs text-gray-600",children:t.t("trend.stat.acceleratingNote",{since:d.since,rate:t.number(d.rate,2),previous:t.number(d.previous,2)})})]})]})]}),w.jsx("div",{className:"mb-2",children:w.jsx(SX,{state:m})}),w.jsx("div",{ref:j,className:"h-96",role:"img","aria-label":y,"aria-describedby":"trends-summary",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(QK,{data:u,margin:{top:20,right:30,left:20,bottom:20},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"year",stroke:"#6b7280",fontSize:12,tickFormatter:e=>e.toString(),interval:"preserveStartEnd"}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:e=>t.temp(e,null,!0)}),w.jsx(Cr,{content:w.jsx(X,{})}),w.jsx(bo,{y:0,stroke:"#6b7280",strokeDasharray:"2 2"}),w.jsx(bo,{y:b+1.5,stroke:"#f59e0b",strokeDasharray:"5 5",label:{value:t.t("chart.target15"),position:"topRight"}}),w.jsx(bo,{y:b+2,stroke:"#ef4444",strokeDasharray:"5 5",label:{value:t.t("chart.limit2"),position:"topRight"}}),w.jsx(xa,{type:"monotone",dataKey:"anomaly",stroke:"#3b82f6",strokeWidth:2,dot:w.jsx(R,{}),activeDot:{r:4,fill:"#ef4444"}},"anomaly"),w.jsx(xa,{type:"monotone",dataKey:"anomaly",stroke:"#ef4444",strokeWidth:3,dot:!1,data:i.filter(e=>e.isRecent),connectNulls:!1},"recent"),...r?[w.jsx(Ta,{type:"monotone",dataKey:"range",name:t.t("projection.legend.range",{scenario:r.label}),stroke:"none",fill:r.color,fillOpacity:.2,isAnimationActive:!1},"range"),w.jsx(xa,{type:"monotone",dataKey:"median",name:t.t("projection.legend.median",{scenario:r.label}),stroke:r.color,strokeWidth:2,strokeDasharray:"6 4",dot:!1,isAnimationActive:!1},"median")]:[]]})})}),w.jsxs("div",{className:"mt-2 flex flex-wrap items-center gap-4 text-xs text-gray-600","aria-hidden":!0,children:[w.jsxs("span",{className:"flex items-center gap-1",children:[w.jsx("svg",{width:10,height:10,children:w.jsx("circle",{cx:5,cy:5,r:3,fill:"#ef4444"})}),t.t("trend.legend.recent")]}),w.jsxs("span",{className:"flex items-center gap-1",children:[w.jsx("svg",{width:10,height:10,children:w.jsx("path",{d:"M5,0.5L9.5,9L0.5,9Z",fill:"#b91c1c"})}),t.t("trend.legend.extreme")]}),r&&w.jsxs("span",{className:"flex items-center gap-1",children:[w.jsx("svg",{width:16,height:10,children:w.jsx("rect",{width:16,height:10,fill:r.color,fillOpacity:.3})}),t.t("projection.legend.range",{scenario:r.label})]})]}),w.jsx(qX,{id:"trends",title:y,summary:window.ClimateA11y.describe(i,{subject:t.t("a11y.subject.global"),x:e=>e.year,value:e=>e.anomaly,label:e=>t.year(e.year)}),table:g,sound:i.map(e=>e.anomaly)}),w.jsx("div",{className:"mt-4 text-sm text-gray-600",children:w.jsxs("p",{children:[w.jsx("strong",{children:t.t("trend.observation.title")}),t.t("trend.observation.text",{summary:sX(s&&oX(s.annual)),records:h?t.t("trend.observation.records",{count:h.top.count,since:h.top.since,end:s.lastYear}):""})]})})]})]})},eX=()=>{const m=lX(),t=xX(),[h,N]=re.useState(null),[v,k]=re.useState(!0),[a,$]=hX("accel","decadal",e=>["decadal","rolling","changepoint"].includes(e)?e:null),[d,S]=hX("window",10,e=>[10,20,30].includes(+e)?+e:null),p=re.useRef(null);re.useEffect(()=>{(async()=>{try{N(await window.ClimateData.load(m.dataset,m.baseline))}catch(e){console.error("Error loading acceleration data:",e)}finally{k(!1)}})()},[m]);const s=h?h.annual:null,c=re.useMemo(()=>s?window.ClimateStats.windowTrends(s,{length:d,mode:a==="rolling"?"rolling":"fixed"}).map(e=>({...e,period:e.label,err:[e.rate-e.ciLow,e.ciHigh-e.rate],band:[e.ciLow,e.ciHigh],isAccelerating:e.rate>.15})):[],[s,d,a]),n=re.useMemo(()=>s&&window.ClimateStats.changepoints(s),[s]),x=re.useMemo(()=>s&&oX(s),[s]),o=re.useMemo(()=>s&&window.ClimateStats.rateBetween(s,s[s.length-1].year-d+1),[s,d]),i=e=>`${e>0?"+":""}${t.number(e,2)}`,g=e=>t.temp(e,null,!0),u=({active:e,payload:l,label:X})=>{if(e&&l&&l.length){const r=l[0].payload;return w.jsxs("div",{className:"bg-white p-3 border rounded-lg shadow-lg",children:[w.jsx("p",{className:"font-semibold",children:a==="rolling"?t.t("accel.tooltip.window",{start:r.start,end:r.end}):t.t("accel.tooltip.period",{period:X})}),w.jsx("p",{className:`${r.rate>0?"text-red-600":"text-blue-600"}`,children:t.t("accel.tooltip.rate",{value:i(r.rate)})}),w.jsx("p",{className:"text-xs text-gray-600",children:t.t("accel.tooltip.ci",{low:i(r.ciLow),high:i(r.ciHigh)})}),w.jsxs("div",{className:"flex items-center space-x-2 mt-1",children:[w.jsx(ut,{variant:r.significant?"default":"outline",className:"text-xs",children:t.t(r.significant?"accel.significant":"accel.notSignificant")}),r.isAccelerating&&w.jsx(ut,{variant:"destructive",className:"text-xs",children:t.t("accel.accelerating")}),r.partial&&w.jsx(ut,{variant:"outline",className:"text-xs",children:t.t("accel.partial")})]})]})}return null},C=e=>e.rate<0?"#3b82f6":e.rate<.1?"#10b981":e.rate<.15?"#f59e0b":"#ef4444",f=e=>e.rate<0?"dots":e.rate<.1?"solid":e.rate<.15?"lines":"hatch";if(v)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(yu,{className:"h-5 w-5"}),w.jsx("span",{children:t.t("accel.loading")})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const b=n&&s.map((e,l)=>({year:e.year,anomaly:e.anomaly,fitted:n.fitted[l].value})),D=a==="changepoint"?w.jsxs(QK,{data:b||[],margin:{top:20,right:30,left:20,bottom:20},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"year",stroke:"#6b7280",fontSize:12,tickFormatter:e=>e%20===0?e:""}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:g}),w.jsx(Cr,{formatter:(e,l)=>[t.temp(e,null,!0),l],labelFormatter:e=>t.t("chart.tooltipYear",{year:e})}),...n?n.breaks.map(e=>w.jsx(bo,{x:e,stroke:"#7c3aed",strokeDasharray:"5 5",label:{value:`${e}`,position:"top"}},e)):[],w.jsx(xa,{type:"monotone",dataKey:"anomaly",name:t.t("accel.series.observed"),stroke:"#9ca3af",strokeWidth:1,dot:!1}),w.jsx(xa,{type:"linear",dataKey:"fitted",name:t.t("accel.series.fitted"),stroke:"#ef4444",strokeWidth:3,dot:!1})]}):a==="rolling"?w.jsxs(QK,{data:c,margin:{top:20,right:30,left:20,bottom:20},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"period",stroke:"#6b7280",fontSize:12,tickFormatter:e=>e%20===0?e:""}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:g}),w.jsx(Cr,{content:w.jsx(u,{})}),w.jsx(bo,{y:0,stroke:"#6b7280",strokeDasharray:"2 2"}),w.jsx(bo,{y:.15,stroke:"#ef4444",strokeDasharray:"5 5",label:{value:t.t("format.ratePerDecade",{value:t.number(.15,2)}),position:"right"}}),w.jsx(Ta,{type:"monotone",dataKey:"band",stroke:"none",fill:"#fca5a5",fillOpacity:.4}),w.jsx(xa,{type:"monotone",dataKey:"rate",stroke:"#dc2626",strokeWidth:2,dot:!1})]}):w.jsxs(ZK,{data:c,margin:{top:20,right:30,left:20,bottom:60},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"period",stroke:"#6b7280",fontSize:11,angle:-45,textAnchor:"end",height:80}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:g}),w.jsx(Cr,{content:w.jsx(u,{})}),w.jsx("defs",{children:[["dots","#3b82f6"],["lines","#f59e0b"],["hatch","#ef4444"]].map(([e,l])=>w.jsx(jX,{id:`accel-${e}`,kind:e,color:l},e))}),w.jsxs(kn,{dataKey:"rate",radius:[2,2,0,0],children:[c.map((e,l)=>w.jsx(z0,{fill:f(e)==="solid"?C(e):`url(#accel-${f(e)})`,fillOpacity:e.partial?.5:1},`cell-${l}`)),w.jsx(rl,{dataKey:"err",width:4,strokeWidth:1,stroke:"#374151"})]})]}),j=a==="changepoint"?t.t("accel.exportTitle.changepoint"):t.t(`accel.exportTitle.${a}`,{span:d}),y=()=>a==="changepoint"?{columns:[{key:"year",label:t.t("common.year")},{key:"anomaly",label:t.t("accel.column.observed")},{key:"fitted",label:t.t("accel.column.fitted")}],rows:b||[]}:{columns:["period","start","end","rate","ciLow","ciHigh","significant","partial"].map(e=>({key:e,label:t.t(`accel.column.${e}`)})),rows:c},K=a==="changepoint"?window.ClimateA11y.describe(s,{subject:t.t("a11y.subject.global"),x:e=>e.year,value:e=>e.anomaly,label:e=>t.year(e.year)}):window.ClimateA11y.describe(c,{subject:t.t("a11y.subject.rate"),x:e=>e.end,value:e=>e.rate,label:e=>t.t("format.yearRange",{start:e.start,end:e.end}),format:e=>t.t("format.ratePerDecade",{value:i(e)}),trendFormat:null});return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(yu,{className:"h-5 w-5"}),w.jsx("span",{children:t.t("accel.title")})]}),w.jsx(ci,{children:t.t("accel.description")}),w.jsx(dX,{ds:h,title:j,name:`acceleration-${a==="changepoint"?a:`${a}-${d}y`}`,target:p,table:y})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 grid grid-cols-1 md:grid-cols-4 gap-4",children:[w.jsxs("div",{className:"bg-red-50 p-4 rounded-lg",children:[w.jsxs("div",{className:"flex items-center space-x-2 mb-2",children:[w.jsx(xo,{className:"h-4 w-4 text-red-600"}),w.jsx("span",{className:"text-sm font-semibold text-red-800",children:t.t("accel.stat.current")})]}),w.jsx("div",{className:"text-2xl font-bold text-red-600",children:o?`${i(o.rate)}°C`:"—"}),w.jsx("div",{className:"text-xs text-gray-600",children:o?t.t("accel.stat.currentNote",{start:o.start,end:o.end,ci:t.number(o.ciHigh-o.rate,2)}):t.t("accel.stat.perDecade")})]}),w.jsxs("div",{className:"bg-orange-50 p-4 rounded-lg",children:[w.jsxs("div",{className:"flex items-center space-x-2 mb-2",children:[w.jsx(x$,{className:"h-4 w-4 text-orange-600"}),w.jsx("span",{className:"text-sm font-semibold text-orange-800",children:t.t("accel.stat.ratio")})]}),w.jsx("div",{className:"text-2xl font-bold text-orange-600",children:x?`${t.number(x.ratio,1)}x`:"—"}),w.jsx("div",{className:"text-xs text-gray-600",children:x?t.t("accel.stat.ratioNote",{since:x.since,start:x.overall.start}):t.t("accel.stat.ratioFallback")})]}),w.jsxs("div",{className:"bg-yellow-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-yellow-800 mb-2",children:t.t("accel.stat.count")}),w.jsx("div",{className:"text-2xl font-bold text-yellow-600",children:c.filter(e=>e.isAccelerating).length}),w.jsx("div",{className:"text-xs text-gray-600",children:t.t("accel.stat.countNote",{span:d})})]}),w.jsxs("div",{className:"bg-blue-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-blue-800 mb-2",children:t.t("accel.significant")}),w.jsxs("div",{className:"text-2xl font-bold text-blue-600",children:[c.length?Math.round(c.filter(e=>e.significant).length/c.length*100):0,"%"]}),w.jsx("div",{className:"text-xs text-gray-600",children:t.t("accel.stat.significantNote")})]})]}),w.jsxs("div",{className:"mb-4 flex flex-wrap items-center gap-2",children:[["decadal","rolling","changepoint"].map(e=>w.jsx(va,{variant:a===e?"default":"outline",size:"sm",onClick:()=>$(e),children:t.t(`accel.view.${e}`)},e)),a!=="changepoint"&&w.jsx("span",{className:"ml-4 text-sm text-gray-600",children:t.t("accel.windowLength")}),a!=="changepoint"&&[10,20,30].map(e=>w.jsx(va,{variant:d===e?"default":"outline",size:"sm",onClick:()=>S(e),children:t.t("accel.years",{n:e})},e))]}),w.jsx("div",{ref:p,className:"h-96",role:"img","aria-label":j,"aria-describedby":"warming-summary",children:w.jsx(k0,{width:"100%",height:"100%",children:D})}),w.jsx(qX,{id:"warming",title:j,summary:K,table:y,sound:a==="changepoint"?(s||[]).map(e=>e.anomaly):c.map(e=>e.rate)}),a==="changepoint"&&n&&w.jsx("div",{className:"mt-4 grid grid-cols-1 md:grid-cols-3 gap-4",children:n.segments.map(e=>w.jsxs("div",{className:"bg-gray-50 p-3 rounded-lg text-sm",children:[w.jsx("div",{className:"font-semibold",children:t.t("format.yearRange",{start:e.start,end:e.end})}),w.jsx("div",{className:e.rate>0?"text-red-600":"text-blue-600",children:t.t("format.ratePerDecade",{value:i(e.rate)})}),e.ciLow!=null&&w.jsx("div",{className:"text-xs text-gray-600",children:t.t("accel.segmentCi",{low:i(e.ciLow),high:i(e.ciHigh)})})]},e.start))}),w.jsxs("div",{className:"mt-6 space-y-4",children:[w.jsxs("div",{className:"bg-gray-50 p-4 rounded-lg",children:[w.jsxs("h4",{className:"font-semibold mb-2 flex items-center space-x-2",children:[w.jsx(yu,{className:"h-4 w-4"}),w.jsx("span",{children:t.t("accel.findings")})]}),w.jsxs("div",{className:"space-y-2 text-sm text-gray-700",children:[w.jsxs("p",{children:[w.jsx("strong",{children:t.t("accel.findings.trend")}),sX(x)]}),n&&w.jsxs("p",{children:[w.jsx("strong",{children:t.t("accel.findings.phases")}),t.t(n.breaks.length?"accel.findings.breaks":"accel.findings.noBreaks",{years:n.breaks.join(t.t("format.listSeparator")),segments:n.segments.map(e=>t.t("accel.findings.segment",{start:e.start,end:e.end,rate:i(e.rate)})).join(t.t("accel.findings.segmentSeparator"))})]}),w.jsxs("p",{children:[w.jsx("strong",{children:t.t("accel.findings.uncertainty")}),t.t("accel.findings.uncertaintyText")]})]})]}),w.jsxs("div",{className:"flex flex-wrap gap-2",children:[w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-blue-500 rounded pattern-dots"}),w.jsx("span",{children:t.t("accel.legend.cooling")})]}),w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-green-500 rounded"}),w.jsx("span",{children:t.t("accel.legend.slight")})]}),w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-yellow-500 rounded pattern-lines"}),w.jsx("span",{children:t.t("accel.legend.moderate")})]}),w.jsxs(ut,{variant:"outline",className:"flex items-center space-x-1",children:[w.jsx("div",{className:"w-3 h-3 bg-red-500 rounded pattern-hatch"}),w.jsx("span",{children:t.t("accel.legend.rapid")})]})]})]})]})]})},tX=()=>{const $=lX(),s=xX(),[a,A]=re.useState(null),[B,L]=re.useState(!0),[F,E]=re.useState(null),[R,X]=hX("decade",null,e=>/^\d{4}s$/.test(e)?e:null),[j,_]=hX("dist","kde",e=>e==="kde"||e==="hist"?e:null),[m,I]=re.useState(.1),[v,O]=re.useState(2005),P=re.useRef(null);re.useEffect(()=>{(async()=>{try{E(null),A(await window.ClimateData.load($.dataset,$.baseline))}catch(e){console.error("Error loading baseline shift data:",e),E(e)}finally{L(!1)}})()},[$]);const x=re.useMemo(()=>{if(!a)return null;const e=window.ClimateStats,d=!a.monthlyDerived,p=d?a.monthly:a.annual,u=a.baseline.applied?[a.baseline.coveredStart,a.baseline.coveredEnd]:a.meta.baseline,h=e.summary(p.filter(r=>r.year>=u[0]&&r.year<=u[1]).map(r=>r.anomaly)),i=[];for(let r=Math.floor(a.firstYear/10)*10;r<=a.lastYear;r+=10){const o=p.filter(g=>g.year>=r&&g.year<r+10).map(g=>g.anomaly);o.length<3||i.push({key:`${r}s`,values:o,...e.summary(o),h:e.silvermanBandwidth(o),partial:r<a.firstYear||r+9>a.lastYear,p2:e.exceedance(o,h.mean+2*h.sd),p3:e.exceedance(o,h.mean+3*h.sd)})}const y=[30,64,175],c=[239,68,68];return i.forEach((r,o)=>{const g=i.length>1?o/(i.length-1):1;r.color=`rgb(${y.map((M,U)=>Math.round(M+(c[U]-M)*g)).join(",")})`}),{monthly:d,period:u,ref:h,list:i}},[a]),C=re.useMemo(()=>{if(!x||!x.list.length)return[];const e=window.ClimateStats,d=x.list.flatMap(i=>i.values),p=Math.floor(Math.min(...d)/m)-2,u=Math.ceil(Math.max(...d)/m)+2,h=[];if(j==="kde"){const i=[];for(let c=p*2;c<=u*2;c++)i.push(c*m/2);const y=x.list.map(c=>e.kde(c.values,i,c.h));i.forEach((c,r)=>{const o={temperature:parseFloat(c.toFixed(3))};x.list.forEach((g,M)=>{o[g.key]=parseFloat((y[M][r]*m*100).toFixed(2))}),h.push(o)})}else{const i=x.list.map(y=>e.histogram(y.values,m));for(let y=p;y<=u;y++){const c={temperature:parseFloat(((y+.5)*m).toFixed(3))};x.list.forEach((r,o)=>{c[r.key]=parseFloat(((i[o].get(y)||0)/r.n*100).toFixed(2))}),h.push(c)}}return h},[x,j,m]),n=re.useMemo(()=>a&&window.ClimateStats.rankYear(a.annual,Math.min(Math.max(v,a.firstYear),a.lastYear)),[a,v]),Q=({active:e,payload:d,label:p})=>e&&d&&d.length?w.jsxs("div",{className:"bg-white p-3 border rounded-lg shadow-lg",children:[w.jsx("p",{className:"font-semibold",children:s.t("shift.tooltip",{value:s.number(p)})}),d.map((u,h)=>w.jsx("p",{style:{color:u.color},children:`${u.name}: ${s.number(u.value,1)}%`},h))]}):null;if(F)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5"}),w.jsx("span",{children:s.t("shift.loading")})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center p-4",children:w.jsx("p",{role:"alert",className:"text-sm text-red-700",children:s.t("shift.error",{message:F.message||String(F)})})})})]});if(B||!x)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5"}),w.jsx("span",{children:s.t("shift.loading")})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const{list:f,ref:N,period:W,monthly:S}=x,l=f[0],t=f.find(e=>e.key===R)||f.filter(e=>!e.partial).pop()||f[f.length-1],z=e=>C.reduce((d,p)=>p[e]>d[e]?p:d,C[0]).temperature,b=e=>s.number(e*100,e>0&&e<.1?1:0),k=e=>`${e>0?"+":""}${s.number(e,2)}`,T=s.t(S?"shift.unit.months":"shift.unit.years"),Y=S?"monthly":"annual",K=j==="kde"?"monotone":"step",D=s.t(`shift.exportTitle.${Y}`),q=()=>({columns:[{key:"temperature",label:s.t("common.anomaly")},...x.list.map(e=>({key:e.key,label:s.t(j==="kde"?"shift.column.density":"shift.column.frequency",{decade:e.key,bin:m})}))],rows:C});return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5"}),w.jsx("span",{children:s.t("shift.title")})]}),w.jsx(ci,{children:s.t(`shift.description.${Y}`)}),!S&&w.jsx("p",{className:"text-xs text-amber-700",children:s.t("shift.annualOnly")}),w.jsx(dX,{ds:a,title:D,name:`baseline-shift-${j}`,target:P,table:q})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 grid grid-cols-1 md:grid-cols-4 gap-4",children:[w.jsxs("div",{className:"bg-red-50 p-4 rounded-lg",children:[w.jsxs("div",{className:"flex items-center space-x-2 mb-2",children:[w.jsx(xo,{className:"h-4 w-4 text-red-600"}),w.jsx("span",{className:"text-sm font-semibold text-red-800",children:s.t("shift.stat.shift")})]}),w.jsxs("div",{className:"text-2xl font-bold text-red-600",children:[k(t.mean-l.mean),"°C"]}),w.jsx("div",{className:"text-xs text-gray-600",children:s.t("shift.stat.shiftNote",{current:t.key,first:l.key})})]}),w.jsxs("div",{className:"bg-orange-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-orange-800 mb-2",children:s.t("shift.stat.current")}),w.jsxs("div",{className:"text-2xl font-bold text-orange-600",children:[k(z(t.key)),"°C"]}),w.jsx("div",{className:"text-xs text-gray-600",children:s.t("shift.stat.mode",{decade:t.key})})]}),w.jsxs("div",{className:"bg-yellow-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-yellow-800 mb-2",children:s.t("shift.stat.historical")}),w.jsxs("div",{className:"text-2xl font-bold text-yellow-600",children:[k(z(l.key)),"°C"]}),w.jsx("div",{className:"text-xs text-gray-600",children:s.t("shift.stat.mode",{decade:l.key})})]}),w.jsxs("div",{className:"bg-blue-50 p-4 rounded-lg",children:[w.jsx("div",{className:"text-sm font-semibold text-blue-800 mb-2",children:s.t("shift.stat.extremes")}),w.jsxs("div",{className:"text-2xl font-bold text-blue-600",children:[b(t.p2),"%"]}),w.jsx("div",{className:"text-xs text-gray-600",children:s.t("shift.stat.extremesNote",{decade:t.key,unit:T,first:l.key,share:b(l.p2)})})]})]}),w.jsxs("div",{className:"mb-4 flex flex-wrap gap-2",children:[w.jsx("span",{className:"text-sm font-medium text-gray-700 mr-2",children:s.t("shift.decadePicker")}),f.map(e=>w.jsx(va,{variant:t===e?"default":"outline",size:"sm","aria-pressed":t===e,onClick:()=>X(e.key),className:"text-xs",style:{backgroundColor:t===e?e.color:"transparent",borderColor:e.color,color:t===e?"white":e.color},children:e.key},e.key))]}),w.jsxs("div",{className:"mb-4 flex flex-wrap items-center gap-2",children:[w.jsx("span",{className:"text-sm font-medium text-gray-700 mr-2",children:s.t("shift.methodLabel")}),["kde","hist"].map(e=>w.jsx(va,{variant:j===e?"default":"outline",size:"sm",onClick:()=>_(e),children:s.t(`shift.method.${e}`)},e)),w.jsx("span",{className:"ml-4 text-sm font-medium text-gray-700 mr-2",children:s.t(j==="kde"?"shift.densityUnit":"shift.binWidth")}),[.05,.1,.2].map(e=>w.jsx(va,{variant:m===e?"default":"outline",size:"sm",onClick:()=>I(e),children:`${e}°C`},e)),j==="kde"&&w.jsx("span",{className:"ml-4 text-xs text-gray-600",children:s.t("shift.bandwidthNote",{decade:t.key,h:s.number(t.h,3)})})]}),w.jsx("div",{ref:P,className:"h-96",role:"img","aria-label":D,"aria-describedby":"baseline-summary",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(QK,{data:C,margin:{top:20,right:30,left:20,bottom:20},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"temperature",type:"number",domain:["dataMin","dataMax"],stroke:"#6b7280",fontSize:12,tickFormatter:e=>s.temp(e,null,!0)}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,label:{value:s.t("shift.axis.frequency",{bin:m}),angle:-90,position:"insideLeft"}}),w.jsx(Cr,{content:w.jsx(Q,{})}),w.jsx(ii,{}),w.jsx(bo,{x:parseFloat((N.mean+2*N.sd).toFixed(3)),stroke:"#f59e0b",strokeDasharray:"4 4",label:{value:"2σ",position:"top"}}),w.jsx(bo,{x:parseFloat((N.mean+3*N.sd).toFixed(3)),stroke:"#ef4444",strokeDasharray:"4 4",label:{value:"3σ",position:"top"}}),w.jsx(Ta,{type:K,dataKey:t.key,stroke:t.color,fill:t.color,fillOpacity:.3,strokeWidth:2,name:s.t("shift.series.distribution",{decade:t.key})}),t!==l&&w.jsx(xa,{type:K,dataKey:l.key,stroke:l.color,strokeWidth:2,strokeDasharray:"5 5",dot:!1,name:s.t("shift.series.reference",{decade:l.key})})]})})}),w.jsx("p",{className:"mt-2 text-xs text-gray-500",children:s.t(`shift.sigmaNote.${Y}`,{start:W[0],end:W[1],sd:s.number(N.sd,2),bin:m})}),w.jsx(qX,{id:"baseline",title:D,summary:window.ClimateA11y.describe(f,{subject:s.t("a11y.subject.decadeMean"),x:e=>parseInt(e.key,10),value:e=>e.mean,label:e=>e.key}),table:q,sound:f.map(e=>e.mean)}),w.jsx("div",{className:"mt-4 overflow-x-auto",children:w.jsxs("table",{className:"w-full text-sm",children:[w.jsx("thead",{children:w.jsx("tr",{className:"text-left text-gray-600 border-b",children:["decade","n","mean","sd","p2","p3"].map(e=>w.jsx("th",{scope:"col",className:"py-1 pr-4 font-medium",children:s.t(`shift.table.${e}`)},e))})}),w.jsx("tbody",{children:f.map(e=>w.jsxs("tr",{className:`border-b last:border-0 cursor-pointer ${t===e?"bg-orange-50":""}`,onClick:()=>X(e.key),children:[w.jsx("td",{className:"py-1 pr-4 font-medium",style:{color:e.color},children:e.partial?`${e.key}*`:e.key}),w.jsx("td",{className:"py-1 pr-4",children:e.n}),w.jsx("td",{className:"py-1 pr-4",children:`${k(e.mean)}°C`}),w.jsx("td",{className:"py-1 pr-4",children:s.temp(e.sd,2)}),w.jsx("td",{className:"py-1 pr-4",children:`${b(e.p2)}%`}),w.jsx("td",{className:"py-1 pr-4",children:`${b(e.p3)}%`})]},e.key))})]})}),f.some(e=>e.partial)&&w.jsx("p",{className:"mt-1 text-xs text-gray-500",children:s.t("shift.partial")}),w.jsxs("div",{className:"mt-6 space-y-4",children:[w.jsxs("div",{className:"bg-gray-50 p-4 rounded-lg",children:[w.jsxs("h4",{className:"font-semibold mb-2 flex items-center space-x-2",children:[w.jsx(Yg,{className:"h-4 w-4"}),w.jsx("span",{children:s.t("shift.meaning.title")})]}),w.jsxs("div",{className:"space-y-2 text-sm text-gray-700",children:[w.jsxs("div",{children:[w.jsx("strong",{children:s.t("shift.meaning.redefined")}),n&&[s.t("shift.rank.intro",{year:n.year,anomaly:k(n.anomaly)}),n.recordWhenSet?s.t("shift.rank.record"):"",s.t("shift.rank.position",{rank:n.rank,total:n.total}),n.rank>1?s.t("shift.rank.overtaken",{count:n.warmer.filter(e=>e>n.year).length}):s.t("shift.rank.stillWarmest")].join(""),w.jsxs("div",{className:"mt-2 flex items-center space-x-3",children:[w.jsx("span",{className:"text-xs text-gray-600 whitespace-nowrap",children:s.t("shift.rank.pick")}),w.jsx(WC,{value:[n?n.year:v],onValueChange:e=>O(e[0]),min:a.firstYear,max:a.lastYear,step:1,className:"w-full"}),w.jsx("span",{className:"text-sm font-mono",children:n?n.year:v})]})]}),w.jsxs("p",{children:[w.jsx("strong",{children:s.t("shift.meaning.shift")}),s.t("shift.meaning.shiftText",{first:l.key,firstMean:k(l.mean),current:t.key,currentMean:k(t.mean)})]}),w.jsxs("p",{children:[w.jsx("strong",{children:s.t("shift.meaning.extremes")}),s.t("shift.meaning.extremesText",{first:l.key,unit:T,firstP2:b(l.p2),current:t.key,currentP2:b(t.p2),firstP3:b(l.p3),currentP3:b(t.p3)})]})]})]}),w.jsxs("div",{className:"grid grid-cols-1 md:grid-cols-2 gap-4",children:[w.jsxs("div",{className:"bg-blue-50 p-4 rounded-lg",children:[w.jsx("h5",{className:"font-semibold text-blue-800 mb-2",children:s.t("shift.history.title")}),w.jsx("p",{className:"text-sm text-gray-700",children:s.t("shift.history.text")})]}),w.jsxs("div",{className:"bg-red-50 p-4 rounded-lg",children:[w.jsx("h5",{className:"font-semibold text-red-800 mb-2",children:s.t("shift.modern.title")}),w.jsx("p",{className:"text-sm text-gray-700",children:s.t("shift.modern.text")})]})]})]})]})]})},rX=()=>{const T=lX(),b=re.useRef(null),C=re.useRef(null),p=re.useRef(null),[l,D]=hX("spiral",1880,e=>/^\d{4}$/.test(e)?+e:null),[i,Y]=re.useState([]),[X,_]=re.useState(!0),[u,B]=re.useState(null),E=u?.preindustrial??0,n=window.ClimateSpiral,t=xX(),{theme:M}=GX(),[f,H]=hX("palette",n.DEFAULT_PALETTE,e=>n.PALETTES[e]?e:null),[v,G]=re.useState(500),[d,N]=re.useState(null),[Q,J]=hX("view",n.DEFAULT_MODE,e=>n.MODES[e]?e:null),h=!!(u&&u.monthlyDerived),r=h?"stripes":Q,[O,R]=re.useState(n.DEFAULT_VIEW),j=re.useRef(null),L=EX(u),m=r==="spiral"?L.projection:null,A=m?m.points[m.points.length-1].year:i.length?i[i.length-1].year:2023;re.useEffect(()=>{(async()=>{try{const e=await window.ClimateData.load(T.dataset,T.baseline);Y(n.toYears(e.monthly)),B(e)}catch(e){console.error("Error loading spiral data:",e)}finally{_(!1)}})()},[T]),re.useEffect(()=>{i.length&&(l<i[0].year||l>A)&&D(Math.min(Math.max(l,i[0].year),A))},[i,A]);const o=pX({min:i.length?i[0].year:1880,max:A,value:l,onChange:D,interval:100}),[S,Z]=re.useState(window.devicePixelRatio||1);re.useEffect(()=>{const e=C.current;if(!e)return;const s=()=>G(n.fitSize(e.clientWidth||500));s();const a=typeof ResizeObserver=="function"?new ResizeObserver(s):null;return a?a.observe(e):window.addEventListener("resize",s),()=>a?a.disconnect():window.removeEventListener("resize",s)},[X]),re.useEffect(()=>{const e=window.matchMedia&&window.matchMedia(`(resolution: ${S}dppx)`);if(!e||!e.addEventListener)return;const s=()=>Z(window.devicePixelRatio||1);return e.addEventListener("change",s),()=>e.removeEventListener("change",s)},[S]);const z=()=>{const e=b.current;return e?(p.current||(p.current=n.create(e)),p.current.setData(i),p.current.setOptions({palette:f,preindustrial:E,start:o.state.start,mode:r,view:O,theme:M}),p.current.setProjection(m),p.current.resize(v),p.current):null};re.useEffect(()=>{const e=z();e&&i.length&&e.draw(l,d)},[l,i,E,o.state.start,f,v,S,d,r,O,m,M,t.getLang()]);const $=(e,s)=>{o.pause(),N(null);const a=z(),y=i.filter(x=>x.year>=o.state.start&&x.year<=o.state.end).map(x=>x.year);return a.setOptions({theme:"light"}),window.ClimateExport[e](b.current,s.info,`${r==="spiral"?"spiral":`spiral-${r}`}-${o.state.start}-${o.state.end}`,{frames:y,draw:x=>a.draw(x),onProgress:s.progress}).finally(()=>(a.setOptions({theme:M}),a.draw(l)))},F=(e,s)=>R(a=>({yaw:a.yaw+e,pitch:Math.min(Math.max(a.pitch+s,.05),Math.PI/2)})),q=e=>{r==="tower"&&(j.current={x:e.clientX,y:e.clientY},e.currentTarget.setPointerCapture&&e.currentTarget.setPointerCapture(e.pointerId),N(null))},ee=e=>{if(j.current){F((e.clientX-j.current.x)*.01,(e.clientY-j.current.y)*.01),j.current={x:e.clientX,y:e.clientY};return}const s=p.current,a=b.current.getBoundingClientRect();if(!s||!a.width)return;const y=s.hitTest((e.clientX-a.left)*v/a.width,(e.clientY-a.top)*v/a.height);N(x=>y?x&&x.year===y.year&&x.month===y.month?x:{...y,left:y.x*a.width/v,top:y.y*a.height/v}:null)},te=e=>{if(r!=="tower"||!e.shiftKey||!e.key.startsWith("Arrow"))return;const s=Math.PI/36;F(e.key==="ArrowLeft"?-s:e.key==="ArrowRight"?s:0,e.key==="ArrowUp"?s:e.key==="ArrowDown"?-s:0),e.preventDefault(),e.stopPropagation()},I=t.t(n.MODES[r]),K=r==="spiral"?t.t("spiral.chart"):I;if(X)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Kg,{className:"h-5 w-5"}),w.jsx("span",{children:t.t("spiral.chart")})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const c=i.find(e=>e.year===l),g=!c&&m&&m.points.find(e=>e.year===l),W=c&&c.avgAnomaly>E+1,P=c&&c.avgAnomaly>E+1.5,k=i.filter(e=>e.year>=o.state.start&&e.year<=l),U=t.t(r==="stripes"||h?"spiral.exportTitle.annual":"spiral.exportTitle.monthly",{chart:K,start:o.state.start,end:l}),V=()=>h?{columns:[{key:"year",label:t.t("common.year")},{key:"anomaly",label:t.t("common.anomaly")}],rows:u.annual.filter(e=>e.year>=o.state.start&&e.year<=l).map(e=>({year:e.year,anomaly:e.anomaly}))}:{columns:[{key:"year",label:t.t("common.year")},{key:"month",label:t.t("common.month")},{key:"anomaly",label:t.t("common.anomaly")}],rows:k.flatMap(e=>e.months.map(s=>({year:e.year,month:s.month+1,anomaly:s.anomaly})))};return w.jsxs(ct,{className:"col-span-12",onKeyDown:e=>window.ClimateTimeline.handleKey(o,e),children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Kg,{className:"h-5 w-5"}),w.jsx("span",{children:t.t("spiral.title")})]}),w.jsx(ci,{children:t.t("spiral.description")}),w.jsx(dX,{ds:u,title:U,name:`spiral-${l}`,target:b,actions:[window.ClimateExport.canRecordVideo()&&{key:"webm",label:t.t("spiral.export.webm"),run:(e,s)=>$("exportWebm",{info:e,progress:s})},{key:"frames",label:t.t("spiral.export.frames"),run:(e,s)=>$("exportFrames",{info:e,progress:s})}].filter(Boolean),table:V})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 flex flex-wrap items-start justify-between gap-4",children:[w.jsx(yX,{timeline:o,className:"flex-1"}),w.jsx("div",{className:"flex items-center space-x-2",children:g?w.jsx(ut,{variant:"outline",style:{borderColor:m.color,color:m.color},children:t.t("spiral.badge.projection",{scenario:m.label,value:t.temp(g.median,2)})}):c&&w.jsxs(w.Fragment,{children:[w.jsx(ut,{variant:P?"destructive":W?"secondary":"outline",className:"flex items-center space-x-1",children:w.jsx("span",{children:t.t("spiral.badge.current",{value:t.temp(c.avgAnomaly,2)})})}),P&&w.jsx(ut,{variant:"destructive",children:t.t("spiral.badge.above")}),W&&!P&&w.jsx(ut,{variant:"secondary",children:t.t("spiral.badge.near")})]})})]}),w.jsxs("div",{className:"flex flex-col lg:flex-row gap-6",children:[w.jsxs("div",{ref:C,className:"flex-1 min-w-0 flex flex-col items-center gap-3",children:[w.jsxs("div",{className:"flex flex-wrap items-center justify-center gap-2",children:[w.jsx("div",{role:"radiogroup","aria-label":t.t("spiral.viewLabel"),className:"flex items-center",children:Object.keys(n.MODES).map(e=>w.jsx(va,{variant:r===e?"default":"outline",size:"sm",role:"radio","aria-checked":r===e,disabled:h&&e!=="stripes",title:h&&e!=="stripes"?t.t("spiral.needsMonthly"):void 0,onClick:()=>{J(e),N(null)},className:"timeline-speed",children:t.t(n.MODES[e])},e))}),r==="tower"&&w.jsx(va,{variant:"ghost",size:"sm",onClick:()=>R(n.DEFAULT_VIEW),children:t.t("spiral.resetView")}),r==="tower"&&w.jsx("span",{className:"text-xs text-gray-500",children:t.t("spiral.rotateHint")})]}),w.jsx(SX,{state:L,note:t.t("projection.spiralNote")}),h&&w.jsx("p",{className:"text-xs text-gray-500",children:t.t("spiral.derived")}),L.projection&&r!=="spiral"&&w.jsx("p",{className:"text-xs text-gray-500",children:t.t("projection.spiralOnly")}),w.jsxs("div",{className:"relative",children:[w.jsx("canvas",{ref:b,className:"border rounded-lg shadow-sm bg-white",role:"img","aria-describedby":"spiral-summary","aria-label":c?t.t("spiral.canvasLabel",{chart:K,start:o.state.start,end:l,value:t.temp(c.avgAnomaly,2)}):g?t.t("spiral.canvasLabelProjection",{scenario:m.label,year:l,value:t.temp(g.median,2),low:t.temp(g.low,1),high:t.temp(g.high,1)}):I,tabIndex:r==="tower"?0:void 0,onKeyDown:te,onPointerDown:q,onPointerMove:ee,onPointerUp:()=>{j.current=null},onPointerCancel:()=>{j.current=null},onPointerLeave:()=>N(null),style:{maxWidth:"100%",cursor:r==="tower"?"grab":"default",touchAction:r==="tower"?"none":"auto"}}),P&&w.jsx("div",{className:`absolute top-4 ${r==="spiral"?"left-4":"right-4"} bg-red-500 text-white px-2 py-1 rounded text-sm font-semibold animate-pulse`,children:t.t("spiral.danger")}),d&&w.jsxs("div",{className:"pointer-events-none absolute z-10 bg-white px-3 py-2 border rounded-lg shadow-lg text-sm",style:{left:d.left+12,top:d.top+12},children:[w.jsx("div",{className:"font-semibold",children:d.month==null||h?t.t("spiral.hover.annual",{year:d.year}):t.t("spiral.hover.month",{year:d.year,month:t.months("long")[d.month]})}),w.jsx("div",{style:{color:n.colorFor(d.anomaly,f)},children:t.t("spiral.hover.anomaly",{value:t.temp(d.anomaly,2,!0)})})]})]})]}),w.jsxs("div",{className:"lg:w-80 space-y-4",children:[w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:t.t("spiral.thresholds.title")})}),w.jsxs(dt,{className:"space-y-3",children:[w.jsxs("div",{className:"flex items-center justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("spiral.thresholds.target")}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx("div",{className:"w-4 h-4 bg-orange-500 rounded"}),w.jsx("span",{className:"text-sm text-orange-600",children:t.t("spiral.thresholds.warning")})]})]}),w.jsxs("div",{className:"flex items-center justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("spiral.thresholds.limit")}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx("div",{className:"w-4 h-4 bg-red-500 rounded"}),w.jsx("span",{className:"text-sm text-red-600",children:t.t("spiral.thresholds.danger")})]})]}),w.jsxs("div",{className:"flex items-center justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("spiral.thresholds.baseline",{baseline:uX(u)})}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx("div",{className:"w-4 h-4 bg-gray-500 rounded"}),w.jsx("span",{className:"text-sm text-gray-600",children:t.t("spiral.thresholds.normal")})]})]})]})]}),w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:t.t("spiral.palette.title")})}),w.jsxs(dt,{className:"space-y-3",children:[w.jsx("div",{role:"radiogroup","aria-label":t.t("spiral.palette.label"),className:"flex items-center space-x-2",children:Object.keys(n.PALETTES).map(e=>w.jsx(va,{variant:f===e?"default":"outline",size:"sm",role:"radio","aria-checked":f===e,onClick:()=>H(e),children:t.t(n.PALETTES[e].label)},e))}),w.jsx("div",{className:"flex h-3 rounded overflow-hidden","aria-hidden":!0,children:n.PALETTES[f].colors.map(e=>w.jsx("div",{className:"flex-1",style:{background:e}},e))}),w.jsxs("div",{className:"flex justify-between text-xs text-gray-500",children:[w.jsx("span",{children:"< -1°C"}),w.jsx("span",{children:"0°C"}),w.jsx("span",{children:"> +1.5°C"})]})]})]}),w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:t.t("spiral.guide.title")})}),w.jsx(dt,{children:w.jsx("div",{className:"space-y-2 text-sm text-gray-700",children:["path","radius","color","growth"].map(e=>w.jsxs("p",{children:["• ",w.jsx("strong",{children:t.t(`spiral.guide.${e}`)}),t.t(`spiral.guide.${e}Text`)]},e))})})]}),c&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:t.t("spiral.year.title",{year:l})})}),w.jsx(dt,{children:w.jsxs("div",{className:"space-y-2",children:[w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("spiral.year.mean")}),w.jsx("span",{className:`text-sm font-semibold ${c.avgAnomaly>1?"text-red-600":c.avgAnomaly>0?"text-orange-600":"text-blue-600"}`,children:t.temp(c.avgAnomaly,2,!0)})]}),!h&&w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("spiral.year.warmest")}),w.jsx("span",{className:"text-sm font-semibold",children:t.temp(Math.max(...c.months.map(e=>e.anomaly)),2)})]}),!h&&w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("spiral.year.coldest")}),w.jsx("span",{className:"text-sm font-semibold",children:t.temp(Math.min(...c.months.map(e=>e.anomaly)),2)})]})]})})]})]})]}),w.jsx(qX,{id:"spiral",title:U,summary:window.ClimateA11y.describe(k,{subject:t.t("a11y.subject.annualMean"),x:e=>e.year,value:e=>e.avgAnomaly,label:e=>t.year(e.year)}),table:V,sound:k.map(e=>e.avgAnomaly)}),w.jsxs("div",{className:"mt-6 bg-gray-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2",children:t.t("spiral.meaning.title")}),w.jsx("p",{className:"text-sm text-gray-700",children:t.t("spiral.meaning.text")})]})]})]})},WC=re.forwardRef(({className:e,min:t=0,max:r=100,step:n=1,value:o,onValueChange:u,disabled:c,...f},d)=>{const[h,v]=re.useState(o||[t]),y=o||h,g=b=>{const O=[parseInt(b.target.value)];v(O),u&&u(O)};return w.jsxs("div",{className:Sa("relative flex w-full touch-none select-none items-center",e),...f,children:[w.jsx("input",{ref:d,type:"range",min:t,max:r,step:n,value:y[0],onChange:g,disabled:c,className:"w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"}),w.jsx("style",{jsx:!0,children:`
         .slider::-webkit-slider-thumb {
           appearance: none;
           height: 20px;
@@ -226,7 +226,4 @@ In order to be iterable, non-array objects must have a [Symbol.iterator]() metho
           opacity: 0.5;
           cursor: not-allowed;
         }
-      `})]})});WC.displayName="Slider";const nX=()=>{var j;const[e,t]=re.useState(2020),[r,n]=re.useState(null),[o,u]=re.useState(!1),[c,f]=re.useState([]),[d,h]=re.useState(!0),[v,y]=re.useState("absolute");re.useEffect(()=>{(async()=>{try{const D=g();f(D)}catch(D){console.error("Error loading world map data:",D)}finally{h(!1)}})()},[]);const g=()=>{const M=[{name:"中国",code:"CN",lat:35.8617,lng:104.1954,region:"Asia"},{name:"美国",code:"US",lat:37.0902,lng:-95.7129,region:"North America"},{name:"俄罗斯",code:"RU",lat:61.524,lng:105.3188,region:"Asia"},{name:"加拿大",code:"CA",lat:56.1304,lng:-106.3468,region:"North America"},{name:"巴西",code:"BR",lat:-14.235,lng:-51.9253,region:"South America"},{name:"澳大利亚",code:"AU",lat:-25.2744,lng:133.7751,region:"Oceania"},{name:"印度",code:"IN",lat:20.5937,lng:78.9629,region:"Asia"},{name:"阿根廷",code:"AR",lat:-38.4161,lng:-63.6167,region:"South America"},{name:"哈萨克斯坦",code:"KZ",lat:48.0196,lng:66.9237,region:"Asia"},{name:"阿尔及利亚",code:"DZ",lat:28.0339,lng:1.6596,region:"Africa"},{name:"德国",code:"DE",lat:51.1657,lng:10.4515,region:"Europe"},{name:"法国",code:"FR",lat:46.6034,lng:1.8883,region:"Europe"},{name:"英国",code:"GB",lat:55.3781,lng:-3.436,region:"Europe"},{name:"日本",code:"JP",lat:36.2048,lng:138.2529,region:"Asia"},{name:"挪威",code:"NO",lat:60.472,lng:8.4689,region:"Europe"},{name:"瑞典",code:"SE",lat:60.1282,lng:18.6435,region:"Europe"},{name:"芬兰",code:"FI",lat:61.9241,lng:25.7482,region:"Europe"},{name:"格陵兰",code:"GL",lat:71.7069,lng:-42.6043,region:"North America"},{name:"南非",code:"ZA",lat:-30.5595,lng:22.9375,region:"Africa"},{name:"埃及",code:"EG",lat:26.8206,lng:30.8025,region:"Africa"}],D=Array.from({length:144},(I,k)=>1880+k),q=[];return M.forEach(I=>{D.forEach(k=>{let L;const K=(k-1880)/143,Z=Math.abs(I.lat)>60?1.5:Math.abs(I.lat)>45?1.2:1;I.region==="Europe"||I.region==="North America"?L=-.2+K*1.8*Z:I.region==="Asia"?L=-.1+K*1.6*Z:I.region==="Africa"?L=.1+K*1.2:L=-.05+K*1.4;const V=(Math.random()-.5)*.6,$=L+V;q.push({country:I.name,code:I.code,year:k,lat:I.lat,lng:I.lng,region:I.region,anomaly:parseFloat($.toFixed(2)),isArctic:Math.abs(I.lat)>66.5,isExtreme:$>2||$<-2})})}),q},b=M=>M<-2?"#1e3a8a":M<-1.5?"#1e40af":M<-1?"#3b82f6":M<-.5?"#60a5fa":M<0?"#93c5fd":M<.5?"#fbbf24":M<1?"#f59e0b":M<1.5?"#f97316":M<2?"#ea580c":M<3?"#dc2626":"#991b1b",O=()=>c.filter(M=>M.year===e),S=()=>{u(!0);const M=setInterval(()=>{t(D=>D>=2023?(u(!1),clearInterval(M),2023):D+1)},200)},x=()=>{u(!1)},T=()=>{u(!1),t(1880)};if(d)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Gs,{className:"h-5 w-5"}),w.jsx("span",{children:"交互式世界地图"})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const P=O(),E=P.filter(M=>M.isArctic),N=P.reduce((M,D)=>M+D.anomaly,0)/P.length,_=E.length>0?E.reduce((M,D)=>M+D.anomaly,0)/E.length:0;return w.jsxs(ct,{className:"col-span-12",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Gs,{className:"h-5 w-5"}),w.jsx("span",{children:"全球温度距平地理分布"})]}),w.jsx(ci,{children:"交互式世界地图展示不同国家和地区的温度距平分布，揭示全球变暖的地理不均匀性。 特别关注北极放大效应等关键现象。"})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 space-y-4",children:[w.jsxs("div",{className:"flex flex-wrap items-center justify-between gap-4",children:[w.jsxs("div",{className:"flex items-center space-x-4",children:[w.jsxs(va,{onClick:o?x:S,variant:o?"destructive":"default",size:"sm",className:"flex items-center space-x-2",children:[o?w.jsx(PM,{className:"h-4 w-4"}):w.jsx(CM,{className:"h-4 w-4"}),w.jsx("span",{children:o?"暂停":"播放"})]}),w.jsxs(va,{onClick:T,variant:"outline",size:"sm",className:"flex items-center space-x-2",children:[w.jsx(DM,{className:"h-4 w-4"}),w.jsx("span",{children:"重置"})]}),w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx(va,{variant:v==="absolute"?"default":"outline",size:"sm",onClick:()=>y("absolute"),children:"绝对值"}),w.jsx(va,{variant:v==="relative"?"default":"outline",size:"sm",onClick:()=>y("relative"),children:"相对变化"})]})]}),w.jsxs("div",{className:"flex items-center space-x-4",children:[w.jsx(ut,{variant:"outline",className:"text-lg font-mono",children:e}),w.jsxs(ut,{variant:N>1?"destructive":N>0?"secondary":"outline",children:["全球平均: ",N>0?"+":"",N.toFixed(2),"°C"]}),E.length>0&&w.jsxs(ut,{variant:"destructive",children:["北极地区: ",_>0?"+":"",_.toFixed(2),"°C"]})]})]}),w.jsxs("div",{className:"space-y-2",children:[w.jsxs("div",{className:"flex items-center justify-between",children:[w.jsx("span",{className:"text-sm font-medium",children:"年份选择"}),w.jsx("span",{className:"text-sm text-gray-500",children:"1880 - 2023"})]}),w.jsx(WC,{value:[e],onValueChange:M=>t(M[0]),min:1880,max:2023,step:1,className:"w-full",disabled:o})]})]}),w.jsxs("div",{className:"grid grid-cols-1 lg:grid-cols-4 gap-6",children:[w.jsx("div",{className:"lg:col-span-3",children:w.jsx("div",{className:"bg-gradient-to-b from-blue-50 to-blue-100 rounded-lg p-6 min-h-96",children:w.jsxs("div",{className:"relative",children:[w.jsxs("h3",{className:"text-lg font-semibold mb-4 text-center",children:[e,"年全球温度距平分布"]}),w.jsx("div",{className:"grid grid-cols-6 gap-2 h-64",children:P.map((M,D)=>w.jsxs("div",{className:`
-                        rounded p-2 cursor-pointer transition-all duration-200 hover:scale-105 hover:shadow-lg
-                        ${r===M.code?"ring-2 ring-blue-500":""}
-                      `,style:{backgroundColor:b(M.anomaly),opacity:.8},onClick:()=>n(r===M.code?null:M.code),title:`${M.country}: ${M.anomaly>0?"+":""}${M.anomaly}°C`,children:[w.jsx("div",{className:"text-xs text-white font-semibold truncate",children:M.country}),w.jsxs("div",{className:"text-xs text-white",children:[M.anomaly>0?"+":"",M.anomaly.toFixed(1),"°C"]}),M.isArctic&&w.jsx("div",{className:"text-xs text-yellow-200",children:"❄️"})]},M.code))}),w.jsxs("div",{className:"mt-4",children:[w.jsx("div",{className:"text-sm font-medium mb-2",children:"温度距平 (°C)"}),w.jsx("div",{className:"flex items-center space-x-1",children:[-2,-1.5,-1,-.5,0,.5,1,1.5,2,3].map(M=>w.jsxs("div",{className:"flex flex-col items-center",children:[w.jsx("div",{className:"w-6 h-4 border border-gray-300",style:{backgroundColor:b(M)}}),w.jsxs("span",{className:"text-xs mt-1",children:[M>0?"+":"",M]})]},M))})]})]})})}),w.jsxs("div",{className:"space-y-4",children:[w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:"全球统计"})}),w.jsxs(dt,{className:"space-y-3",children:[w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"全球平均:"}),w.jsxs("span",{className:`text-sm font-semibold ${N>1?"text-red-600":N>0?"text-orange-600":"text-blue-600"}`,children:[N>0?"+":"",N.toFixed(2),"°C"]})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"最热地区:"}),w.jsxs("span",{className:"text-sm font-semibold text-red-600",children:[Math.max(...P.map(M=>M.anomaly)).toFixed(2),"°C"]})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"最冷地区:"}),w.jsxs("span",{className:"text-sm font-semibold text-blue-600",children:[Math.min(...P.map(M=>M.anomaly)).toFixed(2),"°C"]})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"极端事件:"}),w.jsxs("span",{className:"text-sm font-semibold",children:[P.filter(M=>M.isExtreme).length,"个地区"]})]})]})]}),E.length>0&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx("span",{children:"北极放大效应"}),w.jsx("span",{className:"text-lg",children:"❄️"})]})}),w.jsxs(dt,{className:"space-y-3",children:[w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"北极平均:"}),w.jsxs("span",{className:"text-sm font-semibold text-red-600",children:[_>0?"+":"",_.toFixed(2),"°C"]})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"放大倍数:"}),w.jsxs("span",{className:"text-sm font-semibold text-orange-600",children:[(_/Math.max(N,.1)).toFixed(1),"x"]})]}),w.jsx("div",{className:"text-xs text-gray-600",children:"北极地区的变暖速度通常是全球平均的2-3倍"})]})]}),r&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx(w$,{className:"h-4 w-4"}),w.jsx("span",{children:(j=P.find(M=>M.code===r))==null?void 0:j.country})]})}),w.jsx(dt,{children:(()=>{const M=P.find(D=>D.code===r);return M?w.jsxs("div",{className:"space-y-2",children:[w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"温度距平:"}),w.jsxs("span",{className:`text-sm font-semibold ${M.anomaly>1?"text-red-600":M.anomaly>0?"text-orange-600":"text-blue-600"}`,children:[M.anomaly>0?"+":"",M.anomaly,"°C"]})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"地区:"}),w.jsx("span",{className:"text-sm",children:M.region})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:"纬度:"}),w.jsxs("span",{className:"text-sm",children:[M.lat.toFixed(1),"°"]})]}),M.isArctic&&w.jsx(ut,{variant:"outline",className:"text-xs",children:"北极地区"}),M.isExtreme&&w.jsx(ut,{variant:"destructive",className:"text-xs",children:"极端温度"})]}):null})()})]}),w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:"地理模式"})}),w.jsx(dt,{children:w.jsxs("div",{className:"space-y-2 text-sm text-gray-700",children:[w.jsxs("p",{children:["• ",w.jsx("strong",{children:"北极放大："}),"高纬度地区变暖更快"]}),w.jsxs("p",{children:["• ",w.jsx("strong",{children:"陆地海洋："}),"陆地变暖快于海洋"]}),w.jsxs("p",{children:["• ",w.jsx("strong",{children:"季节差异："}),"冬季变暖更明显"]}),w.jsxs("p",{children:["• ",w.jsx("strong",{children:"区域变化："}),"变暖并非均匀分布"]})]})})]})]})]}),w.jsxs("div",{className:"mt-6 bg-gray-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2",children:"地理分布的重要性"}),w.jsx("p",{className:"text-sm text-gray-700",children:'全球变暖并非均匀分布的现象。北极地区的升温速度远超全球平均水平，这种"北极放大效应" 是由于冰雪融化减少了地表反射率，形成正反馈循环。理解这些地理差异对于预测区域气候影响 和制定适应策略至关重要。'})]})]})]})};function aX(){const[r,n]=re.useState(!0);re.useEffect(()=>{setTimeout(()=>n(!1),1e3)},[]);return r?w.jsx("div",{className:"min-h-screen bg-gradient-to-br from-blue-50 via-white to-red-50 flex items-center justify-center",children:w.jsxs("div",{className:"text-center space-y-4",children:[w.jsx("div",{className:"animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto"}),w.jsx("p",{className:"text-lg text-gray-600",children:"正在加载气候数据..."}),w.jsx("p",{className:"text-sm text-gray-500",children:"准备多层次可视化分析"})]})}):w.jsxs("div",{className:"min-h-screen bg-gradient-to-br from-blue-50 via-white to-red-50",children:[w.jsx("nav",{className:"sticky top-0 z-50 bg-white/80 backdrop-blur-md border-b border-gray-200",children:w.jsx("div",{className:"max-w-7xl mx-auto px-4 sm:px-6 lg:px-8",children:w.jsx("div",{className:"flex items-center justify-center h-16",children:w.jsxs("div",{className:"flex items-center space-x-3",children:[w.jsx(T$,{className:"h-8 w-8 text-red-600"}),w.jsxs("div",{children:[w.jsx("h1",{className:"text-xl font-bold text-gray-900",children:"可视化一个正在变暖的星球"}),w.jsx("p",{className:"text-xs text-gray-500 hidden sm:block",children:"基于伯克利地球、NASA GISS 和 NOAA 数据"})]}),w.jsx(ut,{variant:"destructive",className:"ml-2",children:"超越趋势线"})]})})})}),w.jsxs("main",{className:"max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8",children:[w.jsxs("div",{className:"text-center mb-12",children:[w.jsx("h2",{className:"text-4xl font-bold text-gray-900 mb-4",children:"超越趋势线：揭示气候变化的深层动态"}),w.jsx("p",{className:"text-xl text-gray-600 max-w-4xl mx-auto",children:"地球正在变暖已是共识，但如何通过可视化不仅展示这一趋势，更能揭示其变化的加速度？ 本项目旨在超越简单的线性图表，讲述一个关于我们星球气候轨迹的、更为紧迫和细致的故事。"})]}),w.jsxs("div",{className:"grid grid-cols-12 gap-6",children:[w.jsxs(ct,{className:"col-span-12 lg:col-span-8 bg-gradient-to-r from-red-500 to-orange-500 text-white",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(_u,{className:"h-6 w-6"}),w.jsx("span",{children:"全球温度距平"})]}),w.jsx(ci,{className:"text-red-100",children:"相对于1951-1980年基准期的温度偏差"})]}),w.jsxs(dt,{children:[w.jsx("div",{className:"text-6xl font-bold mb-2 temperature-indicator",children:"+1.2°C"}),w.jsx("p",{className:"text-red-100 text-lg",children:"2023年全球平均温度距平"}),w.jsxs("div",{className:"mt-4 flex items-center space-x-4",children:[w.jsx(ut,{variant:"outline",className:"text-white border-white",children:"历史最高"}),w.jsx(ut,{variant:"outline",className:"text-white border-white",children:"连续第10个最热年"})]})]})]}),w.jsxs("div",{className:"col-span-12 lg:col-span-4 space-y-6",children:[w.jsxs(ct,{className:"metric-card",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx(yu,{className:"h-5 w-5 text-red-600"}),w.jsx("span",{children:"变暖速率"})]})}),w.jsxs(dt,{children:[w.jsx("div",{className:"data-point text-red-600",children:"0.20°C"}),w.jsx("p",{className:"data-label",children:"每十年升温幅度（1982年以来）"}),w.jsx("div",{className:"mt-2",children:w.jsx(ut,{variant:"destructive",className:"text-xs",children:"3倍历史平均"})})]})]}),w.jsxs(ct,{className:"metric-card",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx(xo,{className:"h-5 w-5 text-orange-600"}),w.jsx("span",{children:"最热年份"})]})}),w.jsxs(dt,{children:[w.jsx("div",{className:"data-point text-orange-600",children:"2024年"}),w.jsx("p",{className:"data-label",children:"2024年是人类历史上最热的一年"}),w.jsx("div",{className:"mt-2",children:w.jsx(ut,{variant:"secondary",className:"text-xs",children:"2005年已跌至第13位"})})]})]})]}),w.jsxs("div",{className:"col-span-12 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6",children:[w.jsxs(ct,{className:"bg-gradient-to-br from-blue-50 to-blue-100 border-blue-200",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-base flex items-center space-x-2",children:[w.jsx(xo,{className:"h-5 w-5 text-blue-600"}),w.jsx("span",{children:"趋势分析"})]})}),w.jsx(dt,{children:w.jsx("p",{className:"text-sm text-gray-600",children:"历史温度变化趋势"})})]}),w.jsxs(ct,{className:"bg-gradient-to-br from-red-50 to-red-100 border-red-200",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-base flex items-center space-x-2",children:[w.jsx(yu,{className:"h-5 w-5 text-red-600"}),w.jsx("span",{children:"变暖加速"})]})}),w.jsx(dt,{children:w.jsx("p",{className:"text-sm text-gray-600",children:"升温速率的时间演化"})})]}),w.jsxs(ct,{className:"bg-gradient-to-br from-orange-50 to-orange-100 border-orange-200",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-base flex items-center space-x-2",children:[w.jsx(_u,{className:"h-5 w-5 text-orange-600"}),w.jsx("span",{children:"基线漂移"})]})}),w.jsx(dt,{children:w.jsx("p",{className:"text-sm text-gray-600",children:"温度分布的历史变迁"})})]}),w.jsxs(ct,{className:"bg-gradient-to-br from-purple-50 to-purple-100 border-purple-200",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-base flex items-center space-x-2",children:[w.jsx(Kg,{className:"h-5 w-5 text-purple-600"}),w.jsx("span",{children:"气候螺旋"})]})}),w.jsx(dt,{children:w.jsx("p",{className:"text-sm text-gray-600",children:"温度距平的螺旋可视化"})})]}),w.jsxs(ct,{className:"bg-gradient-to-br from-green-50 to-green-100 border-green-200",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-base flex items-center space-x-2",children:[w.jsx(Yg,{className:"h-5 w-5 text-green-600"}),w.jsx("span",{children:"地理分布"})]})}),w.jsx(dt,{children:w.jsx("p",{className:"text-sm text-gray-600",children:"全球变暖的空间格局"})})]})]}),w.jsx(JK,{}),w.jsx(eX,{}),w.jsx(tX,{}),w.jsx(rX,{}),w.jsx(nX,{}),w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Gs,{className:"h-5 w-5"}),w.jsx("span",{children:"数据来源与方法"})]})}),w.jsx(dt,{children:w.jsxs("div",{className:"grid grid-cols-1 md:grid-cols-3 gap-6",children:[w.jsxs("div",{className:"bg-blue-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2 text-blue-800",children:"伯克利地球（Berkeley Earth）"}),w.jsx("p",{className:"text-sm text-gray-600",children:"整合自18世纪以来的长期历史数据，为深度分析提供坚实基础。 包含全球陆地和海洋温度记录。"})]}),w.jsxs("div",{className:"bg-green-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2 text-green-800",children:"NASA GISS"}),w.jsx("p",{className:"text-sm text-gray-600",children:"提供更近期、更精细的数据，并且通常已预先计算好关键指标。 全球表面温度异常分析。"})]}),w.jsxs("div",{className:"bg-orange-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2 text-orange-800",children:"NOAA"}),w.jsx("p",{className:"text-sm text-gray-600",children:"美国国家海洋和大气管理局的权威气候数据和分析。 全球监测和评估系统。"})]})]})})]})]}),w.jsx("div",{className:"mt-16 text-center",children:w.jsxs("div",{className:"bg-white/60 backdrop-blur-sm rounded-lg p-6 border border-gray-200",children:[w.jsx("h3",{className:"text-lg font-semibold text-gray-900 mb-4",children:"关于这个项目"}),w.jsxs("div",{className:"grid grid-cols-1 md:grid-cols-2 gap-6 text-left",children:[w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold text-gray-800 mb-2",children:"数据透明度"}),w.jsx("p",{className:"text-sm text-gray-600",children:"所有可视化基于来自伯克利地球、NASA GISS和NOAA的公开数据。 我们使用1951-1980年作为基准期计算温度距平，这是国际通用的标准。 数据处理过程完全透明，确保科学严谨性。"})]}),w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold text-gray-800 mb-2",children:"方法论"}),w.jsx("p",{className:"text-sm text-gray-600",children:"通过多层次可视化揭示气候变化的复杂性：从基础趋势到加速度分析， 再到基线漂移现象，每个视角都提供了独特的洞察。 结合交互式元素增强用户理解。"})]})]}),w.jsx("div",{className:"mt-6 pt-4 border-t border-gray-200",children:w.jsxs("div",{className:"flex flex-wrap items-center justify-center gap-4 text-sm text-gray-500",children:[w.jsx("span",{children:"数据更新时间：2024年"}),w.jsx("span",{children:"•"}),w.jsx("span",{children:"基于伯克利地球、NASA GISS 和 NOAA 数据"}),w.jsx("span",{children:"•"}),w.jsx("a",{href:"#",className:"text-blue-600 hover:underline",children:"查看数据源"}),w.jsx("span",{children:"•"}),w.jsx("a",{href:"#",className:"text-blue-600 hover:underline",children:"方法说明"})]})}),w.jsxs("div",{className:"mt-6 bg-red-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold text-red-800 mb-2",children:"关键发现"}),w.jsxs("div",{className:"grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-700",children:[w.jsxs("div",{children:[w.jsx("strong",{children:"加速变暖："}),"自1982年以来，全球变暖的速率是1850年以来平均速率的三倍以上。"]}),w.jsxs("div",{children:[w.jsx("strong",{children:"基线漂移："}),'过去的"极端高温"正在成为今天的"正常温度"。']}),w.jsxs("div",{children:[w.jsx("strong",{children:"地理差异："}),"北极地区的升温速度远超全球平均水平。"]}),w.jsxs("div",{children:[w.jsx("strong",{children:"临界逼近："}),"全球温度正在逐步逼近1.5°C和2°C的关键阈值。"]})]})]})]})})]})]})}S3.createRoot(document.getElementById("root")).render(w.jsx(re.StrictMode,{children:w.jsx(aX,{})}));
+      `})]})});WC.displayName="Slider";const AX=({countries:b,ds:g,grid:t,year:$})=>{const c=xX(),v=window.ClimateRegion,G=["#dc2626","#2563eb","#16a34a","#9333ea","#ea580c","#0891b2","#ca8a04","#db2777"],[R,l]=hX("group","continent",s=>v.KINDS.includes(s)?s:null),[z,M]=re.useState(()=>v.loadGroups()),[p,h]=re.useState(null),I=re.useMemo(()=>v.countrySeries(b,g,t),[b,g,t]),u=re.useMemo(()=>v.groupsOf(R,b,z),[R,b,z]),j=re.useMemo(()=>v.aggregate(u,b,I),[u,b,I]),d=re.useMemo(()=>v.rankAt(j,$),[j,$]),A=s=>s.key?c.t(s.key):s.name,B=new Map(u.map(s=>[s.id,A(s)])),T=re.useMemo(()=>{const s=new Map(g.annual.map(x=>[x.year,{year:x.year,global:x.anomaly}]));return j.forEach(x=>x.annual.forEach(X=>{s.has(X.year)||s.set(X.year,{year:X.year}),s.get(X.year)[x.id]=X.anomaly})),Array.from(s.values()).sort((x,X)=>x.year-X.year)},[j,g]),N=Math.max(.01,...d.map(s=>Math.abs(s.anomaly))),W=s=>{M(s),v.saveGroups(s)},S=()=>{!p.name.trim()||!p.codes.length||(W(z.concat(v.createGroup(p.name,p.codes))),h(null))},Y=re.useMemo(()=>b.map(s=>[s.code,c.countryName(s)]).sort((s,x)=>s[1].localeCompare(x[1],c.getLang())),[b,c.getLang()]),H=c.t("region.exportTitle",{kind:c.t(`region.kind.${R}`)}),U=()=>({columns:[{key:"year",label:c.t("common.year")},...u.map(s=>({key:s.id,label:A(s)})),{key:"global",label:c.t("country.global")}],rows:T}),o=re.useRef(null);return w.jsxs("section",{id:"region-aggregation","aria-labelledby":"region-aggregation-title",className:"mt-6 rounded-lg border border-gray-200 p-4 space-y-4",children:[w.jsxs("div",{className:"flex flex-wrap items-start justify-between gap-3",children:[w.jsxs("div",{children:[w.jsx("h3",{id:"region-aggregation-title",className:"text-xl font-semibold",children:c.t("region.title")}),w.jsx("p",{className:"mt-1 text-sm text-gray-600",children:c.t(t?"region.description.grid":"region.description.estimate")})]}),w.jsx(dX,{ds:g,title:H,name:`regions-${R}`,target:o,table:U})]}),w.jsx("div",{className:"flex flex-wrap gap-1",role:"group","aria-label":c.t("region.kindLabel"),children:v.KINDS.map(s=>w.jsx(va,{size:"sm",variant:R===s?"default":"outline","aria-pressed":R===s,onClick:()=>l(s),children:c.t(`region.kind.${s}`)},s))}),R==="custom"&&w.jsxs("div",{className:"space-y-2",children:[w.jsxs("div",{className:"flex flex-wrap items-center gap-2",children:[...z.map(s=>w.jsxs(ut,{variant:"outline",className:"flex items-center gap-1",children:[c.t("region.custom.chip",{name:s.name,count:s.codes.length}),w.jsx("button",{type:"button",className:"ml-1 text-gray-500 hover:text-gray-900","aria-label":c.t("region.custom.remove",{name:s.name}),onClick:()=>W(z.filter(x=>x.id!==s.id)),children:"×"})]},s.id)),!p&&z.length<v.MAX_GROUPS&&w.jsx(va,{size:"sm",variant:"outline",onClick:()=>h({name:"",codes:[]}),children:c.t("region.custom.new")})]}),p&&w.jsxs("div",{className:"flex flex-wrap items-end gap-3 rounded border border-dashed border-gray-300 p-3",children:[w.jsxs("label",{className:"flex flex-col text-sm",children:[c.t("region.custom.name"),w.jsx("input",{type:"text",className:"mt-1 rounded border px-2 py-1",value:p.name,maxLength:40,onChange:s=>h({...p,name:s.target.value})})]}),w.jsxs("label",{className:"flex flex-col text-sm",children:[c.t("region.custom.countries"),w.jsx("select",{multiple:!0,size:6,className:"mt-1 min-w-48 rounded border px-2 py-1",value:p.codes,onChange:s=>h({...p,codes:Array.from(s.target.selectedOptions,x=>x.value)}),children:Y.map(([s,x])=>w.jsx("option",{value:s,children:x},s))})]}),w.jsxs("div",{className:"flex gap-2",children:[w.jsx(va,{size:"sm",disabled:!p.name.trim()||!p.codes.length,onClick:S,children:c.t("region.custom.save")}),w.jsx(va,{size:"sm",variant:"ghost",onClick:()=>h(null),children:c.t("region.custom.cancel")})]})]}),!z.length&&!p&&w.jsx("p",{className:"text-sm text-gray-500",children:c.t("region.custom.empty")})]}),u.length>0&&w.jsxs("div",{className:"grid grid-cols-1 lg:grid-cols-3 gap-6",children:[w.jsxs("div",{className:t?"lg:col-span-2":"lg:col-span-3",children:[w.jsx("div",{ref:o,className:"h-72",role:"img","aria-label":H,"aria-describedby":"regions-summary",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(FK,{data:T,margin:{top:10,right:20,left:10,bottom:10},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"year",stroke:"#6b7280",fontSize:12,interval:"preserveStartEnd"}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:s=>c.temp(s,null,!0)}),w.jsx(Cr,{formatter:(s,x)=>[c.temp(s,2,!0),x],labelFormatter:s=>c.t("chart.tooltipYear",{year:s})}),w.jsx(ii,{}),w.jsx(bo,{y:0,stroke:"#6b7280",strokeDasharray:"2 2"}),w.jsx(bo,{x:$,stroke:"#9ca3af"}),w.jsx(xa,{type:"monotone",dataKey:"global",name:c.t("country.global"),stroke:"#9ca3af",strokeWidth:1.5,strokeDasharray:"4 3",dot:!1,isAnimationActive:!1},"global"),...u.map((s,x)=>w.jsx(xa,{type:"monotone",dataKey:s.id,name:A(s),stroke:G[x%G.length],strokeWidth:2,dot:!1,connectNulls:!0,isAnimationActive:!1},s.id))]})})}),w.jsx("p",{className:"mt-2 text-xs text-gray-500",children:c.t(`region.note.${R}`)})]}),t&&w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold mb-2",children:c.t("region.ranking",{year:$})}),d.length?w.jsx("ol",{className:"space-y-2 text-sm",children:d.map(s=>w.jsxs("li",{children:[w.jsxs("div",{className:"flex justify-between gap-2",children:[w.jsx("span",{children:`${s.rank}. ${B.get(s.id)}`}),w.jsx("span",{className:`font-semibold ${s.anomaly>0?"text-red-600":"text-blue-600"}`,children:c.temp(s.anomaly,2,!0)})]}),w.jsx("div",{className:"mt-1 h-1.5 rounded bg-gray-100","aria-hidden":!0,children:w.jsx("div",{className:`h-1.5 rounded ${s.anomaly>0?"bg-red-500":"bg-blue-500"}`,style:{width:`${Math.abs(s.anomaly)/N*100}%`}})}),s.coverage<.999&&w.jsx("div",{className:"text-xs text-gray-500",children:c.t("region.coverage",{value:Math.round(s.coverage*100)})})]},s.id))}):w.jsx("p",{className:"text-sm text-gray-500",children:c.t("region.noData",{year:$})})]})]}),u.length>0&&w.jsx(qX,{id:"regions",title:H,summary:t?window.ClimateA11y.describe(d,{subject:c.t("a11y.subject.regions",{year:$}),value:s=>s.anomaly,label:s=>B.get(s.id)}):c.t("region.rankingEstimate"),table:U})]})},DX=({countries:b,ds:g,grid:t,code:$,year:c,compare:v,onCompare:G,onClose:R})=>{const l=xX(),{theme:z}=GX(),M=window.ClimateCountry,p=window.ClimateSpiral,h=["#dc2626","#2563eb","#16a34a","#9333ea","#ea580c"],I=re.useMemo(()=>new Map(b.map(a=>[a.code,a])),[b]),u=[$,...v.filter(a=>a!==$&&I.has(a))].slice(0,M.MAX_COMPARE),j=re.useMemo(()=>u.map(a=>({code:a,country:I.get(a),...M.seriesFor(I.get(a),g,t)})),[u.join(","),I,g,t]),d=j[0],A=l.countryName(d.country),B=j.length>1,T=d.source==="estimate",N=re.useMemo(()=>window.ClimateStats.ols(d.annual),[d]),W=re.useMemo(()=>{const a=new Map(g.annual.map(C=>[C.year,{year:C.year,global:C.anomaly}]));j.forEach((C,f)=>C.annual.forEach(V=>{a.has(V.year)||a.set(V.year,{year:V.year}),a.get(V.year)[`c${f}`]=V.anomaly}));const i=Array.from(a.values()).sort((C,f)=>C.year-f.year),E=d.annual[0].year,ne=d.annual[d.annual.length-1].year;return N&&i.forEach(C=>{C.year>=E&&C.year<=ne&&(C.fit=Math.round((N.intercept+N.slope*C.year)*100)/100)}),i},[j,g,N]),S=re.useMemo(()=>{const a=new Map(M.decadalRates(g.annual).map(i=>[i.decade,i.rate]));return M.decadalRates(d.annual).map(i=>({decade:i.decade,label:l.t("country.decade",{decade:i.decade}),country:i.rate,global:a.has(i.decade)?a.get(i.decade):null}))},[d,g,l.getLang()]),Y=re.useMemo(()=>M.valuesAt(b,g,t,c),[b,g,t,c]),H=re.useMemo(()=>M.extremes(d.annual),[d]),U=re.useMemo(()=>{const a=d.annual.filter(i=>i.year>=1850&&i.year<=1900);return a.length?a.reduce((i,E)=>i+E.anomaly,0)/a.length:g.preindustrial||0},[d,g]),o=re.useMemo(()=>p.toYears(d.monthly),[d]),s=o.length?Math.min(Math.max(c,o[0].year),o[o.length-1].year):c,x=re.useRef(null),X=re.useRef(null),O=re.useRef(null),Z=re.useRef(null);re.useEffect(()=>{Z.current&&Z.current.focus()},[]),re.useEffect(()=>{const a=X.current;if(!a||!o.length)return;O.current||(O.current=p.create(a));const i=O.current;i.setData(o),i.setOptions({preindustrial:U,theme:z}),i.resize(p.fitSize(a.parentNode.clientWidth||320)),i.draw(s)},[o,s,U,z,l.getLang()]);const K=a=>l.countryName(a.country),k=b.filter(a=>!u.includes(a.code)).map(a=>[a.code,l.countryName(a)]).sort((a,i)=>a[1].localeCompare(i[1],l.getLang())),D=l.t("country.exportTitle",{country:B?j.map(K).join(l.t("format.listSeparator")):A}),J=()=>({columns:[{key:"year",label:l.t("common.year")},...j.map((a,i)=>({key:`c${i}`,label:K(a)})),{key:"global",label:l.t("country.global")}],rows:W});return w.jsxs("section",{id:"country-detail","aria-labelledby":"country-detail-title",className:"mt-6 rounded-lg border border-gray-200 p-4 space-y-6",children:[w.jsxs("div",{className:"flex flex-wrap items-start justify-between gap-3",children:[w.jsxs("div",{children:[w.jsx("h3",{id:"country-detail-title",ref:Z,tabIndex:-1,className:"text-xl font-semibold",children:B?l.t("country.compareTitle",{count:j.length}):l.t("country.title",{country:A})}),w.jsxs("div",{className:"mt-1 flex flex-wrap items-center gap-2 text-sm text-gray-600",children:[w.jsx("span",{children:l.t(`region.${d.country.region}`)}),w.jsx(ut,{variant:d.source==="grid"?"secondary":"outline",children:l.t(`country.source.${d.source}`)})]})]}),w.jsxs("div",{className:"flex items-center gap-2",children:[w.jsx(dX,{ds:g,title:D,name:`country-${j.map(a=>a.country.iso2||a.code).join("-")}`,target:x,table:J}),w.jsx(va,{variant:"outline",size:"sm",onClick:R,children:l.t("country.close")})]})]}),T&&w.jsx("p",{className:"text-xs text-amber-700",children:l.t("country.estimateNote")}),w.jsxs("div",{className:"grid grid-cols-1 lg:grid-cols-3 gap-6",children:[w.jsxs("div",{className:"lg:col-span-2",children:[w.jsx("h4",{className:"font-semibold mb-2",children:l.t("country.trend")}),w.jsx("div",{ref:x,className:"h-72",role:"img","aria-label":D,"aria-describedby":"country-summary",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(FK,{data:W,margin:{top:10,right:20,left:10,bottom:10},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"year",stroke:"#6b7280",fontSize:12,interval:"preserveStartEnd"}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:a=>l.temp(a,null,!0)}),w.jsx(Cr,{formatter:(a,i)=>[l.temp(a,2,!0),i],labelFormatter:a=>l.t("chart.tooltipYear",{year:a})}),w.jsx(ii,{}),w.jsx(bo,{y:0,stroke:"#6b7280",strokeDasharray:"2 2"}),w.jsx(bo,{x:s,stroke:"#9ca3af"}),w.jsx(xa,{type:"monotone",dataKey:"global",name:l.t("country.global"),stroke:"#9ca3af",strokeWidth:1.5,dot:!1,connectNulls:!0,isAnimationActive:!1},"global"),...j.map((a,i)=>w.jsx(xa,{type:"monotone",dataKey:`c${i}`,name:K(a),stroke:h[i],strokeWidth:2,strokeDasharray:["","6 3","2 2","8 3 2 3","1 3"][i],dot:!1,connectNulls:!0,isAnimationActive:!1},a.code)),!B&&N&&w.jsx(xa,{type:"linear",dataKey:"fit",name:l.t("country.fit"),stroke:"#111827",strokeWidth:1.5,strokeDasharray:"6 4",dot:!1,isAnimationActive:!1},"fit")]})})}),N&&!T&&w.jsx("p",{className:"mt-2 text-sm text-gray-700",children:l.t("country.trendRate",{country:A,start:d.annual[0].year,end:d.annual[d.annual.length-1].year,rate:l.number(N.slope*10,2),low:l.number(N.ciLow*10,2),high:l.number(N.ciHigh*10,2)})})]}),w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold mb-2",children:l.t("country.spiral",{country:A})}),w.jsx("div",{className:"flex justify-center",children:w.jsx("canvas",{ref:X,role:"img","aria-label":l.t("country.spiralLabel",{country:A,year:s})})}),w.jsx("p",{className:"mt-2 text-xs text-gray-500",children:l.t(d.monthlyDerived?"country.spiralDerived":"country.spiralNote",{year:s})})]})]}),T?w.jsx("p",{className:"text-sm text-gray-500",children:l.t("country.estimateOmitted")}):w.jsxs("div",{className:"grid grid-cols-1 lg:grid-cols-3 gap-6",children:[w.jsxs("div",{className:"lg:col-span-2",children:[w.jsx("h4",{className:"font-semibold mb-2",children:l.t("country.rates",{country:A})}),S.length?w.jsx("div",{className:"h-56",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(ZK,{data:S,margin:{top:10,right:20,left:10,bottom:10},children:[w.jsx(xd,{strokeDasharray:"3 3",stroke:"#e5e7eb"}),w.jsx(Ma,{dataKey:"label",stroke:"#6b7280",fontSize:11,interval:"preserveStartEnd"}),w.jsx(Na,{stroke:"#6b7280",fontSize:12,tickFormatter:a=>l.number(a,1)}),w.jsx(Cr,{formatter:(a,i)=>[l.t("format.ratePerDecade",{value:l.number(a,2)}),i]}),w.jsx(ii,{}),w.jsx(bo,{y:0,stroke:"#6b7280"}),w.jsx(kn,{dataKey:"country",name:A,fill:h[0],isAnimationActive:!1}),w.jsx(kn,{dataKey:"global",name:l.t("country.global"),fill:"#9ca3af",isAnimationActive:!1})]})})}):w.jsx("p",{className:"text-sm text-gray-500",children:l.t("country.noRates")}),w.jsx("p",{className:"mt-1 text-xs text-gray-500",children:l.t("country.ratesNote")})]}),w.jsxs("div",{className:"space-y-4",children:[w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold mb-2",children:l.t("country.rank",{year:c})}),w.jsx("ul",{className:"space-y-1 text-sm",children:j.map((a,i)=>{const E=M.rankIn(Y,a.code);return w.jsxs("li",{className:"flex justify-between gap-2",children:[w.jsxs("span",{className:"flex items-center gap-2",children:[w.jsx("span",{className:"inline-block h-2 w-4 rounded",style:{backgroundColor:h[i]},"aria-hidden":!0}),K(a)]}),w.jsx("span",{className:"font-semibold",children:E?l.t("country.rankValue",{rank:E.rank,total:E.total,value:l.temp(E.value,2,!0)}):"—"})]},a.code)})})]}),w.jsxs("div",{className:"grid grid-cols-2 gap-3 text-sm",children:[w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold mb-1 text-red-700",children:l.t("country.hottest")}),w.jsx("ol",{className:"space-y-0.5",children:H.hottest.map(a=>w.jsx("li",{children:`${l.year(a.year)} ${l.temp(a.anomaly,2,!0)}`},a.year))})]}),w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold mb-1 text-blue-700",children:l.t("country.coldest")}),w.jsx("ol",{className:"space-y-0.5",children:H.coldest.map(a=>w.jsx("li",{children:`${l.year(a.year)} ${l.temp(a.anomaly,2,!0)}`},a.year))})]})]})]})]}),w.jsxs("div",{className:"flex flex-wrap items-center gap-2",children:[w.jsx("span",{className:"text-sm font-medium text-gray-700",children:l.t("country.compare",{max:M.MAX_COMPARE})}),...j.slice(1).map(a=>w.jsxs(ut,{variant:"outline",className:"flex items-center gap-1",children:[K(a),w.jsx("button",{type:"button",className:"ml-1 text-gray-500 hover:text-gray-900","aria-label":l.t("country.compareRemove",{country:K(a)}),onClick:()=>G(v.filter(i=>i!==a.code)),children:"×"})]},a.code)),u.length<M.MAX_COMPARE&&w.jsxs("select",{className:"rounded border px-2 py-1 text-sm",value:"","aria-label":l.t("country.compareAdd"),onChange:a=>a.target.value&&G(v.filter(i=>i!==$).concat(a.target.value)),children:[w.jsx("option",{value:"",children:l.t("country.compareAdd")}),k.map(([a,i])=>w.jsx("option",{value:a,children:i},a))]})]}),w.jsx(qX,{id:"country",title:D,summary:window.ClimateA11y.describe(d.annual,{subject:l.t("a11y.subject.country",{country:A}),x:a=>a.year,value:a=>a.anomaly,label:a=>l.year(a.year)}),table:J,sound:d.annual.map(a=>a.anomaly)})]})},nX=()=>{var b;const g=lX(),t=xX(),{theme:$}=GX(),[c,v]=hX("geo",2020,e=>/^\d{4}$/.test(e)?+e:null),[G,R]=hX("country",null),[l,z]=hX("drill",!1,e=>e==="true"||null),[M,p]=hX("compare",null),[h,I]=re.useState([]),[u,j]=re.useState(null),[d,A]=re.useState(!0),[B,T]=hX("scale","absolute",e=>e==="absolute"||e==="relative"?e:null),[N,W]=re.useState({k:1,x:0,y:0}),[S,Y]=re.useState(null),[H,U]=re.useState(null),[o,s]=re.useState(null),[x,X]=hX("layer","grid",e=>e==="grid"||e==="country"?e:null),O=re.useRef(null),Z=re.useRef(null),K=re.useRef(null);re.useEffect(()=>{(async()=>{try{const[e,n]=await Promise.all([window.ClimateGeo.loadCountries(),window.ClimateData.load(g.dataset,g.baseline)]);I(e),j(n),s(await window.ClimateGrid.load(g.dataset,g.baseline).catch(r=>(console.error("Error loading gridded field:",r),null)))}catch(e){console.error("Error loading world map data:",e)}finally{A(!1)}})()},[g]);const k=re.useMemo(()=>window.ClimateGeo.outline(),[]),D=re.useMemo(()=>{const e=G&&h.find(n=>n.iso2===G.toUpperCase()||n.code===G);return e?e.code:null},[h,G]),J=e=>{const n=e&&h.find(r=>r.code===e);R(n?n.iso2||n.code:null)},a=re.useMemo(()=>(M||"").split(",").map(e=>e&&h.find(n=>n.iso2===e.toUpperCase()||n.code===e)).filter(Boolean).map(e=>e.code),[h,M]),i=e=>{const n=e.map(r=>h.find(m=>m.code===r)).filter(Boolean).map(r=>r.iso2||r.code);p(n.length?n.join(","):null)},E=re.useMemo(()=>h.map(e=>({code:e.code,d:window.ClimateGeo.pathOf(e.geometry)})),[h]),ne=u?u.firstYear:1880,C=u?u.lastYear:2023,f=Math.min(Math.max(c,ne),C),V=pX({min:ne,max:C,value:f,onChange:v,interval:200}),L=re.useMemo(()=>{if(!u)return[];const e=o?window.ClimateCountry.valuesAt(h,u,o,f):null;return h.filter(n=>!e||e.has(n.code)).map(n=>{const r=e?e.get(n.code):null;return{country:t.countryName(n),code:n.code,year:f,lat:n.lat,lng:n.lng,region:n.region,anomaly:r,isArctic:n.lat>66.5,isExtreme:r!=null&&(r>2||r<-2)}})},[h,u,o,f,t.getLang()]),Q=re.useMemo(()=>window.ClimateTheme.tokens($),[$]),le=e=>{const n=[-2,-1.5,-1,-.5,0,.5,1,1.5,2,3].findIndex(r=>e<r);return Q.ramp[n===-1?10:n]},se=re.useMemo(()=>new Map(L.map(e=>[e.code,e])),[L]),xe=e=>e<0?"dots":e<1?"solid":e<2?"lines":"hatch",he=re.useMemo(()=>L.map(e=>({code:e.code,x:e.lng,y:e.lat})),[L]),P=o&&window.ClimateGrid.fieldFor(o,f),ee=!!P&&x==="grid",te=re.useMemo(()=>o&&window.ClimateGrid.rasterIndex(o,500,Math.round(500*k.box[3]/k.box[2])),[o,k]),ge=re.useMemo(()=>{if(!ee||!te)return null;const e=document.createElement("canvas");e.width=500,e.height=te.length/500;const n=e.getContext("2d"),r=n.createImageData(e.width,e.height),m=new Map;for(let y=0;y<te.length;y++){const _=te[y]<0?NaN:P[te[y]];if(Number.isNaN(_))continue;const q=le(_);m.has(q)||m.set(q,[1,3,5].map(be=>parseInt(q.slice(be,be+2),16)));const[ue,ze,Se]=m.get(q);r.data.set([ue,ze,Se,255],y*4)}return n.putImageData(r,0,0),e.toDataURL()},[ee,te,P,Q]),ce=re.useMemo(()=>P?window.ClimateGrid.zonalMeans(o,P).filter(e=>e.anomaly!=null):null,[o,P]),oe=re.useMemo(()=>P?window.ClimateGrid.arcticAmplification(o,P):null,[o,P]),we=e=>{const n=O.current.getBoundingClientRect(),[r,m,y,_]=k.viewBox.split(" ").map(Number);return[r+(e.clientX-n.left)/(n.width||1)*y,m+(e.clientY-n.top)/(n.height||1)*_,y/(n.width||1)]},ye=()=>{const[e,n,r,m]=k.viewBox.split(" ").map(Number);return[e+r/2,n+m/2]},de=(e,n,r)=>W(m=>{const y=Math.min(Math.max(m.k*e,1),12);return y===1?{k:1,x:0,y:0}:{k:y,x:n-(n-m.x)*(y/m.k),y:r-(r-m.y)*(y/m.k)}});re.useEffect(()=>{const e=O.current;if(!e)return;const n=r=>{r.preventDefault();const[m,y]=we(r);de(r.deltaY<0?1.25:.8,m,y)};return e.addEventListener("wheel",n,{passive:!1}),()=>e.removeEventListener("wheel",n)},[d,k]);const Ne=e=>{K.current={sx:e.clientX,sy:e.clientY,x:N.x,y:N.y,moved:!1}},ve=e=>{const n=O.current.getBoundingClientRect(),r=e.target.getAttribute&&e.target.getAttribute("data-code");Y(r?{code:r,left:e.clientX-n.left,top:e.clientY-n.top}:null);const m=K.current;if(!m)return;const y=e.clientX-m.sx,_=e.clientY-m.sy;if(!m.moved&&Math.abs(y)+Math.abs(_)<4)return;m.moved=!0;const q=we(e)[2];W(ue=>({...ue,x:m.x+y*q,y:m.y+_*q}))},ke=e=>{const n=e.target.getAttribute&&e.target.getAttribute("data-code");if(n){if(e.key==="Enter"||e.key===" ")e.preventDefault(),J(D===n?null:n);else if(e.key==="Escape")e.preventDefault(),J(null);else if(e.key.startsWith("Arrow")){e.preventDefault();const r=window.ClimateA11y.neighbour(he,he.find(y=>y.code===n),e.key),m=r&&O.current.querySelector(`[data-code="${r.code}"]`);m&&(U(r.code),m.focus())}}},Ce=e=>{const n=e.target.getAttribute("data-code"),r=e.target.getBoundingClientRect(),m=O.current.getBoundingClientRect();U(n),Y({code:n,left:r.left-m.left+r.width/2,top:r.top-m.top+r.height/2})},Me=e=>{const n=K.current;if(K.current=null,n&&!n.moved){const r=e.target.getAttribute&&e.target.getAttribute("data-code");r&&J(D===r?null:r)}};if(d)return w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Gs,{className:"h-5 w-5"}),w.jsx("span",{children:t.t("geo.loading")})]})}),w.jsx(dt,{children:w.jsx("div",{className:"h-96 bg-gray-100 rounded-lg flex items-center justify-center",children:w.jsx("div",{className:"animate-spin rounded-full h-8 w-8 border-b-2 border-red-600"})})})]});const pe=o&&u?u.annual.find(e=>e.year===f):null,F=pe?pe.anomaly:null,ie=!!(oe&&oe.arctic!=null),me=ie?oe.arctic:null,je=ie&&F!=null&&Math.abs(F)>=.05?me/F:null,ae=S&&se.get(S.code),Ae=H||D||E[0]&&E[0].code,fe=t.t(ee?"geo.exportTitle.grid":o?"geo.exportTitle.countries":"geo.exportTitle.outline",{year:f}),$e=()=>({columns:["country","region"].concat(o?["anomaly"]:[]).map(e=>({key:e,label:t.t(`geo.column.${e}`)})),rows:[...L].sort((e,n)=>n.anomaly-e.anomaly).map(e=>({...e,region:t.t(`region.${e.region}`)}))});return w.jsxs(ct,{className:"col-span-12",onKeyDown:e=>window.ClimateTimeline.handleKey(V,e),children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Gs,{className:"h-5 w-5"}),w.jsx("span",{children:t.t("geo.title")})]}),w.jsx(ci,{children:o?t.t("geo.description.grid",{dlat:o.dlat,dlon:o.dlon}):t.t("geo.description.countries")}),w.jsx(dX,{ds:u,title:fe,name:`geography-${ee?"grid":"countries"}-${f}`,target:Z,table:()=>ee?{columns:[{key:"lat",label:t.t("geo.column.cellLat")},{key:"lon",label:t.t("geo.column.cellLon")},{key:"anomaly",label:t.t("common.anomaly")}],rows:Array.from(P,(e,n)=>({lat:o.lat0+Math.floor(n/o.nlon)*o.dlat,lon:o.lon0+n%o.nlon*o.dlon,anomaly:Number.isNaN(e)?null:Math.round(e*100)/100}))}:{columns:["code","country","region","lat","lng"].concat(o?["anomaly"]:[]).map(e=>({key:e,label:t.t(`geo.column.${e}`)})),rows:L}})]}),w.jsxs(dt,{children:[w.jsxs("div",{className:"mb-6 space-y-4",children:[w.jsxs("div",{className:"flex flex-wrap items-center justify-between gap-4",children:[w.jsxs("div",{className:"flex items-center space-x-4",children:[o&&w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx(va,{variant:B==="absolute"?"default":"outline",size:"sm",onClick:()=>T("absolute"),children:t.t("geo.scale.absolute")}),w.jsx(va,{variant:B==="relative"?"default":"outline",size:"sm",onClick:()=>T("relative"),children:t.t("geo.scale.relative")})]}),o&&w.jsxs("div",{className:"flex items-center space-x-2",children:[w.jsx(va,{variant:x==="grid"?"default":"outline",size:"sm",onClick:()=>X("grid"),children:t.t("geo.layer.grid")}),w.jsx(va,{variant:x==="country"?"default":"outline",size:"sm",onClick:()=>X("country"),children:t.t("geo.layer.country")})]})]}),w.jsxs("div",{className:"flex items-center space-x-4",children:[w.jsx(ut,{variant:"outline",className:"text-lg font-mono",children:f}),F!=null&&w.jsxs(ut,{variant:F>1?"destructive":F>0?"secondary":"outline",children:t.t("geo.badge.global",{value:t.temp(F,2,!0)})}),ie&&w.jsxs(ut,{variant:"destructive",children:t.t("geo.badge.arctic",{value:t.temp(me,2,!0)})})]})]}),w.jsx(yX,{timeline:V})]}),w.jsxs("div",{className:"grid grid-cols-1 lg:grid-cols-4 gap-6",children:[w.jsx("div",{className:"lg:col-span-3",children:w.jsx("div",{ref:Z,className:"bg-gradient-to-b from-blue-50 to-blue-100 rounded-lg p-6 min-h-96",children:w.jsxs("div",{className:"relative",children:[w.jsx("h3",{className:"text-lg font-semibold mb-4 text-center",children:o?t.t("geo.mapTitle",{year:f}):t.t("geo.mapTitleOutline")}),w.jsxs("div",{className:"relative",children:[w.jsxs("svg",{ref:O,viewBox:k.viewBox,"data-report-static":!0,className:"w-full h-auto select-none",style:{cursor:"grab",touchAction:"none"},role:"group","aria-label":o?t.t("geo.mapLabel",{year:f}):t.t("geo.mapTitleOutline"),"aria-describedby":"geography-summary",onPointerDown:Ne,onPointerMove:ve,onPointerUp:Me,onPointerLeave:()=>{K.current=null,Y(null)},onKeyDown:ke,children:[w.jsxs("defs",{children:[w.jsx("clipPath",{id:"geo-map-clip",children:w.jsx("path",{d:k.path})}),...["dots","lines","hatch"].map(e=>w.jsx(jX,{id:`geo-${e}`,kind:e},e))]}),w.jsx("path",{d:k.path,fill:Q.ocean,stroke:Q.coast,strokeWidth:1,"aria-hidden":!0}),w.jsx("g",{clipPath:"url(#geo-map-clip)",children:w.jsx("g",{transform:`translate(${N.x} ${N.y}) scale(${N.k})`,children:[ge&&w.jsx("image",{href:ge,x:k.box[0],y:k.box[1],width:k.box[2],height:k.box[3],preserveAspectRatio:"none",style:{imageRendering:"pixelated"},"aria-hidden":!0},"raster"),...E.map(e=>{const n=se.get(e.code),r=D===e.code;return w.jsx("path",{d:e.d,"data-code":e.code,className:"geo-country",tabIndex:Ae===e.code?0:-1,role:"button","aria-pressed":r,"aria-label":n?n.anomaly!=null?t.t("geo.countryLabel",{country:n.country,value:t.temp(n.anomaly,2,!0)}):n.country:void 0,onFocus:Ce,onBlur:()=>Y(null),fill:n&&n.anomaly!=null?le(n.anomaly):Q.empty,fillOpacity:ee?S&&S.code===e.code?.25:0:S&&S.code===e.code?1:.85,stroke:r?"#1d4ed8":Q.halo,strokeWidth:r?2:.5,vectorEffect:"non-scaling-stroke",style:{cursor:"pointer"}},e.code)}),...E.map(e=>{const n=se.get(e.code),r=n&&n.anomaly!=null&&xe(n.anomaly);return r&&r!=="solid"?w.jsx("path",{d:e.d,fill:`url(#geo-${r})`,stroke:"none",pointerEvents:"none","aria-hidden":!0},`${e.code}-texture`):null})]})})]}),ae&&w.jsxs("div",{className:"pointer-events-none absolute z-10 bg-white px-3 py-2 border rounded-lg shadow-lg text-sm",style:{left:S.left+12,top:S.top+12},children:[w.jsx("div",{className:"font-semibold",children:ae.country}),ae.anomaly!=null&&w.jsxs("div",{className:ae.anomaly>0?"text-red-600":"text-blue-600",children:t.temp(ae.anomaly,2,!0)}),w.jsx("div",{className:"text-xs text-gray-500",children:t.t(`region.${ae.region}`)})]}),w.jsxs("div",{className:"absolute right-2 top-2 flex flex-col gap-1",children:[w.jsx(va,{variant:"outline",size:"sm",title:t.t("geo.zoomIn"),onClick:()=>de(1.5,...ye()),children:"+"}),w.jsx(va,{variant:"outline",size:"sm",title:t.t("geo.zoomOut"),onClick:()=>de(.6666666666666666,...ye()),children:"−"}),w.jsx(va,{variant:"outline",size:"sm",title:t.t("geo.resetView"),onClick:()=>W({k:1,x:0,y:0}),children:t.t("geo.resetView")})]})]}),w.jsx("p",{className:"mt-2 text-xs text-gray-500 text-center",children:`${t.t("geo.hint")} ${t.t("geo.keyboardHint")}`}),!o&&w.jsx("p",{className:"mt-4 text-xs text-amber-700",children:t.t("geo.noField")}),o&&w.jsxs("div",{className:"mt-4",children:[w.jsx("div",{className:"text-sm font-medium mb-2",children:t.t("common.anomaly")}),w.jsx("div",{className:"flex items-center space-x-1",children:[-2,-1.5,-1,-.5,0,.5,1,1.5,2,3].map(e=>w.jsxs("div",{className:"flex flex-col items-center",children:[w.jsx("div",{className:`w-6 h-4 border border-gray-300 pattern-${xe(e)}`,style:{backgroundColor:le(e)},"data-legend-color":le(e),"data-legend-label":t.temp(e,null,!0)}),w.jsx("span",{className:"text-xs mt-1",children:`${e>0?"+":""}${t.number(e)}`})]},e))})]}),w.jsx(qX,{id:"geography",title:fe,summary:o?window.ClimateA11y.describe(L,{subject:t.t("a11y.subject.countries",{year:f}),value:e=>e.anomaly,label:e=>e.country}):t.t("geo.noField"),table:$e,sound:o?[...L].sort((e,n)=>e.lat-n.lat).map(e=>e.anomaly):null,soundHint:t.t("geo.soundHint")})]})})}),w.jsxs("div",{className:"space-y-4",children:[o&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:t.t("geo.stats.title")})}),w.jsxs(dt,{className:"space-y-3",children:[F!=null&&w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.stats.global")}),w.jsx("span",{className:`text-sm font-semibold ${F>1?"text-red-600":F>0?"text-orange-600":"text-blue-600"}`,children:t.temp(F,2,!0)})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.stats.warmest")}),w.jsx("span",{className:"text-sm font-semibold text-red-600",children:t.temp(Math.max(...L.map(e=>e.anomaly)),2)})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.stats.coldest")}),w.jsx("span",{className:"text-sm font-semibold text-blue-600",children:t.temp(Math.min(...L.map(e=>e.anomaly)),2)})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.stats.extremes")}),w.jsx("span",{className:"text-sm font-semibold",children:t.t("geo.stats.regions",{count:L.filter(e=>e.isExtreme).length})})]})]})]}),ie&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx("span",{children:t.t("geo.arctic.title")}),w.jsx("span",{className:"text-lg",children:"❄️"})]})}),w.jsxs(dt,{className:"space-y-3",children:[w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.arctic.mean")}),w.jsx("span",{className:"text-sm font-semibold text-red-600",children:t.temp(me,2,!0)})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.arctic.ratio")}),w.jsx("span",{className:"text-sm font-semibold text-orange-600",children:je==null?"—":t.number(je,1)+"x"})]}),w.jsx("div",{className:"text-xs text-gray-600",children:t.t("geo.arctic.gridNote",{coverage:Math.round(oe.arcticCoverage*100)})})]})]}),ce&&ce.length>0&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsx(ft,{className:"text-lg",children:t.t("geo.zonal.title")})}),w.jsxs(dt,{children:[w.jsx("div",{className:"h-56",children:w.jsx(k0,{width:"100%",height:"100%",children:w.jsxs(FK,{data:ce,layout:"vertical",margin:{top:5,right:10,left:-10,bottom:5},children:[w.jsx(xd,{strokeDasharray:"3 3"}),w.jsx(Ma,{type:"number",dataKey:"anomaly",tick:{fontSize:10},tickFormatter:e=>t.number(e,1)}),w.jsx(Na,{type:"number",dataKey:"lat",domain:[-90,90],ticks:[-90,-60,-30,0,30,60,90],tick:{fontSize:10}}),w.jsx(Cr,{formatter:e=>[t.temp(e,2,!0),t.t("geo.zonal.anomaly")],labelFormatter:e=>`${Math.abs(e)}°${e>=0?"N":"S"}`}),w.jsx(bo,{x:0,stroke:"#6b7280"}),w.jsx(bo,{y:66.5,stroke:"#3b82f6",strokeDasharray:"4 4"}),w.jsx(xa,{dataKey:"anomaly",stroke:"#dc2626",strokeWidth:2,dot:!1,isAnimationActive:!1})]})})}),w.jsx("p",{className:"text-xs text-gray-500",children:t.t("geo.zonal.note")})]})]}),D&&w.jsxs(ct,{children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx(w$,{className:"h-4 w-4"}),w.jsx("span",{children:(b=se.get(D))==null?void 0:b.country})]})}),w.jsx(dt,{children:(()=>{const e=se.get(D);return e?w.jsxs("div",{className:"space-y-2",children:[e.anomaly!=null&&w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.detail.anomaly")}),w.jsx("span",{className:`text-sm font-semibold ${e.anomaly>1?"text-red-600":e.anomaly>0?"text-orange-600":"text-blue-600"}`,children:t.temp(e.anomaly,null,!0)})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.detail.region")}),w.jsx("span",{className:"text-sm",children:t.t(`region.${e.region}`)})]}),w.jsxs("div",{className:"flex justify-between",children:[w.jsx("span",{className:"text-sm",children:t.t("geo.detail.latitude")}),w.jsx("span",{className:"text-sm",children:`${t.number(e.lat,1)}°`})]}),e.isArctic&&w.jsx(ut,{variant:"outline",className:"text-xs",children:t.t("geo.detail.arctic")}),e.isExtreme&&w.jsx(ut,{variant:"destructive",className:"text-xs",children:t.t("geo.detail.extreme")}),!l&&w.jsx(va,{variant:"outline",size:"sm",className:"w-full",onClick:()=>z(!0),children:t.t("country.open")})]}):null})()})]})]})]}),l&&D&&u&&w.jsx(DX,{countries:h,ds:u,grid:o,code:D,year:f,compare:a,onCompare:i,onClose:()=>z(!1)}),u&&h.length>0&&w.jsx(AX,{countries:h,ds:u,grid:o,year:f}),w.jsxs("div",{className:"mt-6 bg-gray-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2",children:t.t("geo.importance.title")}),w.jsx("p",{className:"text-sm text-gray-700",children:t.t("geo.importance.text")})]})]})]})};JK.section={id:"trends"};eX.section={id:"warming"};tX.section={id:"baseline"};rX.section={id:"spiral"};nX.section={id:"geography"};function aX(){const c=lX(),e=xX(),[j,b]=re.useState(!0),[r,u]=re.useState(null),[l,N]=re.useState(()=>window.ClimateConfig.get()),[m,h]=hX("report",!1,s=>s==="true"||null);re.useEffect(()=>{Promise.all([new Promise(s=>setTimeout(s,1e3)),window.ClimateConfig.ready]).then(([,s])=>{N(s),b(!1)})},[]),re.useEffect(()=>{window.ClimateData.load(c.dataset,c.baseline).then(u,s=>console.error("Error loading headline data:",s))},[c]);const d=r&&r.annual[r.annual.length-1],i=r&&oX(r.annual),a=r&&window.ClimateStats.records(r.annual),t=r&&window.ClimateData.provenance(r),n=s=>w.jsx(mX,{...s.section,label:e.t(`section.${s.section.id}`),className:"col-span-12",children:w.jsx(s,{})},s.section.id),g={hero:()=>w.jsxs(ct,{className:"col-span-12 lg:col-span-8 bg-gradient-to-r from-red-500 to-orange-500 text-white",children:[w.jsxs(st,{children:[w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(_u,{className:"h-6 w-6"}),w.jsx("span",{children:e.t("hero.title")})]}),w.jsx(ci,{className:"text-red-100",children:e.t("hero.description",{baseline:uX(r)})})]}),w.jsxs(dt,{children:[w.jsx("div",{className:"text-6xl font-bold mb-2 temperature-indicator",children:d?e.temp(d.anomaly,2,!0):"—"}),w.jsx("p",{className:"text-red-100 text-lg",children:d?e.t("hero.caption",{year:d.year}):e.t("hero.captionPlain")}),a&&w.jsxs("div",{className:"mt-4 flex flex-wrap items-center gap-4",children:[w.jsx(ut,{variant:"outline",className:"text-white border-white",children:a.latest.rank===1?e.t("hero.badge.record"):e.t("hero.badge.rank",{rank:a.latest.rank,total:a.latest.total})}),w.jsx(ut,{variant:"outline",className:"text-white border-white",children:e.t("hero.badge.top",{count:a.top.count,year:e.year(a.top.since)})})]})]})]},"hero"),metrics:()=>w.jsxs("div",{className:"col-span-12 lg:col-span-4 space-y-6",children:[w.jsxs(ct,{className:"metric-card",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx(yu,{className:"h-5 w-5 text-red-600"}),w.jsx("span",{children:e.t("rate.title")})]})}),w.jsxs(dt,{children:[w.jsx("div",{className:"data-point text-red-600",children:i?e.temp(i.recent.rate,2):"—"}),w.jsx("p",{className:"data-label",children:e.t("rate.caption",{since:i?i.since:1982})}),w.jsx("div",{className:"mt-2",children:w.jsx(ut,{variant:"destructive",className:"text-xs",children:i?e.t("rate.ratio",{ratio:e.number(i.ratio,1)}):e.t("rate.ratioUnavailable")})})]})]}),w.jsxs(ct,{className:"metric-card",children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-lg flex items-center space-x-2",children:[w.jsx(xo,{className:"h-5 w-5 text-orange-600"}),w.jsx("span",{children:e.t("warmest.title")})]})}),w.jsxs(dt,{children:[w.jsx("div",{className:"data-point text-orange-600",children:a?e.year(a.warmest.year):"—"}),w.jsx("p",{className:"data-label",children:a?e.t("warmest.caption",{year:a.warmest.year,dataset:t.label}):e.t("warmest.unavailable")}),a&&a.former&&w.jsx("div",{className:"mt-2",children:w.jsx(ut,{variant:"secondary",className:"text-xs",children:e.t("warmest.badge",{year:a.former.year,rank:a.former.rank,lookback:20})})})]})]})]},"metrics"),overviewCards:()=>w.jsx("div",{className:"col-span-12 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6",children:[["trends",xo,"from-blue-50 to-blue-100 border-blue-200","text-blue-600"],["warming",yu,"from-red-50 to-red-100 border-red-200","text-red-600"],["baseline",_u,"from-orange-50 to-orange-100 border-orange-200","text-orange-600"],["spiral",Kg,"from-purple-50 to-purple-100 border-purple-200","text-purple-600"],["geography",Yg,"from-green-50 to-green-100 border-green-200","text-green-600"]].map(([s,o,x,v])=>w.jsxs(ct,{className:`bg-gradient-to-br ${x}`,children:[w.jsx(st,{className:"pb-3",children:w.jsxs(ft,{className:"text-base flex items-center space-x-2",children:[w.jsx(o,{className:`h-5 w-5 ${v}`}),w.jsx("span",{children:e.t(`section.${s}`)})]})}),w.jsx(dt,{children:w.jsx("p",{className:"text-sm text-gray-600",children:e.t(`overview.cards.${s}`)})})]},s))},"overviewCards"),dataSource:()=>w.jsx(iX,{},"dataSource"),trends:()=>n(JK),warming:()=>n(eX),baseline:()=>n(tX),spiral:()=>n(rX),geography:()=>n(nX),sources:()=>w.jsxs(ct,{className:"col-span-12",children:[w.jsx(st,{children:w.jsxs(ft,{className:"flex items-center space-x-2",children:[w.jsx(Gs,{className:"h-5 w-5"}),w.jsx("span",{children:e.t("sources.title")})]})}),w.jsx(dt,{children:w.jsxs("div",{className:"bg-green-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold mb-2 text-green-800",children:e.t("sources.giss.title")}),w.jsx("p",{className:"text-sm text-gray-600",children:e.t("sources.giss.text")})]})})]},"sources")},f={updated:()=>t&&w.jsx("span",{title:[t.source,t.version].filter(Boolean).join(" "),children:t.retrieved?e.t("footer.updated",{year:t.lastYear,date:e.date(t.retrieved)}):e.t("footer.updatedNoDate",{year:t.lastYear})}),subtitle:()=>w.jsx("span",{children:e.t("app.subtitle")}),sources:()=>w.jsx("a",{href:"#",className:"text-blue-600 hover:underline",children:e.t("footer.sources")}),methods:()=>w.jsx("a",{href:"#",className:"text-blue-600 hover:underline",children:e.t("footer.methods")})},p=l.infoBar.map(s=>[s,f[s]()]).filter(([,s])=>s).flatMap(([s,o],x)=>[x>0&&w.jsx("span",{"aria-hidden":!0,children:"•"},`sep-${s}`),w.jsx(re.Fragment,{children:o},s)]).filter(Boolean);return j||m&&!r?w.jsx("div",{className:"min-h-screen bg-gradient-to-br from-blue-50 via-white to-red-50 flex items-center justify-center",children:w.jsxs("div",{className:"text-center space-y-4",children:[w.jsx("div",{className:"animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto"}),w.jsx("p",{className:"text-lg text-gray-600",children:e.t("app.loading")}),w.jsx("p",{className:"text-sm text-gray-500",children:e.t("app.loadingDetail")})]})}):m?w.jsx(UX,{config:l,ds:r,cards:g,onClose:()=>h(!1)}):w.jsxs("div",{className:"min-h-screen bg-gradient-to-br from-blue-50 via-white to-red-50",children:[l.header&&w.jsx("header",{className:"sticky top-0 z-50 bg-white/80 backdrop-blur-md border-b border-gray-200",children:w.jsx("div",{className:"max-w-7xl mx-auto px-4 sm:px-6 lg:px-8",children:w.jsxs("div",{className:"flex items-center justify-between h-16",children:[w.jsxs("div",{className:"flex items-center space-x-3",children:[w.jsx(T$,{className:"h-8 w-8 text-red-600"}),w.jsxs("div",{children:[w.jsx("h1",{className:"text-xl font-bold text-gray-900",children:e.t("app.title")}),w.jsx("p",{className:"text-xs text-gray-500 hidden sm:block",children:e.t("app.subtitle")})]}),w.jsx(ut,{variant:"destructive",className:"ml-2",children:e.t("app.badge")})]}),w.jsxs("div",{className:"flex items-center gap-3",children:[w.jsx(vX,{}),w.jsx(va,{variant:"outline",size:"sm",onClick:()=>h(!0),children:e.t("report.open")}),w.jsx(HX,{}),w.jsx(zX,{})]})]})})}),w.jsxs("main",{className:"max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8",children:[l.panels.intro&&w.jsxs(mX,{id:"overview",label:e.t("section.overview"),className:"text-center mb-12",children:[w.jsx("h2",{className:"text-4xl font-bold text-gray-900 mb-4",children:e.t("overview.title")}),w.jsx("p",{className:"text-xl text-gray-600 max-w-4xl mx-auto",children:e.t("overview.intro")})]}),t&&t.issues.length>0&&w.jsxs("div",{role:"status",className:"mb-6 rounded-lg border border-amber-300 bg-amber-50 p-4 text-sm text-amber-900",children:[w.jsx("p",{className:"font-semibold",children:e.t("provenance.title",{dataset:t.label})}),w.jsx("ul",{className:"mt-1 list-disc pl-5",children:t.issues.map(s=>w.jsx("li",{children:e.t(`provenance.issue.${s}`,{date:t.retrieved&&e.date(t.retrieved),year:t.lastYear})},s))})]}),w.jsx("div",{className:"grid grid-cols-12 gap-6",children:l.cards.map(s=>g[s]())}),(l.panels.about||l.panels.findings)&&w.jsx("div",{className:"mt-16 text-center",children:w.jsxs("div",{className:"bg-white/60 backdrop-blur-sm rounded-lg p-6 border border-gray-200",children:[l.panels.about&&w.jsxs(re.Fragment,{children:[w.jsx("h3",{className:"text-lg font-semibold text-gray-900 mb-4",children:e.t("about.title")}),w.jsxs("div",{className:"grid grid-cols-1 md:grid-cols-2 gap-6 text-left",children:[w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold text-gray-800 mb-2",children:e.t("about.transparency.title")}),w.jsx("p",{className:"text-sm text-gray-600",children:e.t("about.transparency.text")})]}),w.jsxs("div",{children:[w.jsx("h4",{className:"font-semibold text-gray-800 mb-2",children:e.t("about.methodology.title")}),w.jsx("p",{className:"text-sm text-gray-600",children:e.t("about.methodology.text")})]})]}),p.length>0&&w.jsx("div",{className:"mt-6 pt-4 border-t border-gray-200",children:w.jsx("div",{className:"flex flex-wrap items-center justify-center gap-4 text-sm text-gray-500",children:p})})]}),l.panels.findings&&w.jsxs("div",{className:"mt-6 bg-red-50 p-4 rounded-lg",children:[w.jsx("h4",{className:"font-semibold text-red-800 mb-2",children:e.t("findings.title")}),w.jsxs("div",{className:"grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-700",children:[w.jsxs("div",{children:[w.jsx("strong",{children:e.t("findings.acceleration")}),sX(i)]}),w.jsxs("div",{children:[w.jsx("strong",{children:e.t("findings.baseline")}),e.t("findings.baselineText")]}),w.jsxs("div",{children:[w.jsx("strong",{children:e.t("findings.geography")}),e.t("findings.geographyText")]}),w.jsxs("div",{children:[w.jsx("strong",{children:e.t("findings.thresholds")}),e.t("findings.thresholdsText")]})]})]})]})})]}),w.jsx(OX,{})]})}S3.createRoot(document.getElementById("root")).render(w.jsx(re.StrictMode,{children:w.jsx(aX,{})}));
@@ -0,0 +1,642 @@
+/**
+ * 气候变化分析平台 - 英文消息目录
+ * Climate Change Analysis Platform - English Message Catalog
+ *
+ * 说明：
+ * - 与 zh-CN.js 一一对应的英文译文；新增消息时两份目录需同步更新；
+ * - 键名以点号分层，{name} 为 ClimateI18n.t() 的插值占位符；
+ * - 需在 climate-i18n.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  window.ClimateI18n.register('en', {
+    // 页面
+    'app.documentTitle': 'A Warming Planet: Revealing the Deeper Dynamics of Climate Change',
+    'app.language': 'Interface language',
+    'app.loading': 'Loading climate data...',
+    'app.loadingDetail': 'Preparing the multi-layer analysis',
+    'app.title': 'Visualising a Warming Planet',
+    'app.subtitle': 'Based on NASA GISS GISTEMP v4 data',
+    'app.badge': 'Beyond the trend line',
+
+    // 界面主题（climate-theme.js）
+    'theme.label': 'Theme',
+    'theme.system': 'Match system',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.contrast': 'High contrast',
+
+    // 打印报告（climate-report.js）
+    'report.open': 'Generate report',
+    'report.label': 'Report',
+    'report.print': 'Print / save as PDF',
+    'report.preparing': 'Preparing…',
+    'report.close': 'Back to dashboard',
+    'report.hint': 'To export a PDF, choose "Save as PDF" as the printer and A4 as the paper size in the print dialog.',
+    'report.kicker': 'Climate briefing',
+    'report.meta.dataset': 'Dataset',
+    'report.meta.description': 'Description',
+    'report.meta.baseline': 'Baseline',
+    'report.meta.coverage': 'Coverage',
+    'report.meta.source': 'Source',
+    'report.meta.url': 'Link',
+    'report.meta.license': 'Licence',
+    'report.meta.version': 'Version',
+    'report.meta.retrieved': 'Retrieved',
+    'report.meta.via': 'Retrieved via',
+    'report.meta.generated': 'Generated',
+    'report.contents': 'Figures',
+    'report.figure': 'Figure {n}.',
+    'report.caption.trends': 'Annual global temperature anomaly from {dataset}, {start}–{end}, relative to the {baseline} baseline. The warmest year in the record is {year} ({value}).',
+    'report.caption.warming': 'Warming rate by period from {dataset} (linear regression; error bars are 95% confidence intervals).',
+    'report.caption.baseline.monthly': 'Distribution of monthly anomalies by decade from {dataset}, relative to the {baseline} baseline.',
+    'report.caption.baseline.annual': 'Distribution of annual anomalies by decade from {dataset}, relative to the {baseline} baseline.',
+    'report.caption.spiral.spiral': 'Climate spiral of {dataset} temperature anomalies through {year}: each loop is one year, and the rings mark 1.5°C and 2°C above the pre-industrial (1850–1900) level.',
+    'report.caption.spiral.tower': 'Spiral tower of {dataset} temperature anomalies through {year}: each year is raised one level, and the rings mark 1.5°C and 2°C above the pre-industrial (1850–1900) level.',
+    'report.caption.spiral.stripes': 'Warming stripes of {dataset} through {year}: one stripe per year, coloured by annual mean anomaly.',
+    'report.caption.geography': 'Geographic distribution of temperature anomalies in {year} from {dataset}, relative to the {baseline} baseline.',
+    'report.appendix.title': 'Appendix: methods and sources',
+    'report.appendix.dataset': 'Dataset',
+    'report.appendix.methods': 'Methods',
+    'report.appendix.datasets': 'Datasets available on this page',
+    'report.appendix.imported': '{label} (imported by the user)',
+
+    // 离线使用（climate-offline.js）
+    'offline.label': 'App status',
+    'offline.ready': 'The dashboard and its bundled data are saved on this device and now work without a connection.',
+    'offline.offline': 'You are offline. Showing the copy saved on this device.',
+    'offline.offlineUncached': 'You are offline, and this page has not been saved for offline use yet.',
+    'offline.update': 'A new version of the dashboard is available.',
+    'offline.data': 'Updated climate data (version {version}) is available.',
+    'offline.dataFailed': 'The data update failed: {message}',
+    'offline.reload': 'Reload now',
+    'offline.download': 'Update data',
+    'offline.downloading': 'Updating…',
+    'offline.later': 'Later',
+    'offline.dismiss': 'Dismiss',
+
+    // 通用格式
+    'format.year': '{year}',
+    'format.yearRange': '{start}–{end}',
+    'format.listSeparator': ', ',
+    'format.sentenceSeparator': '; ',
+    'format.ratePerDecade': '{value}°C/decade',
+
+    // 通用
+    'common.year': 'Year',
+    'common.month': 'Month',
+    'common.anomaly': 'Temperature anomaly (°C)',
+
+    // 图表通用
+    'chart.tooltipYear': 'Year: {year}',
+    'chart.target15': '1.5°C target',
+    'chart.limit2': '2°C limit',
+
+    // 无障碍（图表文字摘要与数据表）
+    'a11y.showTable': 'Show data table',
+    'a11y.hideTable': 'Hide data table',
+    'a11y.playSound': 'Play as sound',
+    'a11y.stopSound': 'Stop sound',
+    'a11y.soundHint': 'Plays the values in time order; higher pitch means a higher value',
+    'a11y.truncated': 'Showing the first {shown} of {total} rows; export CSV for the full data',
+    'a11y.yes': 'Yes',
+    'a11y.no': 'No',
+    'a11y.summary.empty': 'No data to describe.',
+    'a11y.summary.trend': 'From {from} to {to}, {subject} {direction} overall, with a linear trend of about {rate} per decade',
+    'a11y.summary.trendPlain': 'From {from} to {to}, {subject} {direction} overall',
+    'a11y.summary.extremes': 'highest {max} ({maxLabel}), lowest {min} ({minLabel})',
+    'a11y.summary.latest': 'latest {value} ({label}).',
+    'a11y.summary.mean': '{subject}: {count} values with a mean of {value}.',
+    'a11y.summary.separator': '; ',
+    'a11y.direction.up': 'rose',
+    'a11y.direction.down': 'fell',
+    'a11y.direction.flat': 'stayed roughly flat',
+    'a11y.subject.global': 'the global temperature anomaly',
+    'a11y.subject.rate': 'the moving-window warming rate',
+    'a11y.subject.decadeMean': 'the decadal mean anomaly',
+    'a11y.subject.annualMean': 'the annual mean anomaly',
+    'a11y.subject.countries': 'estimated country anomalies in {year}',
+    'a11y.subject.country': 'the temperature anomaly of {country}',
+    'a11y.subject.regions': 'regional mean anomalies in {year}',
+
+    // 区域导航
+    'nav.label': 'Page sections',
+    'section.overview': 'Overview',
+    'section.trends': 'Trends',
+    'section.warming': 'Acceleration',
+    'section.baseline': 'Baseline shift',
+    'section.spiral': 'Climate spiral',
+    'section.geography': 'Geography',
+
+    // 基准期（与 ClimateData.getBaselines() 的 id 对应）
+    'baseline.1850-1900': '1850–1900 (pre-industrial)',
+    'baseline.1951-1980': '1951–1980 (NASA GISS)',
+    'baseline.1991-2020': '1991–2020 (WMO / IPCC current normal)',
+
+    // 加速度摘要（关键发现等处共用）
+    'summary.acceleration': 'Since {since}, global warming has proceeded at {rate}°C per decade (95% CI {ciLow} to {ciHigh}), {ratio} times the average rate since {start} ({overall}°C/decade).',
+    'summary.accelerationUnavailable': 'The current dataset does not span enough years to compare the recent warming rate with the full record.',
+
+    // 概览
+    'overview.title': 'Beyond the Trend Line: Revealing the Deeper Dynamics of Climate Change',
+    'overview.intro': 'That the Earth is warming is settled. But how can visualisation show not just the trend but how fast it is accelerating? This project goes beyond simple line charts to tell a more urgent and nuanced story about our planet\'s climate trajectory.',
+    'overview.cards.trends': 'Historical temperature trends',
+    'overview.cards.warming': 'How the warming rate has changed',
+    'overview.cards.baseline': 'How the temperature distribution has shifted',
+    'overview.cards.spiral': 'Temperature anomalies as a spiral',
+    'overview.cards.geography': 'Where the world is warming',
+
+    // 核心指标
+    'hero.title': 'Global temperature anomaly',
+    'hero.description': 'Departure from the {baseline} baseline',
+    'hero.caption': 'Global mean temperature anomaly in {year}',
+    'hero.captionPlain': 'Global mean temperature anomaly',
+    'hero.badge.record': 'Record high',
+    'hero.badge.rank': '#{rank} warmest of {total} years',
+    'hero.badge.top': 'The {count} warmest years are all since {year}',
+    'rate.title': 'Warming rate',
+    'rate.caption': 'Warming per decade (since {since})',
+    'rate.ratio': '{ratio}× the historical average',
+    'rate.ratioUnavailable': 'Historical comparison',
+    'warmest.title': 'Warmest year',
+    'warmest.caption': '{year} is the warmest year in the {dataset} record',
+    'warmest.badge': '{year}, the record {lookback} years earlier, has fallen to #{rank}',
+    'warmest.unavailable': 'No data loaded',
+
+    // 数据源与基准期卡片
+    'source.title': 'Dataset & baseline',
+    'source.description': 'The trend, acceleration, baseline shift, spiral and geography cards recompute anomalies for the selected dataset and baseline.',
+    'source.missingFiles': 'Missing data files: {files}',
+    'source.origin': 'Source: {source}',
+    'source.version': 'Version: {version}',
+    'source.retrieved': 'Retrieved: {date}',
+    'source.retrievedVia': 'Retrieved: {date} via {via}',
+    'source.missingHint': 'Greyed-out datasets have no export files in data/ yet; add them under the file names listed in the manifest to enable them.',
+    'source.baseline': 'Baseline:',
+    'source.partialBaseline': 'The selected dataset only covers {start}–{end} of the baseline; the baseline mean uses the available years.',
+    'source.noBaselineOverlap': 'The selected dataset does not overlap this baseline, so anomalies stay relative to the publisher\'s baseline ({baseline}).',
+    'source.thresholdNote': 'The 1.5°C and 2°C thresholds are always relative to pre-industrial (1850–1900) levels; threshold lines and spiral rings are converted when the baseline changes.',
+
+    // 数据元信息提示（ClimateData.provenance 报告的问题）
+    'provenance.title': 'Check the {dataset} metadata before relying on these figures',
+    'provenance.issue.source': 'The dataset does not name its source.',
+    'provenance.issue.version': 'The dataset has no version number.',
+    'provenance.issue.retrieved': 'The date the data was retrieved is not recorded (the "retrieved" field in data/manifest.json is empty), so it is unknown which release of the source these figures come from.',
+    'provenance.issue.staleRetrieved': 'The data was retrieved on {date}, more than a year ago.',
+    'provenance.issue.staleSeries': 'The series ends in {year}; later years are missing.',
+
+    // 数据导入（climate-import.js）
+    'import.open': 'Import data…',
+    'import.close': 'Close import',
+    'import.drop': 'Drop a CSV / JSON file here or click to choose one',
+    'import.formats': 'Annual or monthly anomalies; long format (year, month, anomaly columns) or wide format (one row per year, Jan…Dec columns)',
+    'import.fileInfo': '{name}: {columns} columns, {rows} rows',
+    'import.preview': 'First rows of the file',
+    'import.field.layout': 'Layout',
+    'import.field.year': 'Year / date column',
+    'import.field.month': 'Month column',
+    'import.field.anomaly': 'Anomaly column',
+    'import.field.unit': 'Unit',
+    'import.field.missing': 'Missing-value markers (comma-separated)',
+    'import.field.label': 'Dataset name',
+    'import.field.baseline': 'Original baseline',
+    'import.layout.long': 'Long',
+    'import.layout.wide': 'Wide (month columns)',
+    'import.noMonth': 'None (annual data, or the date column includes the month)',
+    'import.unit.C': '°C',
+    'import.unit.K': 'K (same as °C for anomalies)',
+    'import.unit.F': '°F (converted to °C)',
+    'import.unit.centiC': '0.01°C (stored as integers)',
+    'import.report.annual': 'Recognised as annual data: {points} points, {first}–{last}',
+    'import.report.monthly': 'Recognised as monthly data: {points} points with {years} complete years between {first} and {last}',
+    'import.problems': 'Show problem rows (first {count})',
+    'import.problem.row': 'Row {row}: {text}',
+    'import.problem.year': 'unrecognised year "{value}"',
+    'import.problem.month': 'unrecognised month "{value}"',
+    'import.problem.value': 'not a number: "{value}"',
+    'import.problem.duplicate': '{key} appears more than once; only the first is kept',
+    'import.error.read': 'The file could not be read.',
+    'import.error.empty': 'The file contains no data rows.',
+    'import.error.jsonSyntax': 'The JSON is malformed.',
+    'import.error.jsonShape': 'JSON must be an array of objects, or an object with a data / series array.',
+    'import.error.noYear': 'Choose the year column.',
+    'import.error.noAnomaly': 'Choose the anomaly column.',
+    'import.error.noMonths': 'Could not find all twelve Jan…Dec month columns.',
+    'import.error.mixed': 'Some rows have a month and others do not; check the month column.',
+    'import.error.fewYears': 'Fewer than 2 valid years; this cannot be used as a dataset.',
+    'import.error.fewCompleteYears': 'Fewer than 2 years with all 12 months; the annual series cannot be computed.',
+    'import.error.save': 'Saving failed; please try again.',
+    'import.warning.partialYears': 'Years with fewer than 12 months are left out of the annual series: {count}.',
+    'import.warning.large': 'The largest absolute value is {value}°C, which does not look like an anomaly; check the unit or whether these are absolute temperatures.',
+    'import.warning.missing': 'Missing values skipped: {count}.',
+    'import.warning.invalid': 'Unrecognised cells skipped: {count}.',
+    'import.warning.duplicates': 'Duplicate time points skipped: {count}.',
+    'import.save': 'Save and use',
+    'import.saving': 'Saving…',
+    'import.cancel': 'Cancel',
+    'import.saved': 'Imported datasets (stored in this browser)',
+    'import.remove': 'Delete',
+    'import.removeLabel': 'Delete dataset "{label}"',
+
+    // 播放控制
+    'timeline.space': 'Space',
+    'timeline.shortcut.toggle': 'play / pause',
+    'timeline.shortcut.step': 'previous / next year',
+    'timeline.shortcut.bounds': 'jump to range start / end',
+    'timeline.shortcut.range': 'set current year as range start / end',
+    'timeline.shortcut.speed': 'slower / faster',
+    'timeline.shortcut.loop': 'toggle loop',
+    'timeline.controls': 'Playback controls',
+    'timeline.prev': 'Previous year',
+    'timeline.next': 'Next year',
+    'timeline.toggleTitle': 'Play / pause (Space)',
+    'timeline.play': 'Play',
+    'timeline.pause': 'Pause',
+    'timeline.reset': 'Reset',
+    'timeline.speed': 'Playback speed',
+    'timeline.loop': 'Loop',
+    'timeline.loopTitle': 'Loop playback (L)',
+    'timeline.range': 'Play range',
+    'timeline.rangeStart': 'Range start',
+    'timeline.rangeEnd': 'Range end',
+    'timeline.allYears': 'All years',
+    'timeline.shortcuts': 'Shortcuts: {list}',
+
+    // 图表导出
+    'export.source': 'Data: {label}',
+    'export.sourceDetail': ' ({source})',
+    'export.exportedOn': 'Exported {date}',
+    'export.subtitle': '{label} · Anomaly relative to the {baseline} baseline (°C)',
+    'export.button': 'Export',
+    'export.busy': 'Exporting…',
+    'export.progress': 'Exporting {percent}%',
+    'export.menu.png': 'PNG image (3× resolution)',
+    'export.menu.svg': 'SVG vector graphic',
+    'export.menu.csv': 'CSV data',
+    'export.menu.json': 'JSON data',
+
+    // 温度趋势卡片
+    'trend.chart': 'Global temperature anomaly trend',
+    'trend.title': 'Global temperature anomaly trend ({start}–{end})',
+    'trend.titlePlain': 'Global temperature anomaly trend',
+    'trend.description': 'Annual temperature departures from the {baseline} baseline. Red dots mark the most recent ten years and dark red triangles years more than 1°C above the baseline; the 1.5°C / 2°C threshold lines are converted to the pre-industrial (1850–1900) level.',
+    'trend.tooltipAnomaly': 'Temperature anomaly: {value}',
+    'trend.badge.recent': 'Hottest decade',
+    'trend.badge.extreme': 'Extreme heat',
+    'trend.stat.recentMean': 'Mean anomaly of the last ten years',
+    'trend.stat.yearsAbove': 'Years above 1°C',
+    'trend.stat.accelerating': 'Accelerating warming',
+    'trend.stat.acceleratingNote': '{rate}°C/decade since the {since} change point, up from {previous}',
+    'trend.legend.recent': 'Dots: last ten years',
+    'trend.legend.extreme': 'Triangles: anomaly above 1°C',
+    'trend.observation.title': 'Key observation: ',
+    'trend.observation.text': '{summary} {records}',
+    'trend.observation.records': 'The {count} warmest years in this record all fall within {since}–{end}.',
+
+    // 排放情景预估（climate-projection.js）
+    'projection.label': 'Scenario projection:',
+    'projection.none': 'None',
+    'projection.crossing': 'Crossing {value}°C:',
+    'projection.year': '{year} (range {early}–{late})',
+    'projection.after': 'after {year}',
+    'projection.already': 'already exceeded by the last 20 years',
+    'projection.notBy': 'not by {year}',
+    'projection.notByEarliest': 'not by {year} (earliest {early})',
+    'projection.unavailable': 'Projections are relative to 1850–1900, which this dataset and baseline do not cover, so they cannot be placed on this chart.',
+    'projection.partial': 'This dataset covers only {start}–{end} of the 1850–1900 reference period, so the projections are shifted onto this chart using the {start}–{end} mean and may be slightly offset.',
+    'projection.source': 'Source: {source}. 20-year mean warming relative to 1850–1900, best estimate and very likely (5–95%) range, combining CMIP6 models with observational constraints. The fan starts from the mean of the last 20 observed years, is interpolated linearly between period midpoints and ends at {horizon}. Crossing years refer to this 20-year mean curve.',
+    'projection.spiralNote': 'Play past the last observed year to see the projected range as a shaded ring; the dashed circle is the median.',
+    'projection.spiralOnly': 'Projections are drawn in the flat spiral view only.',
+    'projection.tooltip': '{scenario} median: {value}',
+    'projection.tooltipRange': '5–95% range: {low} to {high}',
+    'projection.column.median': '{scenario} median (°C)',
+    'projection.column.low': '{scenario} 5th percentile (°C)',
+    'projection.column.high': '{scenario} 95th percentile (°C)',
+    'projection.legend.range': '{scenario} 5–95% range',
+    'projection.legend.median': '{scenario} median',
+
+    // 变暖加速度卡片
+    'accel.loading': 'Warming acceleration',
+    'accel.title': 'Warming acceleration: warming rate by period',
+    'accel.description': 'Linear regression (OLS) over each window of the selected dataset; error bars are 95% confidence intervals corrected for residual autocorrelation. Negative values are cooling periods, positive values warming periods.',
+    'accel.exportTitle.changepoint': 'Warming acceleration: piecewise linear fit',
+    'accel.exportTitle.decadal': 'Warming acceleration: warming rate in fixed {span}-year windows',
+    'accel.exportTitle.rolling': 'Warming acceleration: warming rate in rolling {span}-year windows',
+    'accel.tooltip.window': 'Window: {start}–{end}',
+    'accel.tooltip.period': 'Period: {period}',
+    'accel.tooltip.rate': 'Warming rate: {value}°C/decade',
+    'accel.tooltip.ci': '95% CI: {low} to {high}°C/decade',
+    'accel.significant': 'Significant',
+    'accel.notSignificant': 'Not significant',
+    'accel.accelerating': 'Accelerating',
+    'accel.partial': 'Incomplete window',
+    'accel.series.observed': 'Observed anomaly',
+    'accel.series.fitted': 'Piecewise linear fit',
+    'accel.column.observed': 'Observed anomaly (°C)',
+    'accel.column.fitted': 'Piecewise linear fit (°C)',
+    'accel.column.period': 'Window',
+    'accel.column.start': 'Start year',
+    'accel.column.end': 'End year',
+    'accel.column.rate': 'Warming rate (°C/decade)',
+    'accel.column.ciLow': '95% CI lower bound',
+    'accel.column.ciHigh': '95% CI upper bound',
+    'accel.column.significant': 'Significant',
+    'accel.column.partial': 'Incomplete window',
+    'accel.stat.current': 'Current rate',
+    'accel.stat.currentNote': 'per decade ({start}–{end}, ±{ci})',
+    'accel.stat.perDecade': 'per decade',
+    'accel.stat.ratio': 'Versus history',
+    'accel.stat.ratioNote': 'since {since} vs since {start}',
+    'accel.stat.ratioFallback': 'relative to the historical average',
+    'accel.stat.count': 'Accelerating windows',
+    'accel.stat.countNote': '{span}-year windows above 0.15°C/decade',
+    'accel.stat.significantNote': 'windows whose confidence interval excludes 0',
+    'accel.view.decadal': 'Fixed windows',
+    'accel.view.rolling': 'Rolling windows',
+    'accel.view.changepoint': 'Change points',
+    'accel.windowLength': 'Window length:',
+    'accel.years': '{n} yr',
+    'accel.segmentCi': '95% CI {low} to {high}',
+    'accel.findings': 'Key findings',
+    'accel.findings.trend': 'Clear acceleration: ',
+    'accel.findings.phases': 'Distinct phases: ',
+    'accel.findings.breaks': 'the BIC-selected piecewise linear model changes slope around {years}: {segments}.',
+    'accel.findings.noBreaks': 'a piecewise model does not beat a single linear trend: {segments}.',
+    'accel.findings.segment': '{start}–{end} {rate}°C/decade',
+    'accel.findings.segmentSeparator': '; ',
+    'accel.findings.uncertainty': 'Uncertainty: ',
+    'accel.findings.uncertaintyText': 'short windows are strongly affected by year-to-year variability such as El Niño, so 10-year confidence intervals often straddle 0; longer windows give steadier trends.',
+    'accel.legend.cooling': 'Cooling',
+    'accel.legend.slight': 'Slight warming (<0.1°C)',
+    'accel.legend.moderate': 'Moderate warming (0.1–0.15°C)',
+    'accel.legend.rapid': 'Rapid warming (>0.15°C)',
+
+    // 基线漂移卡片
+    'shift.loading': 'Baseline shift analysis',
+    'shift.title': 'Baseline shift: how the temperature distribution has moved',
+    'shift.description.monthly': 'Temperature distributions of monthly anomalies for each decade show how "normal" is being redefined. The whole curve moves right (warmer) over time: extreme heat is becoming the new normal.',
+    'shift.description.annual': 'Temperature distributions of annual anomalies (this dataset has no monthly data) for each decade show how "normal" is being redefined. The whole curve moves right (warmer) over time: extreme heat is becoming the new normal.',
+    'shift.exportTitle.monthly': 'Baseline shift: distribution of monthly anomalies by decade',
+    'shift.exportTitle.annual': 'Baseline shift: distribution of annual anomalies by decade',
+    'shift.unit.months': 'months',
+    'shift.unit.years': 'years',
+    'shift.tooltip': 'Anomaly: {value}°C',
+    'shift.column.density': '{decade} probability density (%/{bin}°C)',
+    'shift.column.frequency': '{decade} frequency (%/{bin}°C)',
+    'shift.stat.shift': 'Distribution shift',
+    'shift.stat.shiftNote': 'Mean, {current} vs {first}',
+    'shift.stat.current': 'Current normal',
+    'shift.stat.historical': 'Historical normal',
+    'shift.stat.mode': 'Most common anomaly in the {decade}',
+    'shift.stat.extremes': 'Extremes',
+    'shift.stat.extremesNote': 'Share of {unit} above 2σ in the {decade} ({first}: {share}%)',
+    'shift.decadePicker': 'Decade:',
+    'shift.methodLabel': 'Estimator:',
+    'shift.method.kde': 'Kernel density',
+    'shift.method.hist': 'Histogram',
+    'shift.densityUnit': 'Density per:',
+    'shift.binWidth': 'Bin width:',
+    'shift.bandwidthNote': 'Bandwidth by Silverman\'s rule; {decade}: {h}°C',
+    'shift.annualOnly': 'This dataset has no monthly file, so each decade\'s distribution is built from about ten annual means rather than 120 monthly values; the curves are correspondingly coarse.',
+    'shift.error': 'The baseline shift data could not be loaded: {message}',
+    'shift.axis.frequency': 'Frequency (%/{bin}°C)',
+    'shift.series.distribution': '{decade} distribution',
+    'shift.series.reference': '{decade} reference',
+    'shift.sigmaNote.monthly': 'σ is the standard deviation of monthly anomalies over the {start}–{end} baseline ({sd}°C); the vertical axis is the share of months in each {bin}°C bin.',
+    'shift.sigmaNote.annual': 'σ is the standard deviation of annual anomalies over the {start}–{end} baseline ({sd}°C); the vertical axis is the share of years in each {bin}°C bin.',
+    'shift.table.decade': 'Decade',
+    'shift.table.n': 'Samples',
+    'shift.table.mean': 'Mean',
+    'shift.table.sd': 'Std. dev.',
+    'shift.table.p2': 'Above 2σ',
+    'shift.table.p3': 'Above 3σ',
+    'shift.partial': '* Incomplete decade',
+    'shift.meaning.title': 'What the baseline shift means',
+    'shift.meaning.redefined': 'Redefining normal: ',
+    'shift.rank.intro': '{year} ({anomaly}°C) ',
+    'shift.rank.record': 'was the warmest year on record when it occurred and ',
+    'shift.rank.position': 'now ranks #{rank} of {total} years',
+    'shift.rank.overtaken': ', with {count} later years warmer.',
+    'shift.rank.stillWarmest': ', still the warmest year on record.',
+    'shift.rank.pick': 'Look up year:',
+    'shift.meaning.shift': 'The whole distribution moves right: ',
+    'shift.meaning.shiftText': 'the mean anomaly was {firstMean}°C in the {first} and {currentMean}°C in the {current}, so yesterday\'s "extreme heat" is becoming today\'s "normal".',
+    'shift.meaning.extremes': 'Extremes become routine: ',
+    'shift.meaning.extremesText': '{firstP2}% of {unit} in the {first} exceeded the baseline 2σ, against {currentP2}% in the {current}; the share above 3σ went from {firstP3}% to {currentP3}%, showing how deeply climate change reshapes what we perceive as normal.',
+    'shift.history.title': 'Historical view (1880s–1960s)',
+    'shift.history.text': 'The distribution was fairly stable, mostly negative anomalies, with extreme heat rare. This period shaped our basic sense of a "normal" climate.',
+    'shift.modern.title': 'Modern change (1980s–2020s)',
+    'shift.modern.text': 'The distribution has moved clearly right: positive anomalies are the norm and extreme heat is frequent. Yesterday\'s "anomaly" is becoming the new "normal" — the baseline itself has shifted.',
+
+    // 气候螺旋（渲染器与卡片）
+    'spiral.palette.classic': 'Classic',
+    'spiral.palette.colorblind': 'Colour-blind safe',
+    'spiral.mode.spiral': 'Spiral',
+    'spiral.mode.tower': 'Spiral tower',
+    'spiral.mode.stripes': 'Warming stripes',
+    'spiral.ring.threshold': '{value}°C threshold',
+    'spiral.caption.average': 'Mean anomaly: {value}',
+    'spiral.caption.scale': 'Colour scale ±{value}',
+    'spiral.caption.projection': '{scenario} median: {value}',
+    'spiral.caption.range': 'range {low} to {high}',
+    'spiral.chart': 'Climate spiral',
+    'spiral.title': 'Climate spiral: how temperature anomalies evolve over time',
+    'spiral.description': 'A visualisation popularised by climate scientist Ed Hawkins that shows, with striking clarity, how global temperature is closing in on critical thresholds. Each loop is one year and the distance from the centre is the size of the temperature anomaly. Switch to the spiral tower (each year raised one level so new loops do not hide earlier ones) or the warming stripes view.',
+    'spiral.exportTitle.monthly': '{chart}: monthly temperature anomalies {start}–{end}',
+    'spiral.exportTitle.annual': '{chart}: annual mean temperature anomalies {start}–{end}',
+    'spiral.export.webm': 'WebM animation',
+    'spiral.export.frames': 'PNG frame sequence (ZIP)',
+    'spiral.badge.current': 'Current anomaly: {value}',
+    'spiral.badge.above': 'Above the 1.5°C limit',
+    'spiral.badge.near': 'Approaching the 1.5°C target',
+    'spiral.badge.projection': '{scenario} projection: {value}',
+    'spiral.viewLabel': 'View',
+    'spiral.resetView': 'Reset view',
+    'spiral.rotateHint': 'Drag or press Shift+arrow keys to rotate',
+    'spiral.derived': 'This dataset has no monthly file, so only the warming stripes (one stripe per year) are available; the spiral and spiral tower need monthly values. Readouts and downloads give annual means.',
+    'spiral.needsMonthly': 'Needs monthly data, which this dataset does not provide',
+    'spiral.canvasLabel': '{chart}: temperature anomalies {start}–{end}; {end} mean anomaly {value}',
+    'spiral.canvasLabelProjection': 'Climate spiral with the {scenario} projection for {year}: median {value}, range {low} to {high}',
+    'spiral.danger': 'Dangerous level',
+    'spiral.hover.annual': '{year} annual mean',
+    'spiral.hover.month': '{month} {year}',
+    'spiral.hover.anomaly': 'Anomaly: {value}',
+    'spiral.thresholds.title': 'Key thresholds',
+    'spiral.thresholds.target': '1.5°C target',
+    'spiral.thresholds.warning': 'Warning',
+    'spiral.thresholds.limit': '2.0°C limit',
+    'spiral.thresholds.danger': 'Danger',
+    'spiral.thresholds.baseline': 'Baseline (0°C = {baseline} mean)',
+    'spiral.thresholds.normal': 'Normal',
+    'spiral.palette.title': 'Colours',
+    'spiral.palette.label': 'Spiral colour scheme',
+    'spiral.guide.title': 'Reading the spiral',
+    'spiral.guide.path': 'Spiral path: ',
+    'spiral.guide.pathText': 'each loop covers the 12 months of one year',
+    'spiral.guide.radius': 'Distance from centre: ',
+    'spiral.guide.radiusText': 'the size of the temperature anomaly',
+    'spiral.guide.color': 'Colour: ',
+    'spiral.guide.colorText': 'from blue (cool) to red (warm) by annual mean anomaly; hover a loop to read monthly values',
+    'spiral.guide.growth': 'Evolution: ',
+    'spiral.guide.growthText': 'watch how the spiral gradually expands outwards',
+    'spiral.year.title': '{year} data',
+    'spiral.year.mean': 'Annual mean anomaly:',
+    'spiral.year.warmest': 'Warmest month:',
+    'spiral.year.coldest': 'Coldest month:',
+    'spiral.meaning.title': 'Why the spiral matters',
+    'spiral.meaning.text': 'The climate spiral was created by British climate scientist Ed Hawkins to show a temperature time series in polar coordinates. It makes plain how global temperature is approaching and crossing critical climate thresholds, above all the 1.5°C and 2°C goals of the Paris Agreement. The outward growth of the spiral clearly shows that climate change is accelerating.',
+
+    // 地理分布卡片
+    'geo.loading': 'Interactive world map',
+    'geo.title': 'Geographic distribution of temperature anomalies',
+    'geo.description.grid': 'An interactive world map of the {dlat}°×{dlon}° gridded anomaly field, showing how unevenly the planet is warming. Zonal and Arctic means are area-weighted by cos(latitude); the global mean is the dataset\'s own annual value.',
+    'geo.description.countries': 'A world map of countries and territories. This dataset has only a global annual series, so the map is not shaded by temperature; select a country for its details.',
+    'geo.exportTitle.grid': 'Gridded global temperature anomaly, {year}',
+    'geo.exportTitle.countries': 'Temperature anomaly by country (mean of grid cells), {year}',
+    'geo.exportTitle.outline': 'Countries and territories on the map',
+    'geo.column.cellLat': 'Cell centre latitude',
+    'geo.column.cellLon': 'Cell centre longitude',
+    'geo.column.code': 'ISO 3166-1 numeric code',
+    'geo.column.country': 'Country / territory',
+    'geo.column.region': 'Continent',
+    'geo.column.lat': 'Centroid latitude',
+    'geo.column.lng': 'Centroid longitude',
+    'geo.column.anomaly': 'Temperature anomaly (°C)',
+    'geo.scale.absolute': 'Absolute',
+    'geo.scale.relative': 'Relative change',
+    'geo.layer.grid': 'Grid',
+    'geo.layer.country': 'Countries',
+    'geo.badge.global': 'Global mean: {value}',
+    'geo.badge.arctic': 'Arctic: {value}',
+    'geo.mapTitle': 'Global temperature anomalies in {year}',
+    'geo.mapTitleOutline': 'Countries and territories',
+    'geo.mapLabel': 'Map of temperature anomalies by country in {year}',
+    'geo.noField': 'The map is not shaded: country-level temperatures cannot be derived from a global mean, and this dataset has no gridded anomaly field (e.g. data/gistemp/gridded-5x5-annual.json).',
+    'geo.zoomIn': 'Zoom in',
+    'geo.zoomOut': 'Zoom out',
+    'geo.resetView': 'Reset',
+    'geo.hint': 'Scroll to zoom, drag to pan, click a country for details',
+    'geo.keyboardHint': 'You can also Tab into the map, move between neighbouring countries with the arrow keys and press Enter to select.',
+    'geo.soundHint': 'Plays country anomalies from south to north; higher pitch means warmer',
+    'geo.countryLabel': '{country}: {value}',
+    'geo.stats.title': 'Global statistics',
+    'geo.stats.global': 'Global mean:',
+    'geo.stats.warmest': 'Warmest region:',
+    'geo.stats.coldest': 'Coldest region:',
+    'geo.stats.extremes': 'Extremes:',
+    'geo.stats.regions': '{count} regions',
+    'geo.arctic.title': 'Arctic amplification',
+    'geo.arctic.mean': 'Arctic mean:',
+    'geo.arctic.ratio': 'Amplification:',
+    'geo.arctic.gridNote': 'Area-weighted (cos latitude) mean of grid cells north of 66.5°N, {coverage}% covered. The amplification divides it by the dataset\'s global annual mean and is not given when that is close to 0.',
+    'geo.zonal.title': 'Zonal mean',
+    'geo.zonal.anomaly': 'Anomaly',
+    'geo.zonal.note': 'Mean anomaly of the grid cells in each latitude band; the dashed line is the Arctic Circle',
+    'geo.detail.anomaly': 'Anomaly:',
+    'geo.detail.region': 'Region:',
+    'geo.detail.latitude': 'Latitude:',
+    'geo.detail.arctic': 'Arctic',
+    'geo.detail.extreme': 'Extreme temperature',
+    'geo.importance.title': 'Why geography matters',
+    'geo.importance.text': 'Global warming is not spread evenly. The Arctic is warming far faster than the global average: this "Arctic amplification" comes from melting snow and ice lowering surface reflectivity, a positive feedback loop. Understanding these differences is essential for projecting regional impacts and planning adaptation.',
+
+    // 国家详细分析（climate-country.js）
+    'country.open': 'View detailed analysis',
+    'country.close': 'Close',
+    'country.title': '{country}: detailed analysis',
+    'country.compareTitle': 'Comparing {count} countries',
+    'country.source.grid': 'Gridded data',
+    'country.source.estimate': 'Model estimate',
+    'country.estimateNote': 'This dataset has no gridded anomaly field, so the country series is the global series scaled by latitude and land–sea contrast. Its trend shape therefore follows the global record and does not reflect local observations.',
+    'country.estimateOmitted': 'Decadal warming rates, the ranking among countries and the warmest and coldest years are shown only for datasets with a gridded anomaly field. From a scaled global series they would repeat the global record, and countries at similar latitudes would tie.',
+    'country.trend': 'Annual temperature anomaly',
+    'country.global': 'Global mean',
+    'country.fit': 'Linear fit',
+    'country.trendRate': 'Linear trend for {country}, {start}–{end}: {rate}°C/decade (95% CI {low} to {high}).',
+    'country.spiral': '{country} climate spiral',
+    'country.spiralLabel': 'Climate spiral of monthly temperature anomalies for {country} up to {year}',
+    'country.spiralNote': 'Drawn up to {year}; follows the map timeline.',
+    'country.spiralDerived': 'Drawn up to {year}. Only annual values are available, so each month repeats its year\'s value.',
+    'country.rates': 'Warming rate by decade: {country} vs global',
+    'country.decade': '{decade}s',
+    'country.noRates': 'The series is too short to compute decadal rates.',
+    'country.ratesNote': 'Linear trend within each decade (°C/decade); decades with fewer than 8 years are left out.',
+    'country.rank': 'Rank among all countries, {year}',
+    'country.rankValue': '{rank} of {total} ({value})',
+    'country.hottest': 'Warmest years',
+    'country.coldest': 'Coldest years',
+    'country.compare': 'Compare (up to {max}):',
+    'country.compareAdd': 'Add a country…',
+    'country.compareRemove': 'Remove {country} from the comparison',
+    'country.exportTitle': 'Temperature anomaly: {country}',
+
+    // 大洲（国家元数据中的 region）
+    'region.Africa': 'Africa',
+    'region.Antarctica': 'Antarctica',
+    'region.Asia': 'Asia',
+    'region.Europe': 'Europe',
+    'region.North America': 'North America',
+    'region.Oceania': 'Oceania',
+    'region.South America': 'South America',
+    'region.Unknown': 'Unknown',
+
+    // 区域汇总（climate-region.js）
+    'region.title': 'Regional aggregates',
+    'region.description.grid': 'Area-weighted means of country series (grid-cell averages within each border), grouped by continent, latitude band, hemisphere or your own country groups.',
+    'region.description.estimate': 'Area-weighted means of the estimated country series, grouped by continent, latitude band, hemisphere or your own country groups. Without a gridded field the country values are scaled from the global series, so differences between groups only reflect latitude and land–sea factors.',
+    'region.kindLabel': 'Group by',
+    'region.kind.continent': 'Continents',
+    'region.kind.band': 'Latitude bands',
+    'region.kind.hemisphere': 'Hemispheres',
+    'region.kind.custom': 'Custom groups',
+    'region.band.tropics': 'Tropics',
+    'region.band.mid': 'Mid-latitudes',
+    'region.band.polar': 'Polar regions',
+    'region.hemisphere.north': 'Northern Hemisphere',
+    'region.hemisphere.south': 'Southern Hemisphere',
+    'region.custom.new': 'New group',
+    'region.custom.name': 'Group name',
+    'region.custom.countries': 'Countries (hold Ctrl / ⌘ to select several)',
+    'region.custom.save': 'Save group',
+    'region.custom.cancel': 'Cancel',
+    'region.custom.chip': '{name} ({count})',
+    'region.custom.remove': 'Delete group {name}',
+    'region.custom.empty': 'No custom groups yet. Groups are saved in this browser.',
+    'region.note.continent': 'Continents follow the region in the country metadata; the dashed gray line is the global mean.',
+    'region.note.band': 'Countries are assigned by centroid latitude: tropics below 23.44°, mid-latitudes 23.44°–66.56°, polar regions above 66.56°; the dashed gray line is the global mean.',
+    'region.note.hemisphere': 'Countries are assigned by the hemisphere of their centroid; the dashed gray line is the global mean.',
+    'region.note.custom': 'Each group is the area-weighted mean of its countries; the dashed gray line is the global mean.',
+    'region.ranking': 'Ranking in {year}',
+    'region.rankingEstimate': 'Without a gridded anomaly field every group is the global series times a fixed factor, so the groups keep the same order in every year. A ranking is shown only for datasets with a gridded field.',
+    'region.coverage': 'Area covered by data: {value}%',
+    'region.noData': 'No group has data for {year}.',
+    'region.exportTitle': 'Temperature anomaly by region: {kind}',
+
+    // 数据来源与方法
+    'sources.title': 'Data sources & methods',
+    'sources.giss.title': 'NASA GISS',
+    'sources.giss.text': 'GISTEMP v4 global mean surface temperature anomalies (combined land-surface air and sea-surface water, L-OTI), annual means from 1880. This is the only dataset bundled with the site.',
+
+    // 关于这个项目
+    'about.title': 'About this project',
+    'about.transparency.title': 'Data transparency',
+    'about.transparency.text': 'Every visualisation uses public NASA GISS GISTEMP v4 data. Anomalies are computed against the 1951–1980 baseline by default, and you can switch to 1850–1900 (pre-industrial) or 1991–2020; the 1.5°C and 2°C thresholds are always relative to pre-industrial levels. The record starts in 1880, so the pre-industrial baseline only covers 1880–1900. Data processing is fully transparent to keep the analysis rigorous.',
+    'about.methodology.title': 'Methodology',
+    'about.methodology.text': 'Layered visualisations reveal the complexity of climate change: from the basic trend to acceleration to the shifting baseline, each view offers its own insight. Interactive elements help deepen understanding.',
+    'footer.updated': 'Data through {year}, retrieved {date}',
+    'footer.updatedNoDate': 'Data through {year}',
+    'footer.sources': 'View data sources',
+    'footer.methods': 'Methods',
+
+    // 关键发现（page-config.json 的 panels.findings 控制是否显示）
+    'findings.title': 'Key findings',
+    'findings.acceleration': 'Accelerating warming: ',
+    'findings.baseline': 'Shifting baseline: ',
+    'findings.baselineText': 'Yesterday\'s "extreme heat" is becoming today\'s "normal temperature".',
+    'findings.geography': 'Geographic contrast: ',
+    'findings.geographyText': 'The Arctic is warming far faster than the global average.',
+    'findings.thresholds': 'Approaching thresholds: ',
+    'findings.thresholdsText': 'Global temperature is steadily approaching the critical 1.5°C and 2°C thresholds.',
+  });
+})();
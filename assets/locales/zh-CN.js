@@ -0,0 +1,642 @@
+/**
+ * 气候变化分析平台 - 中文消息目录
+ * Climate Change Analysis Platform - Chinese Message Catalog
+ *
+ * 说明：
+ * - 界面文字的中文原文；同时是其他语言缺少某条消息时的退回目录；
+ * - 键名以点号分层，{name} 为 ClimateI18n.t() 的插值占位符；
+ * - 需在 climate-i18n.js 之后加载。
+ */
+(function () {
+  'use strict';
+
+  window.ClimateI18n.register('zh-CN', {
+    // 页面
+    'app.documentTitle': '一个正在变暖的星球：揭示气候变化的深层动态',
+    'app.language': '界面语言',
+    'app.loading': '正在加载气候数据...',
+    'app.loadingDetail': '准备多层次可视化分析',
+    'app.title': '可视化一个正在变暖的星球',
+    'app.subtitle': '基于 NASA GISS GISTEMP v4 数据',
+    'app.badge': '超越趋势线',
+
+    // 界面主题（climate-theme.js）
+    'theme.label': '界面主题',
+    'theme.system': '跟随系统',
+    'theme.light': '浅色',
+    'theme.dark': '深色',
+    'theme.contrast': '高对比度',
+
+    // 打印报告（climate-report.js）
+    'report.open': '生成报告',
+    'report.label': '报告',
+    'report.print': '打印 / 存为 PDF',
+    'report.preparing': '正在准备…',
+    'report.close': '返回仪表板',
+    'report.hint': '导出 PDF：在打印对话框中选择"另存为 PDF"，纸张选择 A4。',
+    'report.kicker': '气候简报',
+    'report.meta.dataset': '数据集',
+    'report.meta.description': '说明',
+    'report.meta.baseline': '基准期',
+    'report.meta.coverage': '时间范围',
+    'report.meta.source': '来源',
+    'report.meta.url': '链接',
+    'report.meta.license': '许可',
+    'report.meta.version': '版本',
+    'report.meta.retrieved': '获取日期',
+    'report.meta.via': '获取途径',
+    'report.meta.generated': '生成日期',
+    'report.contents': '图目录',
+    'report.figure': '图 {n}',
+    'report.caption.trends': '{dataset} 全球年平均温度距平，{start}–{end} 年，相对 {baseline} 基准期。记录中最暖的年份为 {year} 年（{value}）。',
+    'report.caption.warming': '{dataset} 各时段的升温速率（线性回归，误差线为 95% 置信区间）。',
+    'report.caption.baseline.monthly': '{dataset} 各年代月度距平的分布，相对 {baseline} 基准期。',
+    'report.caption.baseline.annual': '{dataset} 各年代年度距平的分布，相对 {baseline} 基准期。',
+    'report.caption.spiral.spiral': '{dataset} 温度距平的气候螺旋（至 {year} 年）：每圈为一年，刻度环标出比工业化前（1850–1900 年）高 1.5°C 与 2°C 的位置。',
+    'report.caption.spiral.tower': '{dataset} 温度距平的螺旋塔（至 {year} 年）：每年抬升一层，刻度环标出比工业化前（1850–1900 年）高 1.5°C 与 2°C 的位置。',
+    'report.caption.spiral.stripes': '{dataset} 的变暖条纹（至 {year} 年）：每年一条，按年平均距平着色。',
+    'report.caption.geography': '{year} 年温度距平的地理分布，{dataset}，相对 {baseline} 基准期。',
+    'report.appendix.title': '附录：方法与数据来源',
+    'report.appendix.dataset': '数据集',
+    'report.appendix.methods': '方法',
+    'report.appendix.datasets': '本页面可用的数据集',
+    'report.appendix.imported': '{label}（用户导入）',
+
+    // 离线使用（climate-offline.js）
+    'offline.label': '应用状态',
+    'offline.ready': '页面与随附数据已保存到本设备，断网后也可使用。',
+    'offline.offline': '当前处于离线状态，显示的是本设备保存的副本。',
+    'offline.offlineUncached': '当前处于离线状态，本页面尚未保存到本设备。',
+    'offline.update': '有新版本可用。',
+    'offline.data': '有新的气候数据（版本 {version}）可用。',
+    'offline.dataFailed': '数据更新失败：{message}',
+    'offline.reload': '立即刷新',
+    'offline.download': '更新数据',
+    'offline.downloading': '正在更新…',
+    'offline.later': '稍后',
+    'offline.dismiss': '知道了',
+
+    // 通用格式
+    'format.year': '{year}年',
+    'format.yearRange': '{start}-{end}年',
+    'format.listSeparator': '、',
+    'format.sentenceSeparator': '；',
+    'format.ratePerDecade': '{value}°C/十年',
+
+    // 通用
+    'common.year': '年份',
+    'common.month': '月份',
+    'common.anomaly': '温度距平 (°C)',
+
+    // 图表通用
+    'chart.tooltipYear': '年份: {year}',
+    'chart.target15': '1.5°C目标',
+    'chart.limit2': '2°C警戒线',
+
+    // 无障碍（图表文字摘要与数据表）
+    'a11y.showTable': '显示数据表',
+    'a11y.hideTable': '隐藏数据表',
+    'a11y.playSound': '播放声音',
+    'a11y.stopSound': '停止播放',
+    'a11y.soundHint': '按时间顺序播放数值，音调越高表示数值越大',
+    'a11y.truncated': '仅显示前 {shown} 行（共 {total} 行），完整数据请导出 CSV',
+    'a11y.yes': '是',
+    'a11y.no': '否',
+    'a11y.summary.empty': '暂无可描述的数据。',
+    'a11y.summary.trend': '{subject}在{from}至{to}间总体{direction}，线性趋势约为每十年 {rate}',
+    'a11y.summary.trendPlain': '{subject}在{from}至{to}间总体{direction}',
+    'a11y.summary.extremes': '最高值 {max}（{maxLabel}），最低值 {min}（{minLabel}）',
+    'a11y.summary.latest': '最新值 {value}（{label}）。',
+    'a11y.summary.mean': '{subject}共 {count} 项，平均 {value}。',
+    'a11y.summary.separator': '；',
+    'a11y.direction.up': '上升',
+    'a11y.direction.down': '下降',
+    'a11y.direction.flat': '基本持平',
+    'a11y.subject.global': '全球温度距平',
+    'a11y.subject.rate': '滑动窗口变暖速率',
+    'a11y.subject.decadeMean': '各年代平均距平',
+    'a11y.subject.annualMean': '年平均距平',
+    'a11y.subject.countries': '{year}年各国估算距平',
+    'a11y.subject.country': '{country}温度距平',
+    'a11y.subject.regions': '{year}年各区域平均距平',
+
+    // 区域导航
+    'nav.label': '页面区域',
+    'section.overview': '概览',
+    'section.trends': '趋势分析',
+    'section.warming': '变暖加速',
+    'section.baseline': '基线漂移',
+    'section.spiral': '气候螺旋',
+    'section.geography': '地理分布',
+
+    // 基准期（与 ClimateData.getBaselines() 的 id 对应）
+    'baseline.1850-1900': '1850-1900年（工业化前）',
+    'baseline.1951-1980': '1951-1980年（NASA GISS）',
+    'baseline.1991-2020': '1991-2020年（WMO / IPCC 现行气候态）',
+
+    // 加速度摘要（关键发现等处共用）
+    'summary.acceleration': '自{since}年以来，全球变暖速率为每十年{rate}°C（95%置信区间 {ciLow}~{ciHigh}），是{start}年以来平均速率（{overall}°C/十年）的{ratio}倍。',
+    'summary.accelerationUnavailable': '当前数据集的时间跨度不足以比较近期与全记录的升温速率。',
+
+    // 概览
+    'overview.title': '超越趋势线：揭示气候变化的深层动态',
+    'overview.intro': '地球正在变暖已是共识，但如何通过可视化不仅展示这一趋势，更能揭示其变化的加速度？ 本项目旨在超越简单的线性图表，讲述一个关于我们星球气候轨迹的、更为紧迫和细致的故事。',
+    'overview.cards.trends': '历史温度变化趋势',
+    'overview.cards.warming': '升温速率的时间演化',
+    'overview.cards.baseline': '温度分布的历史变迁',
+    'overview.cards.spiral': '温度距平的螺旋可视化',
+    'overview.cards.geography': '全球变暖的空间格局',
+
+    // 核心指标
+    'hero.title': '全球温度距平',
+    'hero.description': '相对于{baseline}年基准期的温度偏差',
+    'hero.caption': '{year}年全球平均温度距平',
+    'hero.captionPlain': '全球平均温度距平',
+    'hero.badge.record': '历史最高',
+    'hero.badge.rank': '{total}年中第{rank}热',
+    'hero.badge.top': '最热的{count}个年份均在{year}年以后',
+    'rate.title': '变暖速率',
+    'rate.caption': '每十年升温幅度（{since}年以来）',
+    'rate.ratio': '{ratio}倍历史平均',
+    'rate.ratioUnavailable': '历史对比',
+    'warmest.title': '最热年份',
+    'warmest.caption': '{year}年是 {dataset} 记录中最热的一年',
+    'warmest.badge': '{lookback}年前的纪录 {year}年已跌至第{rank}位',
+    'warmest.unavailable': '数据未加载',
+
+    // 数据源与基准期卡片
+    'source.title': '数据源与基准期',
+    'source.description': '切换后，趋势、加速度、基线漂移、气候螺旋与地理分布卡片将基于所选数据集与基准期重新计算距平。',
+    'source.missingFiles': '数据文件缺失：{files}',
+    'source.origin': '来源：{source}',
+    'source.version': '版本：{version}',
+    'source.retrieved': '获取日期：{date}',
+    'source.retrievedVia': '获取日期：{date}（经由 {via}）',
+    'source.missingHint': '灰色数据集的导出文件尚未放入 data/ 目录，按清单中的文件名放入后即可使用。',
+    'source.baseline': '基准期:',
+    'source.partialBaseline': '所选数据集仅覆盖基准期中的 {start}-{end} 年，基准值按可用年份计算。',
+    'source.noBaselineOverlap': '所选数据集与该基准期没有重叠，仍显示发布方原始基准期（{baseline}年）的距平。',
+    'source.thresholdNote': '1.5°C 与 2°C 阈值始终相对工业化前（1850-1900年）水平，切换基准期时阈值线与螺旋阈值环随之换算。',
+
+    // 数据元信息提示（ClimateData.provenance 报告的问题）
+    'provenance.title': '使用以下数字前请核对 {dataset} 的元信息',
+    'provenance.issue.source': '数据集未注明来源。',
+    'provenance.issue.version': '数据集没有版本号。',
+    'provenance.issue.retrieved': '未记录数据的获取日期（data/manifest.json 中的 retrieved 字段为空），无法确定这些数字来自数据源的哪一次发布。',
+    'provenance.issue.staleRetrieved': '数据获取于{date}，已超过一年。',
+    'provenance.issue.staleSeries': '序列止于{year}年，缺少之后的年份。',
+
+    // 数据导入（climate-import.js）
+    'import.open': '导入数据…',
+    'import.close': '收起导入',
+    'import.drop': '拖入或点击选择 CSV / JSON 文件',
+    'import.formats': '年度或月度距平；长表（年、月、距平各一列）或宽表（每行一年，Jan…Dec 十二列）',
+    'import.fileInfo': '{name}：{columns} 列，{rows} 行',
+    'import.preview': '文件前几行',
+    'import.field.layout': '表格形式',
+    'import.field.year': '年份 / 日期列',
+    'import.field.month': '月份列',
+    'import.field.anomaly': '距平列',
+    'import.field.unit': '单位',
+    'import.field.missing': '缺测值标记（逗号分隔）',
+    'import.field.label': '数据集名称',
+    'import.field.baseline': '原始基准期',
+    'import.layout.long': '长表',
+    'import.layout.wide': '宽表（月份列）',
+    'import.noMonth': '无（年度数据或日期列已含月份）',
+    'import.unit.C': '°C',
+    'import.unit.K': 'K（与 °C 距平相同）',
+    'import.unit.F': '°F（换算为 °C）',
+    'import.unit.centiC': '0.01°C（整数存储）',
+    'import.report.annual': '识别为年度数据：{points} 个数据点，{first}-{last}年',
+    'import.report.monthly': '识别为月度数据：{points} 个数据点，{first}-{last}年间有 {years} 个完整年份',
+    'import.problems': '查看有问题的行（前 {count} 条）',
+    'import.problem.row': '第 {row} 行：{text}',
+    'import.problem.year': '无法识别的年份"{value}"',
+    'import.problem.month': '无法识别的月份"{value}"',
+    'import.problem.value': '不是数字："{value}"',
+    'import.problem.duplicate': '{key} 重复出现，只保留第一次',
+    'import.error.read': '无法读取该文件。',
+    'import.error.empty': '文件中没有数据行。',
+    'import.error.jsonSyntax': 'JSON 格式有误。',
+    'import.error.jsonShape': 'JSON 须为对象数组，或含 data / series 数组的对象。',
+    'import.error.noYear': '请选择年份列。',
+    'import.error.noAnomaly': '请选择距平列。',
+    'import.error.noMonths': '未找到完整的 Jan…Dec 十二个月份列。',
+    'import.error.mixed': '部分行有月份、部分行没有，请检查月份列。',
+    'import.error.fewYears': '有效年份少于 2 个，无法作为数据集。',
+    'import.error.fewCompleteYears': '满 12 个月的年份少于 2 个，无法计算年度序列。',
+    'import.error.save': '保存失败，请重试。',
+    'import.warning.partialYears': '{count} 个年份不满 12 个月，未计入年度序列。',
+    'import.warning.large': '最大绝对值为 {value}°C，不像距平，请检查单位或是否为绝对温度。',
+    'import.warning.missing': '{count} 个缺测值已跳过。',
+    'import.warning.invalid': '{count} 个无法识别的单元格已跳过。',
+    'import.warning.duplicates': '{count} 个重复的时间点已跳过。',
+    'import.save': '保存并使用',
+    'import.saving': '正在保存…',
+    'import.cancel': '取消',
+    'import.saved': '已导入的数据集（保存在本浏览器中）',
+    'import.remove': '删除',
+    'import.removeLabel': '删除数据集"{label}"',
+
+    // 播放控制
+    'timeline.space': '空格',
+    'timeline.shortcut.toggle': '播放 / 暂停',
+    'timeline.shortcut.step': '上一年 / 下一年',
+    'timeline.shortcut.bounds': '跳到区间起点 / 终点',
+    'timeline.shortcut.range': '把当前年份设为区间起点 / 终点',
+    'timeline.shortcut.speed': '减速 / 加速',
+    'timeline.shortcut.loop': '切换循环播放',
+    'timeline.controls': '播放控制',
+    'timeline.prev': '上一年',
+    'timeline.next': '下一年',
+    'timeline.toggleTitle': '播放 / 暂停 (空格)',
+    'timeline.play': '播放',
+    'timeline.pause': '暂停',
+    'timeline.reset': '重置',
+    'timeline.speed': '播放速度',
+    'timeline.loop': '循环',
+    'timeline.loopTitle': '循环播放 (L)',
+    'timeline.range': '播放区间',
+    'timeline.rangeStart': '区间起点',
+    'timeline.rangeEnd': '区间终点',
+    'timeline.allYears': '全部年份',
+    'timeline.shortcuts': '快捷键：{list}',
+
+    // 图表导出
+    'export.source': '数据来源：{label}',
+    'export.sourceDetail': '（{source}）',
+    'export.exportedOn': '导出于 {date}',
+    'export.subtitle': '{label} · 距平相对于 {baseline} 年基准期（°C）',
+    'export.button': '导出',
+    'export.busy': '导出中…',
+    'export.progress': '导出中 {percent}%',
+    'export.menu.png': 'PNG 图片（3倍分辨率）',
+    'export.menu.svg': 'SVG 矢量图',
+    'export.menu.csv': 'CSV 数据',
+    'export.menu.json': 'JSON 数据',
+
+    // 温度趋势卡片
+    'trend.chart': '全球温度距平趋势',
+    'trend.title': '全球温度距平趋势 ({start}-{end})',
+    'trend.titlePlain': '全球温度距平趋势',
+    'trend.description': '相对于{baseline}年基准期的年度温度偏差。红色圆点标记最近十年的数据点，深红三角标记距平超过1°C的年份；1.5°C / 2°C 阈值线按工业化前（1850-1900年）水平换算。',
+    'trend.tooltipAnomaly': '温度距平: {value}',
+    'trend.badge.recent': '最热十年',
+    'trend.badge.extreme': '极端高温',
+    'trend.stat.recentMean': '最近十年平均距平',
+    'trend.stat.yearsAbove': '超过1°C的年份数',
+    'trend.stat.accelerating': '加速变暖',
+    'trend.stat.acceleratingNote': '{since}年转折点以来为 {rate}°C/十年，此前为 {previous}',
+    'trend.legend.recent': '圆点：最近十年',
+    'trend.legend.extreme': '三角：距平超过1°C',
+    'trend.observation.title': '关键观察：',
+    'trend.observation.text': '{summary}{records}',
+    'trend.observation.records': '本记录中最热的{count}个年份均出现在{since}-{end}年间。',
+
+    // 排放情景预估（climate-projection.js）
+    'projection.label': '情景预估：',
+    'projection.none': '不显示',
+    'projection.crossing': '越过 {value}°C：',
+    'projection.year': '{year} 年（范围 {early}–{late}）',
+    'projection.after': '{year} 年之后',
+    'projection.already': '最近 20 年平均已超过',
+    'projection.notBy': '{year} 年前不会越过',
+    'projection.notByEarliest': '{year} 年前不会越过（最早 {early} 年）',
+    'projection.unavailable': '预估值相对 1850–1900 年，当前数据集与基准期不覆盖该时期，无法放到本图中。',
+    'projection.partial': '该数据集只覆盖 1850–1900 年参考期中的 {start}–{end} 年，预估按 {start}–{end} 年的平均换算到本图，位置可能略有偏差。',
+    'projection.source': '来源：{source}。相对 1850–1900 年的 20 年平均升温，最佳估计与很可能区间（5–95%），结合了 CMIP6 模式与观测约束。扇形从最近 20 个观测年份的平均开始，在各时段中点之间线性插值，止于 {horizon} 年；越线年份指这条 20 年平均曲线。',
+    'projection.spiralNote': '播放到最后一个观测年份之后，以半透明圆环显示预估范围，虚线圆为中值。',
+    'projection.spiralOnly': '情景预估只在平面螺旋视图中绘制。',
+    'projection.tooltip': '{scenario} 中值：{value}',
+    'projection.tooltipRange': '5–95% 范围：{low} 至 {high}',
+    'projection.column.median': '{scenario} 中值（°C）',
+    'projection.column.low': '{scenario} 第 5 百分位（°C）',
+    'projection.column.high': '{scenario} 第 95 百分位（°C）',
+    'projection.legend.range': '{scenario} 5–95% 范围',
+    'projection.legend.median': '{scenario} 中值',
+
+    // 变暖加速度卡片
+    'accel.loading': '变暖加速度分析',
+    'accel.title': '变暖加速度分析：分时段升温速率',
+    'accel.description': '基于所选数据集逐窗口做线性回归（OLS），误差线为按残差自相关修正的95%置信区间。负值表示降温期，正值表示升温期。',
+    'accel.exportTitle.changepoint': '变暖加速度：分段线性拟合',
+    'accel.exportTitle.decadal': '变暖加速度：{span}年固定窗口升温速率',
+    'accel.exportTitle.rolling': '变暖加速度：{span}年滑动窗口升温速率',
+    'accel.tooltip.window': '窗口: {start}-{end}',
+    'accel.tooltip.period': '时期: {period}',
+    'accel.tooltip.rate': '升温速率: {value}°C/十年',
+    'accel.tooltip.ci': '95%置信区间: {low} ~ {high}°C/十年',
+    'accel.significant': '统计显著',
+    'accel.notSignificant': '不显著',
+    'accel.accelerating': '加速期',
+    'accel.partial': '不完整窗口',
+    'accel.series.observed': '观测距平',
+    'accel.series.fitted': '分段线性拟合',
+    'accel.column.observed': '观测距平 (°C)',
+    'accel.column.fitted': '分段线性拟合 (°C)',
+    'accel.column.period': '窗口',
+    'accel.column.start': '起始年',
+    'accel.column.end': '结束年',
+    'accel.column.rate': '升温速率 (°C/十年)',
+    'accel.column.ciLow': '95%置信区间下限',
+    'accel.column.ciHigh': '95%置信区间上限',
+    'accel.column.significant': '统计显著',
+    'accel.column.partial': '不完整窗口',
+    'accel.stat.current': '当前速率',
+    'accel.stat.currentNote': '每十年（{start}-{end}，±{ci}）',
+    'accel.stat.perDecade': '每十年',
+    'accel.stat.ratio': '历史对比',
+    'accel.stat.ratioNote': '{since}年以来 vs {start}年以来',
+    'accel.stat.ratioFallback': '相对于历史平均',
+    'accel.stat.count': '加速期数量',
+    'accel.stat.countNote': '超过0.15°C/十年的{span}年窗口',
+    'accel.stat.significantNote': '置信区间不含0的窗口',
+    'accel.view.decadal': '固定窗口',
+    'accel.view.rolling': '滑动窗口',
+    'accel.view.changepoint': '转折点',
+    'accel.windowLength': '窗口长度:',
+    'accel.years': '{n}年',
+    'accel.segmentCi': '95%置信区间 {low} ~ {high}',
+    'accel.findings': '关键发现',
+    'accel.findings.trend': '加速趋势明显：',
+    'accel.findings.phases': '阶段性特征：',
+    'accel.findings.breaks': '按BIC选出的分段线性模型在{years}年前后出现转折，{segments}。',
+    'accel.findings.noBreaks': '分段模型未优于单一线性趋势，{segments}。',
+    'accel.findings.segment': '{start}-{end}年{rate}°C/十年',
+    'accel.findings.segmentSeparator': '，',
+    'accel.findings.uncertainty': '不确定性：',
+    'accel.findings.uncertaintyText': '短窗口受厄尔尼诺等年际波动影响大，10年窗口的置信区间常跨越0；窗口越长，趋势越稳定。',
+    'accel.legend.cooling': '降温期',
+    'accel.legend.slight': '轻微升温 (<0.1°C)',
+    'accel.legend.moderate': '中等升温 (0.1-0.15°C)',
+    'accel.legend.rapid': '快速升温 (>0.15°C)',
+
+    // 基线漂移卡片
+    'shift.loading': '基线漂移分析',
+    'shift.title': '基线漂移：温度分布的历史演变',
+    'shift.description.monthly': '基于月度距平统计每个十年的温度分布，揭示"常态"如何被重新定义。 整个分布曲线随时间向右（更暖）移动，表明极端高温正在成为新常态。',
+    'shift.description.annual': '基于年度距平（该数据集未提供月度数据）统计每个十年的温度分布，揭示"常态"如何被重新定义。 整个分布曲线随时间向右（更暖）移动，表明极端高温正在成为新常态。',
+    'shift.exportTitle.monthly': '基线漂移：各年代月度距平分布',
+    'shift.exportTitle.annual': '基线漂移：各年代年度距平分布',
+    'shift.unit.months': '月份',
+    'shift.unit.years': '年份',
+    'shift.tooltip': '温度距平: {value}°C',
+    'shift.column.density': '{decade} 概率密度 (%/{bin}°C)',
+    'shift.column.frequency': '{decade} 频率 (%/{bin}°C)',
+    'shift.stat.shift': '分布漂移',
+    'shift.stat.shiftNote': '{current} vs {first}平均值',
+    'shift.stat.current': '当前常态',
+    'shift.stat.historical': '历史常态',
+    'shift.stat.mode': '{decade}最常见温度',
+    'shift.stat.extremes': '极端化程度',
+    'shift.stat.extremesNote': '{decade}超过2σ的{unit}（{first}: {share}%）',
+    'shift.decadePicker': '显示十年:',
+    'shift.methodLabel': '估计方法:',
+    'shift.method.kde': '核密度',
+    'shift.method.hist': '直方图',
+    'shift.densityUnit': '密度单位:',
+    'shift.binWidth': '组距:',
+    'shift.bandwidthNote': '带宽按 Silverman 经验法则；{decade}：{h}°C',
+    'shift.annualOnly': '该数据集没有月度文件，每个年代的分布只由约十个年平均值构成，而非 120 个月度值，曲线因此较粗略。',
+    'shift.error': '基线漂移数据加载失败：{message}',
+    'shift.axis.frequency': '出现频率 (%/{bin}°C)',
+    'shift.series.distribution': '{decade} 分布',
+    'shift.series.reference': '{decade} 基准',
+    'shift.sigmaNote.monthly': 'σ 为{start}-{end}年基准期月度距平的标准差（{sd}°C）；纵轴为落入每 {bin}°C 区间的月份比例。',
+    'shift.sigmaNote.annual': 'σ 为{start}-{end}年基准期年度距平的标准差（{sd}°C）；纵轴为落入每 {bin}°C 区间的年份比例。',
+    'shift.table.decade': '十年',
+    'shift.table.n': '样本数',
+    'shift.table.mean': '均值',
+    'shift.table.sd': '标准差',
+    'shift.table.p2': '超过2σ',
+    'shift.table.p3': '超过3σ',
+    'shift.partial': '* 数据不完整的十年',
+    'shift.meaning.title': '基线漂移的含义',
+    'shift.meaning.redefined': '常态的重新定义：',
+    'shift.rank.intro': '{year}年（{anomaly}°C）',
+    'shift.rank.record': '在当年创下了有记录以来的最高温，',
+    'shift.rank.position': '如今在{total}个年份中排第{rank}位',
+    'shift.rank.overtaken': '，此后有{count}个年份比它更热。',
+    'shift.rank.stillWarmest': '，仍是有记录以来最热的一年。',
+    'shift.rank.pick': '查询年份:',
+    'shift.meaning.shift': '分布整体右移：',
+    'shift.meaning.shiftText': '{first}的平均距平为{firstMean}°C，{current}为{currentMean}°C， 意味着过去的"极端高温"正在成为今天的"正常温度"。',
+    'shift.meaning.extremes': '极端事件常态化：',
+    'shift.meaning.extremesText': '{first}超过基准期2σ的{unit}占{firstP2}%，{current}为{currentP2}%；超过3σ的比例由{firstP3}%变为{currentP3}%， 揭示了气候变化对我们认知和感知的深刻影响。',
+    'shift.history.title': '历史视角 (1880s-1960s)',
+    'shift.history.text': '温度分布相对稳定，以负距平为主，极端高温事件罕见。 这一时期建立了我们对"正常"气候的基本认知。',
+    'shift.modern.title': '现代变化 (1980s-2020s)',
+    'shift.modern.text': '分布明显右移，正距平成为常态，极端高温频发。 过去的"异常"正在成为新的"正常"，基线已经发生根本性漂移。',
+
+    // 气候螺旋（渲染器与卡片）
+    'spiral.palette.classic': '经典',
+    'spiral.palette.colorblind': '色盲友好',
+    'spiral.mode.spiral': '平面螺旋',
+    'spiral.mode.tower': '螺旋塔',
+    'spiral.mode.stripes': '变暖条纹',
+    'spiral.ring.threshold': '{value}°C阈值',
+    'spiral.caption.average': '平均距平: {value}',
+    'spiral.caption.scale': '色阶范围 ±{value}',
+    'spiral.caption.projection': '{scenario} 中值: {value}',
+    'spiral.caption.range': '范围 {low} 至 {high}',
+    'spiral.chart': '气候螺旋图',
+    'spiral.title': '气候螺旋图：温度距平的时间演化',
+    'spiral.description': '由气候科学家Ed Hawkins推广的可视化形式，以极具视觉冲击力的方式展示全球温度如何逐步逼近关键阈值。 每一圈代表一年，从中心向外的距离表示温度距平的大小。可切换为螺旋塔（每年抬升一层，避免新轨迹遮挡早年）与变暖条纹视图。',
+    'spiral.exportTitle.monthly': '{chart}：{start}-{end}年月度温度距平',
+    'spiral.exportTitle.annual': '{chart}：{start}-{end}年年平均温度距平',
+    'spiral.export.webm': 'WebM 动画',
+    'spiral.export.frames': 'PNG 帧序列（ZIP）',
+    'spiral.badge.current': '当前距平: {value}',
+    'spiral.badge.above': '超过1.5°C警戒线',
+    'spiral.badge.near': '接近1.5°C目标',
+    'spiral.badge.projection': '{scenario} 预估: {value}',
+    'spiral.viewLabel': '视图',
+    'spiral.resetView': '重置视角',
+    'spiral.rotateHint': '拖动或 Shift+方向键旋转',
+    'spiral.derived': '该数据集没有月度文件，只能显示暖化条纹（每年一条）；螺旋与螺旋塔需要月度数据。读数与下载均为年平均值。',
+    'spiral.needsMonthly': '需要月度数据，当前数据集未提供',
+    'spiral.canvasLabel': '{chart}：{start}-{end}年温度距平，{end}年平均距平 {value}',
+    'spiral.canvasLabelProjection': '气候螺旋，{scenario} 情景 {year} 年预估：中值 {value}，范围 {low} 至 {high}',
+    'spiral.danger': '危险水平',
+    'spiral.hover.annual': '{year}年年平均',
+    'spiral.hover.month': '{year}年{month}',
+    'spiral.hover.anomaly': '距平: {value}',
+    'spiral.thresholds.title': '关键阈值',
+    'spiral.thresholds.target': '1.5°C 目标',
+    'spiral.thresholds.warning': '警戒',
+    'spiral.thresholds.limit': '2.0°C 警戒线',
+    'spiral.thresholds.danger': '危险',
+    'spiral.thresholds.baseline': '基准线 (0°C = {baseline}年均值)',
+    'spiral.thresholds.normal': '正常',
+    'spiral.palette.title': '配色',
+    'spiral.palette.label': '螺旋配色方案',
+    'spiral.guide.title': '螺旋解读',
+    'spiral.guide.path': '螺旋轨迹：',
+    'spiral.guide.pathText': '每一圈代表一年的12个月',
+    'spiral.guide.radius': '距离中心：',
+    'spiral.guide.radiusText': '表示温度距平的大小',
+    'spiral.guide.color': '颜色变化：',
+    'spiral.guide.colorText': '按年平均距平从蓝色（冷）到红色（热），悬停轨迹可查看各月数值',
+    'spiral.guide.growth': '轨迹演化：',
+    'spiral.guide.growthText': '观察螺旋如何逐渐向外扩展',
+    'spiral.year.title': '{year}年数据',
+    'spiral.year.mean': '年平均距平:',
+    'spiral.year.warmest': '最热月份:',
+    'spiral.year.coldest': '最冷月份:',
+    'spiral.meaning.title': '气候螺旋的意义',
+    'spiral.meaning.text': '气候螺旋图由英国气候科学家Ed Hawkins创造，通过极坐标系统展示温度变化的时间序列。 这种可视化方式能够直观地展示全球温度如何逐步逼近并超越关键的气候阈值， 特别是《巴黎协定》设定的1.5°C和2°C目标。螺旋的向外扩展清晰地表明了气候变化的加速趋势。',
+
+    // 地理分布卡片
+    'geo.loading': '交互式世界地图',
+    'geo.title': '全球温度距平地理分布',
+    'geo.description.grid': '交互式世界地图展示{dlat}°×{dlon}°格点温度距平场，揭示全球变暖的地理不均匀性。 纬向与北极平均按 cos(纬度) 面积加权计算，全球平均取数据集本身的年度值。',
+    'geo.description.countries': '世界各国家和地区地图。当前数据集只有全球年度序列，因此地图不按温度着色；点击国家可查看详情。',
+    'geo.exportTitle.grid': '{year}年全球温度距平格点场',
+    'geo.exportTitle.countries': '{year}年各国温度距平（国界内格点平均）',
+    'geo.exportTitle.outline': '地图上的国家和地区',
+    'geo.column.cellLat': '格点中心纬度',
+    'geo.column.cellLon': '格点中心经度',
+    'geo.column.code': 'ISO 3166-1 数字代码',
+    'geo.column.country': '国家/地区',
+    'geo.column.region': '大洲',
+    'geo.column.lat': '质心纬度',
+    'geo.column.lng': '质心经度',
+    'geo.column.anomaly': '温度距平 (°C)',
+    'geo.scale.absolute': '绝对值',
+    'geo.scale.relative': '相对变化',
+    'geo.layer.grid': '格点场',
+    'geo.layer.country': '国家',
+    'geo.badge.global': '全球平均: {value}',
+    'geo.badge.arctic': '北极地区: {value}',
+    'geo.mapTitle': '{year}年全球温度距平分布',
+    'geo.mapTitleOutline': '国家和地区',
+    'geo.mapLabel': '{year}年各国温度距平地图',
+    'geo.noField': '地图未着色：各国温度无法由全球平均值推得，而当前数据集没有格点距平场（如 data/gistemp/gridded-5x5-annual.json）。',
+    'geo.zoomIn': '放大',
+    'geo.zoomOut': '缩小',
+    'geo.resetView': '复位',
+    'geo.hint': '滚轮缩放、拖动平移，点击国家查看详情',
+    'geo.keyboardHint': '也可用 Tab 进入地图，方向键在相邻国家间移动，回车选中。',
+    'geo.soundHint': '按纬度从南到北依次播放各国距平，音调越高越暖',
+    'geo.countryLabel': '{country}：{value}',
+    'geo.stats.title': '全球统计',
+    'geo.stats.global': '全球平均:',
+    'geo.stats.warmest': '最热地区:',
+    'geo.stats.coldest': '最冷地区:',
+    'geo.stats.extremes': '极端事件:',
+    'geo.stats.regions': '{count}个地区',
+    'geo.arctic.title': '北极放大效应',
+    'geo.arctic.mean': '北极平均:',
+    'geo.arctic.ratio': '放大倍数:',
+    'geo.arctic.gridNote': '66.5°N 以北格点按 cos(纬度) 面积加权平均，有效覆盖 {coverage}%；放大倍数为其与数据集全球年度距平之比，全球距平接近 0 时不计算。',
+    'geo.zonal.title': '纬向平均',
+    'geo.zonal.anomaly': '距平',
+    'geo.zonal.note': '每条纬度带内格点的平均距平，虚线为北极圈',
+    'geo.detail.anomaly': '温度距平:',
+    'geo.detail.region': '地区:',
+    'geo.detail.latitude': '纬度:',
+    'geo.detail.arctic': '北极地区',
+    'geo.detail.extreme': '极端温度',
+    'geo.importance.title': '地理分布的重要性',
+    'geo.importance.text': '全球变暖并非均匀分布的现象。北极地区的升温速度远超全球平均水平，这种"北极放大效应" 是由于冰雪融化减少了地表反射率，形成正反馈循环。理解这些地理差异对于预测区域气候影响 和制定适应策略至关重要。',
+
+    // 国家详细分析（climate-country.js）
+    'country.open': '查看详细分析',
+    'country.close': '关闭',
+    'country.title': '{country}详细分析',
+    'country.compareTitle': '{count} 个国家对比',
+    'country.source.grid': '格点数据',
+    'country.source.estimate': '模型估算',
+    'country.estimateNote': '当前数据集没有格点距平场，国家序列由全球序列按纬度与海陆差异缩放得到，趋势形状与全球记录一致，并不反映当地观测。',
+    'country.estimateOmitted': '逐年代变暖速率、国家排名与最热 / 最冷年份仅在数据集提供格点距平场时显示：由缩放的全球序列得到的结果只会重复全球记录，纬度相近的国家也会并列。',
+    'country.trend': '年平均温度距平',
+    'country.global': '全球平均',
+    'country.fit': '线性拟合',
+    'country.trendRate': '{country} {start}–{end} 年的线性趋势：{rate}°C/十年（95% 置信区间 {low} 至 {high}）。',
+    'country.spiral': '{country}气候螺旋',
+    'country.spiralLabel': '{country}截至 {year} 年的月度温度距平气候螺旋',
+    'country.spiralNote': '绘制到 {year} 年，随地图时间轴变化。',
+    'country.spiralDerived': '绘制到 {year} 年。只有年度值，各月沿用当年的数值。',
+    'country.rates': '逐年代变暖速率：{country}与全球',
+    'country.decade': '{decade}年代',
+    'country.noRates': '序列太短，无法计算年代速率。',
+    'country.ratesNote': '各年代内的线性趋势（°C/十年），不足 8 年的年代略去。',
+    'country.rank': '{year} 年在全部国家中的排名',
+    'country.rankValue': '第 {rank} / {total} 名（{value}）',
+    'country.hottest': '最热年份',
+    'country.coldest': '最冷年份',
+    'country.compare': '对比（最多 {max} 个）：',
+    'country.compareAdd': '添加国家…',
+    'country.compareRemove': '从对比中移除{country}',
+    'country.exportTitle': '温度距平：{country}',
+
+    // 大洲（国家元数据中的 region）
+    'region.Africa': '非洲',
+    'region.Antarctica': '南极洲',
+    'region.Asia': '亚洲',
+    'region.Europe': '欧洲',
+    'region.North America': '北美洲',
+    'region.Oceania': '大洋洲',
+    'region.South America': '南美洲',
+    'region.Unknown': '未知',
+
+    // 区域汇总（climate-region.js）
+    'region.title': '区域汇总',
+    'region.description.grid': '按大洲、纬度带、半球或自定义国家组对国家序列（国界内格点的平均）做面积加权平均。',
+    'region.description.estimate': '按大洲、纬度带、半球或自定义国家组对国家估算序列做面积加权平均。没有格点场时国家数值由全球序列缩放得到，各组之间的差异只反映纬度与海陆系数。',
+    'region.kindLabel': '汇总方式',
+    'region.kind.continent': '大洲',
+    'region.kind.band': '纬度带',
+    'region.kind.hemisphere': '半球',
+    'region.kind.custom': '自定义组',
+    'region.band.tropics': '热带',
+    'region.band.mid': '中纬度',
+    'region.band.polar': '极地',
+    'region.hemisphere.north': '北半球',
+    'region.hemisphere.south': '南半球',
+    'region.custom.new': '新建国家组',
+    'region.custom.name': '组名',
+    'region.custom.countries': '国家（按住 Ctrl / ⌘ 可多选）',
+    'region.custom.save': '保存',
+    'region.custom.cancel': '取消',
+    'region.custom.chip': '{name}（{count}）',
+    'region.custom.remove': '删除国家组{name}',
+    'region.custom.empty': '还没有自定义国家组，国家组保存在当前浏览器中。',
+    'region.note.continent': '大洲取自国家属性中的 region；灰色虚线为全球平均。',
+    'region.note.band': '按国家质心纬度划分：热带低于 23.44°，中纬度 23.44°–66.56°，极地高于 66.56°；灰色虚线为全球平均。',
+    'region.note.hemisphere': '按国家质心所在的半球划分；灰色虚线为全球平均。',
+    'region.note.custom': '每组为其中国家的面积加权平均；灰色虚线为全球平均。',
+    'region.ranking': '{year} 年排名',
+    'region.rankingEstimate': '没有格点距平场时，各组都是全球序列乘以固定系数，每年的先后次序都相同；仅在数据集提供格点场时显示排名。',
+    'region.coverage': '有数据的面积占比：{value}%',
+    'region.noData': '{year} 年没有任何组有数据。',
+    'region.exportTitle': '各区域温度距平：{kind}',
+
+    // 数据来源与方法
+    'sources.title': '数据来源与方法',
+    'sources.giss.title': 'NASA GISS',
+    'sources.giss.text': 'GISTEMP v4 全球平均地表温度距平（陆地表面气温与海表水温合成，L-OTI），自 1880 年起的年平均值。这是本站内置的唯一数据集。',
+
+    // 关于这个项目
+    'about.title': '关于这个项目',
+    'about.transparency.title': '数据透明度',
+    'about.transparency.text': '所有可视化基于 NASA GISS GISTEMP v4 公开数据。 我们默认使用1951-1980年作为基准期计算温度距平，也可切换为1850-1900年（工业化前）或1991-2020年；1.5°C与2°C阈值始终相对工业化前水平。 记录始于1880年，因此工业化前基准期只覆盖1880-1900年。 数据处理过程完全透明，确保科学严谨性。',
+    'about.methodology.title': '方法论',
+    'about.methodology.text': '通过多层次可视化揭示气候变化的复杂性：从基础趋势到加速度分析， 再到基线漂移现象，每个视角都提供了独特的洞察。 结合交互式元素增强用户理解。',
+    'footer.updated': '数据截至{year}年，获取于{date}',
+    'footer.updatedNoDate': '数据截至{year}年',
+    'footer.sources': '查看数据源',
+    'footer.methods': '方法说明',
+
+    // 关键发现（page-config.json 的 panels.findings 控制是否显示）
+    'findings.title': '关键发现',
+    'findings.acceleration': '加速变暖：',
+    'findings.baseline': '基线漂移：',
+    'findings.baselineText': '过去的"极端高温"正在成为今天的"正常温度"。',
+    'findings.geography': '地理差异：',
+    'findings.geographyText': '北极地区的升温速度远超全球平均水平。',
+    'findings.thresholds': '临界逼近：',
+    'findings.thresholdsText': '全球温度正在逐步逼近1.5°C和2°C的关键阈值。',
+  });
+})();
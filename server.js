@@ -0,0 +1,451 @@
+/**
+ * 气候变化分析平台 - 本地静态服务器
+ * Climate Change Analysis Platform - Local Static Server
+ *
+ * 功能：跨平台的静态文件服务器（仅依赖 Node.js 内置模块），取代只能在 PowerShell 下运行的 server.ps1。
+ * 本地文件优先；本地不存在时可依次回退到镜像目录与（显式开启的）远程站点，默认完全离线。
+ *
+ * 用法：
+ *   node server.js [--port 8080] [--root .] [--mirror <目录>] [--remote <站点>]
+ *
+ * 说明：
+ * - 路径先解码再规范化，落在根目录（或镜像目录）之外的请求一律返回 403；
+ * - 只发送站点文件（SITE_FILES 与 SITE_DIRS 之下的文件），任何以 "." 开头的路径段（.git、.env 等）与仓库中的其他文件
+ *   （server.js、requests.jsonl 等）一律返回 404；
+ * - 响应带 ETag 与 Last-Modified，条件请求命中时返回 304；
+ * - 文件名带内容哈希（name-<哈希>.ext，哈希为内容 SHA-256 的 base64url 前 8 位，见 contentHash()）且与内容一致时
+ *   以 max-age=31536000, immutable 返回；修改这类文件后须按新内容改名，并同步 index.html 与 sw.js 中的引用，
+ *   哈希与内容不符时退回 no-cache。HTML、sw.js 与其他文件都以 no-cache 返回，浏览器每次凭 ETag 向服务器验证；
+ * - 文本类资源按 Accept-Encoding 协商 brotli / gzip 压缩，压缩结果按文件版本缓存在内存中，命中时不再读取文件；
+ *   压缩使用 zlib 的异步接口，在线程池中进行，不阻塞事件循环；
+ * - --remote 仅在需要与线上站点逐字节一致时使用，代理不缓存、不压缩，原样透传远程响应；
+ * - 需要 Node.js 18 及以上版本（远程回退使用内置 fetch）。
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const brotliCompress = util.promisify(zlib.brotliCompress);
+const gzip = util.promisify(zlib.gzip);
+
+const DEFAULTS = {
+  port: 8080,
+  root: '.',
+  mirror: null,
+  remote: null,
+};
+
+/** 扩展名 → Content-Type */
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.geojson': 'application/geo+json; charset=utf-8',
+  '.topojson': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.nc': 'application/x-netcdf',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.wasm': 'application/wasm',
+};
+
+/** 站点根目录下可发送的文件 */
+const SITE_FILES = new Set([
+  'index.html', 'favicon.ico', 'favicon.svg', 'manifest.webmanifest', 'page-config.json', 'sw.js',
+]);
+/** 站点根目录下可发送其全部内容的目录 */
+const SITE_DIRS = new Set(['assets', 'data', 'icons']);
+
+/** 带内容哈希的文件名：name-<8 位哈希>.ext */
+const HASHED_NAME = /-([A-Za-z0-9_-]{8})\.\w+$/;
+/** 文件名中的哈希与内容一致：内容一变文件名就变，可长期缓存 */
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+/** 其余文件（HTML、sw.js、数据等）每次向服务器验证（配合 ETag 返回 304） */
+const CACHE_CONTROL = 'no-cache';
+
+/** 小于该字节数的响应不压缩 */
+const MIN_COMPRESS_BYTES = 1024;
+/** brotli 质量：最高的 11 级压缩近 1 MB 的页面需数秒，9 级体积仅大约 8%，速度快一个数量级 */
+const BROTLI_QUALITY = 9;
+/** 压缩结果缓存的上限（条目数），超出时淘汰最早写入的 */
+const MAX_COMPRESSED_ENTRIES = 200;
+
+/** 转发远程响应时丢弃的逐跳与由本服务器重新计算的头 */
+const SKIPPED_PROXY_HEADERS = new Set([
+  'connection', 'keep-alive', 'transfer-encoding', 'content-encoding', 'content-length', 'set-cookie',
+]);
+const REMOTE_TIMEOUT_MS = 30000;
+
+/**
+ * 解析命令行参数（--name value 或 --name=value）
+ * @param {string[]} argv
+ * @returns {{port:number, root:string, mirror:string|null, remote:string|null}}
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(\w+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match || !(match[1] in DEFAULTS)) throw new Error(`Unknown argument: ${argv[i]}`);
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${match[1]}`);
+    options[match[1]] = value;
+  }
+  options.port = Number(options.port);
+  if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  return options;
+}
+
+/**
+ * 简单日志输出
+ * @param {'Info'|'Warn'|'Error'} level
+ * @param {string} message
+ */
+function log(level, message) {
+  const ts = new Date().toISOString().replace('T', ' ').slice(0, 19);
+  console.log(`[${ts}][${level}] ${message}`);
+}
+
+/**
+ * @param {string} file
+ * @returns {string}
+ */
+function contentType(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+}
+
+/** @returns {boolean} 该类型是否值得压缩 */
+function compressible(type) {
+  return /^text\/|javascript|json|xml|svg|netcdf|wasm/.test(type);
+}
+
+/**
+ * 请求路径是否指向站点文件：根路径（取 index.html）、SITE_FILES 或 SITE_DIRS 之下，且不含以 "." 开头的路径段
+ * @param {string} pathname - 未解码的 URL 路径
+ * @returns {boolean}
+ */
+function isSitePath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (_) {
+    return false;
+  }
+  const segments = decoded.split(/[\\/]+/).filter(Boolean);
+  if (segments.some(seg => seg.startsWith('.'))) return false;
+  if (!segments.length) return true;
+  return segments.length === 1 ? SITE_FILES.has(segments[0]) || SITE_DIRS.has(segments[0]) : SITE_DIRS.has(segments[0]);
+}
+
+/**
+ * 把请求路径映射到目录内的文件，阻止目录穿越
+ * @param {string} dir - 已规范化的绝对目录
+ * @param {string} pathname - 未解码的 URL 路径
+ * @returns {string|null} 绝对路径；越界或无法解码时为 null
+ */
+function resolveWithin(dir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (_) {
+    return null;
+  }
+  if (decoded.includes('\0')) return null;
+  const file = path.resolve(dir, `.${path.posix.normalize(`/${decoded}`)}`);
+  return file === dir || file.startsWith(dir + path.sep) ? file : null;
+}
+
+/**
+ * 查找可发送的文件：目录取其中的 index.html
+ * @param {string} file
+ * @returns {Promise<{file:string, stat:fs.Stats}|null>}
+ */
+async function findFile(file) {
+  try {
+    let stat = await fs.promises.stat(file);
+    if (stat.isDirectory()) {
+      file = path.join(file, 'index.html');
+      stat = await fs.promises.stat(file);
+    }
+    return stat.isFile() ? { file, stat } : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** @returns {string} 由大小与修改时间得出的弱 ETag */
+function etagOf(stat) {
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/**
+ * 条件请求是否仍然新鲜（If-None-Match 优先于 If-Modified-Since）
+ * @param {http.IncomingMessage} req
+ * @param {string} etag
+ * @param {fs.Stats} stat
+ * @returns {boolean}
+ */
+function isFresh(req, etag, stat) {
+  const noneMatch = req.headers['if-none-match'];
+  if (noneMatch) {
+    const weak = tag => tag.trim().replace(/^W\//, '');
+    return noneMatch.split(',').some(tag => tag.trim() === '*' || weak(tag) === weak(etag));
+  }
+  const since = Date.parse(req.headers['if-modified-since'] || '');
+  return Number.isFinite(since) && Math.floor(stat.mtimeMs / 1000) * 1000 <= since;
+}
+
+/**
+ * 按 Accept-Encoding 选择压缩方式（q=0 视为拒绝）
+ * @param {string} header
+ * @returns {'br'|'gzip'|null}
+ */
+function pickEncoding(header) {
+  const accepted = new Map();
+  String(header || '').split(',').forEach(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => /^\s*q=([\d.]+)/.exec(p)).find(Boolean);
+    accepted.set(name, q ? Number(q[1]) : 1);
+  });
+  const ok = name => (accepted.has(name) ? accepted.get(name) : accepted.get('*') || 0) > 0;
+  if (ok('br')) return 'br';
+  if (ok('gzip')) return 'gzip';
+  return null;
+}
+
+/**
+ * 文件名使用的内容哈希
+ * @param {Buffer} buffer
+ * @returns {string} SHA-256 的 base64url 编码前 8 位
+ */
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('base64url').slice(0, 8);
+}
+
+/** @type {Map<string, boolean>} 文件路径|ETag → 文件名中的哈希是否与内容一致 */
+const hashedCache = new Map();
+
+/**
+ * 按文件名与内容决定 Cache-Control：只有哈希与内容一致的文件才长期缓存
+ * @param {string} file
+ * @param {string} etag
+ * @returns {Promise<string>}
+ */
+async function cacheControlOf(file, etag) {
+  const match = HASHED_NAME.exec(path.basename(file));
+  if (!match) return CACHE_CONTROL;
+  const key = `${file}|${etag}`;
+  if (!hashedCache.has(key)) {
+    const matches = contentHash(await fs.promises.readFile(file)) === match[1];
+    if (!matches) log('Warn', `Content hash does not match the file name, serving with no-cache: ${file}`);
+    if (hashedCache.size >= MAX_COMPRESSED_ENTRIES) hashedCache.delete(hashedCache.keys().next().value);
+    hashedCache.set(key, matches);
+  }
+  return hashedCache.get(key) ? IMMUTABLE : CACHE_CONTROL;
+}
+
+/** @type {Map<string, Buffer>} 文件路径|ETag|编码 → 压缩后的内容 */
+const compressedCache = new Map();
+
+/**
+ * 读取（并按需压缩）文件内容
+ * @param {string} file
+ * @param {string} etag
+ * @param {'br'|'gzip'|null} encoding
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(file, etag, encoding) {
+  const key = `${file}|${etag}|${encoding}`;
+  if (encoding && compressedCache.has(key)) return compressedCache.get(key);
+  const raw = await fs.promises.readFile(file);
+  if (!encoding) return raw;
+  const body = encoding === 'br'
+    ? await brotliCompress(raw, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: raw.length,
+      },
+    })
+    : await gzip(raw, { level: 9 });
+  if (compressedCache.size >= MAX_COMPRESSED_ENTRIES) {
+    compressedCache.delete(compressedCache.keys().next().value);
+  }
+  compressedCache.set(key, body);
+  return body;
+}
+
+/**
+ * 发送纯文本响应
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {string} text
+ */
+function sendText(res, status, text) {
+  const body = Buffer.from(text, 'utf8');
+  res.writeHead(status, {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Content-Length': body.length,
+    'Cache-Control': 'no-store',
+  });
+  res.end(body);
+}
+
+/**
+ * 发送本地文件（含缓存协商与压缩）
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {{file:string, stat:fs.Stats}} found
+ */
+async function sendFile(req, res, { file, stat }) {
+  const type = contentType(file);
+  const etag = etagOf(stat);
+  const headers = {
+    'Content-Type': type,
+    'Cache-Control': await cacheControlOf(file, etag),
+    'ETag': etag,
+    'Last-Modified': stat.mtime.toUTCString(),
+  };
+  const negotiable = compressible(type) && stat.size >= MIN_COMPRESS_BYTES;
+  if (negotiable) headers['Vary'] = 'Accept-Encoding';
+
+  if (isFresh(req, etag, stat)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  const encoding = negotiable ? pickEncoding(req.headers['accept-encoding']) : null;
+  const body = await readBody(file, etag, encoding);
+  if (encoding) headers['Content-Encoding'] = encoding;
+  headers['Content-Length'] = body.length;
+  res.writeHead(200, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * 把请求原样转发到远程站点
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} remoteUrl
+ */
+async function proxyRemote(req, res, remoteUrl) {
+  try {
+    const response = await fetch(remoteUrl, {
+      method: req.method,
+      headers: { 'User-Agent': 'ClimateStaticServer/1.0 (+Node.js)', 'Accept': '*/*' },
+      signal: AbortSignal.timeout(REMOTE_TIMEOUT_MS),
+    });
+    const body = Buffer.from(await response.arrayBuffer());
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      if (!SKIPPED_PROXY_HEADERS.has(name)) headers[name] = value;
+    });
+    if (!headers['content-type']) headers['content-type'] = contentType(new URL(remoteUrl).pathname);
+    headers['content-length'] = body.length;
+    res.writeHead(response.status, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+  } catch (err) {
+    log('Error', `Proxy error: ${remoteUrl} => ${err.message}`);
+    sendText(res, 502, 'Bad Gateway');
+  }
+}
+
+/**
+ * 创建请求处理函数
+ * @param {{root:string, mirror:string|null, remote:string|null}} options - root / mirror 须为绝对路径
+ * @returns {Function}
+ */
+function createHandler(options) {
+  const dirs = [options.root, options.mirror].filter(Boolean);
+  return async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      sendText(res, 405, 'Method Not Allowed');
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    if (!isSitePath(url.pathname)) {
+      sendText(res, 404, 'Not Found');
+      return;
+    }
+    for (const dir of dirs) {
+      const file = resolveWithin(dir, url.pathname);
+      if (!file) {
+        sendText(res, 403, 'Forbidden');
+        return;
+      }
+      const found = await findFile(file);
+      if (found) {
+        await sendFile(req, res, found);
+        return;
+      }
+    }
+    if (options.remote) {
+      await proxyRemote(req, res, options.remote.replace(/\/+$/, '') + req.url);
+    } else {
+      sendText(res, 404, 'Not Found');
+    }
+  };
+}
+
+/**
+ * 启动服务器
+ * @param {{port:number, root:string, mirror:string|null, remote:string|null}} options
+ * @returns {http.Server}
+ */
+function start(options) {
+  const resolved = {
+    ...options,
+    root: path.resolve(options.root),
+    mirror: options.mirror ? path.resolve(options.mirror) : null,
+  };
+  for (const dir of [resolved.root, resolved.mirror].filter(Boolean)) {
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) throw new Error(`Directory not found: ${dir}`);
+  }
+  const handler = createHandler(resolved);
+  const server = http.createServer((req, res) => {
+    handler(req, res).catch(err => {
+      log('Error', `${req.method} ${req.url} => ${err.message}`);
+      if (!res.headersSent) sendText(res, 500, 'Internal Server Error');
+      else res.destroy();
+    });
+  });
+  server.listen(resolved.port, 'localhost', () => {
+    const prefix = `http://localhost:${server.address().port}/`;
+    log('Info', `Server listening at ${prefix}`);
+    console.log(prefix); // 供外部工具捕获预览 URL
+    log('Info', `Root: ${resolved.root}`);
+    log('Info', `Mirror: ${resolved.mirror || '(none)'}`);
+    log('Info', `Remote origin (fallback proxy): ${resolved.remote || '(disabled)'}`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  try {
+    start(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    log('Error', err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { start, createHandler, parseArgs, contentHash };
@@ -0,0 +1,213 @@
+/**
+ * 气候变化分析平台 - 离线缓存（Service Worker）
+ * Climate Change Analysis Platform - Offline Service Worker
+ *
+ * 功能：安装时预缓存页面外壳（HTML、入口脚本与样式、主题与各功能脚本、消息目录、页面配置、应用清单与图标）
+ * 以及随站点发布的数据（data/manifest.json 及其中声明的数据文件、国家边界、情景预估），
+ * 之后优先从缓存响应，首次联网加载后即可在无网络的环境中完整使用。
+ *
+ * 说明：
+ * - 外壳缓存按 VERSION 命名。发布新构建或修改任一外壳文件时递增 VERSION（入口脚本与样式表按内容哈希命名，
+ *   改动后须改名，见 server.js；其余外壳文件名不含哈希，只能靠 VERSION 换代），
+ *   浏览器据此发现新的 Service Worker；新版本安装后处于等待状态，由页面提示用户刷新，确认后发送 'skip-waiting' 接管；
+ * - 数据缓存与外壳分开，换新构建时沿用。页面发送 'check-data' 时比较网络上 data/manifest.json 的 version 与缓存中的版本，
+ *   回复 'data-available'（附新版本号）或 'data-current'；用户确认后发送 'update-data'，重新下载清单与数据文件，
+ *   完成后回复 'data-updated'，失败时回复 'data-failed' 并保留原缓存；
+ * - 清单中声明但尚未放入 data/ 的文件在缓存时跳过，不影响安装；
+ * - page-config.json 由部署方随时修改，网络优先、失败时用缓存；
+ * - 页面导航请求（含地址栏参数）返回缓存的 index.html；其余同源 GET 请求网络优先并写入运行时缓存，离线时回退到缓存；
+ *   跨域请求不处理。
+ */
+'use strict';
+
+const VERSION = 15;
+const SHELL_CACHE = `climate-shell-v${VERSION}`;
+const DATA_CACHE = 'climate-data';
+const RUNTIME_CACHE = 'climate-runtime';
+const CACHE_PREFIX = 'climate-';
+
+/** 页面外壳（相对站点根目录） */
+const SHELL = [
+  'index.html',
+  'page-config.json',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'assets/index-_bFrBgJ2.js',
+  'assets/index-lXNoO0Pw.css',
+  'assets/override.css',
+  'assets/climate-theme.css',
+  'assets/climate-theme.js',
+  'assets/climate-i18n.js',
+  'assets/locales/zh-CN.js',
+  'assets/locales/en.js',
+  'assets/climate-parsers.js',
+  'assets/climate-data.js',
+  'assets/climate-import.js',
+  'assets/climate-stats.js',
+  'assets/climate-a11y.js',
+  'assets/climate-geo.js',
+  'assets/climate-grid.js',
+  'assets/climate-country.js',
+  'assets/climate-region.js',
+  'assets/climate-projection.js',
+  'assets/climate-export.js',
+  'assets/climate-timeline.js',
+  'assets/climate-spiral.js',
+  'assets/climate-url.js',
+  'assets/climate-config.js',
+  'assets/climate-report.js',
+  'assets/climate-offline.js',
+  'assets/header-navigation.js',
+];
+/** 网络优先的外壳文件 */
+const NETWORK_FIRST = ['page-config.json'];
+const DATA_ROOT = 'data/';
+const DATA_MANIFEST = DATA_ROOT + 'manifest.json';
+/** 不在数据清单中、但随站点发布的数据文件 */
+const DATA_EXTRA = [
+  'data/geo/countries-110m.json',
+  'data/geo/country-meta.json',
+  'data/projections/ipcc-ar6-gsat.json',
+];
+
+/**
+ * 相对路径 → 绝对 URL（以 Service Worker 所在目录为根）
+ * @param {string} path
+ * @returns {string}
+ */
+function urlOf(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * 数据清单声明的全部数据文件
+ * @param {object} manifest - data/manifest.json
+ * @returns {string[]}
+ */
+function dataFiles(manifest) {
+  const files = new Set(DATA_EXTRA);
+  Object.values(manifest.datasets || {}).forEach(meta => {
+    [meta.annual, meta.monthly, meta.grid].filter(Boolean).forEach(file => files.add(DATA_ROOT + file));
+  });
+  return Array.from(files);
+}
+
+/**
+ * 从网络下载数据清单与数据文件（不写入缓存）
+ * @returns {Promise<{version:string, entries:Array<[string, Response]>}>} 缺失的数据文件不在 entries 中
+ */
+async function fetchData() {
+  const res = await fetch(DATA_MANIFEST, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`Data manifest request failed (${res.status})`);
+  const manifest = await res.clone().json();
+  const files = await Promise.all(dataFiles(manifest).map(path =>
+    fetch(path, { cache: 'no-cache' }).then(r => (r.ok ? [path, r] : null), () => null)));
+  return { version: manifest.version, entries: [[DATA_MANIFEST, res]].concat(files.filter(Boolean)) };
+}
+
+/**
+ * 用新下载的数据替换数据缓存（先写入新文件，再删除不再需要的条目）
+ * @param {Array<[string, Response]>} entries
+ */
+async function storeData(entries) {
+  const cache = await caches.open(DATA_CACHE);
+  await Promise.all(entries.map(([path, res]) => cache.put(urlOf(path), res)));
+  const keep = new Set(entries.map(([path]) => urlOf(path)));
+  const keys = await cache.keys();
+  await Promise.all(keys.filter(req => !keep.has(req.url)).map(req => cache.delete(req)));
+}
+
+/**
+ * 缓存中数据清单的版本号
+ * @returns {Promise<string|null>}
+ */
+async function cachedDataVersion() {
+  const res = await caches.match(urlOf(DATA_MANIFEST), { cacheName: DATA_CACHE });
+  return res ? (await res.json()).version : null;
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL.map(path => new Request(path, { cache: 'reload' })));
+    // 数据缓存只在首次安装时填充，之后由页面确认更新
+    if (!(await cachedDataVersion())) await storeData((await fetchData()).entries);
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && ![SHELL_CACHE, DATA_CACHE, RUNTIME_CACHE].includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  const type = event.data && event.data.type;
+  const reply = message => event.source && event.source.postMessage(message);
+  if (type === 'skip-waiting') {
+    self.skipWaiting();
+  } else if (type === 'check-data') {
+    event.waitUntil((async () => {
+      try {
+        const res = await fetch(DATA_MANIFEST, { cache: 'no-cache' });
+        if (!res.ok) return;
+        const { version } = await res.json();
+        reply(version !== await cachedDataVersion() ? { type: 'data-available', version } : { type: 'data-current', version });
+      } catch (_) {
+        // 离线时无法检查，保持现有数据
+      }
+    })());
+  } else if (type === 'update-data') {
+    event.waitUntil((async () => {
+      try {
+        const { version, entries } = await fetchData();
+        await storeData(entries);
+        reply({ type: 'data-updated', version });
+      } catch (err) {
+        reply({ type: 'data-failed', message: String(err && err.message || err) });
+      }
+    })());
+  }
+});
+
+/**
+ * 网络优先：成功时写入指定缓存，失败时回退到任一缓存
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, res.clone());
+    }
+    return res;
+  } catch (err) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match(urlOf('index.html'), { cacheName: SHELL_CACHE }).then(res => res || fetch(request)));
+    return;
+  }
+  if (NETWORK_FIRST.some(path => url.href === urlOf(path))) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+    return;
+  }
+  event.respondWith(caches.match(request, { ignoreSearch: true }).then(res => res || networkFirst(request, RUNTIME_CACHE)));
+});